@@ -2,15 +2,55 @@ import app from './src/app.js';
 import connectDB from './src/config/db.js';
 import env from './src/config/env.js';
 import logger from './src/utils/logger.util.js';
+import { processDueAccountDeletions } from './src/modules/auth/accountDeletion.service.js';
+import { expireDataExports } from './src/modules/account/dataExport.service.js';
+import { migrateLegacyTransactionCategories } from './src/modules/money/categories/category.service.js';
+import { processDueRecurringTemplates } from './src/modules/money/recurring/recurring.service.js';
+import { migrateDebtContacts } from './src/modules/money/debts/debt.service.js';
+import { supportsTransactions } from './src/utils/db.util.js';
 
-// Connect to database
-connectDB();
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Startup data migrations. They are safe to re-run, so a failure is logged and
+// retried on the next start instead of keeping the API down.
+const STARTUP_MIGRATIONS = [
+  ['legacy transaction categories', migrateLegacyTransactionCategories],
+  ['debt contacts', migrateDebtContacts]
+];
+
+// Connect to database (warning when it can't run transactions), then move any
+// transactions still on the old fixed categories and link debts still keyed by
+// a free-text name to contacts
+connectDB().then(async () => {
+  try {
+    await supportsTransactions();
+  } catch (error) {
+    // Checked again on the first write that needs it
+    logger.error(`Transaction support check failed: ${error.message}`);
+  }
+
+  for (const [name, migrate] of STARTUP_MIGRATIONS) {
+    try {
+      await migrate();
+    } catch (error) {
+      logger.error(`Startup migration of ${name} failed: ${error.message}`);
+    }
+  }
+});
 
 // Start server
 const server = app.listen(env.PORT, () => {
   logger.info(`Server running in ${env.NODE_ENV} mode on port ${env.PORT}`);
 });
 
+// Purge accounts whose deletion grace period has ended and expired data exports,
+// and post due recurring transactions
+setInterval(() => {
+  processDueAccountDeletions();
+  expireDataExports();
+  processDueRecurringTemplates();
+}, MAINTENANCE_INTERVAL_MS).unref();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error(`Unhandled Rejection: ${err.message}`);
@@ -9,6 +9,9 @@ import { apiLimiter } from './middlewares/rateLimit.middleware.js';
 
 // Import routes
 import authRoutes from './modules/auth/auth.routes.js';
+import accountRoutes from './modules/account/account.routes.js';
+import adminRoutes from './modules/admin/admin.routes.js';
+import coupleRoutes from './modules/couple/couple.routes.js';
 import dashboardRoutes from './modules/dashboard/dashboard.routes.js';
 import diaryRoutes from './modules/diary/diary.routes.js';
 import subscriptionRoutes from './modules/subscriptions/subscription.routes.js';
@@ -22,7 +25,19 @@ import watchRoutes from './modules/watch/watch.routes.js';
 import incomeRoutes from './modules/money/income/income.routes.js';
 import fixedExpenseRoutes from './modules/money/fixedExpenses/fixedExpense.routes.js';
 import transactionRoutes from './modules/money/transactions/transaction.routes.js';
+import categoryRoutes from './modules/money/categories/category.routes.js';
+import importRoutes from './modules/money/imports/import.routes.js';
+import ruleRoutes from './modules/money/rules/rule.routes.js';
+import budgetRoutes from './modules/money/budgets/budget.routes.js';
+import recurringRoutes from './modules/money/recurring/recurring.routes.js';
 import fundRoutes from './modules/money/funds/fund.routes.js';
+import allocationRoutes from './modules/money/allocations/allocation.routes.js';
+import contactRoutes from './modules/money/contacts/contact.routes.js';
+import moneyAccountRoutes from './modules/money/accounts/account.routes.js';
+import assetRoutes from './modules/money/assets/asset.routes.js';
+import netWorthRoutes from './modules/money/netWorth/netWorth.routes.js';
+import forecastRoutes from './modules/money/forecast/forecast.routes.js';
+import reportRoutes from './modules/money/reports/report.routes.js';
 import debtRoutes from './modules/money/debts/debt.routes.js';
 import wishlistRoutes from './modules/money/wishlist/wishlist.routes.js';
 import overviewRoutes from './modules/money/overview/overview.routes.js';
@@ -66,6 +81,9 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/couple', coupleRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/diary', diaryRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
@@ -80,10 +98,22 @@ app.use('/api/watch', watchRoutes);
 app.use('/api/income', incomeRoutes);
 app.use('/api/fixed-expenses', fixedExpenseRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/recurring', recurringRoutes);
 app.use('/api/funds', fundRoutes);
+app.use('/api/allocation-rules', allocationRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/accounts', moneyAccountRoutes);
+app.use('/api/assets', assetRoutes);
 app.use('/api/debts', debtRoutes);
 app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/money/overview', overviewRoutes);
+app.use('/api/money/net-worth', netWorthRoutes);
+app.use('/api/money/forecast', forecastRoutes);
+app.use('/api/money/reports', reportRoutes);
 app.use('/api/exams', examRouter);
 app.use('/api/subjects', subjectRouter);
 app.use('/api/topics', topicRouter);
@@ -2,11 +2,13 @@
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  LOCKED: 423,
   INTERNAL_SERVER_ERROR: 500
 };
 
@@ -23,7 +25,74 @@ export const MESSAGES = {
   SERVER_ERROR: 'Internal server error',
   INVALID_CREDENTIALS: 'Invalid credentials',
   USER_EXISTS: 'User already exists',
-  USER_NOT_FOUND: 'User not found'
+  USER_NOT_FOUND: 'User not found',
+  INVALID_REFRESH_TOKEN: 'Invalid or expired refresh token',
+  REFRESH_TOKEN_REUSED: 'Refresh token reuse detected. Please log in again',
+  INVALID_RESET_TOKEN: 'Invalid or expired password reset token',
+  INCORRECT_PASSWORD: 'Current password is incorrect',
+  INVALID_VERIFICATION_TOKEN: 'Invalid or expired verification token',
+  EMAIL_ALREADY_VERIFIED: 'Email is already verified',
+  EMAIL_NOT_VERIFIED: 'Please verify your email address before upgrading your plan',
+  INVALID_TWO_FACTOR_CODE: 'Invalid two-factor authentication code',
+  INVALID_TWO_FACTOR_CHALLENGE: 'Two-factor challenge is invalid or has expired. Please log in again',
+  TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+  TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled',
+  ACCOUNT_LOCKED: 'Account temporarily locked due to too many failed login attempts. Please try again later',
+  ACCOUNT_DELETION_NOT_SCHEDULED: 'No account deletion is scheduled',
+  DATA_EXPORT_IN_PROGRESS: 'A data export is already being prepared',
+  DATA_EXPORT_NOT_READY: 'This export is not available for download',
+  INVALID_EXPORT_LINK: 'Download link is invalid, expired or has already been used',
+  INSUFFICIENT_SCOPE: 'This access token does not have the required scope',
+  PERSONAL_ACCESS_TOKEN_NOT_ALLOWED: 'Personal access tokens cannot be used for this endpoint',
+  PERSONAL_ACCESS_TOKEN_LIMIT: 'Personal access token limit reached. Revoke an unused token first',
+  CANNOT_MODIFY_OWN_ACCOUNT: 'Admins cannot change the status of their own account',
+  SHARED_FEATURES_NOT_AVAILABLE: 'Partner sharing is only available in COUPLE/LIFETIME plans. Upgrade to unlock this feature.',
+  ALREADY_HAS_PARTNER: 'You are already linked with a partner',
+  PARTNER_HAS_PARTNER: 'This person is already linked with a partner',
+  NO_PARTNER: 'You are not linked with a partner',
+  CANNOT_INVITE_SELF: 'You cannot invite yourself',
+  PARTNER_INVITE_PENDING: 'You already have a pending partner invite. Cancel it before sending another',
+  INVALID_PARTNER_INVITE: 'Partner invite is invalid or has expired',
+  PARTNER_EMAIL_NOT_VERIFIED: 'Please verify your email address before accepting a partner invite',
+  SHARED_ITEM_OWNER_ONLY: 'Only the owner can do this to a shared item',
+  INVALID_CATEGORY: 'Category not found, archived, or not valid for this transaction type',
+  INVALID_PARENT_CATEGORY: 'Parent must be one of your top-level categories of the same kind',
+  CATEGORY_EXISTS: 'A category with this name already exists',
+  CATEGORY_IN_USE: 'This category has transactions. Choose a category to move them to',
+  CATEGORY_HAS_SUBCATEGORIES: 'Delete or move the subcategories of this category first',
+  RULE_CATEGORY_TYPE_MISMATCH: 'The rule category does not match its transaction type condition',
+  INVALID_RULE_ORDER: 'Rule order must list each of your rules exactly once',
+  IMPORT_PROFILE_EXISTS: 'An import profile with this name already exists',
+  IMPORT_MAPPING_REQUIRED: 'CSV statements need an import profile or a column mapping',
+  IMPORT_COLUMN_NOT_FOUND: 'One or more mapped columns were not found in the file',
+  IMPORT_EMPTY_FILE: 'The file does not contain any transactions',
+  IMPORT_TOO_MANY_ROWS: 'The file has too many rows to import at once',
+  IMPORT_NO_ROWS_SELECTED: 'No rows are selected for import',
+  IMPORT_NOT_PENDING: 'This import has already been committed, undone or has expired',
+  IMPORT_NOT_COMMITTED: 'Only committed imports can be undone',
+  INVALID_EXCHANGE_RATE_FILE: 'Exchange rate files need date, currency and rate columns',
+  INVALID_RECURRING_LINK: 'Linked fixed expense or income not found',
+  INVALID_RECURRING_PERIOD: 'The recurring template has no occurrence in this period',
+  RECURRING_PERIOD_SETTLED: 'This period has already been posted, paid or skipped',
+  INVALID_LINKED_TRANSACTION: 'Linked transaction not found',
+  INVALID_ALLOCATION_FUND: 'One or more funds in the rule were not found',
+  DEBT_ALREADY_SETTLED: 'This debt is already settled',
+  DEBT_REPAYMENT_EXCEEDS_BALANCE: 'Repayments cannot be more than the outstanding balance',
+  DEBT_SCHEDULE_BORROWED_ONLY: 'Repayment schedules are only available for money borrowed',
+  DEBT_TENURE_REQUIRED: 'Give the number of months, or set a tenure on the debt',
+  CONTACT_EXISTS: 'A contact with this name already exists',
+  CONTACT_GROUP_EXISTS: 'A group with this name already exists',
+  INVALID_CONTACT: 'One or more contacts were not found',
+  CONTACT_HAS_BALANCE: 'This contact has unsettled debts. Settle or delete them first',
+  SPLIT_EXPENSE_ONLY: 'Only expenses can be split',
+  SPLIT_SHARES_MISMATCH: 'Split shares must add up to the transaction amount',
+  SPLIT_ALREADY_REPAID: 'Some shares of this split have already been repaid',
+  SPLIT_LOCKED: 'Remove the split before changing the amount, currency or type of this transaction',
+  ACCOUNT_EXISTS: 'An account with this name already exists',
+  INVALID_ACCOUNT: 'Account not found',
+  ACCOUNT_CURRENCY_MISMATCH: 'Transactions on an account must be in the account currency',
+  ACCOUNT_CURRENCY_LOCKED: 'The currency of an account with transactions cannot be changed',
+  ASSET_VALUATION_REQUIRED: 'An asset or liability needs at least one valuation'
 };
 
 // User Roles
@@ -32,8 +101,32 @@ export const USER_ROLES = {
   ADMIN: 'admin'
 };
 
+// Currencies users can keep money in
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CAD', 'AUD'];
+
 // Token Types
 export const TOKEN_TYPES = {
   ACCESS: 'access',
-  REFRESH: 'refresh'
+  REFRESH: 'refresh',
+  TWO_FACTOR_CHALLENGE: 'two_factor_challenge',
+  PERSONAL_ACCESS: 'personal_access'
 };
+
+// Personal access tokens
+export const PERSONAL_ACCESS_TOKEN_PREFIX = 'lfo_pat_';
+
+// Resources a personal access token can be scoped to, as `<resource>:read` or `<resource>:write`
+export const TOKEN_SCOPE_RESOURCES = [
+  'dashboard',
+  'diary',
+  'ideas',
+  'trips',
+  'watch',
+  'gifting',
+  'vault',
+  'money',
+  'study',
+  'subscriptions'
+];
+
+export const TOKEN_SCOPES = TOKEN_SCOPE_RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
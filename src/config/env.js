@@ -28,7 +28,13 @@ export default {
   PORT: process.env.PORT || 3000,
   MONGODB_URI: process.env.MONGODB_URI,
   JWT_SECRET: process.env.JWT_SECRET,
-  JWT_EXPIRE: process.env.JWT_EXPIRE || '7d',
+  JWT_EXPIRE: process.env.JWT_EXPIRE || '15m', // Access token lifetime
+  REFRESH_TOKEN_EXPIRE_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30', 10),
+  TWO_FACTOR_CHALLENGE_EXPIRE: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+  // Account lockout: lock after N failures, lockout doubles each time up to the max
+  LOGIN_MAX_FAILED_ATTEMPTS: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10),
+  LOGIN_LOCKOUT_BASE_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '15', 10),
+  LOGIN_LOCKOUT_MAX_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440', 10),
   CORS_ORIGIN: process.env.CORS_ORIGIN || '*',
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10), // 15 minutes
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10),
@@ -38,6 +44,28 @@ export default {
   CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
   // Vault encryption key (32 bytes for AES-256)
   VAULT_ENCRYPTION_KEY: process.env.VAULT_ENCRYPTION_KEY,
+  // Frontend URL used in links sent by email
+  CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:3000',
+  // Public URL of this API, used for download links sent by email
+  API_URL: process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`,
+  // Mail configuration (MAIL_DRIVER: smtp | file | console)
+  MAIL_DRIVER: process.env.MAIL_DRIVER || 'console',
+  MAIL_FROM: process.env.MAIL_FROM || 'LifeOS <no-reply@lifeos.app>',
+  MAIL_FILE_DIR: process.env.MAIL_FILE_DIR || 'logs/mail',
+  SMTP_HOST: process.env.SMTP_HOST,
+  SMTP_PORT: parseInt(process.env.SMTP_PORT || '587', 10),
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASS: process.env.SMTP_PASS,
+  PASSWORD_RESET_EXPIRE_MINUTES: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES || '30', 10),
+  EMAIL_VERIFICATION_EXPIRE_HOURS: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || '24', 10),
+  // Data exports: archives are written to disk and downloadable once before they expire
+  DATA_EXPORT_DIR: process.env.DATA_EXPORT_DIR || 'storage/exports',
+  DATA_EXPORT_EXPIRE_HOURS: parseInt(process.env.DATA_EXPORT_EXPIRE_HOURS || '24', 10),
+  // Hours an account deletion can still be cancelled (0 deletes immediately)
+  ACCOUNT_DELETION_GRACE_HOURS: parseInt(process.env.ACCOUNT_DELETION_GRACE_HOURS || '72', 10),
+  // Block paid plan upgrades until the user's email is verified
+  REQUIRE_VERIFIED_EMAIL_FOR_UPGRADE: process.env.REQUIRE_VERIFIED_EMAIL_FOR_UPGRADE !== 'false',
   // Razorpay configuration
   RAZORPAY_KEY_ID: process.env.RAZORPAY_KEY_ID,
   RAZORPAY_KEY_SECRET: process.env.RAZORPAY_KEY_SECRET
@@ -1,11 +1,55 @@
 import jwt from 'jsonwebtoken';
 import env from '../config/env.js';
 import { sendError } from '../utils/response.util.js';
-import { HTTP_STATUS, MESSAGES } from '../config/constants.js';
+import { HTTP_STATUS, MESSAGES, TOKEN_TYPES } from '../config/constants.js';
+import { getRequestContext } from '../utils/request.util.js';
+import logger from '../utils/logger.util.js';
+import User from '../modules/auth/auth.schema.js';
+import Session from '../modules/auth/session.model.js';
+import {
+  isPersonalAccessToken,
+  verifyToken as verifyPersonalAccessToken,
+  hasScope
+} from '../modules/auth/personalAccessToken.service.js';
+
+// Methods that only need `<resource>:read`; everything else needs `<resource>:write`
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Verify a JWT access token and check its session is still usable and its
+ * user still active, so revoking a session (logout, password change,
+ * deactivation) takes effect before the token expires
+ * @returns {Promise<Object|null>} Decoded token, or null when it can't be used
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, env.JWT_SECRET);
+
+  // Only access tokens may be used to call the API; tokens from before
+  // sessions existed carry no type or session and are refused
+  if (decoded.type !== TOKEN_TYPES.ACCESS || !decoded.sid) {
+    return null;
+  }
+
+  const [session, user] = await Promise.all([
+    Session.findById(decoded.sid).select('userId revokedAt expiresAt'),
+    User.findById(decoded.id).select('isActive').lean()
+  ]);
+
+  if (!session || !session.isUsable() || !session.isOwner(decoded.id)) {
+    return null;
+  }
+
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return decoded;
+};
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user info to request
+ * Verifies a JWT access token or a personal access token and attaches user info to request.
+ * Personal access tokens carry scopes, enforced per route with requireScope.
  */
 export const authenticate = async (req, res, next) => {
   try {
@@ -22,8 +66,26 @@ export const authenticate = async (req, res, next) => {
       return sendError(res, MESSAGES.UNAUTHORIZED, HTTP_STATUS.UNAUTHORIZED);
     }
 
+    if (isPersonalAccessToken(token)) {
+      const accessToken = await verifyPersonalAccessToken(token, getRequestContext(req));
+      if (!accessToken) {
+        return sendError(res, 'Invalid token', HTTP_STATUS.UNAUTHORIZED);
+      }
+
+      req.user = {
+        id: accessToken.userId,
+        type: TOKEN_TYPES.PERSONAL_ACCESS,
+        tokenId: accessToken.tokenId,
+        scopes: accessToken.scopes
+      };
+      return next();
+    }
+
     // Verify token
-    const decoded = jwt.verify(token, env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
+    if (!decoded) {
+      return sendError(res, 'Invalid token', HTTP_STATUS.UNAUTHORIZED);
+    }
 
     // Attach user info to request
     req.user = decoded;
@@ -39,6 +101,76 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Scope check for personal access tokens (JWT sessions have full access)
+ * Pass a resource (e.g. 'money') to require `money:read` for reads and `money:write`
+ * for writes, or a full scope (e.g. 'money:read') to require exactly that.
+ * This middleware should be used after authentication
+ * @param {string} scope - Resource or scope
+ */
+export const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.user?.type !== TOKEN_TYPES.PERSONAL_ACCESS) {
+      return next();
+    }
+
+    const requiredScope = scope.includes(':')
+      ? scope
+      : `${scope}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+
+    if (!hasScope(req.user.scopes, requiredScope)) {
+      return sendError(res, `${MESSAGES.INSUFFICIENT_SCOPE} (${requiredScope})`, HTTP_STATUS.FORBIDDEN);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Refuse personal access tokens (account management needs a real login session)
+ * This middleware should be used after authentication
+ */
+export const rejectPersonalAccessTokens = (req, res, next) => {
+  if (req.user?.type === TOKEN_TYPES.PERSONAL_ACCESS) {
+    return sendError(res, MESSAGES.PERSONAL_ACCESS_TOKEN_NOT_ALLOWED, HTTP_STATUS.FORBIDDEN);
+  }
+
+  next();
+};
+
+/**
+ * Authentication for account management routes: JWT sessions only
+ */
+export const authenticateSession = [authenticate, rejectPersonalAccessTokens];
+
+/**
+ * Role-based authorization
+ * Roles are read from the database rather than the token, so a demotion applies immediately.
+ * This middleware should be used after authentication
+ * @param {...string} roles - Allowed roles (see USER_ROLES)
+ */
+export const authorize = (...roles) => {
+  return async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id).select('role isActive').lean();
+
+      if (!user || !user.isActive) {
+        return sendError(res, MESSAGES.UNAUTHORIZED, HTTP_STATUS.UNAUTHORIZED);
+      }
+
+      if (!roles.includes(user.role)) {
+        return sendError(res, MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+      }
+
+      req.user.role = user.role;
+      next();
+    } catch (error) {
+      logger.error(`Authorize middleware error: ${error.message}`);
+      next(error);
+    }
+  };
+};
+
 /**
  * Optional authentication middleware
  * Attaches user info if token is present, but doesn't fail if missing
@@ -49,8 +181,10 @@ export const optionalAuthenticate = async (req, res, next) => {
 
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const decoded = jwt.verify(token, env.JWT_SECRET);
-      req.user = decoded;
+      const decoded = await verifyAccessToken(token);
+      if (decoded) {
+        req.user = decoded;
+      }
     }
     next();
   } catch (error) {
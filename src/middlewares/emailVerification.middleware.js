@@ -0,0 +1,33 @@
+import User from '../modules/auth/auth.schema.js';
+import env from '../config/env.js';
+import { sendError } from '../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../config/constants.js';
+import logger from '../utils/logger.util.js';
+
+/**
+ * Require a verified email before continuing (e.g. paid plan upgrades)
+ * Controlled by REQUIRE_VERIFIED_EMAIL_FOR_UPGRADE
+ * This middleware should be used after authentication
+ */
+export const requireVerifiedEmailForUpgrade = async (req, res, next) => {
+  try {
+    if (!env.REQUIRE_VERIFIED_EMAIL_FOR_UPGRADE) {
+      return next();
+    }
+
+    const user = await User.findById(req.user.id).select('isEmailVerified').lean();
+
+    if (!user) {
+      return sendError(res, MESSAGES.USER_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (!user.isEmailVerified) {
+      return sendError(res, MESSAGES.EMAIL_NOT_VERIFIED, HTTP_STATUS.FORBIDDEN);
+    }
+
+    next();
+  } catch (error) {
+    logger.error(`Email verification middleware error: ${error.message}`);
+    next(error);
+  }
+};
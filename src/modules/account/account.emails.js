@@ -0,0 +1,17 @@
+import { escapeHtml } from '../../utils/mailer.util.js';
+
+/**
+ * Email templates for the account module
+ * Each builder returns { subject, text, html } for mailer.util.sendMail
+ */
+
+/**
+ * Data export ready to download
+ */
+export const dataExportReadyEmail = (name, link, expiresInHours) => {
+  return {
+    subject: 'Your LifeOS data export is ready',
+    text: `Hi ${name},\n\nThe export of your LifeOS data is ready. Download it here:\n\n${link}\n\nThe link works once and expires in ${expiresInHours} hours. If you didn't request this export, change your password right away.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>The export of your LifeOS data is ready.</p><p><a href="${link}">Download your data</a></p><p>The link works once and expires in ${expiresInHours} hours. If you didn't request this export, change your password right away.</p>`
+  };
+};
@@ -0,0 +1,36 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import * as dataExportController from './dataExport.controller.js';
+import { authenticateSession } from '../../middlewares/auth.middleware.js';
+import { authLimiter } from '../../middlewares/rateLimit.middleware.js';
+
+const router = express.Router();
+
+// Validation rules
+const requestExportValidation = [
+  body('includeVaultPasswords')
+    .optional()
+    .isBoolean()
+    .withMessage('includeVaultPasswords must be a boolean'),
+  body('password')
+    .if(body('includeVaultPasswords').isIn([true, 'true']))
+    .notEmpty()
+    .withMessage('Password is required to include vault passwords')
+];
+
+const downloadValidation = [
+  query('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Download token is required')
+];
+
+// Routes
+// Download is authenticated by the one-time token in the link
+router.get('/export/download', authLimiter, downloadValidation, dataExportController.download);
+router.post('/export', authenticateSession, authLimiter, requestExportValidation, dataExportController.requestExport);
+router.get('/exports', authenticateSession, dataExportController.getExports);
+router.get('/exports/:id', authenticateSession, dataExportController.getExport);
+router.post('/exports/:id/link', authenticateSession, authLimiter, dataExportController.createDownloadLink);
+
+export default router;
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import { pipeline } from 'stream';
+import { validationResult } from 'express-validator';
+import { sendSuccess, sendError, sendValidationError } from '../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../config/constants.js';
+import * as dataExportService from './dataExport.service.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Request a new data export
+ */
+export const requestExport = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { includeVaultPasswords, password } = req.body;
+
+    const dataExport = await dataExportService.requestExport(req.user.id, {
+      includeVaultPasswords: includeVaultPasswords === true || includeVaultPasswords === 'true',
+      password
+    });
+
+    return sendSuccess(
+      res,
+      dataExport,
+      'Your export is being prepared. We will email you a download link when it is ready',
+      HTTP_STATUS.ACCEPTED
+    );
+  } catch (error) {
+    logger.error(`Request data export controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.INCORRECT_PASSWORD) {
+      return sendError(res, error.message, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (error.message === MESSAGES.DATA_EXPORT_IN_PROGRESS) {
+      return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * List recent exports
+ */
+export const getExports = async (req, res, next) => {
+  try {
+    const exports = await dataExportService.getExports(req.user.id);
+    return sendSuccess(res, exports, 'Data exports retrieved successfully');
+  } catch (error) {
+    logger.error(`Get data exports controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get export status
+ */
+export const getExport = async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.getExportById(req.params.id, req.user.id);
+    return sendSuccess(res, dataExport, 'Data export retrieved successfully');
+  } catch (error) {
+    logger.error(`Get data export controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Issue a fresh one-time download link
+ */
+export const createDownloadLink = async (req, res, next) => {
+  try {
+    const result = await dataExportService.createDownloadLink(req.params.id, req.user.id);
+    return sendSuccess(res, result, 'Download link created. It works once');
+  } catch (error) {
+    logger.error(`Create data export link controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (error.message === MESSAGES.DATA_EXPORT_NOT_READY) {
+      return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Download an export archive with a one-time token, decrypting it on the way out.
+ * The archive is removed from disk once it has been sent.
+ */
+export const download = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { filePath, fileName, decipher } = await dataExportService.redeemDownloadToken(req.query.token);
+
+    res.attachment(fileName);
+    const streams = [fs.createReadStream(filePath), decipher, res].filter(Boolean);
+
+    pipeline(...streams, (error) => {
+      if (error) {
+        logger.error(`Data export download error: ${error.message}`);
+      }
+      dataExportService.removeExportFile(filePath);
+    });
+  } catch (error) {
+    logger.error(`Download data export controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.INVALID_EXPORT_LINK) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'downloaded', 'failed', 'expired'],
+      default: 'pending',
+      index: true
+    },
+    includeVaultPasswords: {
+      type: Boolean,
+      default: false
+    },
+    // Archive location on local disk, removed once downloaded or expired
+    filePath: {
+      type: String,
+      select: false
+    },
+    // IV and auth tag the archive was encrypted with (archives are encrypted
+    // at rest, since they can hold vault passwords)
+    encryption: {
+      type: {
+        iv: String,
+        tag: String
+      },
+      default: null,
+      select: false
+    },
+    fileSize: {
+      type: Number,
+      default: null
+    },
+    // Hash of the one-time download token (the token itself is only ever sent to the user)
+    downloadTokenHash: {
+      type: String,
+      select: false,
+      index: true
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    downloadedAt: {
+      type: Date,
+      default: null
+    },
+    // When the download link stops working
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Export records are kept for 30 days for reference
+dataExportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Ensure user can only access their own exports
+dataExportSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+export default DataExport;
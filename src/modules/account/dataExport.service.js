@@ -0,0 +1,530 @@
+import fs from 'fs';
+import path from 'path';
+import archiver from 'archiver';
+import DataExport from './dataExport.model.js';
+import { dataExportReadyEmail } from './account.emails.js';
+import User from '../auth/auth.schema.js';
+import Session from '../auth/session.model.js';
+import LoginHistory from '../auth/loginHistory.model.js';
+import PersonalAccessToken from '../auth/personalAccessToken.model.js';
+import DiaryEntry from '../diary/diary.model.js';
+import Idea from '../ideas/idea.model.js';
+import Trip from '../trips/trip.model.js';
+import WatchItem from '../watch/watch.model.js';
+import GiftIdea from '../gifting/gifting.model.js';
+import VaultItem from '../vault/vault.model.js';
+import VaultDocument from '../vaultDocuments/vaultDocument.model.js';
+import Subscription from '../subscriptions/subscription.model.js';
+import Income from '../money/income/income.model.js';
+import FixedExpense from '../money/fixedExpenses/fixedExpense.model.js';
+import Transaction from '../money/transactions/transaction.model.js';
+import TransactionRevision from '../money/transactions/transactionRevision.model.js';
+import Category from '../money/categories/category.model.js';
+import ImportProfile from '../money/imports/importProfile.model.js';
+import TransactionImport from '../money/imports/transactionImport.model.js';
+import CategoryRule from '../money/rules/categoryRule.model.js';
+import Budget from '../money/budgets/budget.model.js';
+import RecurringTemplate from '../money/recurring/recurringTemplate.model.js';
+import RecurringOccurrence from '../money/recurring/recurringOccurrence.model.js';
+import Fund from '../money/funds/fund.model.js';
+import FundMovement from '../money/funds/fundMovement.model.js';
+import AllocationRule from '../money/allocations/allocationRule.model.js';
+import Debt from '../money/debts/debt.model.js';
+import DebtRepayment from '../money/debts/debtRepayment.model.js';
+import Contact from '../money/contacts/contact.model.js';
+import ContactGroup from '../money/contacts/contactGroup.model.js';
+import Account from '../money/accounts/account.model.js';
+import Asset from '../money/assets/asset.model.js';
+import AssetValuation from '../money/assets/assetValuation.model.js';
+import WishlistItem from '../money/wishlist/wishlist.model.js';
+import Exam from '../exams/exam.model.js';
+import Subject from '../exams/subject.model.js';
+import Topic from '../exams/topic.model.js';
+import Doubt from '../doubts/doubt.model.js';
+import StudyEvent from '../studyEvents/studyEvent.model.js';
+import StudyEventLog from '../studyEvents/studyEventLog.model.js';
+import { getPartnership } from '../couple/couple.service.js';
+import env from '../../config/env.js';
+import { MESSAGES } from '../../config/constants.js';
+import { decrypt, createEncryptStream, createDecryptStream } from '../../utils/vaultCrypto.util.js';
+import { generateSignedUrl } from '../../utils/cloudinary.util.js';
+import { toCSV } from '../../utils/csv.util.js';
+import { sendMail } from '../../utils/mailer.util.js';
+import { generateRandomToken, hashToken } from '../../utils/token.util.js';
+import logger from '../../utils/logger.util.js';
+
+// Exports stuck in pending/processing longer than this were lost (e.g. a restart)
+const STALE_EXPORT_MS = 60 * 60 * 1000;
+
+/**
+ * Collections exported as one JSON file each, keyed directly by userId
+ */
+const MODULE_SECTIONS = [
+  { file: 'diary.json', Model: DiaryEntry },
+  { file: 'ideas.json', Model: Idea },
+  { file: 'trips.json', Model: Trip },
+  { file: 'watch.json', Model: WatchItem },
+  { file: 'gifting.json', Model: GiftIdea },
+  { file: 'subscriptions.json', Model: Subscription },
+  { file: 'doubts.json', Model: Doubt }
+];
+
+/**
+ * Money collections, exported as both JSON and CSV
+ */
+const MONEY_SECTIONS = [
+  { name: 'income', Model: Income },
+  { name: 'fixed-expenses', Model: FixedExpense },
+  { name: 'transactions', Model: Transaction },
+  { name: 'transaction-history', Model: TransactionRevision },
+  { name: 'categories', Model: Category },
+  { name: 'import-profiles', Model: ImportProfile },
+  { name: 'imports', Model: TransactionImport },
+  { name: 'category-rules', Model: CategoryRule },
+  { name: 'budgets', Model: Budget },
+  { name: 'recurring-templates', Model: RecurringTemplate },
+  { name: 'recurring-occurrences', Model: RecurringOccurrence },
+  { name: 'funds', Model: Fund },
+  { name: 'fund-movements', Model: FundMovement },
+  { name: 'allocation-rules', Model: AllocationRule },
+  { name: 'debts', Model: Debt },
+  { name: 'debt-repayments', Model: DebtRepayment },
+  { name: 'contacts', Model: Contact },
+  { name: 'contact-groups', Model: ContactGroup },
+  { name: 'accounts', Model: Account },
+  { name: 'assets', Model: Asset },
+  { name: 'asset-valuations', Model: AssetValuation },
+  { name: 'wishlist', Model: WishlistItem }
+];
+
+/**
+ * Serialize a value as pretty-printed JSON
+ */
+const toJSONFile = (data) => JSON.stringify(data, null, 2);
+
+/**
+ * Vault items without ciphertext; plaintext passwords only when explicitly requested
+ */
+const buildVaultItems = (items, includePasswords) => {
+  return items.map(({ encryptedPassword, ...item }) => {
+    if (!includePasswords) {
+      return item;
+    }
+
+    try {
+      return { ...item, password: decrypt(encryptedPassword) };
+    } catch (error) {
+      logger.error(`Export could not decrypt vault item ${item._id}: ${error.message}`);
+      return { ...item, password: null, passwordError: 'Could not be decrypted' };
+    }
+  });
+};
+
+/**
+ * List every media file referenced by the user's data
+ * Vault documents are private, so they get signed URLs valid as long as the export link
+ */
+const buildMediaManifest = (user, data) => {
+  const media = [];
+  const add = (module, recordId, file) => {
+    if (!file) return;
+    if (typeof file === 'string') {
+      media.push({ module, recordId, url: file, publicId: null });
+    } else if (file.url) {
+      media.push({ module, recordId, url: file.url, publicId: file.publicId || null });
+    }
+  };
+
+  add('profile', user._id, user.profileImage);
+  data.diary.forEach(entry => (entry.images || []).forEach(img => add('diary', entry._id, img)));
+  data.ideas.forEach(idea => add('ideas', idea._id, idea.image));
+  data.trips.forEach(trip => add('trips', trip._id, trip.coverImage));
+  data.watch.forEach(item => add('watch', item._id, item.poster));
+  data.gifting.forEach(gift => (gift.images || []).forEach(img => add('gifting', gift._id, img)));
+  data.doubts.forEach(doubt => (doubt.images || []).forEach(img => add('doubts', doubt._id, img)));
+
+  data.vaultDocuments.forEach(doc => {
+    if (!doc.file?.publicId) return;
+    media.push({
+      module: 'vault-documents',
+      recordId: doc._id,
+      url: generateSignedUrl(doc.file.publicId, env.DATA_EXPORT_EXPIRE_HOURS * 60 * 60),
+      publicId: doc.file.publicId
+    });
+  });
+
+  return media;
+};
+
+/**
+ * Load everything the user owns and lay it out as archive entries
+ * @returns {Promise<Object[]>} [{ name, content }]
+ */
+const buildExportFiles = async (userId, includeVaultPasswords) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error(MESSAGES.USER_NOT_FOUND);
+  }
+
+  const files = [];
+  const data = {};
+  const counts = {};
+
+  const [sessions, loginHistory, personalAccessTokens, partnership] = await Promise.all([
+    Session.find({ userId }).sort({ createdAt: -1 }).lean(),
+    LoginHistory.find({ userId }).sort({ createdAt: -1 }).lean(),
+    PersonalAccessToken.find({ userId }).sort({ createdAt: -1 }).lean(),
+    getPartnership(userId)
+  ]);
+  files.push({
+    name: 'account.json',
+    content: toJSONFile({ profile: user.toJSON(), sessions, loginHistory, personalAccessTokens, partnership })
+  });
+
+  for (const { file, Model } of MODULE_SECTIONS) {
+    const key = file.replace('.json', '');
+    data[key] = await Model.find({ userId }).sort({ createdAt: 1 }).lean();
+    counts[file] = data[key].length;
+    files.push({ name: file, content: toJSONFile(data[key]) });
+  }
+
+  const vaultItems = buildVaultItems(
+    await VaultItem.find({ userId }).sort({ createdAt: 1 }).lean(),
+    includeVaultPasswords
+  );
+  counts['vault.json'] = vaultItems.length;
+  files.push({ name: 'vault.json', content: toJSONFile(vaultItems) });
+
+  // Stored document URLs are not meant to be shared; the manifest has signed ones
+  data.vaultDocuments = await VaultDocument.find({ userId }).sort({ createdAt: 1 }).lean();
+  counts['vault-documents.json'] = data.vaultDocuments.length;
+  files.push({
+    name: 'vault-documents.json',
+    content: toJSONFile(data.vaultDocuments.map(doc => ({ ...doc, file: { ...doc.file, url: undefined } })))
+  });
+
+  const exams = await Exam.find({ userId }).lean();
+  const subjects = await Subject.find({ examId: { $in: exams.map(e => e._id) } }).lean();
+  const topics = await Topic.find({ subjectId: { $in: subjects.map(s => s._id) } }).lean();
+  counts['exams.json'] = exams.length;
+  files.push({ name: 'exams.json', content: toJSONFile({ exams, subjects, topics }) });
+
+  const events = await StudyEvent.find({ userId }).sort({ date: 1 }).lean();
+  const logs = await StudyEventLog.find({ eventId: { $in: events.map(e => e._id) } }).lean();
+  counts['study-events.json'] = events.length;
+  files.push({ name: 'study-events.json', content: toJSONFile({ events, logs }) });
+
+  for (const { name, Model } of MONEY_SECTIONS) {
+    const records = await Model.find({ userId }).sort({ createdAt: 1 }).lean();
+    counts[`money/${name}.json`] = records.length;
+    files.push({ name: `money/${name}.json`, content: toJSONFile(records) });
+    files.push({ name: `money/${name}.csv`, content: toCSV(records) });
+  }
+
+  const manifest = {
+    generatedAt: new Date(),
+    userId: user._id,
+    includesVaultPasswords: includeVaultPasswords,
+    counts,
+    media: buildMediaManifest(user, data)
+  };
+  files.unshift({ name: 'manifest.json', content: toJSONFile(manifest) });
+
+  return { user, files };
+};
+
+/**
+ * Write archive entries to a zip file. With a vault key configured, the zip
+ * is encrypted on its way to disk, so vault passwords and other personal
+ * data are never stored in the clear (without one, the vault holds no
+ * passwords to export).
+ * @returns {Promise<Object>} { fileSize, encryption: { iv, tag } or null }
+ */
+const writeArchive = (filePath, files) => {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const { cipher, iv } = env.VAULT_ENCRYPTION_KEY ? createEncryptStream() : {};
+
+    output.on('close', () => resolve({
+      fileSize: archive.pointer(),
+      encryption: cipher ? { iv, tag: cipher.getAuthTag().toString('hex') } : null
+    }));
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    if (cipher) {
+      cipher.on('error', reject);
+      archive.pipe(cipher).pipe(output);
+    } else {
+      archive.pipe(output);
+    }
+
+    for (const { name, content } of files) {
+      archive.append(content, { name });
+    }
+    archive.finalize();
+  });
+};
+
+/**
+ * Remove an archive from disk, ignoring files that are already gone
+ */
+export const removeExportFile = async (filePath) => {
+  if (!filePath) return;
+
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Failed to remove export file ${filePath}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Issue a new one-time download link (any previous link stops working)
+ * @returns {Promise<string>} Download URL
+ */
+const issueDownloadLink = async (dataExport) => {
+  const token = generateRandomToken();
+
+  await DataExport.updateOne(
+    { _id: dataExport._id },
+    { downloadTokenHash: hashToken(token) }
+  );
+
+  return `${env.API_URL}/api/account/export/download?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Build the archive for an export request, then email the download link.
+ * Runs in the background; failures are recorded on the export.
+ */
+const processExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { status: 'processing' },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  const filePath = path.resolve(env.DATA_EXPORT_DIR, `${dataExport._id}.zip`);
+
+  try {
+    const { user, files } = await buildExportFiles(dataExport.userId, dataExport.includeVaultPasswords);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const { fileSize, encryption } = await writeArchive(filePath, files);
+
+    dataExport.status = 'ready';
+    dataExport.filePath = filePath;
+    dataExport.encryption = encryption;
+    dataExport.fileSize = fileSize;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + env.DATA_EXPORT_EXPIRE_HOURS * 60 * 60 * 1000);
+    await dataExport.save();
+
+    const link = await issueDownloadLink(dataExport);
+
+    try {
+      await sendMail({ to: user.email, ...dataExportReadyEmail(user.name, link, env.DATA_EXPORT_EXPIRE_HOURS) });
+    } catch (error) {
+      logger.error(`Failed to send data export email: ${error.message}`);
+    }
+
+    logger.info(`Data export ${dataExport._id} ready for user ${dataExport.userId} (${fileSize} bytes)`);
+  } catch (error) {
+    logger.error(`Data export ${exportId} failed: ${error.message}`);
+    await removeExportFile(filePath);
+    await DataExport.updateOne({ _id: exportId }, { status: 'failed', error: error.message });
+  }
+};
+
+/**
+ * Shape an export for API responses
+ */
+const toExportSummary = (dataExport) => ({
+  _id: dataExport._id,
+  status: dataExport.status,
+  includeVaultPasswords: dataExport.includeVaultPasswords,
+  fileSize: dataExport.fileSize,
+  completedAt: dataExport.completedAt,
+  downloadedAt: dataExport.downloadedAt,
+  expiresAt: dataExport.expiresAt,
+  error: dataExport.error,
+  createdAt: dataExport.createdAt
+});
+
+/**
+ * Request a new data export. Including vault passwords requires the account password.
+ */
+export const requestExport = async (userId, { includeVaultPasswords = false, password } = {}) => {
+  try {
+    if (includeVaultPasswords) {
+      const user = await User.findById(userId).select('+password');
+      if (!user) {
+        throw new Error(MESSAGES.USER_NOT_FOUND);
+      }
+
+      const isPasswordValid = await user.comparePassword(password || '');
+      if (!isPasswordValid) {
+        throw new Error(MESSAGES.INCORRECT_PASSWORD);
+      }
+    }
+
+    const inProgress = await DataExport.exists({ userId, status: { $in: ['pending', 'processing'] } });
+    if (inProgress) {
+      throw new Error(MESSAGES.DATA_EXPORT_IN_PROGRESS);
+    }
+
+    const dataExport = await DataExport.create({ userId, includeVaultPasswords });
+
+    // Build in the background; the user is emailed when it's ready
+    setImmediate(() => {
+      processExport(dataExport._id).catch(error => {
+        logger.error(`Data export ${dataExport._id} crashed: ${error.message}`);
+      });
+    });
+
+    return toExportSummary(dataExport);
+  } catch (error) {
+    logger.error(`Request data export error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List the user's recent exports
+ */
+export const getExports = async (userId) => {
+  try {
+    const exports = await DataExport.find({ userId }).sort({ createdAt: -1 }).limit(20);
+    return exports.map(toExportSummary);
+  } catch (error) {
+    logger.error(`Get data exports error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a single export
+ */
+export const getExportById = async (exportId, userId) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: exportId, userId });
+    if (!dataExport) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return toExportSummary(dataExport);
+  } catch (error) {
+    logger.error(`Get data export error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Issue a fresh download link for a ready export (replaces the emailed one)
+ */
+export const createDownloadLink = async (exportId, userId) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: exportId, userId });
+    if (!dataExport) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (dataExport.status !== 'ready' || dataExport.expiresAt <= new Date()) {
+      throw new Error(MESSAGES.DATA_EXPORT_NOT_READY);
+    }
+
+    const downloadUrl = await issueDownloadLink(dataExport);
+
+    return { downloadUrl, expiresAt: dataExport.expiresAt };
+  } catch (error) {
+    logger.error(`Create data export link error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Redeem a download token. Each export can be downloaded once.
+ * @returns {Promise<Object>} { filePath, fileName }
+ */
+export const redeemDownloadToken = async (token) => {
+  try {
+    const dataExport = await DataExport.findOneAndUpdate(
+      {
+        downloadTokenHash: hashToken(token),
+        status: 'ready',
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        status: 'downloaded',
+        downloadedAt: new Date(),
+        $unset: { downloadTokenHash: '' }
+      },
+      { new: true }
+    ).select('+filePath +encryption');
+
+    if (!dataExport) {
+      throw new Error(MESSAGES.INVALID_EXPORT_LINK);
+    }
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+
+    return {
+      filePath: dataExport.filePath,
+      fileName: `lifeos-export-${date}.zip`,
+      // Archives written without a vault key (or before encryption at rest) are sent as they are
+      decipher: dataExport.encryption?.iv ? createDecryptStream(dataExport.encryption) : null
+    };
+  } catch (error) {
+    logger.error(`Redeem data export token error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Remove archives whose link expired and fail exports that were lost mid-build
+ * (run periodically from server.js)
+ */
+export const expireDataExports = async () => {
+  try {
+    const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } }).select('+filePath');
+
+    for (const dataExport of expired) {
+      await removeExportFile(dataExport.filePath);
+      dataExport.status = 'expired';
+      dataExport.downloadTokenHash = undefined;
+      await dataExport.save();
+    }
+
+    await DataExport.updateMany(
+      {
+        status: { $in: ['pending', 'processing'] },
+        updatedAt: { $lte: new Date(Date.now() - STALE_EXPORT_MS) }
+      },
+      { status: 'failed', error: 'Export was interrupted. Please request a new one' }
+    );
+
+    return expired.length;
+  } catch (error) {
+    logger.error(`Expire data exports error: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Remove every archive belonging to a user (used by account deletion)
+ */
+export const removeUserExports = async (userId) => {
+  const exports = await DataExport.find({ userId }).select('+filePath');
+
+  for (const dataExport of exports) {
+    await removeExportFile(dataExport.filePath);
+  }
+
+  const result = await DataExport.deleteMany({ userId });
+  return result.deletedCount;
+};
@@ -0,0 +1,245 @@
+import { validationResult } from 'express-validator';
+import { sendSuccess, sendError, sendValidationError } from '../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../config/constants.js';
+import * as adminService from './admin.service.js';
+import { getRequestContext } from '../../utils/request.util.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Map admin service errors to responses
+ */
+const handleAdminError = (error, res, next) => {
+  if ([MESSAGES.USER_NOT_FOUND, MESSAGES.NOT_FOUND].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if ([MESSAGES.CANNOT_MODIFY_OWN_ACCOUNT, MESSAGES.INVALID_EXCHANGE_RATE_FILE].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+/**
+ * List and search users
+ */
+export const listUsers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { search, plan, role, isActive, page, limit } = req.query;
+
+    const result = await adminService.listUsers(
+      req.user.id,
+      { search, plan, role, isActive, page, limit },
+      getRequestContext(req)
+    );
+
+    return sendSuccess(res, result, 'Users retrieved successfully');
+  } catch (error) {
+    logger.error(`Admin list users controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
+
+/**
+ * Get a user's profile, plan and usage
+ */
+export const getUser = async (req, res, next) => {
+  try {
+    const result = await adminService.getUserDetails(req.user.id, req.params.id, getRequestContext(req));
+    return sendSuccess(res, result, 'User retrieved successfully');
+  } catch (error) {
+    logger.error(`Admin get user controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
+
+/**
+ * Grant a plan manually
+ */
+export const grantPlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { plan, billingCycle, expiresAt, reason } = req.body;
+
+    const result = await adminService.grantPlan(
+      req.user.id,
+      req.params.id,
+      { plan, billingCycle, expiresAt, reason },
+      getRequestContext(req)
+    );
+
+    return sendSuccess(res, result, `${plan} plan granted`);
+  } catch (error) {
+    logger.error(`Admin grant plan controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
+
+/**
+ * Revoke a user's plan
+ */
+export const revokePlan = async (req, res, next) => {
+  try {
+    const result = await adminService.revokePlan(
+      req.user.id,
+      req.params.id,
+      { reason: req.body?.reason },
+      getRequestContext(req)
+    );
+
+    return sendSuccess(res, result, 'Plan revoked. User is now on the FREE plan');
+  } catch (error) {
+    logger.error(`Admin revoke plan controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
+
+/**
+ * Deactivate or reactivate a user
+ */
+export const updateUserStatus = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { isActive, reason } = req.body;
+
+    const result = await adminService.setUserActive(
+      req.user.id,
+      req.params.id,
+      { isActive: isActive === true || isActive === 'true', reason },
+      getRequestContext(req)
+    );
+
+    return sendSuccess(res, result, result.isActive ? 'User reactivated' : 'User deactivated');
+  } catch (error) {
+    logger.error(`Admin update user status controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
+
+/**
+ * System-wide counts
+ */
+export const getStats = async (req, res, next) => {
+  try {
+    const stats = await adminService.getSystemStats(req.user.id, getRequestContext(req));
+    return sendSuccess(res, stats, 'Stats retrieved successfully');
+  } catch (error) {
+    logger.error(`Admin get stats controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
+
+/**
+ * Browse the audit log
+ */
+export const getAuditLogs = async (req, res, next) => {
+  try {
+    const { actorId, targetUserId, action, page, limit } = req.query;
+
+    const result = await adminService.getAuditLogs(
+      req.user.id,
+      { actorId, targetUserId, action, page, limit },
+      getRequestContext(req)
+    );
+
+    return sendSuccess(res, result, 'Audit logs retrieved successfully');
+  } catch (error) {
+    logger.error(`Admin get audit logs controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
+
+/**
+ * List stored exchange rates
+ */
+export const getExchangeRates = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { currency, from, to, page, limit } = req.query;
+
+    const result = await adminService.getExchangeRates({ currency, from, to, page, limit });
+
+    return sendSuccess(res, result, 'Exchange rates retrieved successfully');
+  } catch (error) {
+    logger.error(`Admin get exchange rates controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
+
+/**
+ * Set the exchange rates for one day
+ */
+export const setExchangeRates = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { date, rates } = req.body;
+
+    const result = await adminService.setExchangeRates(req.user.id, { date, rates }, getRequestContext(req));
+
+    return sendSuccess(res, result, `Exchange rates for ${date} saved`);
+  } catch (error) {
+    logger.error(`Admin set exchange rates controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
+
+/**
+ * Import historical exchange rates from a CSV upload or a JSON list
+ */
+export const importExchangeRates = async (req, res, next) => {
+  try {
+    const entries = req.body?.rates;
+
+    if (!req.file && (!Array.isArray(entries) || entries.length === 0)) {
+      return sendValidationError(res, [{
+        field: 'file',
+        message: 'Upload a CSV file or send a non-empty rates array'
+      }]);
+    }
+
+    const result = await adminService.importExchangeRates(
+      req.user.id,
+      { file: req.file, entries },
+      getRequestContext(req)
+    );
+
+    return sendSuccess(res, result, `${result.count} exchange rate(s) imported`);
+  } catch (error) {
+    logger.error(`Admin import exchange rates controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
+
+/**
+ * Delete a stored exchange rate
+ */
+export const deleteExchangeRate = async (req, res, next) => {
+  try {
+    await adminService.deleteExchangeRate(req.user.id, req.params.id, getRequestContext(req));
+    return sendSuccess(res, null, 'Exchange rate deleted');
+  } catch (error) {
+    logger.error(`Admin delete exchange rate controller error: ${error.message}`);
+    handleAdminError(error, res, next);
+  }
+};
@@ -0,0 +1,135 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import { body, query } from 'express-validator';
+import * as adminController from './admin.controller.js';
+import { authenticateSession, authorize } from '../../middlewares/auth.middleware.js';
+import { USER_ROLES, SUPPORTED_CURRENCIES } from '../../config/constants.js';
+
+const router = express.Router();
+
+// Configure multer for exchange rate CSV uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.txt'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv files can be imported'), false);
+    }
+  }
+});
+
+// Multer error handler middleware
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      success: false,
+      message: 'File size too large. Maximum size is 5MB'
+    });
+  }
+  if (err) {
+    return res.status(400).json({
+      success: false,
+      message: err.message || 'File upload error'
+    });
+  }
+  next();
+};
+
+// All routes require an admin login session
+router.use(authenticateSession, authorize(USER_ROLES.ADMIN));
+
+// Validation rules
+const listUsersValidation = [
+  query('plan')
+    .optional()
+    .isIn(['FREE', 'PRO', 'COUPLE', 'LIFETIME'])
+    .withMessage('Invalid plan'),
+  query('role')
+    .optional()
+    .isIn(Object.values(USER_ROLES))
+    .withMessage('Invalid role'),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const grantPlanValidation = [
+  body('plan')
+    .isIn(['PRO', 'COUPLE', 'LIFETIME'])
+    .withMessage('Plan must be PRO, COUPLE or LIFETIME'),
+  body('billingCycle')
+    .if(body('plan').not().equals('LIFETIME'))
+    .isIn(['MONTHLY', 'YEARLY'])
+    .withMessage('Billing cycle must be MONTHLY or YEARLY'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('expiresAt must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('expiresAt must be in the future'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const updateStatusValidation = [
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const listExchangeRatesValidation = [
+  query('currency')
+    .optional()
+    .toUpperCase()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage('Unsupported currency'),
+  query(['from', 'to'])
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Dates must be in YYYY-MM-DD format')
+];
+
+const setExchangeRatesValidation = [
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  body('rates')
+    .isObject()
+    .withMessage('Rates must be an object of currency to rate')
+    .custom(rates => Object.keys(rates).length > 0)
+    .withMessage('At least one rate is required')
+];
+
+// Routes
+router.get('/stats', adminController.getStats);
+router.get('/audit-logs', adminController.getAuditLogs);
+router.get('/users', listUsersValidation, adminController.listUsers);
+router.get('/users/:id', adminController.getUser);
+router.put('/users/:id/plan', grantPlanValidation, adminController.grantPlan);
+router.delete('/users/:id/plan', adminController.revokePlan);
+router.patch('/users/:id/status', updateStatusValidation, adminController.updateUserStatus);
+router.get('/exchange-rates', listExchangeRatesValidation, adminController.getExchangeRates);
+router.put('/exchange-rates', setExchangeRatesValidation, adminController.setExchangeRates);
+router.post(
+  '/exchange-rates/import',
+  upload.single('file'),
+  handleMulterError,
+  adminController.importExchangeRates
+);
+router.delete('/exchange-rates/:id', adminController.deleteExchangeRate);
+
+export default router;
@@ -0,0 +1,435 @@
+import AuditLog from './auditLog.model.js';
+import User from '../auth/auth.schema.js';
+import Session from '../auth/session.model.js';
+import DiaryEntry from '../diary/diary.model.js';
+import Idea from '../ideas/idea.model.js';
+import Trip from '../trips/trip.model.js';
+import WatchItem from '../watch/watch.model.js';
+import GiftIdea from '../gifting/gifting.model.js';
+import VaultItem from '../vault/vault.model.js';
+import VaultDocument from '../vaultDocuments/vaultDocument.model.js';
+import Subscription from '../subscriptions/subscription.model.js';
+import Transaction from '../money/transactions/transaction.model.js';
+import Exam from '../exams/exam.model.js';
+import Doubt from '../doubts/doubt.model.js';
+import StudyEvent from '../studyEvents/studyEvent.model.js';
+import { revokeAllSessions, expireRefreshTokens } from '../auth/session.service.js';
+import { getRates, saveRates, parseRatesCSV, deleteRate } from '../exchangeRates/exchangeRate.service.js';
+import { getUserSubscription, cancelSubscription, calculateExpiryDate } from '../subscription/subscription.service.js';
+import { MESSAGES } from '../../config/constants.js';
+import { getFeatureLimit } from '../../utils/subscription.util.js';
+import { getLimitedFeatures, getUserItemCount, getFeatureDisplayName } from '../../utils/subscriptionLimit.util.js';
+import { withTransaction } from '../../utils/db.util.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Collections included in the system-wide counts
+ */
+const COUNTED_MODELS = {
+  diaryEntries: DiaryEntry,
+  ideas: Idea,
+  trips: Trip,
+  watchItems: WatchItem,
+  giftIdeas: GiftIdea,
+  vaultItems: VaultItem,
+  vaultDocuments: VaultDocument,
+  subscriptions: Subscription,
+  transactions: Transaction,
+  exams: Exam,
+  doubts: Doubt,
+  studyEvents: StudyEvent
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Write an audit log entry for an admin action
+ */
+const recordAudit = async (actorId, action, context = {}, { targetUserId = null, details = {}, reason = null, session = null } = {}) => {
+  await AuditLog.create([{
+    actorId,
+    action,
+    targetUserId,
+    details,
+    reason,
+    ip: context.ip,
+    userAgent: context.userAgent?.substring(0, 500)
+  }], { session });
+};
+
+/**
+ * Load a user or throw USER_NOT_FOUND
+ */
+const findUserOrThrow = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error(MESSAGES.USER_NOT_FOUND);
+  }
+  return user;
+};
+
+/**
+ * List and search users
+ */
+export const listUsers = async (adminId, filters = {}, context = {}) => {
+  try {
+    const { search, plan, role, isActive, page, limit } = filters;
+
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (plan) {
+      query['subscription.plan'] = plan;
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true' || isActive === true;
+    }
+
+    const pageNum = page ? parseInt(page) : 1;
+    const limitNum = limit ? Math.min(parseInt(limit), 100) : 20;
+    const skip = (pageNum - 1) * limitNum;
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('name email role isActive isEmailVerified lastLogin subscription twoFactor.enabled deletionScheduledFor createdAt')
+      .lean();
+
+    const total = await User.countDocuments(query);
+
+    await recordAudit(adminId, 'users.list', context, { details: { filters: { search, plan, role, isActive }, page: pageNum } });
+
+    return {
+      users,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  } catch (error) {
+    logger.error(`Admin list users error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's profile, plan and per-feature usage
+ */
+export const getUserDetails = async (adminId, userId, context = {}) => {
+  try {
+    const user = await findUserOrThrow(userId);
+
+    const usage = await Promise.all(getLimitedFeatures().map(async (feature) => ({
+      feature,
+      displayName: getFeatureDisplayName(feature),
+      count: await getUserItemCount(user._id, feature),
+      limit: getFeatureLimit(user, feature)
+    })));
+
+    const activeSessions = await Session.countDocuments({
+      userId: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    await recordAudit(adminId, 'user.view', context, { targetUserId: user._id });
+
+    return {
+      user: user.toJSON(),
+      plan: await getUserSubscription(user._id),
+      usage,
+      activeSessions
+    };
+  } catch (error) {
+    logger.error(`Admin get user details error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Grant a plan manually (no payment involved, so the price is recorded as 0)
+ */
+export const grantPlan = async (adminId, userId, { plan, billingCycle, expiresAt, reason }, context = {}) => {
+  try {
+    const user = await findUserOrThrow(userId);
+    const previous = await getUserSubscription(user._id);
+
+    const cycle = plan === 'LIFETIME' ? 'NONE' : billingCycle;
+
+    user.subscription = {
+      plan,
+      billingCycle: cycle,
+      price: 0,
+      startedAt: new Date(),
+      expiresAt: plan === 'LIFETIME' ? null : (expiresAt ? new Date(expiresAt) : calculateExpiryDate(plan, cycle)),
+      isActive: true
+    };
+    user.markModified('subscription');
+    await user.save({ validateBeforeSave: false });
+
+    const updated = await getUserSubscription(user._id);
+
+    await recordAudit(adminId, 'user.plan_grant', context, {
+      targetUserId: user._id,
+      details: { previous, updated },
+      reason
+    });
+
+    logger.info(`Admin ${adminId} granted ${plan} to user ${user._id}`);
+
+    return updated;
+  } catch (error) {
+    logger.error(`Admin grant plan error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a user's plan (back to FREE)
+ */
+export const revokePlan = async (adminId, userId, { reason } = {}, context = {}) => {
+  try {
+    const user = await findUserOrThrow(userId);
+    const previous = await getUserSubscription(user._id);
+
+    const updated = await cancelSubscription(user._id);
+
+    await recordAudit(adminId, 'user.plan_revoke', context, {
+      targetUserId: user._id,
+      details: { previous, updated },
+      reason
+    });
+
+    logger.info(`Admin ${adminId} revoked the ${previous.plan} plan of user ${user._id}`);
+
+    return updated;
+  } catch (error) {
+    logger.error(`Admin revoke plan error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Deactivate or reactivate an account. Deactivation signs the user out everywhere.
+ */
+export const setUserActive = async (adminId, userId, { isActive, reason } = {}, context = {}) => {
+  try {
+    if (adminId.toString() === userId.toString()) {
+      throw new Error(MESSAGES.CANNOT_MODIFY_OWN_ACCOUNT);
+    }
+
+    let user;
+    let wasActive;
+    let sessionsRevoked = 0;
+
+    await withTransaction(async (session) => {
+      user = await User.findById(userId).session(session);
+      if (!user) {
+        throw new Error(MESSAGES.USER_NOT_FOUND);
+      }
+
+      wasActive = user.isActive;
+      if (!isActive) {
+        sessionsRevoked = await Session.countDocuments({ userId: user._id, revokedAt: null }).session(session);
+      }
+
+      // Audited first, so the change is never made without a record of it
+      await recordAudit(adminId, isActive ? 'user.reactivate' : 'user.deactivate', context, {
+        targetUserId: user._id,
+        details: { wasActive, sessionsRevoked },
+        reason,
+        session
+      });
+
+      user.isActive = isActive;
+      await user.save({ session, validateBeforeSave: false });
+
+      // Locked out straight away: access tokens stop working with their session
+      if (!isActive) {
+        await revokeAllSessions(user._id, { reason: 'admin_deactivation', dbSession: session });
+        await expireRefreshTokens(user._id, session);
+      }
+    });
+
+    logger.info(`Admin ${adminId} ${isActive ? 'reactivated' : 'deactivated'} user ${user._id}`);
+
+    return { _id: user._id, isActive: user.isActive, sessionsRevoked };
+  } catch (error) {
+    logger.error(`Admin set user active error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * System-wide counts
+ */
+export const getSystemStats = async (adminId, context = {}) => {
+  try {
+    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [total, active, verified, twoFactorEnabled, newLast30Days, planCounts, activeSessions] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ isActive: true }),
+      User.countDocuments({ isEmailVerified: true }),
+      User.countDocuments({ 'twoFactor.enabled': true }),
+      User.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
+      User.aggregate([{ $group: { _id: '$subscription.plan', count: { $sum: 1 } } }]),
+      Session.countDocuments({ revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    const byPlan = { FREE: 0, PRO: 0, COUPLE: 0, LIFETIME: 0 };
+    planCounts.forEach(({ _id, count }) => {
+      byPlan[_id || 'FREE'] = (byPlan[_id || 'FREE'] || 0) + count;
+    });
+
+    const records = {};
+    for (const [name, Model] of Object.entries(COUNTED_MODELS)) {
+      records[name] = await Model.estimatedDocumentCount();
+    }
+
+    await recordAudit(adminId, 'stats.view', context);
+
+    return {
+      users: {
+        total,
+        active,
+        inactive: total - active,
+        verified,
+        twoFactorEnabled,
+        newLast30Days,
+        byPlan
+      },
+      activeSessions,
+      records
+    };
+  } catch (error) {
+    logger.error(`Admin get system stats error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Browse the audit log
+ */
+export const getAuditLogs = async (adminId, filters = {}, context = {}) => {
+  try {
+    const { actorId, targetUserId, action, page, limit } = filters;
+
+    const query = {};
+    if (actorId) query.actorId = actorId;
+    if (targetUserId) query.targetUserId = targetUserId;
+    if (action) query.action = action;
+
+    const pageNum = page ? parseInt(page) : 1;
+    const limitNum = limit ? Math.min(parseInt(limit), 100) : 50;
+    const skip = (pageNum - 1) * limitNum;
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .populate('actorId', 'name email')
+      .lean();
+
+    const total = await AuditLog.countDocuments(query);
+
+    await recordAudit(adminId, 'audit_logs.view', context, { details: { filters: { actorId, targetUserId, action } } });
+
+    return {
+      logs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  } catch (error) {
+    logger.error(`Admin get audit logs error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List stored exchange rates
+ */
+export const getExchangeRates = async (filters = {}) => {
+  return getRates(filters);
+};
+
+/**
+ * Set the exchange rates for one day
+ * @param {Object} data - { date: 'YYYY-MM-DD', rates: { EUR: 0.92, INR: 83.1, ... } }
+ */
+export const setExchangeRates = async (adminId, { date, rates }, context = {}) => {
+  try {
+    const entries = Object.entries(rates).map(([currency, rate]) => ({ date, currency, rate }));
+    const result = await saveRates(entries, { source: 'manual', updatedBy: adminId });
+
+    await recordAudit(adminId, 'exchange_rates.update', context, { details: { date, rates } });
+
+    return result;
+  } catch (error) {
+    logger.error(`Admin set exchange rates error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Import historical exchange rates from a CSV file or a list of entries
+ * @param {Object} data - { file } (CSV with date, currency and rate columns) or { entries }
+ */
+export const importExchangeRates = async (adminId, { file, entries }, context = {}) => {
+  try {
+    const rates = file ? parseRatesCSV(file.buffer.toString('utf8')) : entries;
+    const result = await saveRates(rates, { source: 'import', updatedBy: adminId });
+
+    const dates = rates.map(rate => rate.date).sort();
+    await recordAudit(adminId, 'exchange_rates.import', context, {
+      details: {
+        fileName: file?.originalname,
+        count: rates.length,
+        from: dates[0],
+        to: dates[dates.length - 1]
+      }
+    });
+
+    return { count: rates.length, ...result };
+  } catch (error) {
+    logger.error(`Admin import exchange rates error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a stored exchange rate
+ */
+export const deleteExchangeRate = async (adminId, rateId, context = {}) => {
+  try {
+    const rate = await deleteRate(rateId);
+
+    await recordAudit(adminId, 'exchange_rates.delete', context, {
+      details: { date: rate.date, currency: rate.currency, rate: rate.rate }
+    });
+
+    return rate;
+  } catch (error) {
+    logger.error(`Admin delete exchange rate error: ${error.message}`);
+    throw error;
+  }
+};
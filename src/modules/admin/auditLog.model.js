@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = [
+  'users.list',
+  'user.view',
+  'user.plan_grant',
+  'user.plan_revoke',
+  'user.deactivate',
+  'user.reactivate',
+  'stats.view',
+  'audit_logs.view',
+  'exchange_rates.update',
+  'exchange_rates.import',
+  'exchange_rates.delete'
+];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Admin who performed the action
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Actor ID is required'],
+      index: true
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: [true, 'Action is required'],
+      index: true
+    },
+    // User the action was performed on, if any
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+    },
+    // Action-specific data, e.g. the plan before and after a change
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null
+    },
+    ip: {
+      type: String,
+      trim: true
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'User agent cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,84 @@
+import { validationResult } from 'express-validator';
+import { sendSuccess, sendError, sendValidationError } from '../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../config/constants.js';
+import * as accountDeletionService from './accountDeletion.service.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Delete (or schedule deletion of) the current user's account
+ */
+export const deleteAccount = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { password, immediate } = req.body;
+
+    const result = await accountDeletionService.requestAccountDeletion(req.user.id, password, {
+      immediate: immediate === true || immediate === 'true',
+      currentSessionId: req.user.sid
+    });
+
+    const message = result.deleted
+      ? 'Account deleted permanently'
+      : 'Account scheduled for deletion. You can cancel until the scheduled time';
+
+    return sendSuccess(res, result, message);
+  } catch (error) {
+    logger.error(`Delete account controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.INCORRECT_PASSWORD) {
+      return sendError(res, error.message, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (error.message === MESSAGES.USER_NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Cancel a pending account deletion
+ */
+export const cancelDeletion = async (req, res, next) => {
+  try {
+    await accountDeletionService.cancelAccountDeletion(req.user.id);
+
+    return sendSuccess(res, null, 'Account deletion cancelled');
+  } catch (error) {
+    logger.error(`Cancel account deletion controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.ACCOUNT_DELETION_NOT_SCHEDULED) {
+      return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (error.message === MESSAGES.USER_NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Get pending deletion status
+ */
+export const getDeletionStatus = async (req, res, next) => {
+  try {
+    const status = await accountDeletionService.getAccountDeletionStatus(req.user.id);
+
+    return sendSuccess(res, status, 'Account deletion status retrieved successfully');
+  } catch (error) {
+    logger.error(`Get account deletion status controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.USER_NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
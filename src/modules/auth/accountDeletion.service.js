@@ -0,0 +1,387 @@
+import User from './auth.schema.js';
+import Session from './session.model.js';
+import RefreshToken from './refreshToken.model.js';
+import AuthToken from './authToken.model.js';
+import LoginHistory from './loginHistory.model.js';
+import PersonalAccessToken from './personalAccessToken.model.js';
+import DiaryEntry from '../diary/diary.model.js';
+import Idea from '../ideas/idea.model.js';
+import Trip from '../trips/trip.model.js';
+import WatchItem from '../watch/watch.model.js';
+import GiftIdea from '../gifting/gifting.model.js';
+import VaultItem from '../vault/vault.model.js';
+import VaultDocument from '../vaultDocuments/vaultDocument.model.js';
+import Subscription from '../subscriptions/subscription.model.js';
+import Income from '../money/income/income.model.js';
+import FixedExpense from '../money/fixedExpenses/fixedExpense.model.js';
+import Transaction from '../money/transactions/transaction.model.js';
+import TransactionRevision from '../money/transactions/transactionRevision.model.js';
+import Category from '../money/categories/category.model.js';
+import ImportProfile from '../money/imports/importProfile.model.js';
+import TransactionImport from '../money/imports/transactionImport.model.js';
+import CategoryRule from '../money/rules/categoryRule.model.js';
+import Budget from '../money/budgets/budget.model.js';
+import RecurringTemplate from '../money/recurring/recurringTemplate.model.js';
+import RecurringOccurrence from '../money/recurring/recurringOccurrence.model.js';
+import Fund from '../money/funds/fund.model.js';
+import FundMovement from '../money/funds/fundMovement.model.js';
+import AllocationRule from '../money/allocations/allocationRule.model.js';
+import Debt from '../money/debts/debt.model.js';
+import DebtRepayment from '../money/debts/debtRepayment.model.js';
+import Contact from '../money/contacts/contact.model.js';
+import ContactGroup from '../money/contacts/contactGroup.model.js';
+import Account from '../money/accounts/account.model.js';
+import Asset from '../money/assets/asset.model.js';
+import AssetValuation from '../money/assets/assetValuation.model.js';
+import WishlistItem from '../money/wishlist/wishlist.model.js';
+import Exam from '../exams/exam.model.js';
+import Subject from '../exams/subject.model.js';
+import Topic from '../exams/topic.model.js';
+import Doubt from '../doubts/doubt.model.js';
+import StudyEvent from '../studyEvents/studyEvent.model.js';
+import StudyEventLog from '../studyEvents/studyEventLog.model.js';
+import DataExport from '../account/dataExport.model.js';
+import SharedSpace from '../couple/sharedSpace.model.js';
+import PartnerInvite from '../couple/partnerInvite.model.js';
+import { revokeAllSessions } from './session.service.js';
+import { removeUserExports } from '../account/dataExport.service.js';
+import { removeUserFromSharing } from '../couple/couple.service.js';
+import { accountDeletionScheduledEmail } from './auth.emails.js';
+import env from '../../config/env.js';
+import { MESSAGES } from '../../config/constants.js';
+import { deleteImages, deleteDocument } from '../../utils/cloudinary.util.js';
+import { sendMail } from '../../utils/mailer.util.js';
+import logger from '../../utils/logger.util.js';
+
+// Cloudinary's bulk delete accepts at most 100 public IDs per call
+const CLOUDINARY_BATCH_SIZE = 100;
+
+// Accounts purged per sweep run
+const SWEEP_BATCH_SIZE = 20;
+
+/**
+ * Collections keyed directly by userId, with the name used in the deletion report.
+ * Any new model that stores per-user data must be added here.
+ */
+const USER_OWNED_MODELS = [
+  ['diaryEntries', DiaryEntry],
+  ['ideas', Idea],
+  ['trips', Trip],
+  ['watchItems', WatchItem],
+  ['giftIdeas', GiftIdea],
+  ['vaultItems', VaultItem],
+  ['vaultDocuments', VaultDocument],
+  ['subscriptions', Subscription],
+  ['income', Income],
+  ['fixedExpenses', FixedExpense],
+  ['transactions', Transaction],
+  ['transactionRevisions', TransactionRevision],
+  ['categories', Category],
+  ['importProfiles', ImportProfile],
+  ['transactionImports', TransactionImport],
+  ['categoryRules', CategoryRule],
+  ['budgets', Budget],
+  ['recurringTemplates', RecurringTemplate],
+  ['recurringOccurrences', RecurringOccurrence],
+  ['funds', Fund],
+  ['fundMovements', FundMovement],
+  ['allocationRules', AllocationRule],
+  ['debts', Debt],
+  ['debtRepayments', DebtRepayment],
+  ['contacts', Contact],
+  ['contactGroups', ContactGroup],
+  ['accounts', Account],
+  ['assets', Asset],
+  ['assetValuations', AssetValuation],
+  ['wishlistItems', WishlistItem],
+  ['doubts', Doubt],
+  ['sessions', Session],
+  ['refreshTokens', RefreshToken],
+  ['authTokens', AuthToken],
+  ['loginHistory', LoginHistory],
+  ['personalAccessTokens', PersonalAccessToken]
+];
+
+/**
+ * IDs of the user's exams, subjects and study events (children are keyed by these)
+ */
+const getParentIds = async (userId) => {
+  const [examIds, eventIds] = await Promise.all([
+    Exam.find({ userId }).distinct('_id'),
+    StudyEvent.find({ userId }).distinct('_id')
+  ]);
+  const subjectIds = await Subject.find({ examId: { $in: examIds } }).distinct('_id');
+
+  return { examIds, subjectIds, eventIds };
+};
+
+/**
+ * Count everything that would be removed for a user
+ */
+const countUserData = async (user) => {
+  const userId = user._id;
+  const records = {
+    sharedSpaces: await SharedSpace.countDocuments({ members: userId }),
+    partnerInvites: await PartnerInvite.countDocuments({
+      $or: [{ inviterId: userId }, { inviteeId: userId }, { inviteeEmail: user.email }]
+    })
+  };
+
+  for (const [name, Model] of USER_OWNED_MODELS) {
+    records[name] = await Model.countDocuments({ userId });
+  }
+
+  const { examIds, subjectIds, eventIds } = await getParentIds(userId);
+  records.exams = examIds.length;
+  records.subjects = subjectIds.length;
+  records.topics = await Topic.countDocuments({ subjectId: { $in: subjectIds } });
+  records.studyEvents = eventIds.length;
+  records.studyEventLogs = await StudyEventLog.countDocuments({ eventId: { $in: eventIds } });
+  records.dataExports = await DataExport.countDocuments({ userId });
+
+  return records;
+};
+
+/**
+ * Gather the public IDs of every image and document the user has stored in Cloudinary
+ */
+const collectCloudinaryAssets = async (user) => {
+  const userId = user._id;
+
+  const [diaryEntries, ideas, trips, watchItems, giftIdeas, doubts, documents] = await Promise.all([
+    DiaryEntry.find({ userId }).select('images.publicId').lean(),
+    Idea.find({ userId }).select('image.publicId').lean(),
+    Trip.find({ userId }).select('coverImage.publicId').lean(),
+    WatchItem.find({ userId }).select('poster').lean(),
+    GiftIdea.find({ userId }).select('images.publicId').lean(),
+    Doubt.find({ userId }).select('images.publicId').lean(),
+    VaultDocument.find({ userId }).select('file.publicId').lean()
+  ]);
+
+  const images = [
+    ...diaryEntries.flatMap(entry => (entry.images || []).map(img => img.publicId)),
+    ...ideas.map(idea => idea.image?.publicId),
+    ...trips.map(trip => trip.coverImage?.publicId),
+    // Posters may be plain URL strings, which have nothing to delete
+    ...watchItems.map(item => (typeof item.poster === 'object' ? item.poster?.publicId : null)),
+    ...giftIdeas.flatMap(gift => (gift.images || []).map(img => img.publicId)),
+    ...doubts.flatMap(doubt => (doubt.images || []).map(img => img.publicId)),
+    typeof user.profileImage === 'object' ? user.profileImage?.publicId : null
+  ].filter(Boolean);
+
+  return {
+    images: [...new Set(images)],
+    documents: documents.map(doc => doc.file?.publicId).filter(Boolean)
+  };
+};
+
+/**
+ * Delete assets from Cloudinary. Failures are logged with their public IDs
+ * and counted, but never stop the account deletion.
+ */
+const deleteCloudinaryAssets = async ({ images, documents }) => {
+  const result = {
+    images: { deleted: 0, failed: 0 },
+    documents: { deleted: 0, failed: 0 }
+  };
+
+  for (let i = 0; i < images.length; i += CLOUDINARY_BATCH_SIZE) {
+    const batch = images.slice(i, i + CLOUDINARY_BATCH_SIZE);
+    try {
+      await deleteImages(batch);
+      result.images.deleted += batch.length;
+    } catch (error) {
+      result.images.failed += batch.length;
+      logger.error(`Account deletion could not remove images ${batch.join(', ')}: ${error.message}`);
+    }
+  }
+
+  for (const publicId of documents) {
+    try {
+      await deleteDocument(publicId);
+      result.documents.deleted += 1;
+    } catch (error) {
+      result.documents.failed += 1;
+      logger.error(`Account deletion could not remove document ${publicId}: ${error.message}`);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Permanently delete a user and everything they own.
+ * Safe to re-run: if it fails part way, the user record (deleted last)
+ * stays scheduled and the next sweep finishes the job.
+ * @returns {Promise<Object>} Deletion report
+ */
+const purgeAccount = async (user) => {
+  const userId = user._id;
+
+  // Cut off access first so nothing new is written during the purge
+  await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'account_deletion' }
+  );
+
+  const assets = await deleteCloudinaryAssets(await collectCloudinaryAssets(user));
+
+  // Unshare before deleting so the partner keeps their own items
+  const records = await removeUserFromSharing(user);
+
+  const { examIds, subjectIds, eventIds } = await getParentIds(userId);
+  records.topics = (await Topic.deleteMany({ subjectId: { $in: subjectIds } })).deletedCount;
+  records.subjects = (await Subject.deleteMany({ _id: { $in: subjectIds } })).deletedCount;
+  records.exams = (await Exam.deleteMany({ _id: { $in: examIds } })).deletedCount;
+  records.studyEventLogs = (await StudyEventLog.deleteMany({ eventId: { $in: eventIds } })).deletedCount;
+  records.studyEvents = (await StudyEvent.deleteMany({ _id: { $in: eventIds } })).deletedCount;
+
+  for (const [name, Model] of USER_OWNED_MODELS) {
+    records[name] = (await Model.deleteMany({ userId })).deletedCount;
+  }
+
+  // Export archives live on disk, so they are removed with their records
+  records.dataExports = await removeUserExports(userId);
+
+  await User.deleteOne({ _id: userId });
+
+  const report = {
+    userId,
+    deletedAt: new Date(),
+    records,
+    assets
+  };
+
+  logger.info(`Account ${userId} deleted: ${JSON.stringify(report)}`);
+
+  return report;
+};
+
+/**
+ * Request deletion of the current user's account (requires the password).
+ * With a grace period the account is only scheduled; otherwise, or when
+ * `immediate` is set, it is deleted right away.
+ * @returns {Promise<Object>} { deleted, scheduledFor, report }
+ */
+export const requestAccountDeletion = async (userId, password, { immediate = false, currentSessionId = null } = {}) => {
+  try {
+    const user = await User.findById(userId).select('+password');
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      throw new Error(MESSAGES.INCORRECT_PASSWORD);
+    }
+
+    if (immediate || env.ACCOUNT_DELETION_GRACE_HOURS <= 0) {
+      const report = await purgeAccount(user);
+      return { deleted: true, scheduledFor: null, report };
+    }
+
+    // Asking again keeps the original schedule
+    if (!user.deletionScheduledFor) {
+      user.deletionRequestedAt = new Date();
+      user.deletionScheduledFor = new Date(Date.now() + env.ACCOUNT_DELETION_GRACE_HOURS * 60 * 60 * 1000);
+      await user.save({ validateBeforeSave: false });
+
+      await revokeAllSessions(userId, { exceptSessionId: currentSessionId, reason: 'account_deletion' });
+
+      try {
+        await sendMail({ to: user.email, ...accountDeletionScheduledEmail(user.name, user.deletionScheduledFor) });
+      } catch (error) {
+        logger.error(`Failed to send account deletion email: ${error.message}`);
+      }
+
+      logger.info(`Account ${userId} scheduled for deletion on ${user.deletionScheduledFor.toISOString()}`);
+    }
+
+    // Preview of what will be removed when the grace period ends
+    return {
+      deleted: false,
+      scheduledFor: user.deletionScheduledFor,
+      report: {
+        userId: user._id,
+        deletedAt: null,
+        records: await countUserData(user),
+        assets: null
+      }
+    };
+  } catch (error) {
+    logger.error(`Request account deletion error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a pending account deletion
+ */
+export const cancelAccountDeletion = async (userId) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (!user.deletionScheduledFor) {
+      throw new Error(MESSAGES.ACCOUNT_DELETION_NOT_SCHEDULED);
+    }
+
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Account deletion cancelled for user ${userId}`);
+  } catch (error) {
+    logger.error(`Cancel account deletion error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the pending deletion status for a user
+ */
+export const getAccountDeletionStatus = async (userId) => {
+  try {
+    const user = await User.findById(userId).select('deletionRequestedAt deletionScheduledFor');
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    return {
+      scheduled: Boolean(user.deletionScheduledFor),
+      requestedAt: user.deletionRequestedAt,
+      scheduledFor: user.deletionScheduledFor
+    };
+  } catch (error) {
+    logger.error(`Get account deletion status error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete every account whose grace period has ended (run periodically from server.js)
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+export const processDueAccountDeletions = async () => {
+  try {
+    const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } })
+      .limit(SWEEP_BATCH_SIZE);
+
+    let deleted = 0;
+    for (const user of users) {
+      try {
+        await purgeAccount(user);
+        deleted += 1;
+      } catch (error) {
+        logger.error(`Scheduled deletion of account ${user._id} failed: ${error.message}`);
+      }
+    }
+
+    return deleted;
+  } catch (error) {
+    logger.error(`Process due account deletions error: ${error.message}`);
+    return 0;
+  }
+};
@@ -1,8 +1,10 @@
 import { validationResult } from 'express-validator';
 import { sendSuccess, sendError, sendValidationError } from '../../utils/response.util.js';
-import { HTTP_STATUS, MESSAGES } from '../../config/constants.js';
+import { HTTP_STATUS, MESSAGES, SUPPORTED_CURRENCIES } from '../../config/constants.js';
 import * as authService from './auth.service.js';
+import * as loginSecurityService from './loginSecurity.service.js';
 import { uploadImage, deleteImage } from '../../utils/cloudinary.util.js';
+import { getRequestContext } from '../../utils/request.util.js';
 import logger from '../../utils/logger.util.js';
 
 /**
@@ -22,7 +24,7 @@ export const register = async (req, res, next) => {
       name,
       email,
       password
-    });
+    }, getRequestContext(req));
 
     return sendSuccess(
       res,
@@ -54,7 +56,11 @@ export const login = async (req, res, next) => {
 
     const { email, password } = req.body;
 
-    const result = await authService.loginUser(email, password);
+    const result = await authService.loginUser(email, password, getRequestContext(req));
+
+    if (result.twoFactorRequired) {
+      return sendSuccess(res, result, 'Two-factor authentication required');
+    }
 
     return sendSuccess(res, result, 'Login successful');
   } catch (error) {
@@ -64,6 +70,31 @@ export const login = async (req, res, next) => {
       return sendError(res, error.message, HTTP_STATUS.UNAUTHORIZED);
     }
 
+    if (error.message === MESSAGES.ACCOUNT_LOCKED) {
+      res.set('Retry-After', String(error.retryAfterSeconds));
+      return sendError(res, error.message, HTTP_STATUS.LOCKED);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Get login history for the current user
+ */
+export const getLoginHistory = async (req, res, next) => {
+  try {
+    const { success, limit, page } = req.query;
+
+    const result = await loginSecurityService.getLoginHistory(req.user.id, {
+      success,
+      limit,
+      page
+    });
+
+    return sendSuccess(res, result, 'Login history retrieved successfully');
+  } catch (error) {
+    logger.error(`Get login history error: ${error.message}`);
     next(error);
   }
 };
@@ -91,11 +122,10 @@ export const updateProfile = async (req, res, next) => {
 
     // Validate currency if provided
     if (currency) {
-      const validCurrencies = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CAD', 'AUD'];
-      if (!validCurrencies.includes(currency.toUpperCase())) {
+      if (!SUPPORTED_CURRENCIES.includes(currency.toUpperCase())) {
         return sendValidationError(res, [{
           field: 'currency',
-          message: `Currency must be one of: ${validCurrencies.join(', ')}`
+          message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
         }]);
       }
     }
@@ -0,0 +1,57 @@
+import env from '../../config/env.js';
+import { escapeHtml } from '../../utils/mailer.util.js';
+
+/**
+ * Email templates for the auth module
+ * Each builder returns { subject, text, html } for mailer.util.sendMail
+ */
+
+/**
+ * Password reset link
+ */
+export const passwordResetEmail = (name, token, expiresInMinutes) => {
+  const link = `${env.CLIENT_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Reset your LifeOS password',
+    text: `Hi ${name},\n\nWe received a request to reset your password. Use the link below to choose a new one:\n\n${link}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>We received a request to reset your password. Use the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't request a reset, you can ignore this email.</p>`
+  };
+};
+
+/**
+ * Confirmation after the password has been changed
+ */
+export const passwordChangedEmail = (name) => {
+  return {
+    subject: 'Your LifeOS password was changed',
+    text: `Hi ${name},\n\nThe password for your account was just changed. If this wasn't you, reset your password immediately.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>The password for your account was just changed. If this wasn't you, reset your password immediately.</p>`
+  };
+};
+
+/**
+ * Email address verification link
+ */
+export const emailVerificationEmail = (name, token, expiresInHours) => {
+  const link = `${env.CLIENT_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Verify your LifeOS email address',
+    text: `Hi ${name},\n\nPlease confirm this is your email address by opening the link below:\n\n${link}\n\nThis link expires in ${expiresInHours} hours.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm this is your email address by opening the link below:</p><p><a href="${link}">Verify email</a></p><p>This link expires in ${expiresInHours} hours.</p>`
+  };
+};
+
+/**
+ * Account deletion scheduled, with the date it becomes final
+ */
+export const accountDeletionScheduledEmail = (name, scheduledFor) => {
+  const when = scheduledFor.toUTCString();
+
+  return {
+    subject: 'Your LifeOS account is scheduled for deletion',
+    text: `Hi ${name},\n\nYour account and all of its data will be permanently deleted on ${when}. If you change your mind, log in before then and cancel the deletion from your account settings.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>Your account and all of its data will be permanently deleted on <strong>${when}</strong>. If you change your mind, log in before then and cancel the deletion from your account settings.</p>`
+  };
+};
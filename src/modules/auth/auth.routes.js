@@ -1,9 +1,16 @@
 import express from 'express';
 import multer from 'multer';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import * as authController from './auth.controller.js';
-import { authenticate } from '../../middlewares/auth.middleware.js';
+import * as sessionController from './session.controller.js';
+import * as passwordController from './password.controller.js';
+import * as verificationController from './verification.controller.js';
+import * as twoFactorController from './twoFactor.controller.js';
+import * as accountDeletionController from './accountDeletion.controller.js';
+import * as personalAccessTokenController from './personalAccessToken.controller.js';
+import { authenticateSession } from '../../middlewares/auth.middleware.js';
 import { authLimiter } from '../../middlewares/rateLimit.middleware.js';
+import { TOKEN_SCOPES } from '../../config/constants.js';
 import { uploadRateLimiter } from '../../middlewares/uploadLimit.middleware.js';
 
 // Configure multer for memory storage
@@ -79,13 +86,134 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+];
+
+const verifyEmailValidation = [
+  query('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const totpCodeValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authenticator code is required')
+    .matches(/^\d{6}$/)
+    .withMessage('Authenticator code must be 6 digits')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Challenge token is required')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('immediate')
+    .optional()
+    .isBoolean()
+    .withMessage('Immediate must be a boolean')
+];
+
+const createTokenValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: 100 })
+    .withMessage('Token name cannot exceed 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(TOKEN_SCOPES)
+    .withMessage(`Scope must be one of: ${TOKEN_SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+];
+
 // Routes
 router.post('/register', authLimiter, registerValidation, authController.register);
 router.post('/login', authLimiter, loginValidation, authController.login);
-router.get('/profile', authenticate, authController.getProfile);
+router.post('/refresh', authLimiter, refreshTokenValidation, sessionController.refresh);
+router.post('/logout', refreshTokenValidation, sessionController.logout);
+router.post('/forgot-password', authLimiter, forgotPasswordValidation, passwordController.forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidation, passwordController.resetPassword);
+router.post('/change-password', authenticateSession, authLimiter, changePasswordValidation, passwordController.changePassword);
+router.get('/verify-email', authLimiter, verifyEmailValidation, verificationController.verifyEmail);
+router.post('/resend-verification', authenticateSession, authLimiter, verificationController.resendVerification);
+router.post('/2fa/verify', authLimiter, twoFactorLoginValidation, twoFactorController.verifyLogin);
+router.get('/2fa', authenticateSession, twoFactorController.getStatus);
+router.post('/2fa/setup', authenticateSession, twoFactorController.setup);
+router.post('/2fa/confirm', authenticateSession, authLimiter, totpCodeValidation, twoFactorController.confirm);
+router.post('/2fa/disable', authenticateSession, authLimiter, disableTwoFactorValidation, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticateSession, authLimiter, totpCodeValidation, twoFactorController.regenerateRecoveryCodes);
+router.get('/sessions', authenticateSession, sessionController.getSessions);
+router.delete('/sessions', authenticateSession, sessionController.revokeOtherSessions);
+router.delete('/sessions/:id', authenticateSession, sessionController.revokeSession);
+router.get('/account/deletion', authenticateSession, accountDeletionController.getDeletionStatus);
+router.post('/account/deletion/cancel', authenticateSession, accountDeletionController.cancelDeletion);
+router.delete('/account', authenticateSession, authLimiter, deleteAccountValidation, accountDeletionController.deleteAccount);
+router.get('/tokens', authenticateSession, personalAccessTokenController.getTokens);
+router.post('/tokens', authenticateSession, authLimiter, createTokenValidation, personalAccessTokenController.createToken);
+router.delete('/tokens/:id', authenticateSession, personalAccessTokenController.revokeToken);
+router.get('/login-history', authenticateSession, authController.getLoginHistory);
+router.get('/profile', authenticateSession, authController.getProfile);
 router.patch(
   '/profile',
-  authenticate,
+  authenticateSession,
   uploadRateLimiter, // Global upload rate limiting
   upload.single('profileImage'),
   handleMulterError,
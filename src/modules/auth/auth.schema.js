@@ -2,6 +2,33 @@ import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import { USER_ROLES } from '../../config/constants.js';
 
+// Encrypted with vaultCrypto.util (AES-256-GCM)
+const encryptedSecretSchema = new mongoose.Schema({
+  iv: {
+    type: String,
+    required: [true, 'IV is required']
+  },
+  content: {
+    type: String,
+    required: [true, 'Encrypted content is required']
+  },
+  tag: {
+    type: String,
+    required: [true, 'Auth tag is required']
+  }
+}, { _id: false });
+
+const recoveryCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: [true, 'Code hash is required']
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -37,9 +64,39 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null
+    },
     lastLogin: {
       type: Date
     },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+    // Number of consecutive lockouts; each one lasts longer than the last
+    lockoutCount: {
+      type: Number,
+      default: 0
+    },
+    lockUntil: {
+      type: Date,
+      default: null
+    },
+    // Set while an account deletion is pending; cleared if the user cancels
+    deletionRequestedAt: {
+      type: Date,
+      default: null
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null
+    },
     currency: {
       type: String,
       default: 'INR',
@@ -72,6 +129,34 @@ const userSchema = new mongoose.Schema(
         message: 'Profile image must be either a valid URL string or a Cloudinary object with publicId and url'
       }
     },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      enabledAt: {
+        type: Date,
+        default: null
+      },
+      secret: {
+        type: encryptedSecretSchema,
+        select: false
+      },
+      // Secret generated during enrolment, promoted to `secret` once confirmed
+      pendingSecret: {
+        type: encryptedSecretSchema,
+        select: false
+      },
+      recoveryCodes: {
+        type: [recoveryCodeSchema],
+        select: false
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false
+      }
+    },
     subscription: {
       plan: {
         type: String,
@@ -106,12 +191,21 @@ const userSchema = new mongoose.Schema(
     toJSON: {
       transform: function (doc, ret) {
         delete ret.password;
+        if (ret.twoFactor) {
+          delete ret.twoFactor.secret;
+          delete ret.twoFactor.pendingSecret;
+          delete ret.twoFactor.recoveryCodes;
+          delete ret.twoFactor.lastUsedStep;
+        }
         return ret;
       }
     }
   }
 );
 
+// Lets the deletion sweep find due accounts quickly
+userSchema.index({ deletionScheduledFor: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
@@ -138,6 +232,11 @@ userSchema.methods.updateLastLogin = async function () {
   await this.save({ validateBeforeSave: false });
 };
 
+// Method to check if the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
 // Method to check if subscription is active
 userSchema.methods.isSubscriptionActive = function () {
   if (!this.subscription) return true; // Default to active if no subscription data
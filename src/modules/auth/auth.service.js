@@ -1,13 +1,15 @@
-import jwt from 'jsonwebtoken';
 import User from './auth.schema.js';
-import env from '../../config/env.js';
-import { MESSAGES } from '../../config/constants.js';
+import { createSession } from './session.service.js';
+import { sendVerificationEmail } from './verification.service.js';
+import { generateChallengeToken } from './twoFactor.service.js';
+import { assertNotLocked, registerFailedLogin, registerSuccessfulLogin } from './loginSecurity.service.js';
+import { MESSAGES, SUPPORTED_CURRENCIES } from '../../config/constants.js';
 import logger from '../../utils/logger.util.js';
 
 /**
  * Register a new user
  */
-export const registerUser = async (userData) => {
+export const registerUser = async (userData, context = {}) => {
   try {
     // Check if user already exists
     const existingUser = await User.findOne({ email: userData.email });
@@ -21,8 +23,15 @@ export const registerUser = async (userData) => {
       currency: userData.currency || 'INR'
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email (registration succeeds even if mail fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      logger.error(`Failed to send verification email: ${error.message}`);
+    }
+
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await createSession(user._id, context);
 
     // Remove password from user object
     const userObj = user.toObject();
@@ -30,7 +39,8 @@ export const registerUser = async (userData) => {
 
     return {
       user: userObj,
-      token
+      token,
+      refreshToken
     };
   } catch (error) {
     logger.error(`Register user error: ${error.message}`);
@@ -41,7 +51,7 @@ export const registerUser = async (userData) => {
 /**
  * Login user
  */
-export const loginUser = async (email, password) => {
+export const loginUser = async (email, password, context = {}) => {
   try {
     // Find user and include password
     const user = await User.findOne({ email }).select('+password');
@@ -52,20 +62,36 @@ export const loginUser = async (email, password) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await registerFailedLogin(user, context, 'account_deactivated');
       throw new Error('Account is deactivated');
     }
 
+    // Refuse while locked out, even with the right password
+    await assertNotLocked(user, context);
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await registerFailedLogin(user, context, 'invalid_password');
       throw new Error(MESSAGES.INVALID_CREDENTIALS);
     }
 
+    // With 2FA enabled, the password only earns a challenge for the second step
+    if (user.twoFactor?.enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      };
+    }
+
+    // Record the login and flag unfamiliar devices
+    const { isNewUserAgent } = await registerSuccessfulLogin(user, context);
+
     // Update last login
     await user.updateLastLogin();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await createSession(user._id, context);
 
     // Remove password from user object
     const userObj = user.toObject();
@@ -73,7 +99,9 @@ export const loginUser = async (email, password) => {
 
     return {
       user: userObj,
-      token
+      token,
+      refreshToken,
+      isNewUserAgent
     };
   } catch (error) {
     logger.error(`Login user error: ${error.message}`);
@@ -114,9 +142,8 @@ export const updateUserProfile = async (userId, updateData) => {
 
     // Validate currency if provided
     if (updateFields.currency) {
-      const validCurrencies = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CAD', 'AUD'];
-      if (!validCurrencies.includes(updateFields.currency.toUpperCase())) {
-        throw new Error('Invalid currency. Supported currencies: USD, EUR, GBP, INR, JPY, CAD, AUD');
+      if (!SUPPORTED_CURRENCIES.includes(updateFields.currency.toUpperCase())) {
+        throw new Error(`Invalid currency. Supported currencies: ${SUPPORTED_CURRENCIES.join(', ')}`);
       }
       updateFields.currency = updateFields.currency.toUpperCase();
     }
@@ -140,14 +167,3 @@ export const updateUserProfile = async (userId, updateData) => {
     throw error;
   }
 };
-
-/**
- * Generate JWT token
- */
-const generateToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    env.JWT_SECRET,
-    { expiresIn: env.JWT_EXPIRE }
-  );
-};
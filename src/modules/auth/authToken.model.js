@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * Single-use tokens sent to the user by email (password reset, email verification)
+ */
+const authTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    purpose: {
+      type: String,
+      enum: ['password_reset', 'email_verification'],
+      required: [true, 'Purpose is required']
+    },
+    // SHA-256 hash of the token; the raw value only exists in the email
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+authTokenSchema.index({ userId: 1, purpose: 1, usedAt: 1 });
+
+// Remove tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+export default AuthToken;
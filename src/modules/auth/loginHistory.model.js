@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const loginHistorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    ip: {
+      type: String,
+      trim: true
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'User agent cannot exceed 500 characters']
+    },
+    success: {
+      type: Boolean,
+      required: [true, 'Success flag is required'],
+      index: true
+    },
+    failureReason: {
+      type: String,
+      enum: ['invalid_password', 'invalid_two_factor', 'account_locked', 'account_deactivated', null],
+      default: null
+    },
+    // Successful login from a user agent never seen on this account before
+    isNewUserAgent: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+loginHistorySchema.index({ userId: 1, createdAt: -1 });
+loginHistorySchema.index({ userId: 1, success: 1, userAgent: 1 });
+
+// Keep login history for 180 days
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const LoginHistory = mongoose.model('LoginHistory', loginHistorySchema);
+
+export default LoginHistory;
@@ -0,0 +1,164 @@
+import User from './auth.schema.js';
+import LoginHistory from './loginHistory.model.js';
+import env from '../../config/env.js';
+import { MESSAGES } from '../../config/constants.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Lockout duration for the nth lockout: doubles each time, capped
+ */
+const getLockoutMinutes = (lockoutCount) => {
+  const minutes = env.LOGIN_LOCKOUT_BASE_MINUTES * 2 ** Math.max(0, lockoutCount - 1);
+  return Math.min(minutes, env.LOGIN_LOCKOUT_MAX_MINUTES);
+};
+
+/**
+ * Write a login history entry (never fails the login itself)
+ */
+const recordLoginAttempt = async (userId, context, { success, failureReason = null, isNewUserAgent = false }) => {
+  try {
+    await LoginHistory.create({
+      userId,
+      ip: context.ip,
+      userAgent: context.userAgent?.substring(0, 500),
+      success,
+      failureReason,
+      isNewUserAgent
+    });
+  } catch (error) {
+    logger.error(`Record login attempt error: ${error.message}`);
+  }
+};
+
+/**
+ * Throw if the account is currently locked
+ * The error carries retryAfterSeconds for the Retry-After header
+ */
+export const assertNotLocked = async (user, context = {}) => {
+  if (!user.isLocked()) {
+    return;
+  }
+
+  await recordLoginAttempt(user._id, context, { success: false, failureReason: 'account_locked' });
+
+  const error = new Error(MESSAGES.ACCOUNT_LOCKED);
+  error.retryAfterSeconds = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+  throw error;
+};
+
+/**
+ * Record a failed attempt and lock the account once the limit is reached
+ */
+export const registerFailedLogin = async (user, context = {}, failureReason = 'invalid_password') => {
+  try {
+    await recordLoginAttempt(user._id, context, { success: false, failureReason });
+
+    if (failureReason === 'account_deactivated') {
+      return;
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    );
+
+    if (updated && updated.failedLoginAttempts >= env.LOGIN_MAX_FAILED_ATTEMPTS) {
+      const lockoutCount = (updated.lockoutCount || 0) + 1;
+      const lockMinutes = getLockoutMinutes(lockoutCount);
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          failedLoginAttempts: 0,
+          lockoutCount,
+          lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000)
+        }
+      );
+
+      logger.warn(`Account ${user._id} locked for ${lockMinutes} minutes after repeated failed logins`);
+    }
+  } catch (error) {
+    logger.error(`Register failed login error: ${error.message}`);
+  }
+};
+
+/**
+ * Record a successful login, clear lockout state and flag unfamiliar user agents
+ * @returns {Promise<Object>} { isNewUserAgent }
+ */
+export const registerSuccessfulLogin = async (user, context = {}) => {
+  try {
+    const userAgent = context.userAgent?.substring(0, 500) || '';
+
+    // Only flag when the account has logged in before, from somewhere else
+    const [hasPreviousLogin, hasSeenUserAgent] = await Promise.all([
+      LoginHistory.exists({ userId: user._id, success: true }),
+      LoginHistory.exists({ userId: user._id, success: true, userAgent })
+    ]);
+    const isNewUserAgent = Boolean(hasPreviousLogin) && !hasSeenUserAgent;
+
+    await Promise.all([
+      recordLoginAttempt(user._id, context, { success: true, isNewUserAgent }),
+      User.updateOne(
+        { _id: user._id },
+        { failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null }
+      )
+    ]);
+
+    // Keep the loaded document in sync with what was written
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = null;
+
+    if (isNewUserAgent) {
+      logger.info(`Login from a new user agent for user ${user._id}: ${userAgent}`);
+    }
+
+    return { isNewUserAgent };
+  } catch (error) {
+    logger.error(`Register successful login error: ${error.message}`);
+    return { isNewUserAgent: false };
+  }
+};
+
+/**
+ * Get login history for a user
+ */
+export const getLoginHistory = async (userId, filters = {}) => {
+  try {
+    const { success, limit, page } = filters;
+
+    const query = { userId };
+
+    if (success !== undefined) {
+      query.success = success === 'true' || success === true;
+    }
+
+    const pageNum = page ? parseInt(page) : 1;
+    const limitNum = limit ? Math.min(parseInt(limit), 100) : 20;
+    const skip = (pageNum - 1) * limitNum;
+
+    const history = await LoginHistory.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('ip userAgent success failureReason isNewUserAgent createdAt')
+      .lean();
+
+    const total = await LoginHistory.countDocuments(query);
+
+    return {
+      history,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  } catch (error) {
+    logger.error(`Get login history error: ${error.message}`);
+    throw error;
+  }
+};
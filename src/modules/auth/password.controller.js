@@ -0,0 +1,92 @@
+import { validationResult } from 'express-validator';
+import { sendSuccess, sendError, sendValidationError } from '../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../config/constants.js';
+import * as passwordService from './password.service.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Send a password reset link
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    await passwordService.requestPasswordReset(req.body.email);
+
+    return sendSuccess(res, null, 'If an account exists for this email, a password reset link has been sent');
+  } catch (error) {
+    logger.error(`Forgot password controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Reset password with a token from the reset email
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { token, password } = req.body;
+
+    await passwordService.resetPassword(token, password);
+
+    return sendSuccess(res, null, 'Password reset successfully. Please log in with your new password');
+  } catch (error) {
+    logger.error(`Reset password controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.INVALID_RESET_TOKEN) {
+      return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Change password for the logged-in user
+ */
+export const changePassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const result = await passwordService.changePassword(
+      req.user.id,
+      currentPassword,
+      newPassword,
+      req.user.sid
+    );
+
+    return sendSuccess(res, result, 'Password changed successfully');
+  } catch (error) {
+    logger.error(`Change password controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.INCORRECT_PASSWORD) {
+      return sendError(res, error.message, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (error.message.includes('must be different')) {
+      return sendValidationError(res, [{
+        field: 'newPassword',
+        message: error.message
+      }]);
+    }
+
+    if (error.message === MESSAGES.USER_NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
@@ -0,0 +1,142 @@
+import User from './auth.schema.js';
+import AuthToken from './authToken.model.js';
+import { revokeAllSessions } from './session.service.js';
+import { passwordResetEmail, passwordChangedEmail } from './auth.emails.js';
+import env from '../../config/env.js';
+import { MESSAGES } from '../../config/constants.js';
+import { sendMail } from '../../utils/mailer.util.js';
+import { generateRandomToken, hashToken } from '../../utils/token.util.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Notify the user that their password changed (best effort)
+ */
+const notifyPasswordChanged = async (user) => {
+  try {
+    await sendMail({ to: user.email, ...passwordChangedEmail(user.name) });
+  } catch (error) {
+    logger.error(`Failed to send password changed email: ${error.message}`);
+  }
+};
+
+/**
+ * Request a password reset link.
+ * Resolves the same way whether or not the email exists, so the endpoint
+ * cannot be used to discover registered addresses.
+ */
+export const requestPasswordReset = async (email) => {
+  try {
+    const user = await User.findOne({ email });
+
+    if (!user || !user.isActive) {
+      logger.info(`Password reset requested for unknown or inactive email: ${email}`);
+      return;
+    }
+
+    // Only the most recent link should work
+    await AuthToken.deleteMany({ userId: user._id, purpose: 'password_reset', usedAt: null });
+
+    const token = generateRandomToken();
+    const expiresAt = new Date(Date.now() + env.PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
+
+    await AuthToken.create({
+      userId: user._id,
+      purpose: 'password_reset',
+      tokenHash: hashToken(token),
+      expiresAt
+    });
+
+    // A delivery failure must look the same to the caller as an unknown email
+    try {
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail(user.name, token, env.PASSWORD_RESET_EXPIRE_MINUTES)
+      });
+    } catch (error) {
+      logger.error(`Failed to send password reset email: ${error.message}`);
+    }
+  } catch (error) {
+    logger.error(`Request password reset error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Reset password using a token from the reset email.
+ * Signs the user out everywhere.
+ */
+export const resetPassword = async (token, newPassword) => {
+  try {
+    // Claim the token atomically so it can only be used once
+    const resetToken = await AuthToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        purpose: 'password_reset',
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        usedAt: new Date()
+      },
+      {
+        new: true
+      }
+    );
+
+    if (!resetToken) {
+      throw new Error(MESSAGES.INVALID_RESET_TOKEN);
+    }
+
+    const user = await User.findById(resetToken.userId).select('+password');
+    if (!user || !user.isActive) {
+      throw new Error(MESSAGES.INVALID_RESET_TOKEN);
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeAllSessions(user._id, { reason: 'password_change' });
+    await notifyPasswordChanged(user);
+
+    logger.info(`Password reset for user ${user._id}`);
+  } catch (error) {
+    logger.error(`Reset password error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Change password for a logged-in user.
+ * Other sessions are revoked; the current one stays signed in.
+ */
+export const changePassword = async (userId, currentPassword, newPassword, currentSessionId = null) => {
+  try {
+    const user = await User.findById(userId).select('+password');
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      throw new Error(MESSAGES.INCORRECT_PASSWORD);
+    }
+
+    if (currentPassword === newPassword) {
+      throw new Error('New password must be different from the current password');
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const revokedCount = await revokeAllSessions(user._id, {
+      exceptSessionId: currentSessionId,
+      reason: 'password_change'
+    });
+    await notifyPasswordChanged(user);
+
+    return { revokedSessions: revokedCount };
+  } catch (error) {
+    logger.error(`Change password error: ${error.message}`);
+    throw error;
+  }
+};
@@ -0,0 +1,71 @@
+import { validationResult } from 'express-validator';
+import { sendSuccess, sendError, sendValidationError } from '../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../config/constants.js';
+import * as personalAccessTokenService from './personalAccessToken.service.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Create a personal access token
+ */
+export const createToken = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const token = await personalAccessTokenService.createToken(req.user.id, {
+      name,
+      scopes,
+      expiresInDays: expiresInDays ? parseInt(expiresInDays, 10) : null
+    });
+
+    return sendSuccess(
+      res,
+      token,
+      'Token created. Copy it now, it will not be shown again',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Create personal access token controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.PERSONAL_ACCESS_TOKEN_LIMIT) {
+      return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * List personal access tokens
+ */
+export const getTokens = async (req, res, next) => {
+  try {
+    const tokens = await personalAccessTokenService.getTokens(req.user.id);
+    return sendSuccess(res, tokens, 'Tokens retrieved successfully');
+  } catch (error) {
+    logger.error(`Get personal access tokens controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Revoke a personal access token
+ */
+export const revokeToken = async (req, res, next) => {
+  try {
+    await personalAccessTokenService.revokeToken(req.params.id, req.user.id);
+    return sendSuccess(res, null, 'Token revoked');
+  } catch (error) {
+    logger.error(`Revoke personal access token controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
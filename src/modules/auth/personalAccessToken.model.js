@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { TOKEN_SCOPES } from '../../config/constants.js';
+
+const personalAccessTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Token name is required'],
+      trim: true,
+      maxlength: [100, 'Token name cannot exceed 100 characters']
+    },
+    // SHA-256 of the token; the token itself is only shown once at creation
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true,
+      select: false
+    },
+    // First characters of the token, so users can tell their tokens apart
+    tokenHint: {
+      type: String,
+      required: true
+    },
+    scopes: {
+      type: [{
+        type: String,
+        enum: TOKEN_SCOPES
+      }],
+      validate: {
+        validator: function (scopes) {
+          return scopes.length > 0;
+        },
+        message: 'At least one scope is required'
+      }
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedIp: {
+      type: String,
+      default: null
+    },
+    // Optional; tokens without an expiry work until revoked
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+personalAccessTokenSchema.index({ userId: 1, revokedAt: 1, createdAt: -1 });
+
+// Method to check if the token can still be used
+personalAccessTokenSchema.methods.isUsable = function () {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  return true;
+};
+
+// Ensure user can only manage their own tokens
+personalAccessTokenSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+
+export default PersonalAccessToken;
@@ -0,0 +1,140 @@
+import PersonalAccessToken from './personalAccessToken.model.js';
+import User from './auth.schema.js';
+import { MESSAGES, PERSONAL_ACCESS_TOKEN_PREFIX } from '../../config/constants.js';
+import { generateRandomToken, hashToken } from '../../utils/token.util.js';
+import logger from '../../utils/logger.util.js';
+
+const MAX_TOKENS_PER_USER = 50;
+
+// Avoid a write on every request; last-used is only refreshed this often
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check whether a bearer token looks like a personal access token (rather than a JWT)
+ */
+export const isPersonalAccessToken = (token) => {
+  return typeof token === 'string' && token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+};
+
+/**
+ * Check whether a set of granted scopes satisfies a required scope
+ * `<resource>:write` implies `<resource>:read`
+ */
+export const hasScope = (grantedScopes, requiredScope) => {
+  if (grantedScopes.includes(requiredScope)) {
+    return true;
+  }
+
+  const [resource, access] = requiredScope.split(':');
+  return access === 'read' && grantedScopes.includes(`${resource}:write`);
+};
+
+/**
+ * Shape a token for API responses (never includes the hash)
+ */
+const toTokenSummary = (token) => ({
+  _id: token._id,
+  name: token.name,
+  tokenHint: token.tokenHint,
+  scopes: token.scopes,
+  lastUsedAt: token.lastUsedAt,
+  lastUsedIp: token.lastUsedIp,
+  expiresAt: token.expiresAt,
+  createdAt: token.createdAt
+});
+
+/**
+ * Create a personal access token
+ * @returns {Promise<Object>} Token summary plus the plain token (shown only once)
+ */
+export const createToken = async (userId, { name, scopes, expiresInDays }) => {
+  try {
+    const activeCount = await PersonalAccessToken.countDocuments({ userId, revokedAt: null });
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      throw new Error(MESSAGES.PERSONAL_ACCESS_TOKEN_LIMIT);
+    }
+
+    const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateRandomToken()}`;
+
+    const record = await PersonalAccessToken.create({
+      userId,
+      name,
+      tokenHash: hashToken(token),
+      tokenHint: token.substring(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    logger.info(`Personal access token ${record._id} created for user ${userId}`);
+
+    return {
+      ...toTokenSummary(record),
+      token
+    };
+  } catch (error) {
+    logger.error(`Create personal access token error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List a user's active personal access tokens
+ */
+export const getTokens = async (userId) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+    return tokens.map(toTokenSummary);
+  } catch (error) {
+    logger.error(`Get personal access tokens error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a personal access token
+ */
+export const revokeToken = async (tokenId, userId) => {
+  try {
+    const token = await PersonalAccessToken.findOne({ _id: tokenId, userId, revokedAt: null });
+    if (!token) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    token.revokedAt = new Date();
+    await token.save();
+
+    logger.info(`Personal access token ${tokenId} revoked by user ${userId}`);
+  } catch (error) {
+    logger.error(`Revoke personal access token error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Resolve a presented token to its owner and scopes, recording when it was last used
+ * @returns {Promise<Object|null>} { userId, tokenId, scopes } or null if unusable
+ */
+export const verifyToken = async (token, context = {}) => {
+  const record = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) });
+  if (!record || !record.isUsable()) {
+    return null;
+  }
+
+  const user = await User.findById(record.userId).select('isActive').lean();
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    await PersonalAccessToken.updateOne(
+      { _id: record._id },
+      { lastUsedAt: new Date(), lastUsedIp: context.ip || null }
+    );
+  }
+
+  return {
+    userId: record.userId.toString(),
+    tokenId: record._id.toString(),
+    scopes: record.scopes
+  };
+};
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    // Every token issued for one login belongs to the same session (token family)
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      required: [true, 'Session ID is required'],
+      index: true
+    },
+    // SHA-256 hash of the opaque token; the raw value is never stored
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+    // Set once the token has been exchanged for a new one
+    rotatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Expired tokens are no longer needed for reuse detection
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
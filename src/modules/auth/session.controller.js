@@ -0,0 +1,109 @@
+import { validationResult } from 'express-validator';
+import { sendSuccess, sendError, sendValidationError } from '../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../config/constants.js';
+import * as sessionService from './session.service.js';
+import { getRequestContext } from '../../utils/request.util.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { refreshToken } = req.body;
+
+    const result = await sessionService.rotateRefreshToken(refreshToken, getRequestContext(req));
+
+    return sendSuccess(res, {
+      token: result.token,
+      refreshToken: result.refreshToken
+    }, 'Token refreshed successfully');
+  } catch (error) {
+    logger.error(`Refresh token controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.INVALID_REFRESH_TOKEN || error.message === MESSAGES.REFRESH_TOKEN_REUSED) {
+      return sendError(res, error.message, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Logout (revoke the session the refresh token belongs to)
+ */
+export const logout = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    await sessionService.revokeByRefreshToken(req.body.refreshToken);
+
+    return sendSuccess(res, null, 'Logged out successfully');
+  } catch (error) {
+    logger.error(`Logout controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.INVALID_REFRESH_TOKEN) {
+      return sendError(res, error.message, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Get active sessions (logged-in devices)
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.user.id, req.user.sid);
+    return sendSuccess(res, sessions, 'Sessions retrieved successfully');
+  } catch (error) {
+    logger.error(`Get sessions controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Revoke a single session
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await sessionService.revokeSession(id, req.user.id);
+
+    return sendSuccess(res, null, 'Session revoked successfully');
+  } catch (error) {
+    logger.error(`Revoke session controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Revoke all sessions except the current one
+ */
+export const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revokedCount = await sessionService.revokeAllSessions(req.user.id, {
+      exceptSessionId: req.user.sid
+    });
+
+    return sendSuccess(res, { revokedCount }, 'Other sessions revoked successfully');
+  } catch (error) {
+    logger.error(`Revoke other sessions controller error: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'User agent cannot exceed 500 characters']
+    },
+    ip: {
+      type: String,
+      trim: true
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'user_revoked', 'token_reuse', 'password_change', 'account_deletion', 'admin_deactivation', null],
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+
+// Remove sessions some time after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// A session can be used while it is neither revoked nor expired
+sessionSchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Ensure user can only access their own sessions
+sessionSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
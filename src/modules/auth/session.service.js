@@ -0,0 +1,245 @@
+import jwt from 'jsonwebtoken';
+import Session from './session.model.js';
+import RefreshToken from './refreshToken.model.js';
+import env from '../../config/env.js';
+import { MESSAGES, TOKEN_TYPES } from '../../config/constants.js';
+import { generateRandomToken, hashToken } from '../../utils/token.util.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Calculate refresh token expiry date
+ */
+const getRefreshExpiry = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + env.REFRESH_TOKEN_EXPIRE_DAYS);
+  return expiresAt;
+};
+
+/**
+ * Generate short-lived access token (JWT)
+ */
+export const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId, type: TOKEN_TYPES.ACCESS },
+    env.JWT_SECRET,
+    { expiresIn: env.JWT_EXPIRE }
+  );
+};
+
+/**
+ * Issue a new refresh token inside a session
+ */
+const issueRefreshToken = async (userId, sessionId) => {
+  const token = generateRandomToken(48);
+
+  await RefreshToken.create({
+    userId,
+    sessionId,
+    tokenHash: hashToken(token),
+    expiresAt: getRefreshExpiry()
+  });
+
+  return token;
+};
+
+/**
+ * Revoke a session by ID (internal, no ownership check)
+ */
+const revokeSessionById = async (sessionId, reason) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Start a new session and issue its first token pair
+ * @param {string} userId - User ID
+ * @param {Object} context - Request context ({ ip, userAgent })
+ * @returns {Promise<Object>} { token, refreshToken, sessionId }
+ */
+export const createSession = async (userId, context = {}) => {
+  try {
+    const session = await Session.create({
+      userId,
+      ip: context.ip,
+      userAgent: context.userAgent?.substring(0, 500),
+      expiresAt: getRefreshExpiry()
+    });
+
+    const refreshToken = await issueRefreshToken(userId, session._id);
+    const token = generateAccessToken(userId, session._id);
+
+    return {
+      token,
+      refreshToken,
+      sessionId: session._id
+    };
+  } catch (error) {
+    logger.error(`Create session error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting a token that was already rotated revokes the whole session,
+ * since only a copied token can be used twice.
+ */
+export const rotateRefreshToken = async (rawToken, context = {}) => {
+  try {
+    const existing = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+
+    if (!existing || existing.expiresAt <= new Date()) {
+      throw new Error(MESSAGES.INVALID_REFRESH_TOKEN);
+    }
+
+    const session = await Session.findById(existing.sessionId);
+    if (!session || !session.isUsable()) {
+      throw new Error(MESSAGES.INVALID_REFRESH_TOKEN);
+    }
+
+    // Mark as rotated atomically so concurrent requests cannot both succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: existing._id, rotatedAt: null },
+      { rotatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      logger.warn(`Refresh token reuse detected for user ${existing.userId}, session ${session._id}`);
+      await revokeSessionById(session._id, 'token_reuse');
+      throw new Error(MESSAGES.REFRESH_TOKEN_REUSED);
+    }
+
+    session.lastUsedAt = new Date();
+    session.expiresAt = getRefreshExpiry();
+    if (context.ip) session.ip = context.ip;
+    if (context.userAgent) session.userAgent = context.userAgent.substring(0, 500);
+    await session.save();
+
+    const refreshToken = await issueRefreshToken(existing.userId, session._id);
+    const token = generateAccessToken(existing.userId, session._id);
+
+    return {
+      token,
+      refreshToken,
+      sessionId: session._id
+    };
+  } catch (error) {
+    logger.error(`Rotate refresh token error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ */
+export const revokeByRefreshToken = async (rawToken) => {
+  try {
+    const existing = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) }).lean();
+
+    if (!existing) {
+      throw new Error(MESSAGES.INVALID_REFRESH_TOKEN);
+    }
+
+    await revokeSessionById(existing.sessionId, 'logout');
+    return { revoked: true };
+  } catch (error) {
+    logger.error(`Revoke by refresh token error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get active sessions for a user
+ */
+export const getActiveSessions = async (userId, currentSessionId = null) => {
+  try {
+    const sessions = await Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .select('userAgent ip lastUsedAt expiresAt createdAt')
+      .lean();
+
+    return sessions.map(session => ({
+      ...session,
+      isCurrent: currentSessionId ? session._id.toString() === currentSessionId.toString() : false
+    }));
+  } catch (error) {
+    logger.error(`Get active sessions error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a single session owned by the user
+ */
+export const revokeSession = async (sessionId, userId, reason = 'user_revoked') => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        userId,
+        revokedAt: null
+      },
+      {
+        revokedAt: new Date(),
+        revokedReason: reason
+      },
+      {
+        new: true
+      }
+    );
+
+    if (!session) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return session;
+  } catch (error) {
+    logger.error(`Revoke session error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Expire every refresh token a user holds, so none can be exchanged again
+ * @param {Object} dbSession - Database transaction to write in (optional)
+ */
+export const expireRefreshTokens = async (userId, dbSession = null) => {
+  const now = new Date();
+  await RefreshToken.updateMany(
+    { userId, expiresAt: { $gt: now } },
+    { expiresAt: now },
+    { session: dbSession }
+  );
+};
+
+/**
+ * Revoke all sessions for a user, optionally keeping one (the caller's)
+ * @param {Object} options - { exceptSessionId, reason, dbSession } (dbSession: database transaction to write in)
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export const revokeAllSessions = async (userId, { exceptSessionId = null, reason = 'user_revoked', dbSession = null } = {}) => {
+  try {
+    const query = { userId, revokedAt: null };
+
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(query, {
+      revokedAt: new Date(),
+      revokedReason: reason
+    }, { session: dbSession });
+
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error(`Revoke all sessions error: ${error.message}`);
+    throw error;
+  }
+};
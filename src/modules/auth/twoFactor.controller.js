@@ -0,0 +1,165 @@
+import { validationResult } from 'express-validator';
+import { sendSuccess, sendError, sendValidationError } from '../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../config/constants.js';
+import * as twoFactorService from './twoFactor.service.js';
+import { getRequestContext } from '../../utils/request.util.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Map two-factor service errors to responses
+ */
+const handleTwoFactorError = (error, res, next) => {
+  if (error.message === MESSAGES.INVALID_TWO_FACTOR_CODE
+    || error.message === MESSAGES.INVALID_TWO_FACTOR_CHALLENGE
+    || error.message === MESSAGES.INCORRECT_PASSWORD) {
+    return sendError(res, error.message, HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  if (error.message === MESSAGES.ACCOUNT_LOCKED) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+    return sendError(res, error.message, HTTP_STATUS.LOCKED);
+  }
+
+  if (error.message === MESSAGES.TWO_FACTOR_ALREADY_ENABLED) {
+    return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+  }
+
+  if (error.message === MESSAGES.TWO_FACTOR_NOT_ENABLED || error.message.includes('has not been started')) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (error.message === MESSAGES.USER_NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  next(error);
+};
+
+/**
+ * Require either a TOTP code or a recovery code in the body
+ */
+const getSecondFactor = (req, res) => {
+  const { code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    sendValidationError(res, [{
+      field: 'code',
+      message: 'Authenticator code or recovery code is required'
+    }]);
+    return null;
+  }
+
+  return { code, recoveryCode };
+};
+
+/**
+ * Get two-factor status
+ */
+export const getStatus = async (req, res, next) => {
+  try {
+    const status = await twoFactorService.getTwoFactorStatus(req.user.id);
+    return sendSuccess(res, status, 'Two-factor status retrieved successfully');
+  } catch (error) {
+    logger.error(`Get two-factor status controller error: ${error.message}`);
+    handleTwoFactorError(error, res, next);
+  }
+};
+
+/**
+ * Start two-factor enrolment
+ */
+export const setup = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.setupTwoFactor(req.user.id);
+    return sendSuccess(res, result, 'Scan the QR code with your authenticator app, then confirm with a code');
+  } catch (error) {
+    logger.error(`Setup two-factor controller error: ${error.message}`);
+    handleTwoFactorError(error, res, next);
+  }
+};
+
+/**
+ * Confirm two-factor enrolment
+ */
+export const confirm = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const result = await twoFactorService.confirmTwoFactor(req.user.id, req.body.code);
+
+    return sendSuccess(res, result, 'Two-factor authentication enabled. Store your recovery codes somewhere safe');
+  } catch (error) {
+    logger.error(`Confirm two-factor controller error: ${error.message}`);
+    handleTwoFactorError(error, res, next);
+  }
+};
+
+/**
+ * Second login step
+ */
+export const verifyLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const factor = getSecondFactor(req, res);
+    if (!factor) return;
+
+    const result = await twoFactorService.completeTwoFactorLogin(
+      req.body.challengeToken,
+      factor,
+      getRequestContext(req)
+    );
+
+    return sendSuccess(res, result, 'Login successful');
+  } catch (error) {
+    logger.error(`Verify two-factor login controller error: ${error.message}`);
+    handleTwoFactorError(error, res, next);
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ */
+export const disable = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const factor = getSecondFactor(req, res);
+    if (!factor) return;
+
+    await twoFactorService.disableTwoFactor(req.user.id, req.body.password, factor);
+
+    return sendSuccess(res, null, 'Two-factor authentication disabled');
+  } catch (error) {
+    logger.error(`Disable two-factor controller error: ${error.message}`);
+    handleTwoFactorError(error, res, next);
+  }
+};
+
+/**
+ * Regenerate recovery codes
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+    return sendSuccess(res, result, 'Recovery codes regenerated. Previous codes no longer work');
+  } catch (error) {
+    logger.error(`Regenerate recovery codes controller error: ${error.message}`);
+    handleTwoFactorError(error, res, next);
+  }
+};
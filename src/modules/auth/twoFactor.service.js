@@ -0,0 +1,353 @@
+import jwt from 'jsonwebtoken';
+import User from './auth.schema.js';
+import { createSession } from './session.service.js';
+import { assertNotLocked, registerFailedLogin, registerSuccessfulLogin } from './loginSecurity.service.js';
+import env from '../../config/env.js';
+import { MESSAGES, TOKEN_TYPES } from '../../config/constants.js';
+import { encrypt, decrypt } from '../../utils/vaultCrypto.util.js';
+import { generateSecret, verifyTOTP, buildOtpauthUri } from '../../utils/totp.util.js';
+import { generateRandomToken, hashToken } from '../../utils/token.util.js';
+import logger from '../../utils/logger.util.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = 'LifeOS';
+
+/**
+ * Normalize a recovery code as typed by the user (case and dashes don't matter)
+ */
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes: plain codes shown once, records: hashed codes to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateRandomToken(5); // 10 hex characters
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const records = codes.map(code => ({
+    codeHash: hashToken(normalizeRecoveryCode(code)),
+    usedAt: null
+  }));
+
+  return { codes, records };
+};
+
+/**
+ * Generate the short-lived token returned by login when a second factor is needed
+ */
+export const generateChallengeToken = (userId) => {
+  return jwt.sign(
+    { id: userId, type: TOKEN_TYPES.TWO_FACTOR_CHALLENGE },
+    env.JWT_SECRET,
+    { expiresIn: env.TWO_FACTOR_CHALLENGE_EXPIRE }
+  );
+};
+
+/**
+ * Decode a challenge token, rejecting anything that isn't one
+ */
+const verifyChallengeToken = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, env.JWT_SECRET);
+    if (decoded.type !== TOKEN_TYPES.TWO_FACTOR_CHALLENGE) {
+      throw new Error('Wrong token type');
+    }
+    return decoded;
+  } catch (error) {
+    throw new Error(MESSAGES.INVALID_TWO_FACTOR_CHALLENGE);
+  }
+};
+
+/**
+ * Check a TOTP code against the user's secret and consume its time step
+ */
+const consumeTotpCode = async (user, code) => {
+  if (!user.twoFactor?.secret) {
+    throw new Error(MESSAGES.INVALID_TWO_FACTOR_CODE);
+  }
+
+  const step = verifyTOTP(decrypt(user.twoFactor.secret), code);
+  if (step === null) {
+    throw new Error(MESSAGES.INVALID_TWO_FACTOR_CODE);
+  }
+
+  // Only accept steps newer than the last one used (prevents replaying a code)
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    throw new Error(MESSAGES.INVALID_TWO_FACTOR_CODE);
+  }
+};
+
+/**
+ * Mark a recovery code as used (each code works once)
+ */
+const consumeRecoveryCode = async (userId, recoveryCode) => {
+  const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } }
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    throw new Error(MESSAGES.INVALID_TWO_FACTOR_CODE);
+  }
+};
+
+/**
+ * Verify a second factor: either a TOTP code or a recovery code
+ * @returns {Promise<string>} Method used ('totp' or 'recovery_code')
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    await consumeTotpCode(user, code);
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    await consumeRecoveryCode(user._id, recoveryCode);
+    return 'recovery_code';
+  }
+
+  throw new Error(MESSAGES.INVALID_TWO_FACTOR_CODE);
+};
+
+/**
+ * Load a user with the hidden two-factor fields
+ */
+const findUserWithTwoFactor = (userId, extraFields = '') => {
+  return User.findById(userId).select(
+    `+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep ${extraFields}`.trim()
+  );
+};
+
+/**
+ * Get two-factor status
+ */
+export const getTwoFactorStatus = async (userId) => {
+  try {
+    const user = await User.findById(userId).select('twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes');
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    const recoveryCodes = user.twoFactor?.recoveryCodes || [];
+
+    return {
+      enabled: user.twoFactor?.enabled || false,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: recoveryCodes.filter(c => !c.usedAt).length
+    };
+  } catch (error) {
+    logger.error(`Get two-factor status error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Start enrolment: generate a secret and return it with an otpauth URI.
+ * Nothing changes for login until the secret is confirmed with a code.
+ */
+export const setupTwoFactor = async (userId) => {
+  try {
+    const user = await findUserWithTwoFactor(userId);
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (user.twoFactor?.enabled) {
+      throw new Error(MESSAGES.TWO_FACTOR_ALREADY_ENABLED);
+    }
+
+    const secret = generateSecret();
+
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email, TOTP_ISSUER)
+    };
+  } catch (error) {
+    logger.error(`Setup two-factor error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app.
+ * Returns the recovery codes; they are only ever shown this once.
+ */
+export const confirmTwoFactor = async (userId, code) => {
+  try {
+    const user = await findUserWithTwoFactor(userId);
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (user.twoFactor?.enabled) {
+      throw new Error(MESSAGES.TWO_FACTOR_ALREADY_ENABLED);
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    const step = verifyTOTP(decrypt(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      throw new Error(MESSAGES.INVALID_TWO_FACTOR_CODE);
+    }
+
+    const { codes, records } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = records;
+    user.twoFactor.lastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication enabled for user ${userId}`);
+
+    return { recoveryCodes: codes };
+  } catch (error) {
+    logger.error(`Confirm two-factor error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Second login step: exchange a challenge token plus a code for a session
+ */
+export const completeTwoFactorLogin = async (challengeToken, factor, context = {}) => {
+  try {
+    const decoded = verifyChallengeToken(challengeToken);
+
+    const user = await findUserWithTwoFactor(decoded.id);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      throw new Error(MESSAGES.INVALID_TWO_FACTOR_CHALLENGE);
+    }
+
+    await assertNotLocked(user, context);
+
+    let method;
+    try {
+      method = await verifySecondFactor(user, factor);
+    } catch (error) {
+      // Wrong codes count towards the lockout like wrong passwords
+      await registerFailedLogin(user, context, 'invalid_two_factor');
+      throw error;
+    }
+
+    const { isNewUserAgent } = await registerSuccessfulLogin(user, context);
+
+    await user.updateLastLogin();
+
+    const { token, refreshToken } = await createSession(user._id, context);
+
+    if (method === 'recovery_code') {
+      logger.info(`User ${user._id} logged in with a recovery code`);
+    }
+
+    return {
+      user: user.toJSON(),
+      token,
+      refreshToken,
+      isNewUserAgent
+    };
+  } catch (error) {
+    logger.error(`Complete two-factor login error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Disable two-factor authentication (requires password and a second factor)
+ */
+export const disableTwoFactor = async (userId, password, factor) => {
+  try {
+    const user = await findUserWithTwoFactor(userId, '+password');
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (!user.twoFactor?.enabled) {
+      throw new Error(MESSAGES.TWO_FACTOR_NOT_ENABLED);
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      throw new Error(MESSAGES.INCORRECT_PASSWORD);
+    }
+
+    await verifySecondFactor(user, factor);
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.recoveryCodes': '',
+          'twoFactor.lastUsedStep': ''
+        }
+      }
+    );
+
+    logger.info(`Two-factor authentication disabled for user ${userId}`);
+  } catch (error) {
+    logger.error(`Disable two-factor error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Replace all recovery codes (requires a current TOTP code)
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+  try {
+    const user = await findUserWithTwoFactor(userId);
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (!user.twoFactor?.enabled) {
+      throw new Error(MESSAGES.TWO_FACTOR_NOT_ENABLED);
+    }
+
+    await consumeTotpCode(user, code);
+
+    const { codes, records } = generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'twoFactor.recoveryCodes': records } }
+    );
+
+    return { recoveryCodes: codes };
+  } catch (error) {
+    logger.error(`Regenerate recovery codes error: ${error.message}`);
+    throw error;
+  }
+};
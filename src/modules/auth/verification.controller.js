@@ -0,0 +1,56 @@
+import { validationResult } from 'express-validator';
+import { sendSuccess, sendError, sendValidationError } from '../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../config/constants.js';
+import * as verificationService from './verification.service.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Verify email address (link from the verification email)
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const user = await verificationService.verifyEmail(req.query.token);
+
+    return sendSuccess(res, {
+      email: user.email,
+      isEmailVerified: user.isEmailVerified,
+      emailVerifiedAt: user.emailVerifiedAt
+    }, 'Email verified successfully');
+  } catch (error) {
+    logger.error(`Verify email controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.INVALID_VERIFICATION_TOKEN) {
+      return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Resend the verification email
+ */
+export const resendVerification = async (req, res, next) => {
+  try {
+    await verificationService.resendVerification(req.user.id);
+
+    return sendSuccess(res, null, 'Verification email sent');
+  } catch (error) {
+    logger.error(`Resend verification controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.EMAIL_ALREADY_VERIFIED) {
+      return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+    }
+
+    if (error.message === MESSAGES.USER_NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
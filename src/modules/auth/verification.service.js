@@ -0,0 +1,106 @@
+import User from './auth.schema.js';
+import AuthToken from './authToken.model.js';
+import { emailVerificationEmail } from './auth.emails.js';
+import env from '../../config/env.js';
+import { MESSAGES } from '../../config/constants.js';
+import { sendMail } from '../../utils/mailer.util.js';
+import { generateRandomToken, hashToken } from '../../utils/token.util.js';
+import logger from '../../utils/logger.util.js';
+
+/**
+ * Create a verification token and email it to the user.
+ * Any earlier unused verification links stop working.
+ */
+export const sendVerificationEmail = async (user) => {
+  try {
+    await AuthToken.deleteMany({ userId: user._id, purpose: 'email_verification', usedAt: null });
+
+    const token = generateRandomToken();
+    const expiresAt = new Date(Date.now() + env.EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000);
+
+    await AuthToken.create({
+      userId: user._id,
+      purpose: 'email_verification',
+      tokenHash: hashToken(token),
+      expiresAt
+    });
+
+    await sendMail({
+      to: user.email,
+      ...emailVerificationEmail(user.name, token, env.EMAIL_VERIFICATION_EXPIRE_HOURS)
+    });
+  } catch (error) {
+    logger.error(`Send verification email error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Verify email address using a token from the verification email
+ */
+export const verifyEmail = async (token) => {
+  try {
+    // Claim the token atomically so it can only be used once
+    const verificationToken = await AuthToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        purpose: 'email_verification',
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        usedAt: new Date()
+      },
+      {
+        new: true
+      }
+    );
+
+    if (!verificationToken) {
+      throw new Error(MESSAGES.INVALID_VERIFICATION_TOKEN);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      verificationToken.userId,
+      {
+        isEmailVerified: true,
+        emailVerifiedAt: new Date()
+      },
+      {
+        new: true
+      }
+    );
+
+    if (!user) {
+      throw new Error(MESSAGES.INVALID_VERIFICATION_TOKEN);
+    }
+
+    logger.info(`Email verified for user ${user._id}`);
+
+    return user;
+  } catch (error) {
+    logger.error(`Verify email error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Resend the verification email to a logged-in user
+ */
+export const resendVerification = async (userId) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (user.isEmailVerified) {
+      throw new Error(MESSAGES.EMAIL_ALREADY_VERIFIED);
+    }
+
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error(`Resend verification error: ${error.message}`);
+    throw error;
+  }
+};
@@ -0,0 +1,190 @@
+import { validationResult } from 'express-validator';
+import { sendSuccess, sendError, sendValidationError } from '../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../config/constants.js';
+import * as coupleService from './couple.service.js';
+import logger from '../../utils/logger.util.js';
+
+const NOT_FOUND_ERRORS = [MESSAGES.NOT_FOUND, MESSAGES.USER_NOT_FOUND];
+const FORBIDDEN_ERRORS = [
+  MESSAGES.SHARED_FEATURES_NOT_AVAILABLE,
+  MESSAGES.SHARED_ITEM_OWNER_ONLY,
+  MESSAGES.PARTNER_EMAIL_NOT_VERIFIED
+];
+const CONFLICT_ERRORS = [
+  MESSAGES.ALREADY_HAS_PARTNER,
+  MESSAGES.PARTNER_HAS_PARTNER,
+  MESSAGES.PARTNER_INVITE_PENDING
+];
+const BAD_REQUEST_ERRORS = [
+  MESSAGES.CANNOT_INVITE_SELF,
+  MESSAGES.INVALID_PARTNER_INVITE,
+  MESSAGES.NO_PARTNER
+];
+
+/**
+ * Map couple service errors to responses
+ */
+const handleCoupleError = (error, res, next) => {
+  if (NOT_FOUND_ERRORS.includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (FORBIDDEN_ERRORS.includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (CONFLICT_ERRORS.includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+  }
+
+  if (BAD_REQUEST_ERRORS.includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+/**
+ * Get the current partner
+ */
+export const getPartnership = async (req, res, next) => {
+  try {
+    const partnership = await coupleService.getPartnership(req.user.id);
+    return sendSuccess(res, partnership, 'Partnership retrieved successfully');
+  } catch (error) {
+    logger.error(`Get partnership controller error: ${error.message}`);
+    handleCoupleError(error, res, next);
+  }
+};
+
+/**
+ * Unlink from the current partner
+ */
+export const unlinkPartner = async (req, res, next) => {
+  try {
+    const result = await coupleService.unlinkPartner(req.user.id);
+    return sendSuccess(res, result, 'Partner unlinked successfully');
+  } catch (error) {
+    logger.error(`Unlink partner controller error: ${error.message}`);
+    handleCoupleError(error, res, next);
+  }
+};
+
+/**
+ * Invite a partner by email
+ */
+export const sendInvite = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const invite = await coupleService.sendInvite(req.user.id, req.body.email);
+    return sendSuccess(res, invite, 'Partner invite sent successfully', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error(`Send partner invite controller error: ${error.message}`);
+    handleCoupleError(error, res, next);
+  }
+};
+
+/**
+ * List sent and received invites
+ */
+export const getInvites = async (req, res, next) => {
+  try {
+    const invites = await coupleService.getInvites(req.user.id);
+    return sendSuccess(res, invites, 'Partner invites retrieved successfully');
+  } catch (error) {
+    logger.error(`Get partner invites controller error: ${error.message}`);
+    handleCoupleError(error, res, next);
+  }
+};
+
+/**
+ * Accept a received invite
+ */
+export const acceptInvite = async (req, res, next) => {
+  try {
+    const partnership = await coupleService.acceptInvite(req.params.id, req.user.id);
+    return sendSuccess(res, partnership, 'Partner invite accepted successfully');
+  } catch (error) {
+    logger.error(`Accept partner invite controller error: ${error.message}`);
+    handleCoupleError(error, res, next);
+  }
+};
+
+/**
+ * Decline a received invite
+ */
+export const declineInvite = async (req, res, next) => {
+  try {
+    await coupleService.declineInvite(req.params.id, req.user.id);
+    return sendSuccess(res, null, 'Partner invite declined successfully');
+  } catch (error) {
+    logger.error(`Decline partner invite controller error: ${error.message}`);
+    handleCoupleError(error, res, next);
+  }
+};
+
+/**
+ * Cancel a sent invite
+ */
+export const cancelInvite = async (req, res, next) => {
+  try {
+    await coupleService.cancelInvite(req.params.id, req.user.id);
+    return sendSuccess(res, null, 'Partner invite cancelled successfully');
+  } catch (error) {
+    logger.error(`Cancel partner invite controller error: ${error.message}`);
+    handleCoupleError(error, res, next);
+  }
+};
+
+/**
+ * List items shared between partners
+ */
+export const getSharedItems = async (req, res, next) => {
+  try {
+    const items = await coupleService.getSharedItems(req.user.id);
+    return sendSuccess(res, items, 'Shared items retrieved successfully');
+  } catch (error) {
+    logger.error(`Get shared items controller error: ${error.message}`);
+    handleCoupleError(error, res, next);
+  }
+};
+
+/**
+ * Share an item with the partner
+ */
+export const shareItem = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const item = await coupleService.setItemShared(req.params.type, req.params.id, req.user.id, true);
+    return sendSuccess(res, item, 'Item shared successfully');
+  } catch (error) {
+    logger.error(`Share item controller error: ${error.message}`);
+    handleCoupleError(error, res, next);
+  }
+};
+
+/**
+ * Make a shared item private again
+ */
+export const unshareItem = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const item = await coupleService.setItemShared(req.params.type, req.params.id, req.user.id, false);
+    return sendSuccess(res, item, 'Item unshared successfully');
+  } catch (error) {
+    logger.error(`Unshare item controller error: ${error.message}`);
+    handleCoupleError(error, res, next);
+  }
+};
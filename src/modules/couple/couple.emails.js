@@ -0,0 +1,31 @@
+import env from '../../config/env.js';
+import { escapeHtml } from '../../utils/mailer.util.js';
+
+/**
+ * Email templates for the couple module
+ * Each builder returns { subject, text, html } for mailer.util.sendMail
+ */
+
+/**
+ * Invitation to link accounts as partners
+ */
+export const partnerInviteEmail = (inviterName, expiresInDays) => {
+  const link = `${env.CLIENT_URL}/partner/invites`;
+
+  return {
+    subject: `${inviterName} invited you to share LifeOS`,
+    text: `Hi,\n\n${inviterName} has invited you to link your LifeOS accounts as partners, so you can share trips, gift ideas, watch lists and wishlists. Log in (or sign up with this email address) to accept or decline:\n\n${link}\n\nThe invite expires in ${expiresInDays} days. If you don't know ${inviterName}, you can ignore this email.`,
+    html: `<p>Hi,</p><p><strong>${escapeHtml(inviterName)}</strong> has invited you to link your LifeOS accounts as partners, so you can share trips, gift ideas, watch lists and wishlists.</p><p><a href="${link}">View invite</a></p><p>Log in, or sign up with this email address, to accept or decline. The invite expires in ${expiresInDays} days. If you don't know ${escapeHtml(inviterName)}, you can ignore this email.</p>`
+  };
+};
+
+/**
+ * Partner invite accepted
+ */
+export const partnerInviteAcceptedEmail = (name, partnerName) => {
+  return {
+    subject: `${partnerName} accepted your LifeOS partner invite`,
+    text: `Hi ${name},\n\n${partnerName} accepted your invite. You can now share trips, gift ideas, watch items and wishlist items with each other.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p><strong>${escapeHtml(partnerName)}</strong> accepted your invite. You can now share trips, gift ideas, watch items and wishlist items with each other.</p>`
+  };
+};
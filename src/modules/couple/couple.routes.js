@@ -0,0 +1,40 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import * as coupleController from './couple.controller.js';
+import { SHAREABLE_MODELS } from './couple.service.js';
+import { authenticateSession } from '../../middlewares/auth.middleware.js';
+import { authLimiter } from '../../middlewares/rateLimit.middleware.js';
+
+const router = express.Router();
+
+// Linking partners is an account-level action, so personal access tokens are not accepted
+router.use(authenticateSession);
+
+// Validation rules
+const inviteValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+const sharedItemValidation = [
+  param('type')
+    .isIn(Object.keys(SHAREABLE_MODELS))
+    .withMessage(`Type must be one of: ${Object.keys(SHAREABLE_MODELS).join(', ')}`)
+];
+
+// Routes
+router.get('/', coupleController.getPartnership);
+router.delete('/', coupleController.unlinkPartner);
+router.get('/invites', coupleController.getInvites);
+router.post('/invites', authLimiter, inviteValidation, coupleController.sendInvite);
+router.post('/invites/:id/accept', coupleController.acceptInvite);
+router.post('/invites/:id/decline', coupleController.declineInvite);
+router.delete('/invites/:id', coupleController.cancelInvite);
+router.get('/shared', coupleController.getSharedItems);
+router.put('/shared/:type/:id', sharedItemValidation, coupleController.shareItem);
+router.delete('/shared/:type/:id', sharedItemValidation, coupleController.unshareItem);
+
+export default router;
@@ -0,0 +1,407 @@
+import PartnerInvite from './partnerInvite.model.js';
+import SharedSpace from './sharedSpace.model.js';
+import User from '../auth/auth.schema.js';
+import Trip from '../trips/trip.model.js';
+import GiftIdea from '../gifting/gifting.model.js';
+import WatchItem from '../watch/watch.model.js';
+import WishlistItem from '../money/wishlist/wishlist.model.js';
+import { getActiveSpace, findAccessibleItem } from './sharedSpace.service.js';
+import { partnerInviteEmail, partnerInviteAcceptedEmail } from './couple.emails.js';
+import { canAccessFeature } from '../../utils/subscription.util.js';
+import { sendMail } from '../../utils/mailer.util.js';
+import logger from '../../utils/logger.util.js';
+import { MESSAGES } from '../../config/constants.js';
+
+const INVITE_EXPIRE_DAYS = 7;
+
+/**
+ * Item types that can be shared with a partner, keyed by the name used in routes
+ */
+export const SHAREABLE_MODELS = {
+  trips: Trip,
+  gifts: GiftIdea,
+  watch: WatchItem,
+  wishlist: WishlistItem
+};
+
+/**
+ * Check whether at least one of the users is on a plan with shared features
+ */
+const hasSharedFeatures = async (userIds) => {
+  const users = await User.find({ _id: { $in: userIds } }).select('subscription');
+  return users.some(user => canAccessFeature(user, 'sharedFeatures'));
+};
+
+/**
+ * Shape an invite for API responses
+ */
+const toInviteSummary = (invite) => ({
+  _id: invite._id,
+  inviter: invite.inviterId?.name
+    ? { _id: invite.inviterId._id, name: invite.inviterId.name, email: invite.inviterId.email }
+    : invite.inviterId,
+  inviteeEmail: invite.inviteeEmail,
+  status: invite.status,
+  expiresAt: invite.expiresAt,
+  createdAt: invite.createdAt
+});
+
+/**
+ * Unshare every item in a space and mark the space dissolved
+ * @returns {Promise<Object>} Number of items unshared per type
+ */
+const dissolveSpace = async (space, dissolvedBy) => {
+  const unshared = {};
+
+  for (const [type, Model] of Object.entries(SHAREABLE_MODELS)) {
+    const result = await Model.updateMany({ sharedSpaceId: space._id }, { sharedSpaceId: null });
+    unshared[type] = result.modifiedCount;
+  }
+
+  space.status = 'dissolved';
+  space.dissolvedAt = new Date();
+  space.dissolvedBy = dissolvedBy;
+  await space.save();
+
+  return unshared;
+};
+
+/**
+ * Invite someone by email to become the user's partner
+ */
+export const sendInvite = async (userId, email) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (!canAccessFeature(user, 'sharedFeatures')) {
+      throw new Error(MESSAGES.SHARED_FEATURES_NOT_AVAILABLE);
+    }
+
+    const inviteeEmail = email.trim().toLowerCase();
+    if (inviteeEmail === user.email) {
+      throw new Error(MESSAGES.CANNOT_INVITE_SELF);
+    }
+
+    if (await getActiveSpace(userId)) {
+      throw new Error(MESSAGES.ALREADY_HAS_PARTNER);
+    }
+
+    const pendingInvite = await PartnerInvite.findOne({
+      inviterId: userId,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (pendingInvite) {
+      throw new Error(MESSAGES.PARTNER_INVITE_PENDING);
+    }
+
+    // Whether the invitee has an account or a partner is only checked on acceptance,
+    // so the invite does not reveal who is registered
+    const invite = await PartnerInvite.create({
+      inviterId: userId,
+      inviteeEmail,
+      expiresAt: new Date(Date.now() + INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    try {
+      await sendMail({ to: inviteeEmail, ...partnerInviteEmail(user.name, INVITE_EXPIRE_DAYS) });
+    } catch (error) {
+      logger.error(`Failed to send partner invite email: ${error.message}`);
+    }
+
+    logger.info(`Partner invite ${invite._id} sent by user ${userId}`);
+
+    return toInviteSummary(invite);
+  } catch (error) {
+    logger.error(`Send partner invite error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List pending invites the user has sent and received
+ */
+export const getInvites = async (userId) => {
+  try {
+    const user = await User.findById(userId).select('email');
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    const pending = { status: 'pending', expiresAt: { $gt: new Date() } };
+
+    const [sent, received] = await Promise.all([
+      PartnerInvite.find({ inviterId: userId, ...pending }).sort({ createdAt: -1 }),
+      PartnerInvite.find({ inviteeEmail: user.email, ...pending })
+        .populate('inviterId', 'name email')
+        .sort({ createdAt: -1 })
+    ]);
+
+    return {
+      sent: sent.map(toInviteSummary),
+      received: received.map(toInviteSummary)
+    };
+  } catch (error) {
+    logger.error(`Get partner invites error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Accept an invite addressed to the user's email and create the shared space
+ */
+export const acceptInvite = async (inviteId, userId) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    const invite = await PartnerInvite.findOne({ _id: inviteId, inviteeEmail: user.email });
+    if (!invite || !invite.isPending()) {
+      throw new Error(MESSAGES.INVALID_PARTNER_INVITE);
+    }
+
+    // Proves the invitee controls the address the invite was sent to
+    if (!user.isEmailVerified) {
+      throw new Error(MESSAGES.PARTNER_EMAIL_NOT_VERIFIED);
+    }
+
+    const inviter = await User.findById(invite.inviterId);
+    if (!inviter || !inviter.isActive) {
+      throw new Error(MESSAGES.INVALID_PARTNER_INVITE);
+    }
+
+    if (await getActiveSpace(userId)) {
+      throw new Error(MESSAGES.ALREADY_HAS_PARTNER);
+    }
+
+    if (await getActiveSpace(inviter._id)) {
+      throw new Error(MESSAGES.PARTNER_HAS_PARTNER);
+    }
+
+    if (!(await hasSharedFeatures([inviter._id, user._id]))) {
+      throw new Error(MESSAGES.SHARED_FEATURES_NOT_AVAILABLE);
+    }
+
+    // Claim the invite atomically so a double submit can't create two spaces
+    const claimed = await PartnerInvite.findOneAndUpdate(
+      { _id: invite._id, status: 'pending' },
+      { status: 'accepted', inviteeId: userId, respondedAt: new Date() }
+    );
+    if (!claimed) {
+      throw new Error(MESSAGES.INVALID_PARTNER_INVITE);
+    }
+
+    const space = await SharedSpace.create({
+      members: [inviter._id, user._id],
+      createdBy: inviter._id
+    });
+
+    // Neither partner can be linked to anyone else now
+    await PartnerInvite.updateMany(
+      {
+        status: 'pending',
+        $or: [
+          { inviterId: { $in: [inviter._id, user._id] } },
+          { inviteeEmail: { $in: [inviter.email, user.email] } }
+        ]
+      },
+      { status: 'cancelled', respondedAt: new Date() }
+    );
+
+    try {
+      await sendMail({ to: inviter.email, ...partnerInviteAcceptedEmail(inviter.name, user.name) });
+    } catch (error) {
+      logger.error(`Failed to send partner invite accepted email: ${error.message}`);
+    }
+
+    logger.info(`Users ${inviter._id} and ${user._id} linked in shared space ${space._id}`);
+
+    return getPartnership(userId);
+  } catch (error) {
+    logger.error(`Accept partner invite error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Decline an invite addressed to the user's email
+ */
+export const declineInvite = async (inviteId, userId) => {
+  try {
+    const user = await User.findById(userId).select('email');
+    if (!user) {
+      throw new Error(MESSAGES.USER_NOT_FOUND);
+    }
+
+    const invite = await PartnerInvite.findOne({ _id: inviteId, inviteeEmail: user.email });
+    if (!invite || !invite.isPending()) {
+      throw new Error(MESSAGES.INVALID_PARTNER_INVITE);
+    }
+
+    invite.status = 'declined';
+    invite.inviteeId = userId;
+    invite.respondedAt = new Date();
+    await invite.save();
+
+    logger.info(`Partner invite ${inviteId} declined by user ${userId}`);
+  } catch (error) {
+    logger.error(`Decline partner invite error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Cancel an invite the user sent
+ */
+export const cancelInvite = async (inviteId, userId) => {
+  try {
+    const invite = await PartnerInvite.findOneAndUpdate(
+      { _id: inviteId, inviterId: userId, status: 'pending' },
+      { status: 'cancelled', respondedAt: new Date() }
+    );
+
+    if (!invite) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    logger.info(`Partner invite ${inviteId} cancelled by user ${userId}`);
+  } catch (error) {
+    logger.error(`Cancel partner invite error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's current partner and how much they share
+ * @returns {Promise<Object|null>} Partnership details, or null when not linked
+ */
+export const getPartnership = async (userId) => {
+  try {
+    const space = await getActiveSpace(userId);
+    if (!space) {
+      return null;
+    }
+
+    const partner = await User.findById(space.getPartnerId(userId)).select('name email profileImage').lean();
+
+    const sharedCounts = {};
+    for (const [type, Model] of Object.entries(SHAREABLE_MODELS)) {
+      sharedCounts[type] = await Model.countDocuments({ sharedSpaceId: space._id });
+    }
+
+    return {
+      _id: space._id,
+      partner,
+      linkedAt: space.createdAt,
+      sharedCounts
+    };
+  } catch (error) {
+    logger.error(`Get partnership error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Unlink from the current partner. Shared items go back to being private to their owners.
+ */
+export const unlinkPartner = async (userId) => {
+  try {
+    const space = await getActiveSpace(userId);
+    if (!space) {
+      throw new Error(MESSAGES.NO_PARTNER);
+    }
+
+    const unshared = await dissolveSpace(space, userId);
+
+    logger.info(`Shared space ${space._id} dissolved by user ${userId}`);
+
+    return { unshared };
+  } catch (error) {
+    logger.error(`Unlink partner error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Share an item with the user's partner, or make it private again.
+ * Only the item's owner can change this.
+ */
+export const setItemShared = async (type, itemId, userId, shared) => {
+  try {
+    const Model = SHAREABLE_MODELS[type];
+    if (!Model) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const item = await findAccessibleItem(Model, itemId, userId);
+    if (!item.isOwner(userId)) {
+      throw new Error(MESSAGES.SHARED_ITEM_OWNER_ONLY);
+    }
+
+    let sharedSpaceId = null;
+    if (shared) {
+      const space = await getActiveSpace(userId);
+      if (!space) {
+        throw new Error(MESSAGES.NO_PARTNER);
+      }
+
+      if (!(await hasSharedFeatures(space.members))) {
+        throw new Error(MESSAGES.SHARED_FEATURES_NOT_AVAILABLE);
+      }
+
+      sharedSpaceId = space._id;
+    }
+
+    return await Model.findByIdAndUpdate(itemId, { sharedSpaceId }, { new: true });
+  } catch (error) {
+    logger.error(`Set item shared error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List everything shared between the user and their partner, grouped by type
+ */
+export const getSharedItems = async (userId) => {
+  try {
+    const space = await getActiveSpace(userId);
+    if (!space) {
+      throw new Error(MESSAGES.NO_PARTNER);
+    }
+
+    const items = {};
+    for (const [type, Model] of Object.entries(SHAREABLE_MODELS)) {
+      items[type] = await Model.find({ sharedSpaceId: space._id }).sort({ updatedAt: -1 }).lean();
+    }
+
+    return items;
+  } catch (error) {
+    logger.error(`Get shared items error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Remove a user from partner sharing entirely (used by account deletion).
+ * Dissolves their space so the partner keeps only their own items, and deletes their invites.
+ * @returns {Promise<Object>} { sharedSpaces, partnerInvites } records removed
+ */
+export const removeUserFromSharing = async (user) => {
+  const space = await getActiveSpace(user._id);
+  if (space) {
+    await dissolveSpace(space, user._id);
+  }
+
+  const partnerInvites = (await PartnerInvite.deleteMany({
+    $or: [{ inviterId: user._id }, { inviteeId: user._id }, { inviteeEmail: user.email }]
+  })).deletedCount;
+
+  const sharedSpaces = (await SharedSpace.deleteMany({ members: user._id })).deletedCount;
+
+  return { sharedSpaces, partnerInvites };
+};
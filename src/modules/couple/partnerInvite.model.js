@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const partnerInviteSchema = new mongoose.Schema(
+  {
+    inviterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Inviter ID is required'],
+      index: true
+    },
+    inviteeEmail: {
+      type: String,
+      required: [true, 'Invitee email is required'],
+      lowercase: true,
+      trim: true,
+      index: true
+    },
+    // Filled in when the invite is answered
+    inviteeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'cancelled'],
+      default: 'pending',
+      index: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+partnerInviteSchema.index({ inviterId: 1, status: 1 });
+partnerInviteSchema.index({ inviteeEmail: 1, status: 1 });
+
+// Check whether the invite can still be answered
+partnerInviteSchema.methods.isPending = function () {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+const PartnerInvite = mongoose.model('PartnerInvite', partnerInviteSchema);
+
+export default PartnerInvite;
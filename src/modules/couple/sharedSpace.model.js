@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const sharedSpaceSchema = new mongoose.Schema(
+  {
+    // The two linked partners
+    members: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }],
+      validate: {
+        validator: (members) => members.length === 2,
+        message: 'A shared space must have exactly two members'
+      }
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['active', 'dissolved'],
+      default: 'active'
+    },
+    dissolvedAt: {
+      type: Date,
+      default: null
+    },
+    dissolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// A user belongs to at most one active space
+sharedSpaceSchema.index({ members: 1, status: 1 });
+
+// Check whether a user is one of the partners
+sharedSpaceSchema.methods.isMember = function (userId) {
+  return this.members.some(memberId => memberId.toString() === userId.toString());
+};
+
+// The other partner's ID
+sharedSpaceSchema.methods.getPartnerId = function (userId) {
+  return this.members.find(memberId => memberId.toString() !== userId.toString()) || null;
+};
+
+const SharedSpace = mongoose.model('SharedSpace', sharedSpaceSchema);
+
+export default SharedSpace;
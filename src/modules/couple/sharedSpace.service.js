@@ -0,0 +1,44 @@
+import SharedSpace from './sharedSpace.model.js';
+import { MESSAGES } from '../../config/constants.js';
+
+/**
+ * Get the user's active shared space, or null if they have no partner
+ */
+export const getActiveSpace = async (userId) => {
+  return SharedSpace.findOne({ members: userId, status: 'active' });
+};
+
+/**
+ * Work out which items a user can reach: their own, plus anything shared into their space
+ * @returns {Promise<Object>} { spaceId, filter } where filter is a query fragment
+ */
+export const getSharedAccess = async (userId) => {
+  const space = await SharedSpace.findOne({ members: userId, status: 'active' }).select('_id').lean();
+
+  if (!space) {
+    return { spaceId: null, filter: { userId } };
+  }
+
+  return {
+    spaceId: space._id,
+    filter: { $or: [{ userId }, { sharedSpaceId: space._id }] }
+  };
+};
+
+/**
+ * Load an item the user owns or that has been shared with them
+ * @param {mongoose.Model} Model - Model whose schema defines canAccess
+ * @throws {Error} NOT_FOUND when the item is missing or not accessible
+ */
+export const findAccessibleItem = async (Model, itemId, userId) => {
+  const [item, { spaceId }] = await Promise.all([
+    Model.findById(itemId),
+    getSharedAccess(userId)
+  ]);
+
+  if (!item || !item.canAccess(userId, spaceId)) {
+    throw new Error(MESSAGES.NOT_FOUND);
+  }
+
+  return item;
+};
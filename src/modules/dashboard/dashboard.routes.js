@@ -1,11 +1,11 @@
 import express from 'express';
 import * as dashboardController from './dashboard.controller.js';
-import { authenticate } from '../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../middlewares/auth.middleware.js';
 
 const router = express.Router();
 
 // All dashboard routes require authentication
-router.use(authenticate);
+router.use(authenticate, requireScope('dashboard'));
 
 // Routes
 router.get('/', dashboardController.getDashboard);
@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import User from '../auth/auth.schema.js';
 import Trip from '../trips/trip.model.js';
 import Subscription from '../subscriptions/subscription.model.js';
@@ -9,6 +10,11 @@ import Fund from '../money/funds/fund.model.js';
 import WatchItem from '../watch/watch.model.js';
 import DiaryEntry from '../diary/diary.model.js';
 import Idea from '../ideas/idea.model.js';
+import { getBudgetAlerts } from '../money/budgets/budget.service.js';
+import { getOutstandingBalance } from '../money/debts/debt.service.js';
+import { getNetWorth } from '../money/netWorth/netWorth.service.js';
+import { getBaseCurrency, createConverter } from '../exchangeRates/exchangeRate.service.js';
+import { SERVER_TIMEZONE } from '../../utils/date.util.js';
 import logger from '../../utils/logger.util.js';
 
 /**
@@ -210,89 +216,84 @@ const getMoneySnapshot = async (userId) => {
   try {
     const currentMonth = getCurrentMonth();
     const { startDate, endDate } = getCurrentMonthRange();
+
+    // Aggregation pipelines don't cast, so match on a real ObjectId
+    const ownerId = new mongoose.Types.ObjectId(userId);
     
-    // Get monthly income total
-    const monthlyIncome = await Income.aggregate([
-      {
-        $match: {
-          userId: userId,
-          frequency: 'monthly'
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$amount' }
-        }
-      }
-    ]);
-    
-    const monthlyBudget = monthlyIncome.length > 0 ? monthlyIncome[0].total : 0;
+    // Monthly income entries (recurring amounts, so today's rate applies)
+    const monthlyIncomes = await Income.find({
+      userId,
+      frequency: 'monthly'
+    })
+      .select('amount currency')
+      .lean();
     
-    // Get monthly spent (expenses from transactions)
+    // Monthly spent (expenses from transactions, not settle-ups), per
+    // currency and day so each day's exchange rate can be applied
     const monthlySpent = await Transaction.aggregate([
       {
         $match: {
-          userId: userId,
+          userId: ownerId,
           type: 'expense',
+          isSettlement: { $ne: true },
           date: { $gte: startDate, $lte: endDate }
         }
       },
       {
         $group: {
-          _id: null,
+          _id: {
+            currency: '$currency',
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: SERVER_TIMEZONE } }
+          },
           total: { $sum: '$amount' }
         }
       }
     ]);
-    
-    const spent = monthlySpent.length > 0 ? monthlySpent[0].total : 0;
-    
-    // Get borrowed and lent totals
-    const debtSummary = await Debt.aggregate([
-      {
-        $match: {
-          userId: userId,
-          status: 'pending'
-        }
-      },
-      {
-        $group: {
-          _id: '$type',
-          total: { $sum: '$amount' }
-        }
-      }
-    ]);
-    
-    let borrowed = 0;
-    let lent = 0;
-    
-    debtSummary.forEach(item => {
-      if (item._id === 'borrowed') {
-        borrowed = item.total;
-      } else if (item._id === 'lent') {
-        lent = item.total;
-      }
-    });
-    
-    // Calculate current balance (total funds)
+    const spentGroups = monthlySpent.map(({ _id, total }) => ({
+      currency: _id.currency,
+      date: new Date(`${_id.day}T00:00:00`),
+      amount: total
+    }));
+    
+    // Get borrowed and lent totals (what is still outstanding)
+    const debts = await Debt.find({ userId: ownerId, status: { $ne: 'settled' } }).lean();
+    const debtGroups = debts.map(debt => ({
+      type: debt.type,
+      currency: debt.currency,
+      amount: getOutstandingBalance(debt)
+    }));
+    
+    // Calculate current balance (money in funds and accounts)
     const funds = await Fund.find({ userId })
-      .select('currentAmount')
+      .select('currentAmount currency')
       .lean();
+    const { current: netWorth } = await getNetWorth(userId, { months: 1 });
+    
+    // Everything is shown in the user's currency
+    const baseCurrency = await getBaseCurrency(userId);
+    const converter = await createConverter(baseCurrency, [...monthlyIncomes, ...spentGroups, ...debtGroups, ...funds]);
     
-    const currentBalance = funds.reduce((sum, fund) => sum + (fund.currentAmount || 0), 0);
+    const monthlyBudget = converter.sum(monthlyIncomes);
+    const spent = converter.sum(spentGroups, group => group.amount, 'date');
+    const borrowed = converter.sum(debtGroups.filter(group => group.type === 'borrowed'));
+    const lent = converter.sum(debtGroups.filter(group => group.type === 'lent'));
+    const currentBalance = converter.sum(funds, fund => fund.currentAmount) + netWorth.breakdown.accounts;
     
     return {
+      currency: baseCurrency,
       currentBalance,
+      netWorth: netWorth.netWorth,
       monthlyBudget,
       monthlySpent: spent,
       borrowed,
-      lent
+      lent,
+      missingRates: converter.missingRates
     };
   } catch (error) {
     logger.error(`Get money snapshot error: ${error.message}`);
     return {
       currentBalance: 0,
+      netWorth: 0,
       monthlyBudget: 0,
       monthlySpent: 0,
       borrowed: 0,
@@ -396,7 +397,8 @@ const getRecentActivity = async (userId) => {
     })
       .sort({ createdAt: -1 })
       .limit(limit)
-      .select('amount type category note createdAt')
+      .select('amount type categoryId note createdAt')
+      .populate('category', 'name')
       .lean();
     
     // Combine and format activities
@@ -439,7 +441,8 @@ const getRecentActivity = async (userId) => {
         minimumFractionDigits: 0,
         maximumFractionDigits: 0
       });
-      const category = transaction.category.charAt(0).toUpperCase() + transaction.category.slice(1);
+      const categoryName = transaction.category?.name || 'Uncategorized';
+      const category = categoryName.charAt(0).toUpperCase() + categoryName.slice(1);
       const action = transaction.type === 'expense' ? 'Logged' : 'Earned';
       activities.push({
         type: 'MONEY',
@@ -485,6 +488,15 @@ const generateInsight = async (userId, moneySnapshot, nextSubscription) => {
       };
     }
     
+    // Check for category budgets this month that are used up or nearly so
+    const [budgetAlert] = await getBudgetAlerts(userId);
+    if (budgetAlert) {
+      return {
+        message: budgetAlert.message,
+        cta: 'View Budgets'
+      };
+    }
+
     // Check if monthly spent is high
     if (moneySnapshot.monthlyBudget > 0) {
       const spentPercentage = (moneySnapshot.monthlySpent / moneySnapshot.monthlyBudget) * 100;
@@ -1,7 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import * as diaryController from './diary.controller.js';
-import { authenticate } from '../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../middlewares/auth.middleware.js';
 import { uploadRateLimiter } from '../../middlewares/uploadLimit.middleware.js';
 import { checkSubscriptionLimitMiddleware } from '../../middlewares/subscriptionLimit.middleware.js';
 
@@ -26,7 +26,7 @@ const upload = multer({
 });
 
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, requireScope('diary'));
 
 // Multer error handler middleware
 const handleMulterError = (err, req, res, next) => {
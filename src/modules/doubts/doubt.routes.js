@@ -1,6 +1,6 @@
 import express from 'express';
 import multer from 'multer';
-import { authenticate } from '../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../middlewares/auth.middleware.js';
 import { uploadRateLimiter } from '../../middlewares/uploadLimit.middleware.js';
 import * as doubtController from './doubt.controller.js';
 
@@ -49,7 +49,7 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
-router.use(authenticate);
+router.use(authenticate, requireScope('study'));
 
 // Subject-scoped doubts
 router.post(
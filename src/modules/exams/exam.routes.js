@@ -1,14 +1,14 @@
 import express from 'express';
-import { authenticate } from '../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../middlewares/auth.middleware.js';
 import * as examController from './exam.controller.js';
 
 const examRouter = express.Router();
 const subjectRouter = express.Router();
 const topicRouter = express.Router();
 
-examRouter.use(authenticate);
-subjectRouter.use(authenticate);
-topicRouter.use(authenticate);
+examRouter.use(authenticate, requireScope('study'));
+subjectRouter.use(authenticate, requireScope('study'));
+topicRouter.use(authenticate, requireScope('study'));
 
 examRouter.post('/', examController.createExam);
 examRouter.get('/', examController.getExams);
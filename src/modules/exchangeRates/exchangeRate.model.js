@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../../config/constants.js';
+
+// Rates are stored as units of a currency per one unit of this currency
+export const RATE_BASE_CURRENCY = 'USD';
+
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    // Calendar day the rate applies to
+    date: {
+      type: String,
+      required: [true, 'Date is required'],
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+    },
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      uppercase: true,
+      enum: {
+        values: SUPPORTED_CURRENCIES.filter(currency => currency !== RATE_BASE_CURRENCY),
+        message: 'Unsupported currency'
+      }
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0.000001, 'Rate must be greater than 0']
+    },
+    source: {
+      type: String,
+      enum: ['manual', 'import'],
+      default: 'manual'
+    },
+    // Admin who last set the rate
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One rate per currency per day
+exchangeRateSchema.index({ currency: 1, date: 1 }, { unique: true });
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
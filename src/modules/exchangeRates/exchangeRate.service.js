@@ -0,0 +1,279 @@
+import ExchangeRate, { RATE_BASE_CURRENCY } from './exchangeRate.model.js';
+import User from '../auth/auth.schema.js';
+import { parseCSV } from '../../utils/csv.util.js';
+import { addDays, toDayKey } from '../../utils/date.util.js';
+import logger from '../../utils/logger.util.js';
+import { MESSAGES } from '../../config/constants.js';
+
+// Currency for users who never set one
+const DEFAULT_CURRENCY = 'INR';
+
+// Rates are loaded from this many days before the earliest amount, so a
+// rate from before a weekend or holiday is found without a second query
+const RATE_LOOKBACK_DAYS = 14;
+
+/**
+ * Day key (YYYY-MM-DD, local time) that rates are stored under
+ */
+export const toRateDate = (date = new Date()) => toDayKey(date);
+
+/**
+ * Get the currency a user's totals are shown in
+ */
+export const getBaseCurrency = async (userId) => {
+  const user = await User.findById(userId).select('currency').lean();
+  return user?.currency || DEFAULT_CURRENCY;
+};
+
+/**
+ * Load the rates needed to convert a set of amounts and return a converter
+ * into the base currency. Each amount uses the latest rate on or before its
+ * date (rates aren't published every day), or the earliest rate after it
+ * when there is none before.
+ * @param {string} baseCurrency - Currency to convert into
+ * @param {Object[]} entries - { currency, date } of the amounts that will be
+ *   converted. Records without a currency are in the base currency; entries
+ *   without a date use today's rate.
+ * @returns {Promise<Object>} { convert(amount, currency, date), sum(items, dateField), missingRates }
+ */
+export const createConverter = async (baseCurrency, entries = []) => {
+  const currencies = new Set(
+    entries.map(entry => entry.currency?.toUpperCase()).filter(currency => currency && currency !== baseCurrency)
+  );
+  if (currencies.size > 0) {
+    currencies.add(baseCurrency);
+  }
+  currencies.delete(RATE_BASE_CURRENCY);
+
+  const ratesByCurrency = new Map([...currencies].map(currency => [currency, []]));
+  const missing = new Set();
+
+  if (currencies.size > 0) {
+    const dates = entries.map(entry => toRateDate(entry.date || new Date())).sort();
+    const firstDate = dates[0];
+    const lastDate = dates[dates.length - 1];
+    const windowStart = toRateDate(addDays(new Date(`${firstDate}T00:00:00`), -RATE_LOOKBACK_DAYS));
+
+    const rates = await ExchangeRate.find({
+      currency: { $in: [...currencies] },
+      date: { $gte: windowStart, $lte: lastDate }
+    })
+      .select('currency date rate')
+      .sort({ date: 1 })
+      .lean();
+    rates.forEach(rate => ratesByCurrency.get(rate.currency).push(rate));
+
+    // Fall back to the nearest rate outside the window
+    for (const [currency, list] of ratesByCurrency) {
+      if (list.length > 0 && list[0].date <= firstDate) continue;
+
+      const before = await ExchangeRate.findOne({ currency, date: { $lt: windowStart } })
+        .select('currency date rate')
+        .sort({ date: -1 })
+        .lean();
+      if (before) {
+        list.unshift(before);
+      } else if (list.length === 0) {
+        const after = await ExchangeRate.findOne({ currency, date: { $gt: lastDate } })
+          .select('currency date rate')
+          .sort({ date: 1 })
+          .lean();
+        if (after) list.push(after);
+      }
+    }
+  }
+
+  /**
+   * Rate for a currency on a day: the last one on or before it, else the first after
+   */
+  const rateOn = (currency, day) => {
+    if (currency === RATE_BASE_CURRENCY) return 1;
+
+    const list = ratesByCurrency.get(currency) || [];
+    let low = 0;
+    let high = list.length - 1;
+    let found = null;
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      if (list[middle].date <= day) {
+        found = list[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return (found || list[0])?.rate ?? null;
+  };
+
+  /**
+   * Convert an amount into the base currency
+   * @returns {number|null} Converted amount, or null when a rate is missing
+   */
+  const convert = (amount, rawCurrency, date) => {
+    const currency = rawCurrency?.toUpperCase();
+    if (!currency || currency === baseCurrency) return amount;
+
+    const day = toRateDate(date || new Date());
+    const fromRate = rateOn(currency, day);
+    const toRate = rateOn(baseCurrency, day);
+    if (!fromRate || !toRate) {
+      missing.add(fromRate ? baseCurrency : currency);
+      return null;
+    }
+
+    return (amount / fromRate) * toRate;
+  };
+
+  /**
+   * Sum the converted `amount` of records, skipping any without a rate
+   * @param {Object[]} items - Records with amount and currency
+   * @param {Function} [getAmount] - Amount of a record (default: its `amount`)
+   * @param {string} [dateField] - Field holding the date to convert at (default: today)
+   */
+  const sum = (items, getAmount = item => item.amount, dateField = null) => {
+    return items.reduce((total, item) => {
+      const converted = convert(getAmount(item) || 0, item.currency, dateField ? item[dateField] : null);
+      return total + (converted ?? 0);
+    }, 0);
+  };
+
+  return {
+    convert,
+    sum,
+    get missingRates() {
+      return [...missing];
+    }
+  };
+};
+
+/**
+ * List stored rates, newest first
+ */
+export const getRates = async (filters = {}) => {
+  try {
+    const { currency, from, to, page, limit } = filters;
+
+    const query = {};
+    if (currency) {
+      query.currency = currency.toUpperCase();
+    }
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    const pageNum = page ? parseInt(page) : 1;
+    const limitNum = Math.min(limit ? parseInt(limit) : 50, 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(query)
+        .sort({ date: -1, currency: 1 })
+        .limit(limitNum)
+        .skip(skip)
+        .lean(),
+      ExchangeRate.countDocuments(query)
+    ]);
+
+    return {
+      baseCurrency: RATE_BASE_CURRENCY,
+      rates,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  } catch (error) {
+    logger.error(`Get exchange rates error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create or replace rates
+ * @param {Object[]} entries - { date: 'YYYY-MM-DD', currency, rate }
+ * @param {Object} options - { source, updatedBy }
+ * @returns {Promise<Object>} { upserted, modified }
+ */
+export const saveRates = async (entries, { source = 'manual', updatedBy = null } = {}) => {
+  try {
+    // Validate everything first so a bad row doesn't leave a half-applied batch
+    const documents = entries.map(entry => new ExchangeRate({
+      date: entry.date,
+      currency: entry.currency,
+      rate: entry.rate,
+      source,
+      updatedBy
+    }));
+    for (const document of documents) {
+      const validationError = document.validateSync();
+      if (validationError) {
+        throw validationError;
+      }
+    }
+
+    if (documents.length === 0) {
+      return { upserted: 0, modified: 0 };
+    }
+
+    const result = await ExchangeRate.bulkWrite(documents.map(document => ({
+      updateOne: {
+        filter: { currency: document.currency, date: document.date },
+        update: { $set: { rate: document.rate, source, updatedBy } },
+        upsert: true
+      }
+    })));
+
+    return { upserted: result.upsertedCount, modified: result.modifiedCount };
+  } catch (error) {
+    logger.error(`Save exchange rates error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Read rates from a CSV file with date, currency and rate columns (any order,
+ * header required), e.g. exported from a central bank's reference rates
+ * @returns {Object[]} { date, currency, rate } entries
+ */
+export const parseRatesCSV = (text) => {
+  const [header, ...records] = parseCSV(text);
+  const columns = (header || []).map(name => name.trim().toLowerCase());
+  const index = {
+    date: columns.indexOf('date'),
+    currency: columns.indexOf('currency'),
+    rate: columns.indexOf('rate')
+  };
+
+  if (Object.values(index).includes(-1)) {
+    throw new Error(MESSAGES.INVALID_EXCHANGE_RATE_FILE);
+  }
+
+  return records.map(record => ({
+    date: (record[index.date] || '').trim(),
+    currency: (record[index.currency] || '').trim().toUpperCase(),
+    rate: parseFloat(record[index.rate])
+  }));
+};
+
+/**
+ * Delete a stored rate
+ */
+export const deleteRate = async (rateId) => {
+  try {
+    const rate = await ExchangeRate.findByIdAndDelete(rateId);
+
+    if (!rate) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return rate;
+  } catch (error) {
+    logger.error(`Delete exchange rate error: ${error.message}`);
+    throw error;
+  }
+};
@@ -340,6 +340,10 @@ export const deleteGiftIdea = async (req, res, next) => {
       return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
     }
 
+    if (error.message === MESSAGES.SHARED_ITEM_OWNER_ONLY) {
+      return sendError(res, error.message, HTTP_STATUS.FORBIDDEN);
+    }
+
     next(error);
   }
 };
@@ -55,6 +55,13 @@ const giftIdeaSchema = new mongoose.Schema(
       required: [true, 'User ID is required'],
       index: true
     },
+    // Set when the owner shares the item with their partner (COUPLE/LIFETIME plans)
+    sharedSpaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SharedSpace',
+      default: null,
+      index: true
+    },
     title: {
       type: String,
       required: [true, 'Title is required'],
@@ -136,6 +143,14 @@ giftIdeaSchema.methods.isOwner = function (userId) {
   return this.userId.toString() === userId.toString();
 };
 
+// Owners, plus the partner when the item is shared into their shared space
+giftIdeaSchema.methods.canAccess = function (userId, sharedSpaceId = null) {
+  if (this.isOwner(userId)) {
+    return true;
+  }
+  return Boolean(this.sharedSpaceId && sharedSpaceId && this.sharedSpaceId.toString() === sharedSpaceId.toString());
+};
+
 const GiftIdea = mongoose.model('GiftIdea', giftIdeaSchema);
 
 export default GiftIdea;
@@ -2,6 +2,7 @@ import GiftIdea from './gifting.model.js';
 import { uploadImage, deleteImages } from '../../utils/cloudinary.util.js';
 import logger from '../../utils/logger.util.js';
 import { MESSAGES } from '../../config/constants.js';
+import { getSharedAccess, findAccessibleItem } from '../couple/sharedSpace.service.js';
 
 /**
  * Create a new gift idea
@@ -65,9 +66,10 @@ export const getGiftIdeas = async (userId, filters = {}) => {
       isFavorite
     } = filters;
 
-    // Build query
+    // Own gift ideas plus any shared by a partner
+    const { filter } = await getSharedAccess(userId);
     const query = {
-      userId
+      ...filter
     };
 
     if (type) {
@@ -99,9 +101,10 @@ export const getGiftIdeas = async (userId, filters = {}) => {
  */
 export const getGiftIdeaById = async (ideaId, userId) => {
   try {
+    const { filter } = await getSharedAccess(userId);
     const giftIdea = await GiftIdea.findOne({
       _id: ideaId,
-      userId
+      ...filter
     }).lean();
 
     if (!giftIdea) {
@@ -120,14 +123,8 @@ export const getGiftIdeaById = async (ideaId, userId) => {
  */
 export const updateGiftIdea = async (ideaId, userId, updateData) => {
   try {
-    const giftIdea = await GiftIdea.findOne({
-      _id: ideaId,
-      userId
-    });
-
-    if (!giftIdea) {
-      throw new Error(MESSAGES.NOT_FOUND);
-    }
+    // Partners can edit gift ideas shared with them
+    await findAccessibleItem(GiftIdea, ideaId, userId);
 
     // Prepare update object
     const updateFields = {};
@@ -177,11 +174,15 @@ export const updateGiftIdea = async (ideaId, userId, updateData) => {
  */
 export const deleteGiftIdea = async (ideaId, userId) => {
   try {
-    const giftIdea = await GiftIdea.findOneAndUpdate(
-      {
-        _id: ideaId,
-        userId
-      },
+    const existingIdea = await findAccessibleItem(GiftIdea, ideaId, userId);
+
+    // Shared gift ideas can only be archived by their owner
+    if (!existingIdea.isOwner(userId)) {
+      throw new Error(MESSAGES.SHARED_ITEM_OWNER_ONLY);
+    }
+
+    const giftIdea = await GiftIdea.findByIdAndUpdate(
+      ideaId,
       {
         status: 'archived'
       },
@@ -190,10 +191,6 @@ export const deleteGiftIdea = async (ideaId, userId) => {
       }
     );
 
-    if (!giftIdea) {
-      throw new Error(MESSAGES.NOT_FOUND);
-    }
-
     // Delete images from Cloudinary if exists
     if (giftIdea.images && giftIdea.images.length > 0) {
       try {
@@ -0,0 +1,175 @@
+import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES, SUPPORTED_CURRENCIES } from '../../../config/constants.js';
+import * as accountService from './account.service.js';
+import { ACCOUNT_TYPES } from './account.model.js';
+import logger from '../../../utils/logger.util.js';
+
+/**
+ * Map account service errors to responses
+ */
+const handleAccountError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if ([MESSAGES.ACCOUNT_EXISTS, MESSAGES.ACCOUNT_CURRENCY_LOCKED].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+  }
+
+  next(error);
+};
+
+/**
+ * Validate account fields. With `partial`, only fields that are present are checked (updates).
+ * @returns {Object|null} The first validation error, or null when valid
+ */
+const validateAccountFields = (data, { partial = false } = {}) => {
+  const { name, type, currency, openingBalance, openingDate, isArchived, note } = data;
+
+  if (name === undefined) {
+    if (!partial) {
+      return { field: 'name', message: 'Name is required' };
+    }
+  } else if (typeof name !== 'string' || !name.trim()) {
+    return { field: 'name', message: 'Name is required' };
+  } else if (name.trim().length > 100) {
+    return { field: 'name', message: 'Name cannot exceed 100 characters' };
+  }
+
+  if (type === undefined) {
+    if (!partial) {
+      return { field: 'type', message: 'Type is required' };
+    }
+  } else if (!ACCOUNT_TYPES.includes(type)) {
+    return { field: 'type', message: `Type must be one of: ${ACCOUNT_TYPES.join(', ')}` };
+  }
+
+  if (currency !== undefined && !SUPPORTED_CURRENCIES.includes(String(currency).toUpperCase())) {
+    return { field: 'currency', message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` };
+  }
+
+  if (openingBalance !== undefined && (typeof openingBalance !== 'number' || !isFinite(openingBalance))) {
+    return { field: 'openingBalance', message: 'Opening balance must be a number' };
+  }
+
+  if (openingDate !== undefined && isNaN(new Date(openingDate).getTime())) {
+    return { field: 'openingDate', message: 'Invalid opening date format' };
+  }
+
+  if (isArchived !== undefined && typeof isArchived !== 'boolean') {
+    return { field: 'isArchived', message: 'isArchived must be true or false' };
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    return { field: 'note', message: 'Note cannot exceed 500 characters' };
+  }
+
+  return null;
+};
+
+/**
+ * Get accounts for the logged-in user
+ */
+export const getAccounts = async (req, res, next) => {
+  try {
+    const { type, includeArchived } = req.query;
+
+    const accounts = await accountService.getAccounts(req.user.id, { type, includeArchived });
+
+    return sendSuccess(res, accounts, 'Accounts retrieved successfully');
+  } catch (error) {
+    logger.error(`Get accounts controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a single account by ID
+ */
+export const getAccountById = async (req, res, next) => {
+  try {
+    const account = await accountService.getAccountById(req.params.id, req.user.id);
+
+    return sendSuccess(res, account, 'Account retrieved successfully');
+  } catch (error) {
+    logger.error(`Get account by ID controller error: ${error.message}`);
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Create an account
+ */
+export const createAccount = async (req, res, next) => {
+  try {
+    const { name, type, currency, openingBalance, openingDate, note } = req.body;
+
+    const validationError = validateAccountFields(req.body);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const account = await accountService.createAccount(req.user.id, {
+      name,
+      type,
+      currency: currency?.toUpperCase(),
+      openingBalance,
+      openingDate: openingDate ? new Date(openingDate) : undefined,
+      note
+    });
+
+    return sendSuccess(
+      res,
+      account,
+      'Account created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Create account controller error: ${error.message}`);
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Update an account
+ */
+export const updateAccount = async (req, res, next) => {
+  try {
+    const { name, type, currency, openingBalance, openingDate, isArchived, note } = req.body;
+
+    const validationError = validateAccountFields(req.body, { partial: true });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (type !== undefined) updateData.type = type;
+    if (currency !== undefined) updateData.currency = currency.toUpperCase();
+    if (openingBalance !== undefined) updateData.openingBalance = openingBalance;
+    if (openingDate !== undefined) updateData.openingDate = new Date(openingDate);
+    if (isArchived !== undefined) updateData.isArchived = isArchived;
+    if (note !== undefined) updateData.note = note.trim();
+
+    const account = await accountService.updateAccount(req.params.id, req.user.id, updateData);
+
+    return sendSuccess(res, account, 'Account updated successfully');
+  } catch (error) {
+    logger.error(`Update account controller error: ${error.message}`);
+    handleAccountError(error, res, next);
+  }
+};
+
+/**
+ * Delete an account
+ */
+export const deleteAccount = async (req, res, next) => {
+  try {
+    const account = await accountService.deleteAccount(req.params.id, req.user.id);
+
+    return sendSuccess(res, account, 'Account deleted successfully');
+  } catch (error) {
+    logger.error(`Delete account controller error: ${error.message}`);
+    handleAccountError(error, res, next);
+  }
+};
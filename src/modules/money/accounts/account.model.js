@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import { NAME_COLLATION } from '../../../utils/money.util.js';
+import { SUPPORTED_CURRENCIES } from '../../../config/constants.js';
+
+export const ACCOUNT_TYPES = ['bank', 'cash', 'credit_card', 'wallet'];
+
+/**
+ * Somewhere money is held. The balance isn't stored: it is the opening
+ * balance plus the account's income transactions, less its expenses.
+ * Credit cards start at (and usually stay) zero or below.
+ */
+const accountSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    type: {
+      type: String,
+      enum: ACCOUNT_TYPES,
+      required: [true, 'Type is required']
+    },
+    // Set to the user's currency when not given. Transactions on the account
+    // are in this currency.
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      enum: {
+        values: SUPPORTED_CURRENCIES,
+        message: 'Unsupported currency'
+      }
+    },
+    // Balance on openingDate, before any of the account's transactions
+    openingBalance: {
+      type: Number,
+      default: 0
+    },
+    openingDate: {
+      type: Date,
+      default: Date.now
+    },
+    // Archived accounts are hidden from lists but still count towards net worth
+    isArchived: {
+      type: Boolean,
+      default: false
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Account names are unique per user, case-insensitively
+accountSchema.index(
+  { userId: 1, name: 1 },
+  { unique: true, collation: NAME_COLLATION }
+);
+
+// Ensure user can only access their own accounts
+accountSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const Account = mongoose.model('Account', accountSchema);
+
+export default Account;
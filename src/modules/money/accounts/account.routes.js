@@ -0,0 +1,17 @@
+import express from 'express';
+import * as accountController from './account.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/', accountController.getAccounts);
+router.post('/', accountController.createAccount);
+router.get('/:id', accountController.getAccountById);
+router.patch('/:id', accountController.updateAccount);
+router.delete('/:id', accountController.deleteAccount);
+
+export default router;
@@ -0,0 +1,206 @@
+import mongoose from 'mongoose';
+import Account from './account.model.js';
+import Transaction from '../transactions/transaction.model.js';
+import { getBaseCurrency } from '../../exchangeRates/exchangeRate.service.js';
+import { NAME_COLLATION, roundAmount } from '../../../utils/money.util.js';
+import { getStartOfDay } from '../../../utils/date.util.js';
+import logger from '../../../utils/logger.util.js';
+import { MESSAGES } from '../../../config/constants.js';
+
+/**
+ * Match the accounts' transactions from the day each was opened. Earlier
+ * ones are already part of its opening balance.
+ * @param {Object[]} accounts - At least one account, with openingDate
+ */
+export const sinceOpeningMatch = (accounts) => ({
+  $or: accounts.map(account => (account.openingDate
+    ? { accountId: account._id, date: { $gte: getStartOfDay(account.openingDate) } }
+    : { accountId: account._id }))
+});
+
+/**
+ * Net of the accounts' transactions from their opening day up to now
+ * (future-dated ones don't count yet): income in, expenses out
+ * @returns {Promise<Map>} accountId => net amount
+ */
+const sumAccountTransactions = async (userId, accounts) => {
+  if (accounts.length === 0) {
+    return new Map();
+  }
+
+  const results = await Transaction.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        date: { $lte: new Date() },
+        ...sinceOpeningMatch(accounts)
+      }
+    },
+    {
+      $group: {
+        _id: '$accountId',
+        net: {
+          $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', { $multiply: ['$amount', -1] }] }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(results.map(({ _id, net, count }) => [_id.toString(), { net, count }]));
+};
+
+/**
+ * Accounts with their current balance and transaction count
+ */
+const withBalances = async (userId, accounts) => {
+  const totals = await sumAccountTransactions(userId, accounts);
+
+  return accounts.map(account => {
+    const { net = 0, count = 0 } = totals.get(account._id.toString()) || {};
+    return {
+      ...account,
+      balance: roundAmount((account.openingBalance || 0) + net),
+      transactionCount: count
+    };
+  });
+};
+
+/**
+ * Get a user's accounts with their balances
+ * @param {Object} filters - { type, includeArchived }
+ */
+export const getAccounts = async (userId, filters = {}) => {
+  try {
+    const { type, includeArchived } = filters;
+
+    const query = { userId };
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (includeArchived !== 'true' && includeArchived !== true) {
+      query.isArchived = false;
+    }
+
+    const accounts = await Account.find(query)
+      .collation(NAME_COLLATION)
+      .sort({ name: 1 })
+      .lean();
+
+    return withBalances(userId, accounts);
+  } catch (error) {
+    logger.error(`Get accounts error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a single account with its balance
+ */
+export const getAccountById = async (accountId, userId) => {
+  try {
+    const account = await Account.findOne({
+      _id: accountId,
+      userId
+    }).lean();
+
+    if (!account) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const [withBalance] = await withBalances(userId, [account]);
+    return withBalance;
+  } catch (error) {
+    logger.error(`Get account by ID error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create an account
+ */
+export const createAccount = async (userId, accountData) => {
+  try {
+    const existing = await Account.exists({ userId, name: accountData.name.trim() }).collation(NAME_COLLATION);
+    if (existing) {
+      throw new Error(MESSAGES.ACCOUNT_EXISTS);
+    }
+
+    const account = await Account.create({
+      userId,
+      name: accountData.name.trim(),
+      type: accountData.type,
+      currency: accountData.currency || await getBaseCurrency(userId),
+      openingBalance: accountData.openingBalance || 0,
+      openingDate: accountData.openingDate || new Date(),
+      note: accountData.note?.trim()
+    });
+
+    return getAccountById(account._id, userId);
+  } catch (error) {
+    logger.error(`Create account error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update an account. The currency can only change while the account has
+ * no transactions.
+ */
+export const updateAccount = async (accountId, userId, updateData) => {
+  try {
+    const account = await Account.findOne({
+      _id: accountId,
+      userId
+    });
+
+    if (!account) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (updateData.name !== undefined) {
+      const duplicate = await Account.findOne({ userId, name: updateData.name.trim() }).collation(NAME_COLLATION);
+      if (duplicate && duplicate._id.toString() !== account._id.toString()) {
+        throw new Error(MESSAGES.ACCOUNT_EXISTS);
+      }
+    }
+
+    if (updateData.currency !== undefined && updateData.currency !== account.currency &&
+      await Transaction.exists({ userId, accountId: account._id })) {
+      throw new Error(MESSAGES.ACCOUNT_CURRENCY_LOCKED);
+    }
+
+    Object.assign(account, updateData);
+    await account.save();
+
+    return getAccountById(account._id, userId);
+  } catch (error) {
+    logger.error(`Update account error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete an account. Its transactions are kept, no longer tied to an account.
+ */
+export const deleteAccount = async (accountId, userId) => {
+  try {
+    const account = await Account.findOneAndDelete({
+      _id: accountId,
+      userId
+    });
+
+    if (!account) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    await Transaction.updateMany({ userId, accountId: account._id }, { accountId: null });
+
+    return account;
+  } catch (error) {
+    logger.error(`Delete account error: ${error.message}`);
+    throw error;
+  }
+};
@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES, SUPPORTED_CURRENCIES } from '../../../config/constants.js';
+import * as allocationService from './allocation.service.js';
+import { ALLOCATION_MODES } from './allocationRule.model.js';
+import { INCOME_TYPES } from '../income/income.model.js';
+import logger from '../../../utils/logger.util.js';
+
+/**
+ * Map allocation service errors to responses
+ */
+const handleAllocationError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (error.message === MESSAGES.INVALID_ALLOCATION_FUND) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+const isValidPercent = (value) => typeof value === 'number' && value > 0 && value <= 100;
+
+/**
+ * Validate rule fields. With `partial`, only fields that are present are checked (updates).
+ * @returns {Object|null} The first validation error, or null when valid
+ */
+const validateRuleFields = (data, { partial = false } = {}) => {
+  const { name, mode, incomeTypes, percent, allocations, isActive } = data;
+
+  if (name === undefined) {
+    if (!partial) {
+      return { field: 'name', message: 'Name is required' };
+    }
+  } else if (typeof name !== 'string' || !name.trim()) {
+    return { field: 'name', message: 'Name is required' };
+  } else if (name.trim().length > 100) {
+    return { field: 'name', message: 'Name cannot exceed 100 characters' };
+  }
+
+  if (mode === undefined) {
+    if (!partial) {
+      return { field: 'mode', message: 'Mode is required' };
+    }
+  } else if (!ALLOCATION_MODES.includes(mode)) {
+    return { field: 'mode', message: `Mode must be one of: ${ALLOCATION_MODES.join(', ')}` };
+  }
+
+  if (incomeTypes !== undefined &&
+    (!Array.isArray(incomeTypes) || incomeTypes.some(type => !INCOME_TYPES.includes(type)))) {
+    return { field: 'incomeTypes', message: `Income types must be a list of: ${INCOME_TYPES.join(', ')}` };
+  }
+
+  if (percent !== undefined && !isValidPercent(percent)) {
+    return { field: 'percent', message: 'Percent must be greater than 0 and at most 100' };
+  }
+
+  if (allocations === undefined) {
+    if (!partial && mode === 'percentage') {
+      return { field: 'allocations', message: 'Allocations are required for percentage rules' };
+    }
+  } else if (!Array.isArray(allocations)) {
+    return { field: 'allocations', message: 'Allocations must be a list of { fundId, percent }' };
+  } else {
+    for (const allocation of allocations) {
+      if (!mongoose.isValidObjectId(allocation?.fundId)) {
+        return { field: 'allocations', message: 'Invalid fund ID' };
+      }
+      if (!isValidPercent(allocation.percent)) {
+        return { field: 'allocations', message: 'Each percent must be greater than 0 and at most 100' };
+      }
+    }
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return { field: 'isActive', message: 'isActive must be true or false' };
+  }
+
+  return null;
+};
+
+/**
+ * Get allocation rules for the logged-in user
+ */
+export const getAllocationRules = async (req, res, next) => {
+  try {
+    const rules = await allocationService.getAllocationRules(req.user.id);
+
+    return sendSuccess(res, rules, 'Allocation rules retrieved successfully');
+  } catch (error) {
+    logger.error(`Get allocation rules controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create an allocation rule
+ */
+export const createAllocationRule = async (req, res, next) => {
+  try {
+    const { name, mode, incomeTypes, percent, allocations, isActive } = req.body;
+
+    const validationError = validateRuleFields(req.body);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const rule = await allocationService.createAllocationRule(req.user.id, {
+      name,
+      mode,
+      incomeTypes,
+      percent,
+      allocations: allocations?.map(({ fundId, percent: share }) => ({ fundId, percent: share })),
+      isActive
+    });
+
+    return sendSuccess(
+      res,
+      rule,
+      'Allocation rule created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Create allocation rule controller error: ${error.message}`);
+    handleAllocationError(error, res, next);
+  }
+};
+
+/**
+ * Update an allocation rule
+ */
+export const updateAllocationRule = async (req, res, next) => {
+  try {
+    const { name, mode, incomeTypes, percent, allocations, isActive } = req.body;
+
+    const validationError = validateRuleFields(req.body, { partial: true });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (mode !== undefined) updateData.mode = mode;
+    if (incomeTypes !== undefined) updateData.incomeTypes = incomeTypes;
+    if (percent !== undefined) updateData.percent = percent;
+    if (allocations !== undefined) {
+      updateData.allocations = allocations.map(({ fundId, percent: share }) => ({ fundId, percent: share }));
+    }
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const rule = await allocationService.updateAllocationRule(req.params.id, req.user.id, updateData);
+
+    return sendSuccess(res, rule, 'Allocation rule updated successfully');
+  } catch (error) {
+    logger.error(`Update allocation rule controller error: ${error.message}`);
+    handleAllocationError(error, res, next);
+  }
+};
+
+/**
+ * Delete an allocation rule
+ */
+export const deleteAllocationRule = async (req, res, next) => {
+  try {
+    const rule = await allocationService.deleteAllocationRule(req.params.id, req.user.id);
+
+    return sendSuccess(res, rule, 'Allocation rule deleted successfully');
+  } catch (error) {
+    logger.error(`Delete allocation rule controller error: ${error.message}`);
+    handleAllocationError(error, res, next);
+  }
+};
+
+/**
+ * Show how an income of a given amount and type would be allocated
+ */
+export const previewAllocation = async (req, res, next) => {
+  try {
+    const { amount, type, currency } = req.body;
+
+    if (amount === undefined || amount === null || isNaN(parseFloat(amount)) || amount <= 0) {
+      return sendValidationError(res, [{
+        field: 'amount',
+        message: 'Amount is required and must be greater than 0'
+      }]);
+    }
+
+    if (type !== undefined && !INCOME_TYPES.includes(type)) {
+      return sendValidationError(res, [{
+        field: 'type',
+        message: `Type must be one of: ${INCOME_TYPES.join(', ')}`
+      }]);
+    }
+
+    if (currency !== undefined && !SUPPORTED_CURRENCIES.includes(String(currency).toUpperCase())) {
+      return sendValidationError(res, [{
+        field: 'currency',
+        message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+      }]);
+    }
+
+    const plan = await allocationService.previewAllocation(req.user.id, {
+      amount: parseFloat(amount),
+      type: type || 'other',
+      currency: currency?.toUpperCase()
+    });
+
+    return sendSuccess(res, plan, 'Allocation preview generated successfully');
+  } catch (error) {
+    logger.error(`Preview allocation controller error: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,17 @@
+import express from 'express';
+import * as allocationController from './allocation.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/', allocationController.getAllocationRules);
+router.post('/', allocationController.createAllocationRule);
+router.post('/preview', allocationController.previewAllocation);
+router.patch('/:id', allocationController.updateAllocationRule);
+router.delete('/:id', allocationController.deleteAllocationRule);
+
+export default router;
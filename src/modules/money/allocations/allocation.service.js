@@ -0,0 +1,277 @@
+import AllocationRule from './allocationRule.model.js';
+import Fund from '../funds/fund.model.js';
+import { addToFund } from '../funds/fund.service.js';
+import { getBaseCurrency } from '../../exchangeRates/exchangeRate.service.js';
+import { roundAmount } from '../../../utils/money.util.js';
+import logger from '../../../utils/logger.util.js';
+import { MESSAGES } from '../../../config/constants.js';
+
+/**
+ * Check every fund a rule allocates to belongs to the user
+ * @throws {Error} INVALID_ALLOCATION_FUND when one doesn't
+ */
+const assertOwnFunds = async (userId, allocations = []) => {
+  const fundIds = allocations.map(allocation => allocation.fundId);
+  if (fundIds.length === 0) {
+    return;
+  }
+
+  const owned = await Fund.countDocuments({ _id: { $in: fundIds }, userId });
+  if (owned !== new Set(fundIds.map(String)).size) {
+    throw new Error(MESSAGES.INVALID_ALLOCATION_FUND);
+  }
+};
+
+/**
+ * Work out how an income is split across funds. Nothing is written.
+ * Locked funds and funds in another currency than the income are skipped.
+ * @param {Object} income - { amount, type, currency }
+ * @returns {Object} { allocations, skipped, unallocated }
+ */
+const planAllocation = (rules, funds, income, baseCurrency) => {
+  const fundsById = new Map(funds.map(fund => [fund._id.toString(), fund]));
+  const incomeCurrency = income.currency || baseCurrency;
+  const planned = new Map();
+  const allocations = [];
+  const skipped = [];
+  let remaining = income.amount;
+
+  const skipReason = (fund) => {
+    if (!fund) return 'fund_not_found';
+    if (fund.isLocked) return 'locked';
+    if ((fund.currency || baseCurrency) !== incomeCurrency) return 'currency_mismatch';
+    return null;
+  };
+
+  const allocate = (rule, fund, amount) => {
+    const allocated = roundAmount(Math.min(amount, remaining));
+    if (allocated <= 0) {
+      return 0;
+    }
+
+    remaining = roundAmount(remaining - allocated);
+    planned.set(fund._id.toString(), (planned.get(fund._id.toString()) || 0) + allocated);
+    allocations.push({ ruleId: rule._id, fundId: fund._id, fundName: fund.name, amount: allocated });
+    return allocated;
+  };
+
+  for (const rule of rules) {
+    if (!rule.isActive || (rule.incomeTypes.length > 0 && !rule.incomeTypes.includes(income.type))) {
+      continue;
+    }
+
+    if (rule.mode === 'percentage') {
+      for (const { fundId, percent } of rule.allocations) {
+        const fund = fundsById.get(fundId.toString());
+        const reason = skipReason(fund);
+        if (reason) {
+          skipped.push({ ruleId: rule._id, fundId, reason });
+          continue;
+        }
+        allocate(rule, fund, income.amount * percent / 100);
+      }
+      continue;
+    }
+
+    // Priority 1 is filled first; funds without a target take whatever is left
+    let pool = roundAmount(income.amount * (rule.percent ?? 100) / 100);
+    const candidates = funds
+      .filter(fund => !skipReason(fund))
+      .sort((a, b) => (a.priority || 3) - (b.priority || 3) || new Date(a.createdAt) - new Date(b.createdAt));
+
+    for (const fund of candidates) {
+      if (pool <= 0) {
+        break;
+      }
+
+      const room = fund.targetAmount > 0
+        ? fund.targetAmount - (fund.currentAmount || 0) - (planned.get(fund._id.toString()) || 0)
+        : Infinity;
+      if (room <= 0) {
+        continue;
+      }
+
+      pool = roundAmount(pool - allocate(rule, fund, Math.min(pool, room)));
+    }
+  }
+
+  return { allocations, skipped, unallocated: remaining };
+};
+
+/**
+ * Load what planAllocation needs for a user
+ */
+const loadPlanInputs = async (userId) => {
+  const [rules, funds, baseCurrency] = await Promise.all([
+    AllocationRule.find({ userId, isActive: true }).sort({ createdAt: 1 }).lean(),
+    Fund.find({ userId }).lean(),
+    getBaseCurrency(userId)
+  ]);
+
+  return { rules, funds, baseCurrency };
+};
+
+/**
+ * Get a user's allocation rules, in the order they are applied
+ */
+export const getAllocationRules = async (userId) => {
+  try {
+    const rules = await AllocationRule.find({ userId })
+      .sort({ createdAt: 1 })
+      .populate('allocations.fundId', 'name type isLocked')
+      .lean();
+
+    return rules;
+  } catch (error) {
+    logger.error(`Get allocation rules error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create an allocation rule
+ */
+export const createAllocationRule = async (userId, ruleData) => {
+  try {
+    const allocations = ruleData.mode === 'percentage' ? ruleData.allocations || [] : [];
+    await assertOwnFunds(userId, allocations);
+
+    const rule = await AllocationRule.create({
+      userId,
+      name: ruleData.name.trim(),
+      mode: ruleData.mode,
+      incomeTypes: ruleData.incomeTypes || [],
+      percent: ruleData.mode === 'priority' ? ruleData.percent ?? 100 : undefined,
+      allocations,
+      isActive: ruleData.isActive !== undefined ? ruleData.isActive : true
+    });
+
+    return rule;
+  } catch (error) {
+    logger.error(`Create allocation rule error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update an allocation rule
+ */
+export const updateAllocationRule = async (ruleId, userId, updateData) => {
+  try {
+    const rule = await AllocationRule.findOne({
+      _id: ruleId,
+      userId
+    });
+
+    if (!rule) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (updateData.name !== undefined) {
+      rule.name = updateData.name.trim();
+    }
+    if (updateData.mode !== undefined) {
+      rule.mode = updateData.mode;
+    }
+    if (updateData.incomeTypes !== undefined) {
+      rule.incomeTypes = updateData.incomeTypes;
+    }
+    if (updateData.percent !== undefined) {
+      rule.percent = updateData.percent;
+    }
+    if (updateData.allocations !== undefined) {
+      await assertOwnFunds(userId, updateData.allocations);
+      rule.allocations = updateData.allocations;
+    }
+    if (updateData.isActive !== undefined) {
+      rule.isActive = updateData.isActive;
+    }
+
+    // Priority rules don't list funds
+    if (rule.mode === 'priority') {
+      rule.allocations = [];
+    }
+
+    await rule.save();
+
+    return rule;
+  } catch (error) {
+    logger.error(`Update allocation rule error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete an allocation rule
+ */
+export const deleteAllocationRule = async (ruleId, userId) => {
+  try {
+    const rule = await AllocationRule.findOneAndDelete({
+      _id: ruleId,
+      userId
+    });
+
+    if (!rule) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return rule;
+  } catch (error) {
+    logger.error(`Delete allocation rule error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Show how an income would be split by the current rules, without moving money
+ * @param {Object} income - { amount, type, currency }
+ */
+export const previewAllocation = async (userId, income) => {
+  try {
+    const { rules, funds, baseCurrency } = await loadPlanInputs(userId);
+    return planAllocation(rules, funds, income, baseCurrency);
+  } catch (error) {
+    logger.error(`Preview allocation error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Split a newly added income across funds by the user's rules. Each
+ * allocation is a fund contribution linked to the income; one that fails
+ * (e.g. the fund was locked in the meantime) is reported as skipped.
+ * @returns {Promise<Object>} { allocations, skipped, unallocated }
+ */
+export const applyAllocationRules = async (userId, income) => {
+  try {
+    const { rules, funds, baseCurrency } = await loadPlanInputs(userId);
+    if (rules.length === 0) {
+      return { allocations: [], skipped: [], unallocated: income.amount };
+    }
+
+    const plan = planAllocation(rules, funds, income, baseCurrency);
+    const allocations = [];
+    const skipped = [...plan.skipped];
+    let unallocated = plan.unallocated;
+
+    for (const allocation of plan.allocations) {
+      try {
+        await addToFund(allocation.fundId, userId, allocation.amount, false, {
+          note: `Allocated from income: ${income.name}`,
+          date: income.receivedAt,
+          incomeId: income._id
+        });
+        allocations.push(allocation);
+      } catch (error) {
+        logger.error(`Allocating income ${income._id} to fund ${allocation.fundId} failed: ${error.message}`);
+        skipped.push({ ruleId: allocation.ruleId, fundId: allocation.fundId, reason: 'failed' });
+        unallocated = roundAmount(unallocated + allocation.amount);
+      }
+    }
+
+    return { allocations, skipped, unallocated };
+  } catch (error) {
+    logger.error(`Apply allocation rules error: ${error.message}`);
+    throw error;
+  }
+};
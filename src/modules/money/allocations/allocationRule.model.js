@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import { INCOME_TYPES } from '../income/income.model.js';
+
+export const ALLOCATION_MODES = ['percentage', 'priority'];
+
+const allocationSchema = new mongoose.Schema(
+  {
+    fundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fund',
+      required: [true, 'Fund ID is required']
+    },
+    percent: {
+      type: Number,
+      required: [true, 'Percent is required'],
+      min: [0.01, 'Percent must be greater than 0'],
+      max: [100, 'Percent cannot exceed 100']
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Splits new income across funds when it is added.
+ * `percentage` rules give each listed fund a fixed share of the income;
+ * `priority` rules set aside `percent` of it and fill funds in priority
+ * order, each up to its target, before moving to the next.
+ */
+const allocationRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    mode: {
+      type: String,
+      enum: ALLOCATION_MODES,
+      required: [true, 'Mode is required']
+    },
+    // Income types the rule applies to; empty means all
+    incomeTypes: {
+      type: [{ type: String, enum: INCOME_TYPES }],
+      default: []
+    },
+    // Share of the income a priority rule allocates
+    percent: {
+      type: Number,
+      min: [0.01, 'Percent must be greater than 0'],
+      max: [100, 'Percent cannot exceed 100'],
+      default: 100
+    },
+    // Funds and shares of a percentage rule
+    allocations: {
+      type: [allocationSchema],
+      default: []
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+allocationRuleSchema.path('allocations').validate(function (allocations) {
+  if (this.mode !== 'percentage') {
+    return true;
+  }
+  return allocations.length > 0 && allocations.length <= 20;
+}, 'Percentage rules need between 1 and 20 funds');
+
+allocationRuleSchema.path('allocations').validate(function (allocations) {
+  const total = allocations.reduce((sum, allocation) => sum + allocation.percent, 0);
+  return total <= 100;
+}, 'Allocation percentages cannot add up to more than 100');
+
+allocationRuleSchema.path('allocations').validate(function (allocations) {
+  const fundIds = allocations.map(allocation => allocation.fundId.toString());
+  return new Set(fundIds).size === fundIds.length;
+}, 'Each fund can only appear once in a rule');
+
+// Compound indexes for efficient queries
+allocationRuleSchema.index({ userId: 1, createdAt: 1 });
+
+// Ensure user can only access their own rules
+allocationRuleSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const AllocationRule = mongoose.model('AllocationRule', allocationRuleSchema);
+
+export default AllocationRule;
@@ -0,0 +1,262 @@
+import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES, SUPPORTED_CURRENCIES } from '../../../config/constants.js';
+import * as assetService from './asset.service.js';
+import { ASSET_TYPES } from './asset.model.js';
+import logger from '../../../utils/logger.util.js';
+
+const ASSET_KINDS = Object.keys(ASSET_TYPES);
+
+/**
+ * Map asset service errors to responses
+ */
+const handleAssetError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (error.message === MESSAGES.ASSET_VALUATION_REQUIRED) {
+    return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+  }
+
+  next(error);
+};
+
+/**
+ * Validate a valuation's value, date and note
+ * @returns {Object|null} The first validation error, or null when valid
+ */
+const validateValuationFields = ({ value, date, note }) => {
+  if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+    return { field: 'value', message: 'Value is required and must be greater than or equal to 0' };
+  }
+
+  if (date !== undefined && isNaN(new Date(date).getTime())) {
+    return { field: 'date', message: 'Invalid date format' };
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    return { field: 'note', message: 'Note cannot exceed 500 characters' };
+  }
+
+  return null;
+};
+
+/**
+ * Get assets and liabilities for the logged-in user
+ */
+export const getAssets = async (req, res, next) => {
+  try {
+    const { kind, type } = req.query;
+
+    if (kind !== undefined && !ASSET_KINDS.includes(kind)) {
+      return sendValidationError(res, [{
+        field: 'kind',
+        message: `Kind must be one of: ${ASSET_KINDS.join(', ')}`
+      }]);
+    }
+
+    const assets = await assetService.getAssets(req.user.id, { kind, type });
+
+    return sendSuccess(res, assets, 'Assets retrieved successfully');
+  } catch (error) {
+    logger.error(`Get assets controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a single asset by ID
+ */
+export const getAssetById = async (req, res, next) => {
+  try {
+    const asset = await assetService.getAssetById(req.params.id, req.user.id);
+
+    return sendSuccess(res, asset, 'Asset retrieved successfully');
+  } catch (error) {
+    logger.error(`Get asset by ID controller error: ${error.message}`);
+    handleAssetError(error, res, next);
+  }
+};
+
+/**
+ * Create an asset or liability
+ */
+export const createAsset = async (req, res, next) => {
+  try {
+    const { name, kind, type, currency, value, date, note } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return sendValidationError(res, [{
+        field: 'name',
+        message: 'Name is required'
+      }]);
+    }
+
+    if (name.trim().length > 100) {
+      return sendValidationError(res, [{
+        field: 'name',
+        message: 'Name cannot exceed 100 characters'
+      }]);
+    }
+
+    if (!ASSET_KINDS.includes(kind)) {
+      return sendValidationError(res, [{
+        field: 'kind',
+        message: `Kind must be one of: ${ASSET_KINDS.join(', ')}`
+      }]);
+    }
+
+    if (!ASSET_TYPES[kind].includes(type)) {
+      return sendValidationError(res, [{
+        field: 'type',
+        message: `Type must be one of: ${ASSET_TYPES[kind].join(', ')}`
+      }]);
+    }
+
+    if (currency !== undefined && !SUPPORTED_CURRENCIES.includes(String(currency).toUpperCase())) {
+      return sendValidationError(res, [{
+        field: 'currency',
+        message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+      }]);
+    }
+
+    const validationError = validateValuationFields({ value, date, note });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const asset = await assetService.createAsset(req.user.id, {
+      name,
+      kind,
+      type,
+      currency: currency?.toUpperCase(),
+      value,
+      date: date ? new Date(date) : undefined,
+      note
+    });
+
+    return sendSuccess(
+      res,
+      asset,
+      'Asset created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Create asset controller error: ${error.message}`);
+    handleAssetError(error, res, next);
+  }
+};
+
+/**
+ * Update an asset's name, type or note
+ */
+export const updateAsset = async (req, res, next) => {
+  try {
+    const { name, type, note } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 100)) {
+      return sendValidationError(res, [{
+        field: 'name',
+        message: 'Name is required and cannot exceed 100 characters'
+      }]);
+    }
+
+    if (type !== undefined && !Object.values(ASSET_TYPES).flat().includes(type)) {
+      return sendValidationError(res, [{
+        field: 'type',
+        message: 'Invalid type'
+      }]);
+    }
+
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return sendValidationError(res, [{
+        field: 'note',
+        message: 'Note cannot exceed 500 characters'
+      }]);
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (type !== undefined) updateData.type = type;
+    if (note !== undefined) updateData.note = note.trim();
+
+    const asset = await assetService.updateAsset(req.params.id, req.user.id, updateData);
+
+    return sendSuccess(res, asset, 'Asset updated successfully');
+  } catch (error) {
+    logger.error(`Update asset controller error: ${error.message}`);
+    handleAssetError(error, res, next);
+  }
+};
+
+/**
+ * Delete an asset or liability
+ */
+export const deleteAsset = async (req, res, next) => {
+  try {
+    const asset = await assetService.deleteAsset(req.params.id, req.user.id);
+
+    return sendSuccess(res, asset, 'Asset deleted successfully');
+  } catch (error) {
+    logger.error(`Delete asset controller error: ${error.message}`);
+    handleAssetError(error, res, next);
+  }
+};
+
+/**
+ * Get an asset's valuation history
+ */
+export const getValuations = async (req, res, next) => {
+  try {
+    const valuations = await assetService.getValuations(req.params.id, req.user.id);
+
+    return sendSuccess(res, valuations, 'Valuations retrieved successfully');
+  } catch (error) {
+    logger.error(`Get asset valuations controller error: ${error.message}`);
+    handleAssetError(error, res, next);
+  }
+};
+
+/**
+ * Record a valuation
+ */
+export const addValuation = async (req, res, next) => {
+  try {
+    const { value, date, note } = req.body;
+
+    const validationError = validateValuationFields({ value, date, note });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const result = await assetService.addValuation(req.params.id, req.user.id, {
+      value,
+      date: date ? new Date(date) : undefined,
+      note
+    });
+
+    return sendSuccess(
+      res,
+      result,
+      'Valuation recorded successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Add asset valuation controller error: ${error.message}`);
+    handleAssetError(error, res, next);
+  }
+};
+
+/**
+ * Delete a valuation
+ */
+export const deleteValuation = async (req, res, next) => {
+  try {
+    const asset = await assetService.deleteValuation(req.params.id, req.params.valuationId, req.user.id);
+
+    return sendSuccess(res, asset, 'Valuation deleted successfully');
+  } catch (error) {
+    logger.error(`Delete asset valuation controller error: ${error.message}`);
+    handleAssetError(error, res, next);
+  }
+};
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../../../config/constants.js';
+
+// What each kind of holding can be
+export const ASSET_TYPES = {
+  asset: ['investment', 'property', 'vehicle', 'other'],
+  liability: ['loan', 'mortgage', 'other']
+};
+
+/**
+ * Something owned (investments, property) or owed (loans) that is valued
+ * from time to time rather than tracked through transactions. The dated
+ * values live in AssetValuation; currentValue mirrors the latest one.
+ */
+const assetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    kind: {
+      type: String,
+      enum: Object.keys(ASSET_TYPES),
+      required: [true, 'Kind is required']
+    },
+    type: {
+      type: String,
+      required: [true, 'Type is required'],
+      validate: {
+        validator: function (type) {
+          return (ASSET_TYPES[this.kind] || []).includes(type);
+        },
+        message: 'Type does not match the kind'
+      }
+    },
+    // Set to the user's currency when not given
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      enum: {
+        values: SUPPORTED_CURRENCIES,
+        message: 'Unsupported currency'
+      }
+    },
+    currentValue: {
+      type: Number,
+      default: 0,
+      min: [0, 'Value must be greater than or equal to 0']
+    },
+    valuedAt: {
+      type: Date,
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+assetSchema.index({ userId: 1, kind: 1 });
+
+// Ensure user can only access their own assets
+assetSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const Asset = mongoose.model('Asset', assetSchema);
+
+export default Asset;
@@ -0,0 +1,20 @@
+import express from 'express';
+import * as assetController from './asset.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/', assetController.getAssets);
+router.post('/', assetController.createAsset);
+router.get('/:id', assetController.getAssetById);
+router.patch('/:id', assetController.updateAsset);
+router.delete('/:id', assetController.deleteAsset);
+router.get('/:id/valuations', assetController.getValuations);
+router.post('/:id/valuations', assetController.addValuation);
+router.delete('/:id/valuations/:valuationId', assetController.deleteValuation);
+
+export default router;
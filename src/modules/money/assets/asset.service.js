@@ -0,0 +1,247 @@
+import Asset from './asset.model.js';
+import AssetValuation from './assetValuation.model.js';
+import { getBaseCurrency } from '../../exchangeRates/exchangeRate.service.js';
+import { withTransaction } from '../../../utils/db.util.js';
+import logger from '../../../utils/logger.util.js';
+import { MESSAGES } from '../../../config/constants.js';
+
+/**
+ * Point an asset's currentValue at its latest valuation
+ */
+const refreshCurrentValue = async (asset, session) => {
+  const latest = await AssetValuation.findOne({ assetId: asset._id })
+    .sort({ date: -1, createdAt: -1 })
+    .session(session)
+    .lean();
+
+  asset.currentValue = latest?.value ?? 0;
+  asset.valuedAt = latest?.date ?? null;
+  await asset.save({ session });
+
+  return asset;
+};
+
+/**
+ * Get a user's assets and liabilities
+ * @param {Object} filters - { kind, type }
+ */
+export const getAssets = async (userId, filters = {}) => {
+  try {
+    const { kind, type } = filters;
+
+    const query = { userId };
+
+    if (kind) {
+      query.kind = kind;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    const assets = await Asset.find(query)
+      .sort({ kind: 1, currentValue: -1 })
+      .lean();
+
+    return assets;
+  } catch (error) {
+    logger.error(`Get assets error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a single asset or liability
+ */
+export const getAssetById = async (assetId, userId) => {
+  try {
+    const asset = await Asset.findOne({
+      _id: assetId,
+      userId
+    }).lean();
+
+    if (!asset) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return asset;
+  } catch (error) {
+    logger.error(`Get asset by ID error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create an asset or liability with its first valuation
+ * @param {Object} assetData - { name, kind, type, currency, value, date, note }
+ */
+export const createAsset = async (userId, assetData) => {
+  try {
+    const currency = assetData.currency || await getBaseCurrency(userId);
+    let asset;
+
+    await withTransaction(async (session) => {
+      [asset] = await Asset.create([{
+        userId,
+        name: assetData.name.trim(),
+        kind: assetData.kind,
+        type: assetData.type,
+        currency,
+        note: assetData.note?.trim()
+      }], { session });
+
+      await AssetValuation.create([{
+        userId,
+        assetId: asset._id,
+        date: assetData.date || new Date(),
+        value: assetData.value
+      }], { session });
+
+      await refreshCurrentValue(asset, session);
+    });
+
+    return asset;
+  } catch (error) {
+    logger.error(`Create asset error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update an asset's details. Values change through valuations.
+ */
+export const updateAsset = async (assetId, userId, updateData) => {
+  try {
+    const asset = await Asset.findOne({
+      _id: assetId,
+      userId
+    });
+
+    if (!asset) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    Object.assign(asset, updateData);
+    await asset.save();
+
+    return asset;
+  } catch (error) {
+    logger.error(`Update asset error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete an asset or liability and its valuations
+ */
+export const deleteAsset = async (assetId, userId) => {
+  try {
+    const asset = await Asset.findOneAndDelete({
+      _id: assetId,
+      userId
+    });
+
+    if (!asset) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    await AssetValuation.deleteMany({ assetId: asset._id });
+
+    return asset;
+  } catch (error) {
+    logger.error(`Delete asset error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get an asset's valuations, newest first
+ */
+export const getValuations = async (assetId, userId) => {
+  try {
+    const asset = await Asset.exists({ _id: assetId, userId });
+    if (!asset) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const valuations = await AssetValuation.find({ assetId, userId })
+      .sort({ date: -1, createdAt: -1 })
+      .lean();
+
+    return valuations;
+  } catch (error) {
+    logger.error(`Get asset valuations error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Record what an asset is worth on a date (backdated valuations are fine)
+ * @returns {Promise<Object>} { asset, valuation }
+ */
+export const addValuation = async (assetId, userId, valuationData) => {
+  try {
+    let asset;
+    let valuation;
+
+    await withTransaction(async (session) => {
+      asset = await Asset.findOne({ _id: assetId, userId }).session(session);
+
+      if (!asset) {
+        throw new Error(MESSAGES.NOT_FOUND);
+      }
+
+      [valuation] = await AssetValuation.create([{
+        userId,
+        assetId: asset._id,
+        date: valuationData.date || new Date(),
+        value: valuationData.value,
+        note: valuationData.note?.trim()
+      }], { session });
+
+      await refreshCurrentValue(asset, session);
+    });
+
+    return { asset, valuation };
+  } catch (error) {
+    logger.error(`Add asset valuation error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a valuation. The last one can't go: delete the asset instead.
+ */
+export const deleteValuation = async (assetId, valuationId, userId) => {
+  try {
+    let asset;
+
+    await withTransaction(async (session) => {
+      asset = await Asset.findOne({ _id: assetId, userId }).session(session);
+
+      if (!asset) {
+        throw new Error(MESSAGES.NOT_FOUND);
+      }
+
+      const valuation = await AssetValuation.findOneAndDelete(
+        { _id: valuationId, assetId: asset._id },
+        { session }
+      );
+
+      if (!valuation) {
+        throw new Error(MESSAGES.NOT_FOUND);
+      }
+
+      if (!await AssetValuation.exists({ assetId: asset._id }).session(session)) {
+        throw new Error(MESSAGES.ASSET_VALUATION_REQUIRED);
+      }
+
+      await refreshCurrentValue(asset, session);
+    });
+
+    return asset;
+  } catch (error) {
+    logger.error(`Delete asset valuation error: ${error.message}`);
+    throw error;
+  }
+};
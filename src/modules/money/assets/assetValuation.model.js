@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * What an asset was worth (or a liability owed) on a date
+ */
+const assetValuationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    assetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset',
+      required: [true, 'Asset ID is required']
+    },
+    date: {
+      type: Date,
+      required: [true, 'Date is required']
+    },
+    value: {
+      type: Number,
+      required: [true, 'Value is required'],
+      min: [0, 'Value must be greater than or equal to 0']
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+assetValuationSchema.index({ assetId: 1, date: -1 });
+
+const AssetValuation = mongoose.model('AssetValuation', assetValuationSchema);
+
+export default AssetValuation;
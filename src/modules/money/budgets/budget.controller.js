@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../../config/constants.js';
+import * as budgetService from './budget.service.js';
+import { isValidMonth } from '../../../utils/date.util.js';
+import logger from '../../../utils/logger.util.js';
+
+/**
+ * Map budget service errors to responses
+ */
+const handleBudgetError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (error.message === MESSAGES.INVALID_CATEGORY) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+/**
+ * Validate the :month and optional :categoryId route params
+ * @returns {Object|null} The first validation error, or null when valid
+ */
+const validateParams = ({ month, categoryId }) => {
+  if (!isValidMonth(month)) {
+    return { field: 'month', message: 'Month must be in YYYY-MM format' };
+  }
+
+  if (categoryId !== undefined && !mongoose.isValidObjectId(categoryId)) {
+    return { field: 'categoryId', message: 'Invalid category ID' };
+  }
+
+  return null;
+};
+
+/**
+ * Get budgeted vs spent vs remaining per category for a month
+ */
+export const getMonthlyBudgets = async (req, res, next) => {
+  try {
+    const validationError = validateParams(req.params);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const result = await budgetService.getMonthlyBudgets(req.user.id, req.params.month);
+
+    return sendSuccess(res, result, 'Budgets retrieved successfully');
+  } catch (error) {
+    logger.error(`Get monthly budgets controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Set the budget for a category in a month
+ */
+export const setBudget = async (req, res, next) => {
+  try {
+    const { month, categoryId } = req.params;
+    const { amount, rollover } = req.body;
+
+    const validationError = validateParams(req.params);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    if (amount === undefined || amount === null || isNaN(parseFloat(amount)) || amount < 0) {
+      return sendValidationError(res, [{
+        field: 'amount',
+        message: 'Amount must be greater than or equal to 0'
+      }]);
+    }
+
+    if (rollover !== undefined && typeof rollover !== 'boolean') {
+      return sendValidationError(res, [{
+        field: 'rollover',
+        message: 'Rollover must be true or false'
+      }]);
+    }
+
+    const budget = await budgetService.setBudget(req.user.id, month, categoryId, {
+      amount: parseFloat(amount),
+      rollover
+    });
+
+    return sendSuccess(res, budget, 'Budget saved successfully');
+  } catch (error) {
+    logger.error(`Set budget controller error: ${error.message}`);
+    handleBudgetError(error, res, next);
+  }
+};
+
+/**
+ * Remove the budget for a category in a month
+ */
+export const deleteBudget = async (req, res, next) => {
+  try {
+    const { month, categoryId } = req.params;
+
+    const validationError = validateParams(req.params);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    await budgetService.deleteBudget(req.user.id, month, categoryId);
+
+    return sendSuccess(res, null, 'Budget deleted successfully');
+  } catch (error) {
+    logger.error(`Delete budget controller error: ${error.message}`);
+    handleBudgetError(error, res, next);
+  }
+};
+
+/**
+ * Copy another month's budgets (the previous month by default) into a month
+ */
+export const copyBudgets = async (req, res, next) => {
+  try {
+    const { month } = req.params;
+    const { fromMonth } = req.body;
+
+    const validationError = validateParams(req.params);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    if (fromMonth !== undefined && !isValidMonth(fromMonth)) {
+      return sendValidationError(res, [{
+        field: 'fromMonth',
+        message: 'fromMonth must be in YYYY-MM format'
+      }]);
+    }
+
+    const copied = await budgetService.copyBudgets(req.user.id, month, fromMonth);
+    const result = await budgetService.getMonthlyBudgets(req.user.id, month);
+
+    return sendSuccess(res, { copied, ...result }, `${copied} budget(s) copied`);
+  } catch (error) {
+    logger.error(`Copy budgets controller error: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const budgetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    // Expense category; a top-level category's budget also covers its subcategories
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: [true, 'Category is required']
+    },
+    month: {
+      type: String,
+      required: [true, 'Month is required'],
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Month must be in YYYY-MM format']
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Amount must be greater than or equal to 0']
+    },
+    // Carry this month's unspent money into next month's budget for the category
+    rollover: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One budget per category per month
+budgetSchema.index({ userId: 1, month: 1, categoryId: 1 }, { unique: true });
+budgetSchema.index({ userId: 1, categoryId: 1 });
+
+// Ensure user can only access their own budgets
+budgetSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const Budget = mongoose.model('Budget', budgetSchema);
+
+export default Budget;
@@ -0,0 +1,16 @@
+import express from 'express';
+import * as budgetController from './budget.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/:month', budgetController.getMonthlyBudgets);
+router.post('/:month/copy', budgetController.copyBudgets);
+router.put('/:month/:categoryId', budgetController.setBudget);
+router.delete('/:month/:categoryId', budgetController.deleteBudget);
+
+export default router;
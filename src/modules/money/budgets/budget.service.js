@@ -0,0 +1,215 @@
+import Budget from './budget.model.js';
+import Category from '../categories/category.model.js';
+import { resolveCategory } from '../categories/category.service.js';
+import { getExpenseTotalsByCategoryMonth } from '../transactions/transaction.service.js';
+import { getMonthRange, shiftMonth, toMonthKey } from '../../../utils/date.util.js';
+import { roundAmount } from '../../../utils/money.util.js';
+import logger from '../../../utils/logger.util.js';
+import { MESSAGES } from '../../../config/constants.js';
+
+// Percentages of a budget at which alerts are raised, highest last
+export const BUDGET_ALERT_THRESHOLDS = [80, 100];
+
+// How far back unspent money can keep rolling over
+const MAX_ROLLOVER_MONTHS = 12;
+
+/**
+ * Highest alert threshold a usage percentage has reached
+ * @returns {number|null}
+ */
+const getAlertThreshold = (percentUsed) => {
+  const reached = BUDGET_ALERT_THRESHOLDS.filter(threshold => percentUsed >= threshold);
+  return reached.length > 0 ? reached[reached.length - 1] : null;
+};
+
+/**
+ * Get budgeted vs spent vs remaining per category for a month, with
+ * unspent money rolled over from previous months where enabled
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<Object>} { month, budgets, totals, alerts }
+ */
+export const getMonthlyBudgets = async (userId, month) => {
+  try {
+    const firstMonth = shiftMonth(month, -MAX_ROLLOVER_MONTHS);
+
+    const [budgets, history, categories] = await Promise.all([
+      Budget.find({ userId, month }).lean(),
+      Budget.find({ userId, month: { $gte: firstMonth, $lt: month }, rollover: true }).lean(),
+      Category.find({ userId, kind: 'expense' }).select('name parentId icon color isArchived').lean()
+    ]);
+
+    const spending = await getExpenseTotalsByCategoryMonth(
+      userId,
+      getMonthRange(firstMonth).startDate,
+      getMonthRange(month).endDate
+    );
+
+    // A budget covers its category and that category's subcategories
+    const coveredIds = (categoryId) => [
+      categoryId.toString(),
+      ...categories
+        .filter(category => category.parentId && category.parentId.toString() === categoryId.toString())
+        .map(category => category._id.toString())
+    ];
+    const spentIn = (categoryIds, spentMonth) =>
+      categoryIds.reduce((sum, id) => sum + (spending.get(`${id}|${spentMonth}`) || 0), 0);
+
+    const rolloverByKey = new Map(history.map(budget => [`${budget.categoryId}|${budget.month}`, budget]));
+
+    const categoryById = new Map(categories.map(category => [category._id.toString(), category]));
+    const counted = new Set();
+
+    const items = budgets.map(budget => {
+      const categoryIds = coveredIds(budget.categoryId);
+      categoryIds.forEach(id => counted.add(id));
+
+      // Walk back through the unbroken run of previous months that rolled over,
+      // then carry unspent money forward from the oldest one
+      const chain = [];
+      let previousMonth = shiftMonth(month, -1);
+      while (rolloverByKey.has(`${budget.categoryId}|${previousMonth}`)) {
+        chain.unshift({ ...rolloverByKey.get(`${budget.categoryId}|${previousMonth}`), month: previousMonth });
+        previousMonth = shiftMonth(previousMonth, -1);
+      }
+      const rolledOver = chain.reduce(
+        (carry, previous) => Math.max(0, previous.amount + carry - spentIn(categoryIds, previous.month)),
+        0
+      );
+
+      const available = budget.amount + rolledOver;
+      const spent = spentIn(categoryIds, month);
+      const percentUsed = available > 0 ? Math.round((spent / available) * 100) : (spent > 0 ? 100 : 0);
+      const category = categoryById.get(budget.categoryId.toString());
+
+      return {
+        _id: budget._id,
+        categoryId: budget.categoryId,
+        category: category ? { name: category.name, parentId: category.parentId, icon: category.icon, color: category.color } : null,
+        amount: budget.amount,
+        rollover: budget.rollover,
+        rolledOver: roundAmount(rolledOver),
+        available: roundAmount(available),
+        spent: roundAmount(spent),
+        remaining: roundAmount(available - spent),
+        percentUsed,
+        alertThreshold: getAlertThreshold(percentUsed)
+      };
+    }).sort((a, b) => (a.category?.name || '').localeCompare(b.category?.name || ''));
+
+    // Spending across all budgeted categories, counting each transaction once
+    // even when both a category and its subcategory have budgets
+    const budgetedSpent = spentIn([...counted], month);
+    const totalSpent = categories.reduce((sum, category) => sum + spentIn([category._id.toString()], month), 0);
+
+    const alerts = items
+      .filter(item => item.alertThreshold !== null)
+      .sort((a, b) => b.percentUsed - a.percentUsed)
+      .map(item => ({
+        budgetId: item._id,
+        categoryId: item.categoryId,
+        categoryName: item.category?.name,
+        threshold: item.alertThreshold,
+        percentUsed: item.percentUsed,
+        message: item.alertThreshold >= 100
+          ? `You've gone over your ${item.category?.name} budget (${item.percentUsed}% used).`
+          : `You've used ${item.percentUsed}% of your ${item.category?.name} budget.`
+      }));
+
+    return {
+      month,
+      budgets: items,
+      totals: {
+        budgeted: roundAmount(items.reduce((sum, item) => sum + item.amount, 0)),
+        rolledOver: roundAmount(items.reduce((sum, item) => sum + item.rolledOver, 0)),
+        available: roundAmount(items.reduce((sum, item) => sum + item.available, 0)),
+        spent: roundAmount(budgetedSpent),
+        unbudgetedSpent: roundAmount(totalSpent - budgetedSpent)
+      },
+      alerts
+    };
+  } catch (error) {
+    logger.error(`Get monthly budgets error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Budget alerts for a month (the current month by default), most used first
+ */
+export const getBudgetAlerts = async (userId, month = toMonthKey()) => {
+  const { alerts } = await getMonthlyBudgets(userId, month);
+  return alerts;
+};
+
+/**
+ * Create or update the budget for a category in a month
+ */
+export const setBudget = async (userId, month, categoryId, { amount, rollover }) => {
+  try {
+    const category = await resolveCategory(userId, { categoryId }, 'expense');
+
+    const update = { amount };
+    if (rollover !== undefined) {
+      update.rollover = rollover;
+    }
+
+    return await Budget.findOneAndUpdate(
+      { userId, month, categoryId: category._id },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    logger.error(`Set budget error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Remove the budget for a category in a month
+ */
+export const deleteBudget = async (userId, month, categoryId) => {
+  try {
+    const budget = await Budget.findOneAndDelete({ userId, month, categoryId });
+
+    if (!budget) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return budget;
+  } catch (error) {
+    logger.error(`Delete budget error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Copy another month's budgets (the previous month by default) into a month.
+ * Categories that already have a budget in the month are left alone.
+ * @returns {Promise<number>} Number of budgets copied
+ */
+export const copyBudgets = async (userId, month, fromMonth = shiftMonth(month, -1)) => {
+  try {
+    const [source, existing] = await Promise.all([
+      Budget.find({ userId, month: fromMonth }).lean(),
+      Budget.find({ userId, month }).distinct('categoryId')
+    ]);
+
+    const existingIds = new Set(existing.map(id => id.toString()));
+    const toCopy = source.filter(budget => !existingIds.has(budget.categoryId.toString()));
+
+    if (toCopy.length > 0) {
+      await Budget.insertMany(toCopy.map(budget => ({
+        userId,
+        month,
+        categoryId: budget.categoryId,
+        amount: budget.amount,
+        rollover: budget.rollover
+      })));
+    }
+
+    return toCopy.length;
+  } catch (error) {
+    logger.error(`Copy budgets error: ${error.message}`);
+    throw error;
+  }
+};
@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../../config/constants.js';
+import * as categoryService from './category.service.js';
+import logger from '../../../utils/logger.util.js';
+
+const VALID_KINDS = ['expense', 'income'];
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Map category service errors to responses
+ */
+const handleCategoryError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (error.message === MESSAGES.CATEGORY_EXISTS) {
+    return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+  }
+
+  if ([
+    MESSAGES.INVALID_CATEGORY,
+    MESSAGES.INVALID_PARENT_CATEGORY,
+    MESSAGES.CATEGORY_IN_USE,
+    MESSAGES.CATEGORY_HAS_SUBCATEGORIES
+  ].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+/**
+ * Validate the optional display fields shared by create and update
+ * @returns {Object|null} The first validation error, or null when valid
+ */
+const validateDisplayFields = ({ name, icon, color, parentId }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return { field: 'name', message: 'Name is required' };
+  }
+
+  if (name && name.trim().length > 50) {
+    return { field: 'name', message: 'Name cannot exceed 50 characters' };
+  }
+
+  if (icon && icon.length > 50) {
+    return { field: 'icon', message: 'Icon cannot exceed 50 characters' };
+  }
+
+  if (color && !COLOR_REGEX.test(color)) {
+    return { field: 'color', message: 'Color must be a hex value like #FF8800' };
+  }
+
+  if (parentId && !mongoose.isValidObjectId(parentId)) {
+    return { field: 'parentId', message: 'Invalid parent category ID' };
+  }
+
+  return null;
+};
+
+/**
+ * Get the logged-in user's categories
+ */
+export const getCategories = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { kind, includeArchived } = req.query;
+
+    if (kind && !VALID_KINDS.includes(kind)) {
+      return sendValidationError(res, [{
+        field: 'kind',
+        message: `Kind must be one of: ${VALID_KINDS.join(', ')}`
+      }]);
+    }
+
+    const categories = await categoryService.getCategories(userId, { kind, includeArchived });
+
+    return sendSuccess(res, categories, 'Categories retrieved successfully');
+  } catch (error) {
+    logger.error(`Get categories controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a category or subcategory
+ */
+export const createCategory = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { name, kind, parentId, icon, color } = req.body;
+
+    if (!name) {
+      return sendValidationError(res, [{
+        field: 'name',
+        message: 'Name is required'
+      }]);
+    }
+
+    if (!VALID_KINDS.includes(kind)) {
+      return sendValidationError(res, [{
+        field: 'kind',
+        message: `Kind must be one of: ${VALID_KINDS.join(', ')}`
+      }]);
+    }
+
+    const validationError = validateDisplayFields({ name, icon, color, parentId });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const category = await categoryService.createCategory(userId, { name, kind, parentId, icon, color });
+
+    return sendSuccess(
+      res,
+      category,
+      'Category created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Create category controller error: ${error.message}`);
+    handleCategoryError(error, res, next);
+  }
+};
+
+/**
+ * Update a category
+ */
+export const updateCategory = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { name, parentId, icon, color, isArchived } = req.body;
+
+    if (req.body.kind !== undefined) {
+      return sendValidationError(res, [{
+        field: 'kind',
+        message: 'Kind cannot be changed. Create a new category instead'
+      }]);
+    }
+
+    const validationError = validateDisplayFields({ name, icon, color, parentId });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    if (isArchived !== undefined && typeof isArchived !== 'boolean') {
+      return sendValidationError(res, [{
+        field: 'isArchived',
+        message: 'isArchived must be a boolean'
+      }]);
+    }
+
+    const category = await categoryService.updateCategory(id, userId, { name, parentId, icon, color, isArchived });
+
+    return sendSuccess(res, category, 'Category updated successfully');
+  } catch (error) {
+    logger.error(`Update category controller error: ${error.message}`);
+    handleCategoryError(error, res, next);
+  }
+};
+
+/**
+ * Delete a category, optionally moving its transactions to another one
+ */
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const reassignTo = req.body?.reassignTo || req.query.reassignTo;
+
+    if (reassignTo && !mongoose.isValidObjectId(reassignTo)) {
+      return sendValidationError(res, [{
+        field: 'reassignTo',
+        message: 'Invalid category ID'
+      }]);
+    }
+
+    const result = await categoryService.deleteCategory(id, userId, { reassignTo }, req.user);
+
+    return sendSuccess(res, result, 'Category deleted successfully');
+  } catch (error) {
+    logger.error(`Delete category controller error: ${error.message}`);
+    handleCategoryError(error, res, next);
+  }
+};
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { NAME_COLLATION } from '../../../utils/money.util.js';
+
+const categorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters']
+    },
+    // Which transaction type the category applies to
+    kind: {
+      type: String,
+      enum: ['expense', 'income'],
+      required: [true, 'Kind is required']
+    },
+    // Set for subcategories; only one level of nesting is allowed
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+      index: true
+    },
+    icon: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Icon cannot exceed 50 characters'],
+      default: null
+    },
+    color: {
+      type: String,
+      trim: true,
+      match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #FF8800'],
+      default: null
+    },
+    // Archived categories keep their transactions but can't be picked for new ones
+    isArchived: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Names are unique (case-insensitively) among siblings of the same kind
+categorySchema.index(
+  { userId: 1, kind: 1, parentId: 1, name: 1 },
+  { unique: true, collation: NAME_COLLATION }
+);
+
+// Ensure user can only access their own categories
+categorySchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -0,0 +1,16 @@
+import express from 'express';
+import * as categoryController from './category.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/', categoryController.getCategories);
+router.post('/', categoryController.createCategory);
+router.patch('/:id', categoryController.updateCategory);
+router.delete('/:id', categoryController.deleteCategory);
+
+export default router;
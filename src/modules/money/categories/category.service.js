@@ -0,0 +1,356 @@
+import mongoose from 'mongoose';
+import Category from './category.model.js';
+import Transaction from '../transactions/transaction.model.js';
+import CategoryRule from '../rules/categoryRule.model.js';
+import Budget from '../budgets/budget.model.js';
+import RecurringTemplate from '../recurring/recurringTemplate.model.js';
+import { reassignTransactionCategories } from '../transactions/transaction.service.js';
+import { NAME_COLLATION } from '../../../utils/money.util.js';
+import logger from '../../../utils/logger.util.js';
+import { MESSAGES } from '../../../config/constants.js';
+
+/**
+ * Categories every user starts with (the original fixed transaction categories)
+ */
+export const DEFAULT_CATEGORIES = [
+  { name: 'Food', kind: 'expense', icon: 'utensils', color: '#F97316' },
+  { name: 'Travel', kind: 'expense', icon: 'plane', color: '#0EA5E9' },
+  { name: 'Shopping', kind: 'expense', icon: 'shopping-bag', color: '#EC4899' },
+  { name: 'Entertainment', kind: 'expense', icon: 'film', color: '#8B5CF6' },
+  { name: 'Health', kind: 'expense', icon: 'heart-pulse', color: '#EF4444' },
+  { name: 'Misc', kind: 'expense', icon: 'tag', color: '#6B7280' },
+  { name: 'Misc', kind: 'income', icon: 'wallet', color: '#10B981' }
+];
+
+/**
+ * Seed the default categories the first time a user needs them
+ */
+export const ensureDefaultCategories = async (userId) => {
+  const existing = await Category.countDocuments({ userId });
+  if (existing > 0) {
+    return;
+  }
+
+  try {
+    await Category.insertMany(
+      DEFAULT_CATEGORIES.map(category => ({ ...category, userId })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // A concurrent request seeded them first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Find a category by name (case-insensitive) among a user's categories of a kind
+ */
+const findByName = (userId, kind, name, parentId = null) => {
+  return Category.findOne({ userId, kind, parentId, name: name.trim() }).collation(NAME_COLLATION);
+};
+
+/**
+ * Check that a category can be a parent: the user's own, top-level and of the same kind
+ */
+const assertValidParent = async (parentId, userId, kind) => {
+  if (!mongoose.isValidObjectId(parentId)) {
+    throw new Error(MESSAGES.INVALID_PARENT_CATEGORY);
+  }
+
+  const parent = await Category.findOne({ _id: parentId, userId });
+  if (!parent || parent.parentId || parent.kind !== kind) {
+    throw new Error(MESSAGES.INVALID_PARENT_CATEGORY);
+  }
+
+  return parent;
+};
+
+/**
+ * Resolve the category for a transaction from either its ID or its name
+ * (names are accepted so older clients sending `category: 'food'` keep working)
+ * @returns {Promise<Object>} Category document
+ * @throws {Error} INVALID_CATEGORY when missing, archived or of the wrong kind
+ */
+export const resolveCategory = async (userId, { categoryId, category }, type) => {
+  await ensureDefaultCategories(userId);
+
+  let resolved = null;
+  if (categoryId) {
+    if (mongoose.isValidObjectId(categoryId)) {
+      resolved = await Category.findOne({ _id: categoryId, userId });
+    }
+  } else if (category) {
+    // Top-level categories win over subcategories with the same name
+    resolved = await Category.findOne({ userId, kind: type, name: String(category).trim() })
+      .collation(NAME_COLLATION)
+      .sort({ parentId: 1 });
+  }
+
+  if (!resolved || resolved.isArchived || resolved.kind !== type) {
+    throw new Error(MESSAGES.INVALID_CATEGORY);
+  }
+
+  return resolved;
+};
+
+/**
+ * IDs matching a transaction list filter: a category ID or name, plus subcategories
+ */
+export const getCategoryFilterIds = async (userId, value) => {
+  const matches = mongoose.isValidObjectId(value)
+    ? await Category.find({ _id: value, userId }).distinct('_id')
+    : await Category.find({ userId, name: String(value).trim() }).collation(NAME_COLLATION).distinct('_id');
+
+  const children = await Category.find({ userId, parentId: { $in: matches } }).distinct('_id');
+  return [...matches, ...children];
+};
+
+/**
+ * Get a user's categories as a tree: top-level categories with their subcategories
+ */
+export const getCategories = async (userId, filters = {}) => {
+  try {
+    await ensureDefaultCategories(userId);
+
+    const { kind, includeArchived } = filters;
+
+    const query = { userId };
+    if (kind) {
+      query.kind = kind;
+    }
+    if (includeArchived !== 'true' && includeArchived !== true) {
+      query.isArchived = false;
+    }
+
+    const categories = await Category.find(query)
+      .collation(NAME_COLLATION)
+      .sort({ kind: 1, name: 1 })
+      .lean();
+
+    const topLevel = categories.filter(category => !category.parentId);
+    return topLevel.map(parent => ({
+      ...parent,
+      subcategories: categories.filter(
+        category => category.parentId && category.parentId.toString() === parent._id.toString()
+      )
+    }));
+  } catch (error) {
+    logger.error(`Get categories error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create a category or subcategory
+ */
+export const createCategory = async (userId, categoryData) => {
+  try {
+    await ensureDefaultCategories(userId);
+
+    const { name, kind, parentId, icon, color } = categoryData;
+
+    if (parentId) {
+      await assertValidParent(parentId, userId, kind);
+    }
+
+    if (await findByName(userId, kind, name, parentId || null)) {
+      throw new Error(MESSAGES.CATEGORY_EXISTS);
+    }
+
+    const category = await Category.create({
+      userId,
+      name: name.trim(),
+      kind,
+      parentId: parentId || null,
+      icon: icon?.trim() || null,
+      color: color || null
+    });
+
+    return category;
+  } catch (error) {
+    logger.error(`Create category error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update a category. The kind can't change once transactions may be using it.
+ */
+export const updateCategory = async (categoryId, userId, updateData) => {
+  try {
+    const category = await Category.findOne({
+      _id: categoryId,
+      userId
+    });
+
+    if (!category) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (updateData.parentId !== undefined) {
+      const parentId = updateData.parentId || null;
+
+      if (parentId) {
+        if (parentId.toString() === category._id.toString()) {
+          throw new Error(MESSAGES.INVALID_PARENT_CATEGORY);
+        }
+
+        // A category with subcategories can't itself become a subcategory
+        const hasChildren = await Category.exists({ userId, parentId: category._id });
+        if (hasChildren) {
+          throw new Error(MESSAGES.INVALID_PARENT_CATEGORY);
+        }
+
+        await assertValidParent(parentId, userId, category.kind);
+      }
+
+      category.parentId = parentId;
+    }
+
+    if (updateData.name !== undefined) {
+      category.name = updateData.name.trim();
+    }
+
+    if (updateData.name !== undefined || updateData.parentId !== undefined) {
+      const duplicate = await findByName(userId, category.kind, category.name, category.parentId);
+      if (duplicate && duplicate._id.toString() !== category._id.toString()) {
+        throw new Error(MESSAGES.CATEGORY_EXISTS);
+      }
+    }
+
+    if (updateData.icon !== undefined) {
+      category.icon = updateData.icon?.trim() || null;
+    }
+    if (updateData.color !== undefined) {
+      category.color = updateData.color || null;
+    }
+    if (updateData.isArchived !== undefined) {
+      category.isArchived = updateData.isArchived;
+    }
+
+    await category.save();
+
+    return category;
+  } catch (error) {
+    logger.error(`Update category error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a category. Transactions using it must be moved to another
+ * category of the same kind first, via `reassignTo`. Rules targeting it
+ * move along with them, or are deleted when there is no `reassignTo`.
+ * The category's budgets are deleted; recurring templates using it move
+ * to `reassignTo`, or go back to rule-based categorisation.
+ */
+export const deleteCategory = async (categoryId, userId, { reassignTo } = {}, actor = { id: userId }) => {
+  try {
+    const category = await Category.findOne({
+      _id: categoryId,
+      userId
+    });
+
+    if (!category) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (await Category.exists({ userId, parentId: category._id })) {
+      throw new Error(MESSAGES.CATEGORY_HAS_SUBCATEGORIES);
+    }
+
+    let target = null;
+    if (reassignTo) {
+      target = await resolveCategory(userId, { categoryId: reassignTo }, category.kind);
+      if (target._id.toString() === category._id.toString()) {
+        throw new Error(MESSAGES.INVALID_CATEGORY);
+      }
+    }
+
+    const inUse = await Transaction.exists({ userId, categoryId: category._id });
+    let reassigned = 0;
+
+    if (inUse) {
+      if (!target) {
+        throw new Error(MESSAGES.CATEGORY_IN_USE);
+      }
+
+      reassigned = await reassignTransactionCategories(userId, category._id, target._id, actor);
+    }
+
+    // Rules follow the transactions to the new category, or go with the old one
+    const rules = target
+      ? await CategoryRule.updateMany({ userId, categoryId: category._id }, { categoryId: target._id })
+      : await CategoryRule.deleteMany({ userId, categoryId: category._id });
+
+    // Budgets are per category, so they can't be merged into another one
+    await Budget.deleteMany({ userId, categoryId: category._id });
+    await RecurringTemplate.updateMany(
+      { userId, categoryId: category._id },
+      { categoryId: target ? target._id : null }
+    );
+
+    await category.deleteOne();
+
+    return {
+      category,
+      reassignedTransactions: reassigned,
+      reassignedRules: rules.modifiedCount || 0,
+      deletedRules: rules.deletedCount || 0
+    };
+  } catch (error) {
+    logger.error(`Delete category error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * One-off migration from the old fixed category enum: give every transaction
+ * without a categoryId the matching category (by name and type), creating it
+ * if needed, and drop the old `category` string. Safe to run repeatedly.
+ * @returns {Promise<number>} Number of transactions migrated
+ */
+export const migrateLegacyTransactionCategories = async () => {
+  try {
+    // Raw collection access: the legacy `category` field is no longer in the schema
+    const groups = await Transaction.collection.aggregate([
+      { $match: { categoryId: { $exists: false } } },
+      { $group: { _id: { userId: '$userId', type: '$type', category: '$category' } } }
+    ]).toArray();
+
+    let migrated = 0;
+
+    for (const { _id: { userId, type, category } } of groups) {
+      await ensureDefaultCategories(userId);
+
+      const kind = type === 'income' ? 'income' : 'expense';
+      const name = category ? String(category).trim() : 'Misc';
+
+      let target = await findByName(userId, kind, name);
+      if (!target) {
+        target = await Category.create({
+          userId,
+          kind,
+          name: name.charAt(0).toUpperCase() + name.slice(1)
+        });
+      }
+
+      const result = await Transaction.collection.updateMany(
+        { userId, type, category: category ?? null, categoryId: { $exists: false } },
+        { $set: { categoryId: target._id }, $unset: { category: '' } }
+      );
+      migrated += result.modifiedCount;
+    }
+
+    if (migrated > 0) {
+      logger.info(`Migrated ${migrated} transactions to user-defined categories`);
+    }
+
+    return migrated;
+  } catch (error) {
+    logger.error(`Migrate transaction categories error: ${error.message}`);
+    return 0;
+  }
+};
@@ -0,0 +1,316 @@
+import mongoose from 'mongoose';
+import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../../config/constants.js';
+import * as contactService from './contact.service.js';
+import logger from '../../../utils/logger.util.js';
+
+// Most contacts a group can have (see contactGroup.model)
+const MAX_GROUP_SIZE = 50;
+
+/**
+ * Map contact service errors to responses
+ */
+const handleContactError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if ([
+    MESSAGES.CONTACT_EXISTS,
+    MESSAGES.CONTACT_GROUP_EXISTS,
+    MESSAGES.CONTACT_HAS_BALANCE
+  ].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+  }
+
+  if ([MESSAGES.INVALID_CONTACT, MESSAGES.INVALID_CATEGORY].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+/**
+ * Validate a name field (contacts and groups)
+ * @returns {Object|null} The validation error, or null when valid
+ */
+const validateName = (name, { partial = false } = {}) => {
+  if (name === undefined) {
+    return partial ? null : { field: 'name', message: 'Name is required' };
+  }
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { field: 'name', message: 'Name is required' };
+  }
+
+  if (name.trim().length > 100) {
+    return { field: 'name', message: 'Name cannot exceed 100 characters' };
+  }
+
+  return null;
+};
+
+/**
+ * Validate contact fields. With `partial`, only fields that are present are checked (updates).
+ * @returns {Object|null} The first validation error, or null when valid
+ */
+const validateContactFields = (data, { partial = false } = {}) => {
+  const { name, email, phone, note } = data;
+
+  const nameError = validateName(name, { partial });
+  if (nameError) {
+    return nameError;
+  }
+
+  if (email !== undefined && email !== null && (typeof email !== 'string' || !/^\S+@\S+\.\S+$/.test(email.trim()))) {
+    return { field: 'email', message: 'Please provide a valid email' };
+  }
+
+  if (phone !== undefined && phone !== null && (typeof phone !== 'string' || phone.trim().length > 30)) {
+    return { field: 'phone', message: 'Phone cannot exceed 30 characters' };
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    return { field: 'note', message: 'Note cannot exceed 500 characters' };
+  }
+
+  return null;
+};
+
+/**
+ * Validate a group's member list
+ * @returns {Object|null} The validation error, or null when valid
+ */
+const validateContactIds = (contactIds) => {
+  if (!Array.isArray(contactIds) || contactIds.length === 0 || contactIds.length > MAX_GROUP_SIZE) {
+    return { field: 'contactIds', message: `A group needs between 1 and ${MAX_GROUP_SIZE} contacts` };
+  }
+
+  if (contactIds.some(contactId => !mongoose.isValidObjectId(contactId))) {
+    return { field: 'contactIds', message: 'Invalid contact ID' };
+  }
+
+  return null;
+};
+
+/**
+ * Get contacts for the logged-in user
+ */
+export const getContacts = async (req, res, next) => {
+  try {
+    const contacts = await contactService.getContacts(req.user.id);
+
+    return sendSuccess(res, contacts, 'Contacts retrieved successfully');
+  } catch (error) {
+    logger.error(`Get contacts controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a contact
+ */
+export const createContact = async (req, res, next) => {
+  try {
+    const { name, email, phone, note } = req.body;
+
+    const validationError = validateContactFields(req.body);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const contact = await contactService.createContact(req.user.id, {
+      name,
+      email: email?.trim(),
+      phone: phone?.trim(),
+      note
+    });
+
+    return sendSuccess(
+      res,
+      contact,
+      'Contact created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Create contact controller error: ${error.message}`);
+    handleContactError(error, res, next);
+  }
+};
+
+/**
+ * Update a contact
+ */
+export const updateContact = async (req, res, next) => {
+  try {
+    const { name, email, phone, note } = req.body;
+
+    const validationError = validateContactFields(req.body, { partial: true });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (email !== undefined) updateData.email = email?.trim() || null;
+    if (phone !== undefined) updateData.phone = phone?.trim() || null;
+    if (note !== undefined) updateData.note = note.trim();
+
+    const contact = await contactService.updateContact(req.params.id, req.user.id, updateData);
+
+    return sendSuccess(res, contact, 'Contact updated successfully');
+  } catch (error) {
+    logger.error(`Update contact controller error: ${error.message}`);
+    handleContactError(error, res, next);
+  }
+};
+
+/**
+ * Delete a contact
+ */
+export const deleteContact = async (req, res, next) => {
+  try {
+    const contact = await contactService.deleteContact(req.params.id, req.user.id);
+
+    return sendSuccess(res, contact, 'Contact deleted successfully');
+  } catch (error) {
+    logger.error(`Delete contact controller error: ${error.message}`);
+    handleContactError(error, res, next);
+  }
+};
+
+/**
+ * Get every contact's balance with the logged-in user
+ */
+export const getContactBalances = async (req, res, next) => {
+  try {
+    const balances = await contactService.getContactBalances(req.user.id);
+
+    return sendSuccess(res, balances, 'Contact balances retrieved successfully');
+  } catch (error) {
+    logger.error(`Get contact balances controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get one contact's balance and open debts
+ */
+export const getContactBalance = async (req, res, next) => {
+  try {
+    const balance = await contactService.getContactBalance(req.params.id, req.user.id);
+
+    return sendSuccess(res, balance, 'Contact balance retrieved successfully');
+  } catch (error) {
+    logger.error(`Get contact balance controller error: ${error.message}`);
+    handleContactError(error, res, next);
+  }
+};
+
+/**
+ * Get contact groups for the logged-in user
+ */
+export const getGroups = async (req, res, next) => {
+  try {
+    const groups = await contactService.getGroups(req.user.id);
+
+    return sendSuccess(res, groups, 'Contact groups retrieved successfully');
+  } catch (error) {
+    logger.error(`Get contact groups controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a contact group
+ */
+export const createGroup = async (req, res, next) => {
+  try {
+    const { name, contactIds } = req.body;
+
+    const validationError = validateName(name) || validateContactIds(contactIds);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const group = await contactService.createGroup(req.user.id, { name, contactIds });
+
+    return sendSuccess(
+      res,
+      group,
+      'Contact group created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Create contact group controller error: ${error.message}`);
+    handleContactError(error, res, next);
+  }
+};
+
+/**
+ * Update a contact group
+ */
+export const updateGroup = async (req, res, next) => {
+  try {
+    const { name, contactIds } = req.body;
+
+    const validationError = validateName(name, { partial: true }) ||
+      (contactIds !== undefined ? validateContactIds(contactIds) : null);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (contactIds !== undefined) updateData.contactIds = contactIds;
+
+    const group = await contactService.updateGroup(req.params.groupId, req.user.id, updateData);
+
+    return sendSuccess(res, group, 'Contact group updated successfully');
+  } catch (error) {
+    logger.error(`Update contact group controller error: ${error.message}`);
+    handleContactError(error, res, next);
+  }
+};
+
+/**
+ * Delete a contact group
+ */
+export const deleteGroup = async (req, res, next) => {
+  try {
+    const group = await contactService.deleteGroup(req.params.groupId, req.user.id);
+
+    return sendSuccess(res, group, 'Contact group deleted successfully');
+  } catch (error) {
+    logger.error(`Delete contact group controller error: ${error.message}`);
+    handleContactError(error, res, next);
+  }
+};
+
+/**
+ * Show the transfers that would settle up a group
+ */
+export const getSettleUpPlan = async (req, res, next) => {
+  try {
+    const plan = await contactService.getSettleUpPlan(req.params.groupId, req.user.id);
+
+    return sendSuccess(res, plan, 'Settle-up plan generated successfully');
+  } catch (error) {
+    logger.error(`Get settle-up plan controller error: ${error.message}`);
+    handleContactError(error, res, next);
+  }
+};
+
+/**
+ * Settle up a group
+ */
+export const settleUp = async (req, res, next) => {
+  try {
+    const result = await contactService.settleUp(req.params.groupId, req.user.id, req.user);
+
+    return sendSuccess(res, result, 'Group settled up successfully');
+  } catch (error) {
+    logger.error(`Settle up controller error: ${error.message}`);
+    handleContactError(error, res, next);
+  }
+};
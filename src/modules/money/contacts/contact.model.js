@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { NAME_COLLATION } from '../../../utils/money.util.js';
+
+const contactSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+      default: null
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [30, 'Phone cannot exceed 30 characters'],
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Names are unique per user, case-insensitively ("Rahul" is "rahul")
+contactSchema.index(
+  { userId: 1, name: 1 },
+  { unique: true, collation: NAME_COLLATION }
+);
+
+// Ensure user can only access their own contacts
+contactSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const Contact = mongoose.model('Contact', contactSchema);
+
+export default Contact;
@@ -0,0 +1,24 @@
+import express from 'express';
+import * as contactController from './contact.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/', contactController.getContacts);
+router.post('/', contactController.createContact);
+router.get('/balances', contactController.getContactBalances);
+router.get('/groups', contactController.getGroups);
+router.post('/groups', contactController.createGroup);
+router.patch('/groups/:groupId', contactController.updateGroup);
+router.delete('/groups/:groupId', contactController.deleteGroup);
+router.get('/groups/:groupId/settle-up', contactController.getSettleUpPlan);
+router.post('/groups/:groupId/settle-up', contactController.settleUp);
+router.get('/:id/balance', contactController.getContactBalance);
+router.patch('/:id', contactController.updateContact);
+router.delete('/:id', contactController.deleteContact);
+
+export default router;
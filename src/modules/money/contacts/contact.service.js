@@ -0,0 +1,517 @@
+import Contact from './contact.model.js';
+import ContactGroup from './contactGroup.model.js';
+import Debt from '../debts/debt.model.js';
+import { getOutstandingBalance, applyRepayments } from '../debts/debt.service.js';
+import {
+  pickCategory,
+  insertSettlementTransactions,
+  getTransactionById
+} from '../transactions/transaction.service.js';
+import { getBaseCurrency, createConverter } from '../../exchangeRates/exchangeRate.service.js';
+import { NAME_COLLATION, roundAmount } from '../../../utils/money.util.js';
+import { withTransaction } from '../../../utils/db.util.js';
+import logger from '../../../utils/logger.util.js';
+import { MESSAGES } from '../../../config/constants.js';
+
+/**
+ * Check that every ID is one of the user's contacts
+ * @throws {Error} INVALID_CONTACT otherwise
+ */
+const assertOwnContacts = async (userId, contactIds) => {
+  const uniqueIds = [...new Set(contactIds.map(String))];
+  const count = await Contact.countDocuments({ _id: { $in: uniqueIds }, userId });
+
+  if (count !== uniqueIds.length || uniqueIds.length !== contactIds.length) {
+    throw new Error(MESSAGES.INVALID_CONTACT);
+  }
+};
+
+/**
+ * Outstanding balances of a user's unsettled debts, per contact and currency
+ * @returns {Promise<Object>} { debts, balances: Map(contactId => Map(currency => { owesYou, youOwe })) }
+ */
+const loadBalances = async (userId, contactIds = null, asOf = new Date()) => {
+  const query = { userId, status: { $ne: 'settled' }, contactId: { $ne: null } };
+  if (contactIds) {
+    query.contactId = { $in: contactIds };
+  }
+
+  const debts = await Debt.find(query).sort({ startDate: 1, createdAt: 1 }).lean();
+  const baseCurrency = await getBaseCurrency(userId);
+  const balances = new Map();
+
+  for (const debt of debts) {
+    debt.currency ||= baseCurrency;
+    debt.outstanding = getOutstandingBalance(debt, asOf);
+
+    const contactKey = debt.contactId.toString();
+    if (!balances.has(contactKey)) {
+      balances.set(contactKey, new Map());
+    }
+
+    const byCurrency = balances.get(contactKey);
+    if (!byCurrency.has(debt.currency)) {
+      byCurrency.set(debt.currency, { owesYou: 0, youOwe: 0 });
+    }
+
+    const balance = byCurrency.get(debt.currency);
+    if (debt.type === 'lent') {
+      balance.owesYou += debt.outstanding;
+    } else {
+      balance.youOwe += debt.outstanding;
+    }
+  }
+
+  return { debts, balances, baseCurrency };
+};
+
+/**
+ * A contact's balances as a list, one entry per currency; a positive net
+ * means the contact owes the user
+ */
+const toBalanceList = (byCurrency = new Map()) => {
+  return [...byCurrency].map(([currency, { owesYou, youOwe }]) => ({
+    currency,
+    owesYou: roundAmount(owesYou),
+    youOwe: roundAmount(youOwe),
+    net: roundAmount(owesYou - youOwe)
+  }));
+};
+
+/**
+ * Get a user's contacts, by name
+ */
+export const getContacts = async (userId) => {
+  try {
+    const contacts = await Contact.find({ userId })
+      .collation(NAME_COLLATION)
+      .sort({ name: 1 })
+      .lean();
+
+    return contacts;
+  } catch (error) {
+    logger.error(`Get contacts error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create a contact
+ */
+export const createContact = async (userId, contactData) => {
+  try {
+    const existing = await Contact.exists({ userId, name: contactData.name.trim() }).collation(NAME_COLLATION);
+    if (existing) {
+      throw new Error(MESSAGES.CONTACT_EXISTS);
+    }
+
+    const contact = await Contact.create({
+      userId,
+      name: contactData.name.trim(),
+      email: contactData.email || null,
+      phone: contactData.phone || null,
+      note: contactData.note?.trim()
+    });
+
+    return contact;
+  } catch (error) {
+    logger.error(`Create contact error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update a contact. A new name is copied onto the contact's debts.
+ */
+export const updateContact = async (contactId, userId, updateData) => {
+  try {
+    const contact = await Contact.findOne({ _id: contactId, userId });
+
+    if (!contact) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const renamed = updateData.name !== undefined && updateData.name.trim() !== contact.name;
+
+    if (renamed) {
+      const duplicate = await Contact.findOne({ userId, name: updateData.name.trim() }).collation(NAME_COLLATION);
+      if (duplicate && duplicate._id.toString() !== contact._id.toString()) {
+        throw new Error(MESSAGES.CONTACT_EXISTS);
+      }
+    }
+
+    Object.assign(contact, updateData);
+    await contact.save();
+
+    if (renamed) {
+      await Debt.updateMany({ userId, contactId: contact._id }, { personName: contact.name });
+    }
+
+    return contact;
+  } catch (error) {
+    logger.error(`Update contact error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a contact with no unsettled debts. Settled debts keep the name they
+ * were recorded with; groups the contact was in lose them, and groups left
+ * with nobody are deleted.
+ */
+export const deleteContact = async (contactId, userId) => {
+  try {
+    const contact = await Contact.findOne({ _id: contactId, userId });
+
+    if (!contact) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (await Debt.exists({ userId, contactId: contact._id, status: { $ne: 'settled' } })) {
+      throw new Error(MESSAGES.CONTACT_HAS_BALANCE);
+    }
+
+    await contact.deleteOne();
+    await ContactGroup.updateMany({ userId }, { $pull: { contactIds: contact._id } });
+    await ContactGroup.deleteMany({ userId, contactIds: { $size: 0 } });
+
+    return contact;
+  } catch (error) {
+    logger.error(`Delete contact error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get what each contact owes the user and the user owes them, per currency
+ * and in total in the user's currency. Only contacts with unsettled debts
+ * are listed.
+ */
+export const getContactBalances = async (userId) => {
+  try {
+    const { debts, balances, baseCurrency } = await loadBalances(userId);
+    const contacts = await Contact.find({ _id: { $in: [...balances.keys()] }, userId })
+      .select('name')
+      .lean();
+
+    const converter = await createConverter(baseCurrency, debts);
+    const netOf = (byCurrency) => roundAmount([...byCurrency].reduce((total, [currency, balance]) =>
+      total + (converter.convert(balance.owesYou - balance.youOwe, currency) ?? 0), 0));
+
+    const list = contacts
+      .map(contact => {
+        const byCurrency = balances.get(contact._id.toString());
+        return {
+          contact,
+          balances: toBalanceList(byCurrency),
+          net: netOf(byCurrency)
+        };
+      })
+      .sort((a, b) => a.contact.name.localeCompare(b.contact.name));
+
+    return {
+      contacts: list,
+      owesYou: roundAmount(converter.sum(debts.filter(debt => debt.type === 'lent'), debt => debt.outstanding)),
+      youOwe: roundAmount(converter.sum(debts.filter(debt => debt.type === 'borrowed'), debt => debt.outstanding)),
+      currency: baseCurrency,
+      missingRates: converter.missingRates
+    };
+  } catch (error) {
+    logger.error(`Get contact balances error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get one contact's balance and the unsettled debts behind it
+ */
+export const getContactBalance = async (contactId, userId) => {
+  try {
+    const contact = await Contact.findOne({ _id: contactId, userId }).lean();
+
+    if (!contact) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const { debts, balances, baseCurrency } = await loadBalances(userId, [contact._id]);
+    const converter = await createConverter(baseCurrency, debts);
+
+    const owesYou = converter.sum(debts.filter(debt => debt.type === 'lent'), debt => debt.outstanding);
+    const youOwe = converter.sum(debts.filter(debt => debt.type === 'borrowed'), debt => debt.outstanding);
+
+    return {
+      contact,
+      balances: toBalanceList(balances.get(contact._id.toString())),
+      net: roundAmount(owesYou - youOwe),
+      currency: baseCurrency,
+      missingRates: converter.missingRates,
+      debts
+    };
+  } catch (error) {
+    logger.error(`Get contact balance error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's contact groups with their members' names
+ */
+export const getGroups = async (userId) => {
+  try {
+    const groups = await ContactGroup.find({ userId })
+      .populate('contactIds', 'name')
+      .collation(NAME_COLLATION)
+      .sort({ name: 1 })
+      .lean();
+
+    return groups;
+  } catch (error) {
+    logger.error(`Get contact groups error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create a contact group
+ */
+export const createGroup = async (userId, groupData) => {
+  try {
+    await assertOwnContacts(userId, groupData.contactIds);
+
+    const existing = await ContactGroup.exists({ userId, name: groupData.name.trim() }).collation(NAME_COLLATION);
+    if (existing) {
+      throw new Error(MESSAGES.CONTACT_GROUP_EXISTS);
+    }
+
+    const group = await ContactGroup.create({
+      userId,
+      name: groupData.name.trim(),
+      contactIds: groupData.contactIds
+    });
+
+    return group;
+  } catch (error) {
+    logger.error(`Create contact group error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update a contact group's name or members
+ */
+export const updateGroup = async (groupId, userId, updateData) => {
+  try {
+    const group = await ContactGroup.findOne({ _id: groupId, userId });
+
+    if (!group) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (updateData.contactIds !== undefined) {
+      await assertOwnContacts(userId, updateData.contactIds);
+    }
+
+    if (updateData.name !== undefined) {
+      const duplicate = await ContactGroup.findOne({ userId, name: updateData.name.trim() }).collation(NAME_COLLATION);
+      if (duplicate && duplicate._id.toString() !== group._id.toString()) {
+        throw new Error(MESSAGES.CONTACT_GROUP_EXISTS);
+      }
+    }
+
+    Object.assign(group, updateData);
+    await group.save();
+
+    return group;
+  } catch (error) {
+    logger.error(`Update contact group error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a contact group (its contacts and their debts are kept)
+ */
+export const deleteGroup = async (groupId, userId) => {
+  try {
+    const group = await ContactGroup.findOneAndDelete({ _id: groupId, userId });
+
+    if (!group) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return group;
+  } catch (error) {
+    logger.error(`Delete contact group error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Fewest transfers that bring everyone's net balance to zero: repeatedly pay
+ * the largest creditor from the largest debtor, so each transfer clears at
+ * least one of them.
+ * @param {Map<string, number>} nets - Net per person in cents; positive means they are owed money
+ * @returns {Array<Object>} { from, to, amount } in cents
+ */
+export const planTransfers = (nets) => {
+  const creditors = [];
+  const debtors = [];
+
+  for (const [person, net] of nets) {
+    if (net > 0) creditors.push({ person, amount: net });
+    if (net < 0) debtors.push({ person, amount: -net });
+  }
+
+  const byAmount = (a, b) => b.amount - a.amount || a.person.localeCompare(b.person);
+  const transfers = [];
+
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(byAmount);
+    debtors.sort(byAmount);
+
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amount = Math.min(creditor.amount, debtor.amount);
+
+    transfers.push({ from: debtor.person, to: creditor.person, amount });
+
+    creditor.amount -= amount;
+    debtor.amount -= amount;
+    if (creditor.amount === 0) creditors.shift();
+    if (debtor.amount === 0) debtors.shift();
+  }
+
+  return transfers;
+};
+
+// Stands in for the user among a group's contact IDs
+const SELF = 'self';
+
+/**
+ * Work out a group's settle-up: the user's unsettled debts with the group's
+ * members, netted per currency, and the transfers that clear them
+ */
+const buildSettleUp = async (groupId, userId, asOf) => {
+  const group = await ContactGroup.findOne({ _id: groupId, userId })
+    .populate('contactIds', 'name')
+    .lean();
+
+  if (!group) {
+    throw new Error(MESSAGES.NOT_FOUND);
+  }
+
+  const members = group.contactIds.filter(Boolean);
+  const names = new Map(members.map(contact => [contact._id.toString(), contact.name]));
+  const { debts, balances } = await loadBalances(userId, members.map(contact => contact._id), asOf);
+
+  // Net per currency and person, in cents; the user is owed what the members owe
+  const netsByCurrency = new Map();
+  for (const [contactKey, byCurrency] of balances) {
+    for (const [currency, { owesYou, youOwe }] of byCurrency) {
+      if (!netsByCurrency.has(currency)) {
+        netsByCurrency.set(currency, new Map([[SELF, 0]]));
+      }
+
+      const nets = netsByCurrency.get(currency);
+      const net = Math.round(youOwe * 100) - Math.round(owesYou * 100);
+      nets.set(contactKey, net);
+      nets.set(SELF, nets.get(SELF) - net);
+    }
+  }
+
+  const describe = (person) => ({
+    contactId: person === SELF ? null : person,
+    name: person === SELF ? 'You' : names.get(person)
+  });
+
+  const transfers = [...netsByCurrency].flatMap(([currency, nets]) =>
+    planTransfers(nets).map(({ from, to, amount }) => ({
+      from: describe(from),
+      to: describe(to),
+      amount: amount / 100,
+      currency
+    }))
+  );
+
+  return { group, debts, transfers };
+};
+
+/**
+ * Show how a group would settle up, without changing anything
+ */
+export const getSettleUpPlan = async (groupId, userId) => {
+  try {
+    const { group, debts, transfers } = await buildSettleUp(groupId, userId, new Date());
+
+    return {
+      group: { _id: group._id, name: group.name },
+      transfers,
+      debtCount: debts.length
+    };
+  } catch (error) {
+    logger.error(`Get settle-up plan error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Settle up a group: repay every unsettled debt between the user and the
+ * group's members in full, and record a settlement transaction for each
+ * transfer the user is part of (an income when paid, an expense when paying).
+ * These are kept out of income and spending totals. Transfers between two
+ * members only clear debts.
+ */
+export const settleUp = async (groupId, userId, actor = { id: userId }) => {
+  try {
+    const date = new Date();
+    const { group, debts, transfers } = await buildSettleUp(groupId, userId, date);
+
+    const note = `Settle up: ${group.name}`;
+
+    // Categories are resolved up front so a bad one fails before anything is written
+    const transactionsData = [];
+    for (const transfer of transfers) {
+      if (transfer.from.contactId && transfer.to.contactId) continue;
+
+      const paid = transfer.to.contactId === null;
+      const data = {
+        type: paid ? 'income' : 'expense',
+        amount: transfer.amount,
+        currency: transfer.currency,
+        date,
+        note: paid ? `${note} (from ${transfer.from.name})` : `${note} (to ${transfer.to.name})`,
+        source: 'settle-up'
+      };
+      const category = await pickCategory(userId, data);
+      transactionsData.push({ ...data, categoryId: category._id });
+    }
+
+    let created = [];
+    await withTransaction(async (session) => {
+      await applyRepayments(
+        userId,
+        debts.filter(debt => debt.outstanding > 0).map(debt => ({ debtId: debt._id, amount: debt.outstanding })),
+        { date, note },
+        session
+      );
+
+      created = transactionsData.length > 0
+        ? await insertSettlementTransactions(userId, transactionsData, actor, session)
+        : [];
+    });
+
+    const transactions = await Promise.all(
+      created.map(transaction => getTransactionById(transaction._id, userId))
+    );
+
+    return {
+      group: { _id: group._id, name: group.name },
+      transfers,
+      settledDebts: debts.length,
+      transactions
+    };
+  } catch (error) {
+    logger.error(`Settle up error: ${error.message}`);
+    throw error;
+  }
+};
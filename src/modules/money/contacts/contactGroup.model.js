@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { NAME_COLLATION } from '../../../utils/money.util.js';
+
+/**
+ * A set of contacts who share expenses (a flat, a trip) and settle up together
+ */
+const contactGroupSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    contactIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contact' }],
+      default: []
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+contactGroupSchema.path('contactIds').validate(function (contactIds) {
+  return contactIds.length > 0 && contactIds.length <= 50;
+}, 'A group needs between 1 and 50 contacts');
+
+// Group names are unique per user, case-insensitively
+contactGroupSchema.index(
+  { userId: 1, name: 1 },
+  { unique: true, collation: NAME_COLLATION }
+);
+
+// Ensure user can only access their own groups
+contactGroupSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const ContactGroup = mongoose.model('ContactGroup', contactGroupSchema);
+
+export default ContactGroup;
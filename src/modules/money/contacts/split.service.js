@@ -0,0 +1,193 @@
+import Transaction from '../transactions/transaction.model.js';
+import Debt from '../debts/debt.model.js';
+import Contact from './contact.model.js';
+import ContactGroup from './contactGroup.model.js';
+import { getTransactionById } from '../transactions/transaction.service.js';
+import { getBaseCurrency } from '../../exchangeRates/exchangeRate.service.js';
+import { withTransaction } from '../../../utils/db.util.js';
+import logger from '../../../utils/logger.util.js';
+import { MESSAGES } from '../../../config/constants.js';
+
+const toCents = (value) => Math.round(value * 100);
+
+/**
+ * Work out each contact's share of an expense, in cents. Whatever the
+ * contacts don't cover is the user's own share.
+ * - equal: the amount is divided evenly between the contacts (and the user,
+ *   with includeSelf); the user's share absorbs any leftover cent, or the
+ *   first contacts do when the user isn't included
+ * - exact: each participant's `amount`
+ * - percentage: each participant's `percent` of the amount
+ * @throws {Error} SPLIT_SHARES_MISMATCH when the shares come to more than the amount
+ * @returns {Object} { ownShare, shares: [{ contactId, amount, percent }] }
+ */
+export const calculateShares = (total, method, participants, includeSelf = true) => {
+  const totalCents = toCents(total);
+  let shareCents;
+
+  if (method === 'equal') {
+    const people = participants.length + (includeSelf ? 1 : 0);
+    const each = Math.floor(totalCents / people);
+    const leftover = includeSelf ? 0 : totalCents - each * people;
+    shareCents = participants.map((participant, index) => each + (index < leftover ? 1 : 0));
+  } else if (method === 'exact') {
+    shareCents = participants.map(participant => toCents(participant.amount));
+  } else {
+    const percentTotal = participants.reduce((sum, participant) => sum + participant.percent, 0);
+    if (percentTotal > 100 + 1e-9) {
+      throw new Error(MESSAGES.SPLIT_SHARES_MISMATCH);
+    }
+
+    shareCents = participants.map(participant => Math.round(totalCents * participant.percent / 100));
+
+    // A 100% split has to cover the amount exactly, whatever the rounding
+    if (Math.abs(percentTotal - 100) < 1e-9) {
+      shareCents[shareCents.length - 1] += totalCents - shareCents.reduce((sum, cents) => sum + cents, 0);
+    }
+  }
+
+  const ownCents = totalCents - shareCents.reduce((sum, cents) => sum + cents, 0);
+  if (ownCents < 0) {
+    throw new Error(MESSAGES.SPLIT_SHARES_MISMATCH);
+  }
+
+  return {
+    ownShare: ownCents / 100,
+    shares: participants.map((participant, index) => ({
+      contactId: participant.contactId,
+      amount: shareCents[index] / 100,
+      percent: method === 'percentage' ? participant.percent : null
+    }))
+  };
+};
+
+/**
+ * The receivables a split created, refusing once any has been repaid
+ * (undoing the split would lose track of that money)
+ */
+const loadUnpaidReceivables = async (transaction) => {
+  const receivables = await Debt.find({ userId: transaction.userId, transactionId: transaction._id }).lean();
+
+  if (receivables.some(debt => debt.status !== 'pending')) {
+    throw new Error(MESSAGES.SPLIT_ALREADY_REPAID);
+  }
+
+  return receivables;
+};
+
+/**
+ * Split an expense among contacts: each contact's share becomes a receivable
+ * (money lent to them). Splitting again replaces the previous split, as long
+ * as nothing has been repaid yet.
+ * @param {Object} splitData - { method, participants: [{ contactId, amount?, percent? }],
+ *   groupId?, includeSelf? }. Without participants, an equal split is among
+ *   the group's members.
+ * @returns {Promise<Object>} { transaction, receivables }
+ */
+export const splitTransaction = async (transactionId, userId, splitData) => {
+  try {
+    const transaction = await Transaction.findOne({ _id: transactionId, userId });
+
+    if (!transaction) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (transaction.type !== 'expense') {
+      throw new Error(MESSAGES.SPLIT_EXPENSE_ONLY);
+    }
+
+    const { method, groupId, includeSelf = true } = splitData;
+    let participants = splitData.participants;
+
+    if (groupId) {
+      const group = await ContactGroup.findOne({ _id: groupId, userId }).lean();
+      if (!group) {
+        throw new Error(MESSAGES.NOT_FOUND);
+      }
+
+      participants ??= group.contactIds.map(contactId => ({ contactId }));
+    }
+
+    const contactIds = [...new Set(participants.map(participant => String(participant.contactId)))];
+    const contacts = await Contact.find({ _id: { $in: contactIds }, userId }).select('name').lean();
+
+    if (contacts.length !== contactIds.length || contactIds.length !== participants.length) {
+      throw new Error(MESSAGES.INVALID_CONTACT);
+    }
+
+    const { ownShare, shares } = calculateShares(transaction.amount, method, participants, includeSelf);
+    const contactsById = new Map(contacts.map(contact => [contact._id.toString(), contact]));
+
+    const previous = await loadUnpaidReceivables(transaction);
+    const currency = transaction.currency || await getBaseCurrency(userId);
+    const note = (transaction.note ? `Share of: ${transaction.note}` : 'Share of a split expense').slice(0, 500);
+
+    let receivables = [];
+
+    await withTransaction(async (session) => {
+      await Debt.deleteMany({ _id: { $in: previous.map(debt => debt._id) } }, { session });
+
+      const owing = shares.filter(share => share.amount > 0);
+
+      receivables = owing.length > 0
+        ? await Debt.create(owing.map(share => ({
+          userId,
+          personName: contactsById.get(String(share.contactId)).name,
+          contactId: share.contactId,
+          transactionId: transaction._id,
+          amount: share.amount,
+          principalOutstanding: share.amount,
+          type: 'lent',
+          currency,
+          startDate: transaction.date,
+          note
+        })), { session, ordered: true })
+        : [];
+
+      const debtIds = new Map(receivables.map(debt => [debt.contactId.toString(), debt._id]));
+
+      transaction.split = {
+        method,
+        groupId: groupId || null,
+        ownShare,
+        shares: shares.map(share => ({ ...share, debtId: debtIds.get(String(share.contactId)) || null }))
+      };
+      await transaction.save({ session });
+    });
+
+    return {
+      transaction: await getTransactionById(transaction._id, userId),
+      receivables
+    };
+  } catch (error) {
+    logger.error(`Split transaction error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Undo a split, removing the receivables it created
+ */
+export const removeSplit = async (transactionId, userId) => {
+  try {
+    const transaction = await Transaction.findOne({ _id: transactionId, userId });
+
+    if (!transaction) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const receivables = await loadUnpaidReceivables(transaction);
+
+    await withTransaction(async (session) => {
+      await Debt.deleteMany({ _id: { $in: receivables.map(debt => debt._id) } }, { session });
+
+      transaction.split = null;
+      await transaction.save({ session });
+    });
+
+    return getTransactionById(transaction._id, userId);
+  } catch (error) {
+    logger.error(`Remove split error: ${error.message}`);
+    throw error;
+  }
+};
@@ -1,21 +1,59 @@
+import mongoose from 'mongoose';
 import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
-import { HTTP_STATUS, MESSAGES } from '../../../config/constants.js';
+import { HTTP_STATUS, MESSAGES, SUPPORTED_CURRENCIES } from '../../../config/constants.js';
 import * as debtService from './debt.service.js';
+import { INTEREST_TYPES, COMPOUNDING_PERIODS } from './debt.model.js';
 import logger from '../../../utils/logger.util.js';
 
+/**
+ * Map debt service errors to responses
+ */
+const handleDebtError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (error.message === MESSAGES.DEBT_ALREADY_SETTLED) {
+    return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+  }
+
+  if ([
+    MESSAGES.INVALID_CONTACT,
+    MESSAGES.DEBT_REPAYMENT_EXCEEDS_BALANCE,
+    MESSAGES.DEBT_SCHEDULE_BORROWED_ONLY,
+    MESSAGES.DEBT_TENURE_REQUIRED
+  ].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
 /**
  * Create a new debt entry
  */
 export const createDebt = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { personName, amount, type, dueDate, note } = req.body;
+    const {
+      personName, contactId, amount, type, dueDate, note, currency,
+      startDate, interestType, interestRate, compounding, tenureMonths
+    } = req.body;
 
-    // Validate required fields
-    if (!personName || !personName.trim()) {
+    // Validate required fields: the person is a contact, by ID or by name
+    if (contactId !== undefined && contactId !== null) {
+      if (!mongoose.isValidObjectId(contactId)) {
+        return sendValidationError(res, [{
+          field: 'contactId',
+          message: 'Invalid contact ID'
+        }]);
+      }
+    } else if (!personName || typeof personName !== 'string' || !personName.trim()) {
       return sendValidationError(res, [{
         field: 'personName',
-        message: 'Person name is required'
+        message: 'Person name or contact ID is required'
       }]);
     }
 
@@ -66,12 +104,67 @@ export const createDebt = async (req, res, next) => {
       }
     }
 
+    if (currency !== undefined && !SUPPORTED_CURRENCIES.includes(String(currency).toUpperCase())) {
+      return sendValidationError(res, [{
+        field: 'currency',
+        message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+      }]);
+    }
+
+    if (startDate !== undefined && !isValidDate(startDate)) {
+      return sendValidationError(res, [{
+        field: 'startDate',
+        message: 'Invalid date format'
+      }]);
+    }
+
+    if (interestType !== undefined && !INTEREST_TYPES.includes(interestType)) {
+      return sendValidationError(res, [{
+        field: 'interestType',
+        message: `Interest type must be one of: ${INTEREST_TYPES.join(', ')}`
+      }]);
+    }
+
+    if (interestRate !== undefined) {
+      const rate = parseFloat(interestRate);
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        return sendValidationError(res, [{
+          field: 'interestRate',
+          message: 'Interest rate must be between 0 and 100'
+        }]);
+      }
+    }
+
+    if (compounding !== undefined && !COMPOUNDING_PERIODS[compounding]) {
+      return sendValidationError(res, [{
+        field: 'compounding',
+        message: `Compounding must be one of: ${Object.keys(COMPOUNDING_PERIODS).join(', ')}`
+      }]);
+    }
+
+    if (tenureMonths !== undefined) {
+      const tenure = parseInt(tenureMonths);
+      if (isNaN(tenure) || tenure < 1 || tenure > 600) {
+        return sendValidationError(res, [{
+          field: 'tenureMonths',
+          message: 'Tenure must be between 1 and 600 months'
+        }]);
+      }
+    }
+
     const debtData = {
-      personName: personName.trim(),
+      personName: personName?.trim(),
+      contactId: contactId || undefined,
       amount: parseFloat(amount),
       type,
       dueDate: dueDateObj,
-      note: note?.trim()
+      note: note?.trim(),
+      currency: currency?.toUpperCase(),
+      startDate: startDate ? new Date(startDate) : undefined,
+      interestType,
+      interestRate: interestRate !== undefined ? parseFloat(interestRate) : undefined,
+      compounding,
+      tenureMonths: tenureMonths !== undefined ? parseInt(tenureMonths) : undefined
     };
 
     const debt = await debtService.createDebt(userId, debtData);
@@ -84,7 +177,7 @@ export const createDebt = async (req, res, next) => {
     );
   } catch (error) {
     logger.error(`Create debt controller error: ${error.message}`);
-    next(error);
+    handleDebtError(error, res, next);
   }
 };
 
@@ -94,11 +187,20 @@ export const createDebt = async (req, res, next) => {
 export const getDebts = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { type, status } = req.query;
+    const { type, status, overdue, contactId } = req.query;
+
+    if (contactId !== undefined && !mongoose.isValidObjectId(contactId)) {
+      return sendValidationError(res, [{
+        field: 'contactId',
+        message: 'Invalid contact ID'
+      }]);
+    }
 
     const filters = {
       type,
-      status
+      status,
+      overdue,
+      contactId
     };
 
     const debts = await debtService.getDebts(userId, filters);
@@ -145,12 +247,7 @@ export const settleDebt = async (req, res, next) => {
     return sendSuccess(res, debt, 'Debt settled successfully');
   } catch (error) {
     logger.error(`Settle debt controller error: ${error.message}`);
-    
-    if (error.message === MESSAGES.NOT_FOUND) {
-      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
-    }
-
-    next(error);
+    handleDebtError(error, res, next);
   }
 };
 
@@ -175,3 +272,111 @@ export const deleteDebt = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Record a partial (or full) repayment against a debt
+ */
+export const addRepayment = async (req, res, next) => {
+  try {
+    const { amount, date, note } = req.body;
+
+    if (amount === undefined || amount === null || isNaN(parseFloat(amount)) || amount <= 0) {
+      return sendValidationError(res, [{
+        field: 'amount',
+        message: 'Amount is required and must be greater than 0'
+      }]);
+    }
+
+    if (date !== undefined && !isValidDate(date)) {
+      return sendValidationError(res, [{
+        field: 'date',
+        message: 'Invalid date format'
+      }]);
+    }
+
+    if (note && note.length > 500) {
+      return sendValidationError(res, [{
+        field: 'note',
+        message: 'Note cannot exceed 500 characters'
+      }]);
+    }
+
+    const debt = await debtService.addRepayment(req.params.id, req.user.id, {
+      amount: parseFloat(amount),
+      date: date !== undefined ? new Date(date) : undefined,
+      note
+    });
+
+    return sendSuccess(res, debt, 'Repayment recorded successfully', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error(`Add debt repayment controller error: ${error.message}`);
+    handleDebtError(error, res, next);
+  }
+};
+
+/**
+ * Get the repayments made against a debt
+ */
+export const getRepayments = async (req, res, next) => {
+  try {
+    const repayments = await debtService.getRepayments(req.params.id, req.user.id);
+
+    return sendSuccess(res, repayments, 'Repayments retrieved successfully');
+  } catch (error) {
+    logger.error(`Get debt repayments controller error: ${error.message}`);
+    handleDebtError(error, res, next);
+  }
+};
+
+/**
+ * Delete a repayment
+ */
+export const deleteRepayment = async (req, res, next) => {
+  try {
+    const { id, repaymentId } = req.params;
+
+    const debt = await debtService.deleteRepayment(id, repaymentId, req.user.id);
+
+    return sendSuccess(res, debt, 'Repayment deleted successfully');
+  } catch (error) {
+    logger.error(`Delete debt repayment controller error: ${error.message}`);
+    handleDebtError(error, res, next);
+  }
+};
+
+/**
+ * Get the EMI schedule for a borrowed loan
+ */
+export const getEmiSchedule = async (req, res, next) => {
+  try {
+    const { months, firstDueDate } = req.query;
+
+    let monthCount;
+    if (months !== undefined) {
+      monthCount = parseInt(months);
+      if (isNaN(monthCount) || monthCount < 1 || monthCount > 600) {
+        return sendValidationError(res, [{
+          field: 'months',
+          message: 'Months must be between 1 and 600'
+        }]);
+      }
+    }
+
+    if (firstDueDate !== undefined && !isValidDate(firstDueDate)) {
+      return sendValidationError(res, [{
+        field: 'firstDueDate',
+        message: 'Invalid date format'
+      }]);
+    }
+
+    const schedule = await debtService.getEmiSchedule(req.params.id, req.user.id, {
+      months: monthCount,
+      firstDueDate: firstDueDate !== undefined ? new Date(firstDueDate) : undefined
+    });
+
+    return sendSuccess(res, schedule, 'EMI schedule generated successfully');
+  } catch (error) {
+    logger.error(`Get EMI schedule controller error: ${error.message}`);
+    handleDebtError(error, res, next);
+  }
+};
@@ -1,4 +1,14 @@
 import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../../../config/constants.js';
+
+export const INTEREST_TYPES = ['none', 'simple', 'compound'];
+
+// Compounding periods per year
+export const COMPOUNDING_PERIODS = {
+  monthly: 12,
+  quarterly: 4,
+  yearly: 1
+};
 
 const debtSchema = new mongoose.Schema(
   {
@@ -8,31 +18,101 @@ const debtSchema = new mongoose.Schema(
       required: [true, 'User ID is required'],
       index: true
     },
+    // Contact's name at the time; contactId is what identifies the person
     personName: {
       type: String,
       required: [true, 'Person name is required'],
       trim: true
     },
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      default: null,
+      index: true
+    },
+    // Set for receivables created by splitting a transaction
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+      index: true
+    },
+    // Principal; see principalOutstanding for what is left
     amount: {
       type: Number,
       required: [true, 'Amount is required'],
       min: [0, 'Amount must be greater than or equal to 0']
     },
+    // Set to the user's currency when not given; older records without
+    // one are in the user's currency
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      enum: {
+        values: SUPPORTED_CURRENCIES,
+        message: 'Unsupported currency'
+      }
+    },
     type: {
       type: String,
       enum: ['lent', 'borrowed'],
       required: [true, 'Type is required'],
       index: true
     },
+    // partially_paid once repayments start; settled when nothing is outstanding
     status: {
       type: String,
-      enum: ['pending', 'settled'],
+      enum: ['pending', 'partially_paid', 'settled'],
       default: 'pending',
       index: true
     },
+    // Past this date an unsettled debt is overdue
     dueDate: {
       type: Date
     },
+    // When the money changed hands; interest accrues from here
+    startDate: {
+      type: Date
+    },
+    // Annual interest, if any
+    interestType: {
+      type: String,
+      enum: INTEREST_TYPES,
+      default: 'none'
+    },
+    interestRate: {
+      type: Number,
+      min: [0, 'Interest rate must be between 0 and 100'],
+      max: [100, 'Interest rate must be between 0 and 100'],
+      default: 0
+    },
+    compounding: {
+      type: String,
+      enum: Object.keys(COMPOUNDING_PERIODS),
+      default: 'monthly'
+    },
+    // Loan term, used as the default for EMI schedules
+    tenureMonths: {
+      type: Number,
+      min: [1, 'Tenure must be between 1 and 600 months'],
+      max: [600, 'Tenure must be between 1 and 600 months']
+    },
+    // Balance after the repayments so far, as of balanceUpdatedAt.
+    // Rebuilt from the repayments whenever they change; unset on older
+    // debts, which have no repayments.
+    principalOutstanding: {
+      type: Number,
+      min: [0, 'Outstanding amount must be greater than or equal to 0']
+    },
+    interestOutstanding: {
+      type: Number,
+      min: [0, 'Outstanding interest must be greater than or equal to 0'],
+      default: 0
+    },
+    balanceUpdatedAt: {
+      type: Date
+    },
     note: {
       type: String,
       trim: true,
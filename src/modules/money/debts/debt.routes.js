@@ -1,17 +1,21 @@
 import express from 'express';
 import * as debtController from './debt.controller.js';
-import { authenticate } from '../../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
 
 const router = express.Router();
 
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, requireScope('money'));
 
 // Routes
 router.post('/', debtController.createDebt);
 router.get('/', debtController.getDebts);
 router.get('/:id', debtController.getDebtById);
 router.patch('/:id/settle', debtController.settleDebt);
+router.get('/:id/repayments', debtController.getRepayments);
+router.post('/:id/repayments', debtController.addRepayment);
+router.delete('/:id/repayments/:repaymentId', debtController.deleteRepayment);
+router.get('/:id/schedule', debtController.getEmiSchedule);
 router.delete('/:id', debtController.deleteDebt);
 
 export default router;
@@ -1,20 +1,238 @@
-import Debt from './debt.model.js';
+import Debt, { COMPOUNDING_PERIODS } from './debt.model.js';
+import DebtRepayment from './debtRepayment.model.js';
+import Contact from '../contacts/contact.model.js';
+import { getBaseCurrency, createConverter } from '../../exchangeRates/exchangeRate.service.js';
+import { addMonths, getStartOfDay } from '../../../utils/date.util.js';
+import { NAME_COLLATION, roundAmount } from '../../../utils/money.util.js';
+import { withTransaction } from '../../../utils/db.util.js';
 import logger from '../../../utils/logger.util.js';
 import { MESSAGES } from '../../../config/constants.js';
 
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Rounding slack when comparing amounts (balances are kept to the cent)
+const AMOUNT_EPSILON = 0.01;
+
+/**
+ * The user's contact with this name (case-insensitive), created if needed
+ */
+const findOrCreateContact = async (userId, name) => {
+  const existing = await Contact.findOne({ userId, name: name.trim() }).collation(NAME_COLLATION);
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await Contact.create({ userId, name: name.trim() });
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) {
+      return Contact.findOne({ userId, name: name.trim() }).collation(NAME_COLLATION);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Contact for a new debt: the one given by ID, else the one named personName
+ * @throws {Error} INVALID_CONTACT when the ID isn't one of the user's contacts
+ */
+const resolveDebtContact = async (userId, { contactId, personName }) => {
+  if (contactId) {
+    const contact = await Contact.findOne({ _id: contactId, userId });
+    if (!contact) {
+      throw new Error(MESSAGES.INVALID_CONTACT);
+    }
+    return contact;
+  }
+
+  return findOrCreateContact(userId, personName);
+};
+
+/**
+ * Add the interest a balance accrues between two dates.
+ * Simple interest accrues on the principal only; compound interest on
+ * principal and unpaid interest, at the debt's compounding frequency.
+ * @param {Object} balance - { principal, interest }, updated in place
+ */
+const accrueInterest = (debt, balance, from, to) => {
+  if (!debt.interestRate || !debt.interestType || debt.interestType === 'none' || to <= from) {
+    return;
+  }
+
+  const rate = debt.interestRate / 100;
+  const years = (to - from) / YEAR_MS;
+
+  if (debt.interestType === 'simple') {
+    balance.interest += balance.principal * rate * years;
+  } else {
+    const periods = COMPOUNDING_PERIODS[debt.compounding] || 12;
+    const total = (balance.principal + balance.interest) * Math.pow(1 + rate / periods, periods * years);
+    balance.interest = total - balance.principal;
+  }
+};
+
+const getInterestStart = (debt) => new Date(debt.startDate || debt.createdAt || Date.now());
+
+/**
+ * What is left of a debt at a date: the balance after its last repayment
+ * plus interest accrued since
+ * @returns {number} Outstanding amount (0 once settled)
+ */
+export const getOutstandingBalance = (debt, asOf = new Date()) => {
+  if (debt.status === 'settled') {
+    return 0;
+  }
+
+  const balance = {
+    principal: debt.principalOutstanding ?? debt.amount,
+    interest: debt.interestOutstanding || 0
+  };
+  accrueInterest(debt, balance, new Date(debt.balanceUpdatedAt || getInterestStart(debt)), asOf);
+
+  return roundAmount(balance.principal + balance.interest);
+};
+
+/**
+ * What was left of a debt at a past date, replaying only the repayments
+ * made by then (for history charts)
+ * @param {Object[]} repayments - All of the debt's repayments
+ * @returns {number} Outstanding amount (0 before the debt started)
+ */
+export const getOutstandingBalanceAt = (debt, repayments, asOf) => {
+  if (getInterestStart(debt) > asOf) {
+    return 0;
+  }
+
+  // Settled before repayments were tracked: owed in full until then
+  if (debt.status === 'settled' && repayments.length === 0) {
+    return new Date(debt.updatedAt) <= asOf ? 0 : debt.amount;
+  }
+
+  const paid = repayments.filter(repayment => new Date(repayment.date) <= asOf);
+  if (debt.status === 'settled' && paid.length === repayments.length) {
+    return 0;
+  }
+
+  const { balance, balanceUpdatedAt } = replayRepayments(debt, paid);
+  accrueInterest(debt, balance, balanceUpdatedAt, asOf);
+
+  return roundAmount(balance.principal + balance.interest);
+};
+
+/**
+ * An unsettled debt is overdue once its due date has passed
+ */
+const isOverdue = (debt, now = new Date()) => {
+  return debt.status !== 'settled' && Boolean(debt.dueDate) && new Date(debt.dueDate) < now;
+};
+
+/**
+ * A debt with its outstanding balance and overdue flag as of now
+ */
+const withBalance = (debt, now = new Date()) => ({
+  ...debt,
+  outstanding: getOutstandingBalance(debt, now),
+  isOverdue: isOverdue(debt, now)
+});
+
+/**
+ * Replay a debt's repayments in date order: accrue interest up to each one,
+ * pay off interest first, then principal
+ * @throws {Error} DEBT_REPAYMENT_EXCEEDS_BALANCE when a repayment is more than was owed at the time
+ * @returns {Object} { balance, balanceUpdatedAt, splits } with one split per repayment
+ */
+const replayRepayments = (debt, repayments) => {
+  const balance = { principal: debt.amount, interest: 0 };
+  let at = getInterestStart(debt);
+  const splits = [];
+
+  const ordered = [...repayments].sort((a, b) => new Date(a.date) - new Date(b.date) ||
+    new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+  for (const repayment of ordered) {
+    const date = new Date(repayment.date);
+    if (date > at) {
+      accrueInterest(debt, balance, at, date);
+      at = date;
+    }
+
+    const interestPaid = Math.min(repayment.amount, balance.interest);
+    const principalPaid = repayment.amount - interestPaid;
+    if (principalPaid > balance.principal + AMOUNT_EPSILON) {
+      throw new Error(MESSAGES.DEBT_REPAYMENT_EXCEEDS_BALANCE);
+    }
+
+    balance.interest = Math.max(0, balance.interest - interestPaid);
+    balance.principal = Math.max(0, balance.principal - principalPaid);
+
+    splits.push({
+      _id: repayment._id,
+      interestPaid: roundAmount(interestPaid),
+      principalPaid: roundAmount(principalPaid),
+      outstandingAfter: roundAmount(balance.principal + balance.interest)
+    });
+  }
+
+  return { balance, balanceUpdatedAt: at, splits };
+};
+
+/**
+ * Recompute a debt's balance, status and repayment splits from its repayments
+ * and save them, within the given database transaction
+ */
+const rebuildDebtBalance = async (debt, session) => {
+  const repayments = await DebtRepayment.find({ debtId: debt._id }).session(session).lean();
+  const { balance, balanceUpdatedAt, splits } = replayRepayments(debt, repayments);
+
+  debt.principalOutstanding = roundAmount(balance.principal);
+  debt.interestOutstanding = roundAmount(balance.interest);
+  debt.balanceUpdatedAt = balanceUpdatedAt;
+
+  if (repayments.length === 0) {
+    debt.status = 'pending';
+  } else if (debt.principalOutstanding + debt.interestOutstanding <= AMOUNT_EPSILON) {
+    debt.status = 'settled';
+    debt.principalOutstanding = 0;
+    debt.interestOutstanding = 0;
+  } else {
+    debt.status = 'partially_paid';
+  }
+
+  await debt.save({ session });
+
+  if (splits.length > 0) {
+    await DebtRepayment.bulkWrite(splits.map(({ _id, ...split }) => ({
+      updateOne: { filter: { _id }, update: { $set: split } }
+    })), { session });
+  }
+
+  return debt;
+};
+
 /**
- * Create a new debt entry
+ * Create a new debt entry, for a contact given by ID or by name
  */
 export const createDebt = async (userId, debtData) => {
   try {
+    const contact = await resolveDebtContact(userId, debtData);
+
     const debt = await Debt.create({
       userId,
-      personName: debtData.personName.trim(),
+      personName: contact.name,
+      contactId: contact._id,
       amount: debtData.amount,
       type: debtData.type,
       status: debtData.status || 'pending',
       dueDate: debtData.dueDate,
-      note: debtData.note?.trim()
+      startDate: debtData.startDate || new Date(),
+      interestType: debtData.interestType || 'none',
+      interestRate: debtData.interestRate || 0,
+      compounding: debtData.compounding || 'monthly',
+      tenureMonths: debtData.tenureMonths,
+      principalOutstanding: debtData.amount,
+      note: debtData.note?.trim(),
+      currency: debtData.currency || await getBaseCurrency(userId)
     });
 
     return debt;
@@ -25,11 +243,11 @@ export const createDebt = async (userId, debtData) => {
 };
 
 /**
- * Get debts for a user
+ * Get debts for a user, each with its outstanding balance and overdue flag
  */
 export const getDebts = async (userId, filters = {}) => {
   try {
-    const { type, status } = filters;
+    const { type, status, overdue, contactId } = filters;
 
     const query = { userId };
 
@@ -37,15 +255,25 @@ export const getDebts = async (userId, filters = {}) => {
       query.type = type;
     }
 
+    if (contactId) {
+      query.contactId = contactId;
+    }
+
     if (status) {
       query.status = status;
     }
 
+    if (overdue === 'true' || overdue === true) {
+      query.status = { $ne: 'settled' };
+      query.dueDate = { $lt: new Date() };
+    }
+
     const debts = await Debt.find(query)
       .sort({ dueDate: 1, createdAt: -1 })
       .lean();
 
-    return debts;
+    const now = new Date();
+    return debts.map(debt => withBalance(debt, now));
   } catch (error) {
     logger.error(`Get debts error: ${error.message}`);
     throw error;
@@ -53,26 +281,38 @@ export const getDebts = async (userId, filters = {}) => {
 };
 
 /**
- * Get debt summary (owed and receivable)
+ * Get debt summary (outstanding amounts owed and receivable, including
+ * accrued interest), in the user's currency
  */
 export const getDebtSummary = async (userId) => {
   try {
     const debts = await Debt.find({
       userId,
-      status: 'pending'
+      status: { $ne: 'settled' }
     }).lean();
 
-    const owed = debts
-      .filter(d => d.type === 'borrowed')
-      .reduce((sum, d) => sum + d.amount, 0);
+    // Outstanding balances, so today's rates apply
+    const now = new Date();
+    const baseCurrency = await getBaseCurrency(userId);
+    const converter = await createConverter(baseCurrency, debts);
+    const outstandingOf = debt => getOutstandingBalance(debt, now);
+
+    const owed = converter.sum(debts.filter(d => d.type === 'borrowed'), outstandingOf);
 
-    const receivable = debts
-      .filter(d => d.type === 'lent')
-      .reduce((sum, d) => sum + d.amount, 0);
+    const receivable = converter.sum(debts.filter(d => d.type === 'lent'), outstandingOf);
+
+    const overdue = debts.filter(debt => isOverdue(debt, now));
 
     return {
       owed,
-      receivable
+      receivable,
+      overdue: {
+        count: overdue.length,
+        owed: converter.sum(overdue.filter(d => d.type === 'borrowed'), outstandingOf),
+        receivable: converter.sum(overdue.filter(d => d.type === 'lent'), outstandingOf)
+      },
+      currency: baseCurrency,
+      missingRates: converter.missingRates
     };
   } catch (error) {
     logger.error(`Get debt summary error: ${error.message}`);
@@ -94,7 +334,7 @@ export const getDebtById = async (debtId, userId) => {
       throw new Error(MESSAGES.NOT_FOUND);
     }
 
-    return debt;
+    return withBalance(debt);
   } catch (error) {
     logger.error(`Get debt by ID error: ${error.message}`);
     throw error;
@@ -102,36 +342,241 @@ export const getDebtById = async (debtId, userId) => {
 };
 
 /**
- * Settle a debt (mark as settled)
+ * Settle a debt: record a repayment of whatever is outstanding today
  */
 export const settleDebt = async (debtId, userId) => {
   try {
-    const debt = await Debt.findOneAndUpdate(
-      {
+    const debt = await Debt.findOne({
+      _id: debtId,
+      userId
+    });
+
+    if (!debt) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (debt.status === 'settled') {
+      return debt;
+    }
+
+    const outstanding = getOutstandingBalance(debt);
+    if (outstanding <= 0) {
+      debt.status = 'settled';
+      return await debt.save();
+    }
+
+    return await addRepayment(debtId, userId, { amount: outstanding, note: 'Settled in full' });
+  } catch (error) {
+    logger.error(`Settle debt error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Record a repayment against a debt and update its outstanding balance
+ * @param {Object} repaymentData - { amount, date, note }
+ */
+export const addRepayment = async (debtId, userId, repaymentData) => {
+  try {
+    let debt;
+
+    await withTransaction(async (session) => {
+      debt = await Debt.findOne({
         _id: debtId,
         userId
-      },
-      {
-        status: 'settled'
-      },
-      {
-        new: true
+      }).session(session);
+
+      if (!debt) {
+        throw new Error(MESSAGES.NOT_FOUND);
       }
-    );
+
+      // Debts settled before repayments were tracked have nothing to replay
+      if (debt.status === 'settled') {
+        throw new Error(MESSAGES.DEBT_ALREADY_SETTLED);
+      }
+
+      await DebtRepayment.create([{
+        userId,
+        debtId: debt._id,
+        amount: repaymentData.amount,
+        date: repaymentData.date || new Date(),
+        note: repaymentData.note?.trim()
+      }], { session });
+
+      await rebuildDebtBalance(debt, session);
+    });
+
+    return withBalance(debt.toObject());
+  } catch (error) {
+    logger.error(`Add debt repayment error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Record repayments against several debts inside the caller's transaction,
+ * for actions that move money across debts at once (settling up a group)
+ * @param {Array<Object>} repayments - { debtId, amount } each
+ * @param {Object} details - { date, note } shared by the repayments
+ */
+export const applyRepayments = async (userId, repayments, details, session) => {
+  for (const { debtId, amount } of repayments) {
+    const debt = await Debt.findOne({ _id: debtId, userId }).session(session);
 
     if (!debt) {
       throw new Error(MESSAGES.NOT_FOUND);
     }
 
-    return debt;
+    if (debt.status === 'settled') {
+      throw new Error(MESSAGES.DEBT_ALREADY_SETTLED);
+    }
+
+    await DebtRepayment.create([{
+      userId,
+      debtId: debt._id,
+      amount,
+      date: details.date || new Date(),
+      note: details.note?.trim()
+    }], { session });
+
+    await rebuildDebtBalance(debt, session);
+  }
+};
+
+/**
+ * Get a debt's repayments, oldest first
+ */
+export const getRepayments = async (debtId, userId) => {
+  try {
+    const debt = await Debt.exists({ _id: debtId, userId });
+    if (!debt) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const repayments = await DebtRepayment.find({ debtId: debt._id })
+      .sort({ date: 1, createdAt: 1 })
+      .lean();
+
+    return repayments;
   } catch (error) {
-    logger.error(`Settle debt error: ${error.message}`);
+    logger.error(`Get debt repayments error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a repayment (e.g. one entered by mistake). A settled debt reopens.
+ */
+export const deleteRepayment = async (debtId, repaymentId, userId) => {
+  try {
+    let debt;
+
+    await withTransaction(async (session) => {
+      debt = await Debt.findOne({
+        _id: debtId,
+        userId
+      }).session(session);
+
+      if (!debt) {
+        throw new Error(MESSAGES.NOT_FOUND);
+      }
+
+      const repayment = await DebtRepayment.findOneAndDelete({
+        _id: repaymentId,
+        debtId: debt._id
+      }, { session });
+
+      if (!repayment) {
+        throw new Error(MESSAGES.NOT_FOUND);
+      }
+
+      await rebuildDebtBalance(debt, session);
+    });
+
+    return withBalance(debt.toObject());
+  } catch (error) {
+    logger.error(`Delete debt repayment error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Build an EMI (equal monthly instalment) amortisation schedule for the
+ * outstanding balance of a borrowed loan, on a reducing balance at the
+ * debt's annual interest rate
+ * @param {Object} options - { months, firstDueDate }; months defaults to the debt's tenure
+ * @throws {Error} DEBT_SCHEDULE_BORROWED_ONLY for money lent; DEBT_TENURE_REQUIRED without a term
+ */
+export const getEmiSchedule = async (debtId, userId, options = {}) => {
+  try {
+    const debt = await Debt.findOne({
+      _id: debtId,
+      userId
+    }).lean();
+
+    if (!debt) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (debt.type !== 'borrowed') {
+      throw new Error(MESSAGES.DEBT_SCHEDULE_BORROWED_ONLY);
+    }
+
+    const months = options.months || debt.tenureMonths;
+    if (!months) {
+      throw new Error(MESSAGES.DEBT_TENURE_REQUIRED);
+    }
+
+    const now = new Date();
+    const principal = getOutstandingBalance(debt, now);
+    const monthlyRate = debt.interestType === 'none' ? 0 : (debt.interestRate || 0) / 100 / 12;
+    const emi = monthlyRate === 0
+      ? principal / months
+      : principal * monthlyRate * Math.pow(1 + monthlyRate, months) / (Math.pow(1 + monthlyRate, months) - 1);
+
+    // Due dates step a month at a time from the first one (by default a
+    // month from today), keeping its day of month where it exists
+    const [anchor, firstOffset] = options.firstDueDate
+      ? [options.firstDueDate, 0]
+      : [getStartOfDay(now), 1];
+    const schedule = [];
+    let balance = principal;
+
+    for (let installment = 1; installment <= months; installment++) {
+      const interest = balance * monthlyRate;
+      // The last instalment clears whatever rounding left over
+      const principalPart = installment === months ? balance : emi - interest;
+      balance = Math.max(0, balance - principalPart);
+
+      schedule.push({
+        installment,
+        dueDate: addMonths(anchor, firstOffset + installment - 1),
+        payment: roundAmount(principalPart + interest),
+        principal: roundAmount(principalPart),
+        interest: roundAmount(interest),
+        balance: roundAmount(balance)
+      });
+    }
+
+    return {
+      debtId: debt._id,
+      currency: debt.currency,
+      principal,
+      annualRate: monthlyRate * 12 * 100,
+      months,
+      emi: roundAmount(emi),
+      totalInterest: roundAmount(schedule.reduce((sum, row) => sum + row.interest, 0)),
+      totalPayment: roundAmount(schedule.reduce((sum, row) => sum + row.payment, 0)),
+      schedule
+    };
+  } catch (error) {
+    logger.error(`Get EMI schedule error: ${error.message}`);
     throw error;
   }
 };
 
 /**
- * Delete a debt
+ * Delete a debt and its repayments
  */
 export const deleteDebt = async (debtId, userId) => {
   try {
@@ -144,9 +589,50 @@ export const deleteDebt = async (debtId, userId) => {
       throw new Error(MESSAGES.NOT_FOUND);
     }
 
+    await DebtRepayment.deleteMany({ debtId: debt._id });
+
     return debt;
   } catch (error) {
     logger.error(`Delete debt error: ${error.message}`);
     throw error;
   }
 };
+
+/**
+ * One-off migration from free-text person names: link every debt without a
+ * contact to the user's contact with that name (case-insensitive), creating
+ * it if needed. Safe to run repeatedly.
+ * @returns {Promise<number>} Number of debts linked
+ */
+export const migrateDebtContacts = async () => {
+  try {
+    const groups = await Debt.aggregate([
+      { $match: { contactId: null } },
+      { $group: { _id: { userId: '$userId', personName: '$personName' } } }
+    ]);
+
+    let migrated = 0;
+
+    for (const { _id: { userId, personName } } of groups) {
+      if (!personName || !personName.trim()) {
+        continue;
+      }
+
+      const contact = await findOrCreateContact(userId, personName);
+      const result = await Debt.updateMany(
+        { userId, personName, contactId: null },
+        { contactId: contact._id }
+      );
+      migrated += result.modifiedCount;
+    }
+
+    if (migrated > 0) {
+      logger.info(`Linked ${migrated} debts to contacts`);
+    }
+
+    return migrated;
+  } catch (error) {
+    logger.error(`Migrate debt contacts error: ${error.message}`);
+    return 0;
+  }
+};
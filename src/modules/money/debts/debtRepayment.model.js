@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * A repayment against a debt. How it splits into interest and principal,
+ * and the balance left after it, are recomputed whenever the debt's
+ * repayments change (repayments can be backdated).
+ */
+const debtRepaymentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    debtId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Debt',
+      required: [true, 'Debt ID is required']
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than 0']
+    },
+    date: {
+      type: Date,
+      required: [true, 'Date is required'],
+      default: Date.now
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    // Interest is paid off before principal
+    interestPaid: {
+      type: Number,
+      default: 0
+    },
+    principalPaid: {
+      type: Number,
+      default: 0
+    },
+    outstandingAfter: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+debtRepaymentSchema.index({ debtId: 1, date: 1 });
+
+const DebtRepayment = mongoose.model('DebtRepayment', debtRepaymentSchema);
+
+export default DebtRepayment;
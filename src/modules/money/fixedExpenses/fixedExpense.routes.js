@@ -1,11 +1,11 @@
 import express from 'express';
 import * as fixedExpenseController from './fixedExpense.controller.js';
-import { authenticate } from '../../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
 
 const router = express.Router();
 
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, requireScope('money'));
 
 // Routes
 router.post('/', fixedExpenseController.createFixedExpense);
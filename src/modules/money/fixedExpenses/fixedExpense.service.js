@@ -1,4 +1,5 @@
 import FixedExpense from './fixedExpense.model.js';
+import { deleteLinkedTemplates } from '../recurring/recurring.service.js';
 import logger from '../../../utils/logger.util.js';
 import { MESSAGES } from '../../../config/constants.js';
 
@@ -156,7 +157,8 @@ export const updateFixedExpense = async (expenseId, userId, updateData) => {
 };
 
 /**
- * Delete a fixed expense
+ * Delete a fixed expense, along with recurring templates linked to it
+ * (transactions they posted are kept)
  */
 export const deleteFixedExpense = async (expenseId, userId) => {
   try {
@@ -169,6 +171,8 @@ export const deleteFixedExpense = async (expenseId, userId) => {
       throw new Error(MESSAGES.NOT_FOUND);
     }
 
+    await deleteLinkedTemplates(userId, { fixedExpenseId: fixedExpense._id });
+
     return fixedExpense;
   } catch (error) {
     logger.error(`Delete fixed expense error: ${error.message}`);
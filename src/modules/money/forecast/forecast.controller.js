@@ -0,0 +1,30 @@
+import { sendSuccess, sendValidationError } from '../../../utils/response.util.js';
+import * as forecastService from './forecast.service.js';
+import logger from '../../../utils/logger.util.js';
+
+// Longest forecast, in days
+const MAX_FORECAST_DAYS = 365;
+
+/**
+ * Get the projected daily balance for the coming days
+ */
+export const getCashFlowForecast = async (req, res, next) => {
+  try {
+    const { days } = req.query;
+
+    const dayCount = days === undefined ? 90 : parseInt(days);
+    if (isNaN(dayCount) || dayCount < 1 || dayCount > MAX_FORECAST_DAYS) {
+      return sendValidationError(res, [{
+        field: 'days',
+        message: `Days must be between 1 and ${MAX_FORECAST_DAYS}`
+      }]);
+    }
+
+    const forecast = await forecastService.getCashFlowForecast(req.user.id, { days: dayCount });
+
+    return sendSuccess(res, forecast, 'Cash-flow forecast generated successfully');
+  } catch (error) {
+    logger.error(`Get cash-flow forecast controller error: ${error.message}`);
+    next(error);
+  }
+};
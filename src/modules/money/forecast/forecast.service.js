@@ -0,0 +1,311 @@
+import mongoose from 'mongoose';
+import Income from '../income/income.model.js';
+import FixedExpense from '../fixedExpenses/fixedExpense.model.js';
+import Subscription from '../../subscriptions/subscription.model.js';
+import Debt from '../debts/debt.model.js';
+import WishlistItem from '../wishlist/wishlist.model.js';
+import Transaction from '../transactions/transaction.model.js';
+import Fund from '../funds/fund.model.js';
+import RecurringTemplate from '../recurring/recurringTemplate.model.js';
+import { getAccounts } from '../accounts/account.service.js';
+import { getTemplateDueDates } from '../recurring/recurring.service.js';
+import { getOutstandingBalance } from '../debts/debt.service.js';
+import { getBaseCurrency, createConverter } from '../../exchangeRates/exchangeRate.service.js';
+import {
+  getStartOfDay,
+  getEndOfDay,
+  addDays,
+  toMonthKey,
+  SERVER_TIMEZONE,
+  daysInMonth,
+  toDayKey
+} from '../../../utils/date.util.js';
+import { roundAmount } from '../../../utils/money.util.js';
+import logger from '../../../utils/logger.util.js';
+
+// Past days the average discretionary spend is worked out over
+const DISCRETIONARY_LOOKBACK_DAYS = 90;
+
+/**
+ * Dates a day-of-month falls on between two dates, clamped to short months
+ * (the 31st is the 30th in April). With `month`, only that month of each year.
+ */
+const monthlyDates = (dayOfMonth, from, to, month = null) => {
+  const dates = [];
+  let year = from.getFullYear();
+  let monthIndex = from.getMonth();
+
+  while (new Date(year, monthIndex, 1) <= to) {
+    if (month === null || monthIndex === month) {
+      const date = new Date(year, monthIndex, Math.min(dayOfMonth, daysInMonth(year, monthIndex)));
+      if (date >= from && date <= to) {
+        dates.push(date);
+      }
+    }
+
+    monthIndex++;
+    if (monthIndex > 11) {
+      monthIndex = 0;
+      year++;
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Renewal dates of a subscription between two dates, stepping its billing
+ * cycle on from the stored renewal date (which may be out of date)
+ */
+const renewalDates = (subscription, from, to) => {
+  const renewal = new Date(subscription.renewalDate);
+  const step = subscription.billingCycle === 'yearly' ? 12 : 1;
+  const day = renewal.getDate();
+  const dates = [];
+
+  for (let offset = 0; ; offset += step) {
+    const year = renewal.getFullYear();
+    const month = renewal.getMonth() + offset;
+    const date = getStartOfDay(new Date(year, month, Math.min(day, daysInMonth(year, month))));
+    if (date > to) break;
+    if (date >= from) dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Money expected in (positive) or out (negative) over the window, in each
+ * record's own currency
+ * @returns {Promise<Object[]>} { date, source, id, name, amount, currency }
+ */
+const loadScheduledEvents = async (userId, from, to) => {
+  const [incomes, fixedExpenses, subscriptions, debts, wishlistItems, templates] = await Promise.all([
+    Income.find({
+      userId,
+      $or: [
+        { frequency: 'monthly' },
+        { frequency: 'one_time', receivedAt: { $gte: from, $lte: to } }
+      ]
+    }).lean(),
+    FixedExpense.find({ userId, isActive: true }).lean(),
+    Subscription.find({ userId, status: 'active', isAutoRenew: { $ne: false } }).lean(),
+    Debt.find({ userId, status: { $ne: 'settled' }, dueDate: { $ne: null, $lte: to } }).lean(),
+    WishlistItem.find({
+      userId,
+      status: 'pending',
+      plannedMonth: { $gte: toMonthKey(from), $lte: toMonthKey(to) }
+    }).lean(),
+    // Templates linked to a fixed expense or income are projected through it
+    RecurringTemplate.find({ userId, isActive: true, fixedExpenseId: null, incomeId: null }).lean()
+  ]);
+
+  const events = [];
+
+  for (const income of incomes) {
+    const received = new Date(income.receivedAt);
+    // Monthly income starts with its first receipt
+    const dates = income.frequency === 'monthly'
+      ? monthlyDates(received.getDate(), from, to).filter(date => date >= getStartOfDay(received))
+      : [getStartOfDay(received)];
+
+    dates.forEach(date => events.push({
+      date, source: 'income', id: income._id, name: income.name, amount: income.amount, currency: income.currency
+    }));
+  }
+
+  for (const expense of fixedExpenses) {
+    // Yearly expenses fall due in the month they were added
+    const dayOfMonth = expense.dueDate || new Date(expense.createdAt).getDate();
+    const month = expense.billingCycle === 'yearly' ? new Date(expense.createdAt).getMonth() : null;
+
+    monthlyDates(dayOfMonth, from, to, month).forEach(date => events.push({
+      date, source: 'fixed_expense', id: expense._id, name: expense.name, amount: -expense.amount, currency: null
+    }));
+  }
+
+  for (const template of templates) {
+    getTemplateDueDates(template, from, to).forEach(date => events.push({
+      date,
+      source: 'recurring',
+      id: template._id,
+      name: template.name,
+      amount: template.type === 'income' ? template.amount : -template.amount,
+      currency: template.currency || null
+    }));
+  }
+
+  for (const subscription of subscriptions) {
+    renewalDates(subscription, from, to).forEach(date => events.push({
+      date,
+      source: 'subscription',
+      id: subscription._id,
+      name: subscription.name,
+      amount: -subscription.amount,
+      currency: subscription.currency
+    }));
+  }
+
+  // Overdue debts are expected to be settled straight away
+  for (const debt of debts) {
+    const dueDate = getStartOfDay(debt.dueDate);
+    const outstanding = getOutstandingBalance(debt, dueDate < from ? from : dueDate);
+
+    events.push({
+      date: dueDate < from ? from : dueDate,
+      source: 'debt',
+      id: debt._id,
+      name: debt.personName,
+      amount: debt.type === 'lent' ? outstanding : -outstanding,
+      currency: debt.currency
+    });
+  }
+
+  // Planned purchases land on the 1st of their month (or the first forecast day)
+  for (const item of wishlistItems) {
+    const [year, month] = item.plannedMonth.split('-').map(Number);
+    const date = new Date(year, month - 1, 1);
+
+    events.push({
+      date: date < from ? from : date,
+      source: 'wishlist',
+      id: item._id,
+      name: item.name,
+      amount: -item.price,
+      currency: null
+    });
+  }
+
+  return events;
+};
+
+/**
+ * Expenses over the lookback period that weren't scheduled ones (fixed
+ * expenses or recurring templates posted as transactions) or settle-ups,
+ * per currency and day
+ */
+const loadDiscretionarySpend = async (userId, from, to) => {
+  const groups = await Transaction.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        type: 'expense',
+        fixedExpenseId: null,
+        recurringTemplateId: null,
+        isSettlement: { $ne: true },
+        date: { $gte: from, $lt: to }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          currency: '$currency',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: SERVER_TIMEZONE } }
+        },
+        total: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  return groups.map(({ _id, total }) => ({
+    currency: _id.currency,
+    date: new Date(`${_id.day}T00:00:00`),
+    amount: total
+  }));
+};
+
+/**
+ * Project the daily balance over the coming days. Starts from today's
+ * balance (accounts plus funds that aren't locked) and applies monthly
+ * income, fixed expenses, recurring templates, subscription renewals, debts
+ * falling due and planned wishlist purchases on their dates, plus the
+ * average daily discretionary spend of the last 90 days. Everything is in
+ * the user's currency at today's rates.
+ * @param {Object} options - { days } to project (default 90)
+ */
+export const getCashFlowForecast = async (userId, options = {}) => {
+  try {
+    const days = options.days || 90;
+    const today = getStartOfDay(new Date());
+    const from = addDays(today, 1);
+    const to = getEndOfDay(addDays(today, days));
+
+    const [accounts, funds, events, spend, baseCurrency] = await Promise.all([
+      getAccounts(userId, { includeArchived: true }),
+      Fund.find({ userId, isLocked: false }).select('currentAmount currency').lean(),
+      loadScheduledEvents(userId, from, to),
+      loadDiscretionarySpend(userId, addDays(today, -DISCRETIONARY_LOOKBACK_DAYS), today),
+      getBaseCurrency(userId)
+    ]);
+
+    const converter = await createConverter(baseCurrency, [...accounts, ...funds, ...events.map(({ currency }) => ({ currency })), ...spend]);
+
+    const startingBreakdown = {
+      accounts: roundAmount(converter.sum(accounts, account => account.balance)),
+      funds: roundAmount(converter.sum(funds, fund => fund.currentAmount))
+    };
+    const startingBalance = roundAmount(startingBreakdown.accounts + startingBreakdown.funds);
+    const dailyDiscretionary = roundAmount(converter.sum(spend, group => group.amount, 'date') / DISCRETIONARY_LOOKBACK_DAYS);
+
+    const eventsByDay = new Map();
+    for (const event of events) {
+      const amount = converter.convert(event.amount, event.currency);
+      if (amount === null) continue;
+
+      const key = toDayKey(event.date);
+      if (!eventsByDay.has(key)) eventsByDay.set(key, []);
+      eventsByDay.get(key).push({
+        source: event.source,
+        id: event.id,
+        name: event.name,
+        amount: roundAmount(amount)
+      });
+    }
+
+    const timeline = [];
+    let balance = startingBalance;
+    let lowest = null;
+
+    for (let offset = 1; offset <= days; offset++) {
+      const date = toDayKey(addDays(today, offset));
+      const dayEvents = eventsByDay.get(date) || [];
+
+      const inflow = dayEvents.filter(event => event.amount > 0).reduce((total, event) => total + event.amount, 0);
+      const outflow = dayEvents.filter(event => event.amount < 0).reduce((total, event) => total - event.amount, 0);
+      balance = roundAmount(balance + inflow - outflow - dailyDiscretionary);
+
+      timeline.push({
+        date,
+        inflow: roundAmount(inflow),
+        outflow: roundAmount(outflow),
+        discretionary: dailyDiscretionary,
+        balance,
+        isNegative: balance < 0,
+        events: dayEvents
+      });
+
+      if (!lowest || balance < lowest.balance) {
+        lowest = { date, balance };
+      }
+    }
+
+    const negativeDays = timeline.filter(day => day.isNegative).map(day => day.date);
+
+    return {
+      currency: baseCurrency,
+      days,
+      startingBalance,
+      startingBreakdown,
+      dailyDiscretionary,
+      endingBalance: balance,
+      lowest,
+      firstNegativeDate: negativeDays[0] || null,
+      negativeDays,
+      timeline,
+      missingRates: converter.missingRates
+    };
+  } catch (error) {
+    logger.error(`Get cash-flow forecast error: ${error.message}`);
+    throw error;
+  }
+};
@@ -1,15 +1,58 @@
+import mongoose from 'mongoose';
 import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
-import { HTTP_STATUS, MESSAGES } from '../../../config/constants.js';
+import { HTTP_STATUS, MESSAGES, SUPPORTED_CURRENCIES } from '../../../config/constants.js';
 import * as fundService from './fund.service.js';
 import logger from '../../../utils/logger.util.js';
 
+const MOVEMENT_TYPES = ['opening', 'contribution', 'withdrawal', 'adjustment'];
+const RECONCILE_MODES = ['ledger', 'balance'];
+
+// Longest contributions chart, in months
+const MAX_CHART_MONTHS = 60;
+
+// Longest contribution history projections are based on, in months
+const MAX_PROJECTION_MONTHS = 24;
+
+/**
+ * Parse the optional `months` query param
+ * @returns {number|null} The month count, or null when invalid
+ */
+const parseMonths = (value, fallback, max) => {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const months = parseInt(value);
+  return isNaN(months) || months < 1 || months > max ? null : months;
+};
+
+/**
+ * Validate the note, linked transaction and date of a contribution or withdrawal
+ * @returns {Object|null} The first validation error, or null when valid
+ */
+const validateMovementDetails = ({ note, transactionId, date }) => {
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    return { field: 'note', message: 'Note must be text of at most 500 characters' };
+  }
+
+  if (transactionId !== undefined && transactionId !== null && !mongoose.isValidObjectId(transactionId)) {
+    return { field: 'transactionId', message: 'Invalid transaction ID' };
+  }
+
+  if (date !== undefined && isNaN(new Date(date).getTime())) {
+    return { field: 'date', message: 'Invalid date format' };
+  }
+
+  return null;
+};
+
 /**
  * Create a new fund
  */
 export const createFund = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { name, type, targetAmount, currentAmount, priority, isLocked } = req.body;
+    const { name, type, targetAmount, targetDate, currentAmount, priority, isLocked, currency } = req.body;
 
     // Validate required fields
     if (!name || !name.trim()) {
@@ -41,6 +84,13 @@ export const createFund = async (req, res, next) => {
       }]);
     }
 
+    if (targetDate && isNaN(new Date(targetDate).getTime())) {
+      return sendValidationError(res, [{
+        field: 'targetDate',
+        message: 'Invalid date format'
+      }]);
+    }
+
     if (currentAmount !== undefined && currentAmount < 0) {
       return sendValidationError(res, [{
         field: 'currentAmount',
@@ -58,13 +108,22 @@ export const createFund = async (req, res, next) => {
       }
     }
 
+    if (currency !== undefined && !SUPPORTED_CURRENCIES.includes(String(currency).toUpperCase())) {
+      return sendValidationError(res, [{
+        field: 'currency',
+        message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+      }]);
+    }
+
     const fundData = {
       name: name.trim(),
       type,
       targetAmount: targetAmount ? parseFloat(targetAmount) : undefined,
+      targetDate: targetDate ? new Date(targetDate) : null,
       currentAmount: currentAmount ? parseFloat(currentAmount) : 0,
       priority: priority ? parseInt(priority) : 3,
-      isLocked: isLocked || false
+      isLocked: isLocked || false,
+      currency: currency?.toUpperCase()
     };
 
     const fund = await fundService.createFund(userId, fundData);
@@ -132,7 +191,7 @@ export const updateFund = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { id } = req.params;
-    const { name, type, targetAmount, priority, isLocked } = req.body;
+    const { name, type, targetAmount, targetDate, priority, isLocked } = req.body;
 
     // Validate type if provided
     if (type !== undefined) {
@@ -153,6 +212,14 @@ export const updateFund = async (req, res, next) => {
       }]);
     }
 
+    // Validate targetDate if provided (null clears it)
+    if (targetDate && isNaN(new Date(targetDate).getTime())) {
+      return sendValidationError(res, [{
+        field: 'targetDate',
+        message: 'Invalid date format'
+      }]);
+    }
+
     // Validate priority if provided
     if (priority !== undefined) {
       const priorityNum = parseInt(priority);
@@ -168,6 +235,7 @@ export const updateFund = async (req, res, next) => {
     if (name !== undefined) updateData.name = name.trim();
     if (type !== undefined) updateData.type = type;
     if (targetAmount !== undefined) updateData.targetAmount = parseFloat(targetAmount);
+    if (targetDate !== undefined) updateData.targetDate = targetDate ? new Date(targetDate) : null;
     if (priority !== undefined) updateData.priority = parseInt(priority);
     if (isLocked !== undefined) updateData.isLocked = isLocked;
 
@@ -192,7 +260,7 @@ export const addToFund = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { id } = req.params;
-    const { amount, allowLocked } = req.body;
+    const { amount, allowLocked, note, transactionId, date } = req.body;
 
     if (!amount || amount <= 0) {
       return sendValidationError(res, [{
@@ -201,7 +269,16 @@ export const addToFund = async (req, res, next) => {
       }]);
     }
 
-    const fund = await fundService.addToFund(id, userId, parseFloat(amount), allowLocked);
+    const validationError = validateMovementDetails(req.body);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const fund = await fundService.addToFund(id, userId, parseFloat(amount), allowLocked, {
+      note,
+      transactionId: transactionId || undefined,
+      date: date !== undefined ? new Date(date) : undefined
+    });
 
     return sendSuccess(res, fund, 'Money added to fund successfully');
   } catch (error) {
@@ -211,6 +288,13 @@ export const addToFund = async (req, res, next) => {
       return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
     }
 
+    if (error.message === MESSAGES.INVALID_LINKED_TRANSACTION) {
+      return sendValidationError(res, [{
+        field: 'transactionId',
+        message: error.message
+      }]);
+    }
+
     if (error.message.includes('locked fund') || error.message.includes('Amount must be')) {
       return sendValidationError(res, [{
         field: 'amount',
@@ -229,7 +313,7 @@ export const withdrawFromFund = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { id } = req.params;
-    const { amount, allowLocked } = req.body;
+    const { amount, allowLocked, note, transactionId, date } = req.body;
 
     if (!amount || amount <= 0) {
       return sendValidationError(res, [{
@@ -238,7 +322,16 @@ export const withdrawFromFund = async (req, res, next) => {
       }]);
     }
 
-    const fund = await fundService.withdrawFromFund(id, userId, parseFloat(amount), allowLocked);
+    const validationError = validateMovementDetails(req.body);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const fund = await fundService.withdrawFromFund(id, userId, parseFloat(amount), allowLocked, {
+      note,
+      transactionId: transactionId || undefined,
+      date: date !== undefined ? new Date(date) : undefined
+    });
 
     return sendSuccess(res, fund, 'Money withdrawn from fund successfully');
   } catch (error) {
@@ -248,6 +341,13 @@ export const withdrawFromFund = async (req, res, next) => {
       return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
     }
 
+    if (error.message === MESSAGES.INVALID_LINKED_TRANSACTION) {
+      return sendValidationError(res, [{
+        field: 'transactionId',
+        message: error.message
+      }]);
+    }
+
     if (error.message.includes('locked fund') || error.message.includes('Insufficient funds') || error.message.includes('Amount must be')) {
       return sendValidationError(res, [{
         field: 'amount',
@@ -258,3 +358,156 @@ export const withdrawFromFund = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Get a fund's contribution and withdrawal history
+ */
+export const getFundHistory = async (req, res, next) => {
+  try {
+    const { type, limit, page } = req.query;
+
+    if (type !== undefined && !MOVEMENT_TYPES.includes(type)) {
+      return sendValidationError(res, [{
+        field: 'type',
+        message: `Type must be one of: ${MOVEMENT_TYPES.join(', ')}`
+      }]);
+    }
+
+    const history = await fundService.getFundHistory(req.params.id, req.user.id, { type, limit, page });
+
+    return sendSuccess(res, history, 'Fund history retrieved successfully');
+  } catch (error) {
+    logger.error(`Get fund history controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Get monthly contributions and withdrawals of a fund, for a chart
+ */
+export const getMonthlyContributions = async (req, res, next) => {
+  try {
+    const monthCount = parseMonths(req.query.months, 12, MAX_CHART_MONTHS);
+    if (monthCount === null) {
+      return sendValidationError(res, [{
+        field: 'months',
+        message: `Months must be between 1 and ${MAX_CHART_MONTHS}`
+      }]);
+    }
+
+    const chart = await fundService.getMonthlyContributions(req.params.id, req.user.id, monthCount);
+
+    return sendSuccess(res, chart, 'Fund contributions retrieved successfully');
+  } catch (error) {
+    logger.error(`Get monthly contributions controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Compare a fund's balance with its ledger
+ */
+export const getFundReconciliation = async (req, res, next) => {
+  try {
+    const reconciliation = await fundService.getFundReconciliation(req.params.id, req.user.id);
+
+    return sendSuccess(res, reconciliation, 'Fund reconciliation retrieved successfully');
+  } catch (error) {
+    logger.error(`Get fund reconciliation controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Reconcile a fund: rebuild its balance from the ledger (`mode: 'ledger'`)
+ * or record an adjustment so the ledger matches the balance (`mode: 'balance'`)
+ */
+export const reconcileFund = async (req, res, next) => {
+  try {
+    const { mode } = req.body;
+
+    if (!RECONCILE_MODES.includes(mode)) {
+      return sendValidationError(res, [{
+        field: 'mode',
+        message: `Mode must be one of: ${RECONCILE_MODES.join(', ')}`
+      }]);
+    }
+
+    const reconciliation = await fundService.reconcileFund(req.params.id, req.user.id, mode);
+
+    return sendSuccess(res, reconciliation, 'Fund reconciled successfully');
+  } catch (error) {
+    logger.error(`Reconcile fund controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Get goal projections for all funds with a target
+ */
+export const getFundProjections = async (req, res, next) => {
+  try {
+    const months = parseMonths(req.query.months, 6, MAX_PROJECTION_MONTHS);
+    if (months === null) {
+      return sendValidationError(res, [{
+        field: 'months',
+        message: `Months must be between 1 and ${MAX_PROJECTION_MONTHS}`
+      }]);
+    }
+
+    const projections = await fundService.getFundProjections(req.user.id, months);
+
+    return sendSuccess(res, projections, 'Fund projections retrieved successfully');
+  } catch (error) {
+    logger.error(`Get fund projections controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the expected completion date of a fund, and the monthly contribution
+ * needed to reach its target by its target date
+ */
+export const getFundProjection = async (req, res, next) => {
+  try {
+    const months = parseMonths(req.query.months, 6, MAX_PROJECTION_MONTHS);
+    if (months === null) {
+      return sendValidationError(res, [{
+        field: 'months',
+        message: `Months must be between 1 and ${MAX_PROJECTION_MONTHS}`
+      }]);
+    }
+
+    const projection = await fundService.getFundProjection(req.params.id, req.user.id, months);
+
+    return sendSuccess(res, projection, 'Fund projection retrieved successfully');
+  } catch (error) {
+    logger.error(`Get fund projection controller error: ${error.message}`);
+
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
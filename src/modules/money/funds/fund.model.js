@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../../../config/constants.js';
 
 const fundSchema = new mongoose.Schema(
   {
@@ -23,11 +24,27 @@ const fundSchema = new mongoose.Schema(
       type: Number,
       min: [0, 'Target amount must be greater than or equal to 0']
     },
+    // Deadline for reaching targetAmount
+    targetDate: {
+      type: Date,
+      default: null
+    },
     currentAmount: {
       type: Number,
       default: 0,
       min: [0, 'Current amount must be greater than or equal to 0']
     },
+    // Set to the user's currency when not given; older records without
+    // one are in the user's currency
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      enum: {
+        values: SUPPORTED_CURRENCIES,
+        message: 'Unsupported currency'
+      }
+    },
     priority: {
       type: Number,
       min: [1, 'Priority must be between 1 and 5'],
@@ -1,18 +1,24 @@
 import express from 'express';
 import * as fundController from './fund.controller.js';
-import { authenticate } from '../../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
 
 const router = express.Router();
 
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, requireScope('money'));
 
 // Routes
 router.post('/', fundController.createFund);
 router.get('/', fundController.getFunds);
+router.get('/projections', fundController.getFundProjections);
 router.get('/:id', fundController.getFundById);
 router.patch('/:id', fundController.updateFund);
 router.post('/:id/add', fundController.addToFund);
 router.post('/:id/withdraw', fundController.withdrawFromFund);
+router.get('/:id/history', fundController.getFundHistory);
+router.get('/:id/contributions', fundController.getMonthlyContributions);
+router.get('/:id/projection', fundController.getFundProjection);
+router.get('/:id/reconcile', fundController.getFundReconciliation);
+router.post('/:id/reconcile', fundController.reconcileFund);
 
 export default router;
@@ -1,20 +1,52 @@
+import mongoose from 'mongoose';
 import Fund from './fund.model.js';
+import FundMovement from './fundMovement.model.js';
+import Transaction from '../transactions/transaction.model.js';
+import { getBaseCurrency, createConverter } from '../../exchangeRates/exchangeRate.service.js';
+import { getMonthRange, shiftMonth, toMonthKey, SERVER_TIMEZONE, DAY_MS } from '../../../utils/date.util.js';
+import { roundAmount } from '../../../utils/money.util.js';
+import { withTransaction } from '../../../utils/db.util.js';
 import logger from '../../../utils/logger.util.js';
 import { MESSAGES } from '../../../config/constants.js';
 
 /**
- * Create a new fund
+ * Create a new fund. A starting balance is recorded as its opening movement.
  */
 export const createFund = async (userId, fundData) => {
   try {
-    const fund = await Fund.create({
-      userId,
-      name: fundData.name.trim(),
-      type: fundData.type,
-      targetAmount: fundData.targetAmount,
-      currentAmount: fundData.currentAmount || 0,
-      priority: fundData.priority || 3,
-      isLocked: fundData.isLocked || false
+    const currency = fundData.currency || await getBaseCurrency(userId);
+    let fund;
+
+    await withTransaction(async (session) => {
+      [fund] = await Fund.create([{
+        userId,
+        name: fundData.name.trim(),
+        type: fundData.type,
+        targetAmount: fundData.targetAmount,
+        targetDate: fundData.targetDate || null,
+        currentAmount: fundData.currentAmount || 0,
+        priority: fundData.priority || 3,
+        isLocked: fundData.isLocked || false,
+        currency
+      }], { session });
+
+      if (fund.currentAmount > 0) {
+        try {
+          await FundMovement.create([{
+            userId,
+            fundId: fund._id,
+            type: 'opening',
+            amount: fund.currentAmount,
+            balanceAfter: fund.currentAmount
+          }], { session });
+        } catch (error) {
+          // Without a transaction nothing else removes the half-created fund
+          if (!session) {
+            await Fund.deleteOne({ _id: fund._id });
+          }
+          throw error;
+        }
+      }
     });
 
     return fund;
@@ -53,12 +85,19 @@ export const getFunds = async (userId, filters = {}) => {
 };
 
 /**
- * Get total savings across all funds
+ * Get total savings across all funds (optionally of one type), in the
+ * user's currency at today's rates
  */
-export const getTotalSavings = async (userId) => {
+export const getTotalSavings = async (userId, filters = {}) => {
   try {
-    const funds = await Fund.find({ userId }).lean();
-    const total = funds.reduce((sum, fund) => sum + (fund.currentAmount || 0), 0);
+    const query = { userId };
+    if (filters.type) {
+      query.type = filters.type;
+    }
+
+    const funds = await Fund.find(query).lean();
+    const converter = await createConverter(await getBaseCurrency(userId), funds);
+    const total = converter.sum(funds, fund => fund.currentAmount);
     return total;
   } catch (error) {
     logger.error(`Get total savings error: ${error.message}`);
@@ -112,6 +151,9 @@ export const updateFund = async (fundId, userId, updateData) => {
     if (updateData.targetAmount !== undefined) {
       updateFields.targetAmount = updateData.targetAmount;
     }
+    if (updateData.targetDate !== undefined) {
+      updateFields.targetDate = updateData.targetDate;
+    }
     if (updateData.priority !== undefined) {
       updateFields.priority = updateData.priority;
     }
@@ -136,32 +178,107 @@ export const updateFund = async (fundId, userId, updateData) => {
 };
 
 /**
- * Add money to a fund
+ * Sum of a fund's movements, i.e. the balance the ledger says it should have
  */
-export const addToFund = async (fundId, userId, amount, allowLocked = false) => {
-  try {
-    const fund = await Fund.findOne({
-      _id: fundId,
-      userId
-    });
+const getLedgerBalance = async (fundId, session = null) => {
+  const [result] = await FundMovement.aggregate([
+    { $match: { fundId: new mongoose.Types.ObjectId(String(fundId)) } },
+    { $group: { _id: null, balance: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]).session(session);
 
-    if (!fund) {
-      throw new Error(MESSAGES.NOT_FOUND);
+  return { balance: roundAmount(result?.balance || 0), count: result?.count || 0 };
+};
+
+/**
+ * Update adding a signed amount to a fund's balance, rounded to cents
+ */
+const changeBalance = (amount) => [
+  { $set: { currentAmount: { $round: [{ $add: [{ $ifNull: ['$currentAmount', 0] }, amount] }, 2] } } }
+];
+
+/**
+ * Why a balance change matched no fund: it isn't the user's, it's locked,
+ * or it holds too little
+ */
+const movementRejection = async (fundId, userId, amount, session) => {
+  const fund = await Fund.findOne({ _id: fundId, userId }).select('isLocked').session(session).lean();
+
+  if (!fund) {
+    return new Error(MESSAGES.NOT_FOUND);
+  }
+
+  if (fund.isLocked) {
+    return new Error(amount > 0 ? 'Cannot add to locked fund' : 'Cannot withdraw from locked fund');
+  }
+
+  return new Error('Insufficient funds');
+};
+
+/**
+ * Change a fund's balance and record the movement in one database transaction,
+ * so the balance and the ledger can't drift apart. The balance changes in a
+ * single conditional update, so concurrent movements can't lose an update or
+ * overdraw the fund; without transactions a failed movement insert undoes it.
+ * @param {number} amount - Signed change to the balance
+ * @param {Object} details - { allowLocked, note, transactionId, incomeId, date }
+ */
+const recordMovement = async (fundId, userId, type, amount, details = {}) => {
+  const { allowLocked = false, note, transactionId, incomeId, date } = details;
+
+  if (transactionId && !(await Transaction.exists({ _id: transactionId, userId }))) {
+    throw new Error(MESSAGES.INVALID_LINKED_TRANSACTION);
+  }
+
+  let updatedFund;
+
+  await withTransaction(async (session) => {
+    const filter = { _id: fundId, userId };
+    if (!allowLocked) {
+      filter.isLocked = { $ne: true };
+    }
+    if (amount < 0) {
+      filter.currentAmount = { $gte: -amount };
     }
 
-    if (fund.isLocked && !allowLocked) {
-      throw new Error('Cannot add to locked fund');
+    updatedFund = await Fund.findOneAndUpdate(filter, changeBalance(amount), { new: true, session });
+    if (!updatedFund) {
+      throw await movementRejection(fundId, userId, amount, session);
     }
 
-    if (amount <= 0) {
-      throw new Error('Amount must be greater than 0');
+    try {
+      await FundMovement.create([{
+        userId,
+        fundId: updatedFund._id,
+        type,
+        amount,
+        balanceAfter: updatedFund.currentAmount,
+        date: date || new Date(),
+        note: note?.trim(),
+        transactionId: transactionId || null,
+        incomeId: incomeId || null
+      }], { session });
+    } catch (error) {
+      if (!session) {
+        await Fund.updateOne({ _id: updatedFund._id }, changeBalance(-amount));
+      }
+      throw error;
     }
+  });
 
-    fund.currentAmount = (fund.currentAmount || 0) + amount;
+  return updatedFund;
+};
 
-    const updatedFund = await fund.save();
+/**
+ * Add money to a fund
+ * @param {Object} [details] - { note, transactionId, date } recorded in the fund's history
+ */
+export const addToFund = async (fundId, userId, amount, allowLocked = false, details = {}) => {
+  try {
+    if (amount <= 0) {
+      throw new Error('Amount must be greater than 0');
+    }
 
-    return updatedFund;
+    return await recordMovement(fundId, userId, 'contribution', amount, { ...details, allowLocked });
   } catch (error) {
     logger.error(`Add to fund error: ${error.message}`);
     throw error;
@@ -170,37 +287,323 @@ export const addToFund = async (fundId, userId, amount, allowLocked = false) =>
 
 /**
  * Withdraw money from a fund
+ * @param {Object} [details] - { note, transactionId, date } recorded in the fund's history
  */
-export const withdrawFromFund = async (fundId, userId, amount, allowLocked = false) => {
+export const withdrawFromFund = async (fundId, userId, amount, allowLocked = false, details = {}) => {
   try {
-    const fund = await Fund.findOne({
-      _id: fundId,
-      userId
-    });
+    if (amount <= 0) {
+      throw new Error('Amount must be greater than 0');
+    }
+
+    return await recordMovement(fundId, userId, 'withdrawal', -amount, { ...details, allowLocked });
+  } catch (error) {
+    logger.error(`Withdraw from fund error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a fund's movements, most recent first
+ */
+export const getFundHistory = async (fundId, userId, filters = {}) => {
+  try {
+    const fund = await Fund.findOne({ _id: fundId, userId })
+      .select('name type currentAmount currency')
+      .lean();
 
     if (!fund) {
       throw new Error(MESSAGES.NOT_FOUND);
     }
 
-    if (fund.isLocked && !allowLocked) {
-      throw new Error('Cannot withdraw from locked fund');
+    const { type, limit, page } = filters;
+
+    const query = { fundId: fund._id };
+    if (type) {
+      query.type = type;
     }
 
-    if (amount <= 0) {
-      throw new Error('Amount must be greater than 0');
+    const pageNum = page ? parseInt(page) : 1;
+    const limitNum = limit ? parseInt(limit) : 50;
+    const skip = (pageNum - 1) * limitNum;
+
+    const movements = await FundMovement.find(query)
+      .sort({ date: -1, createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .populate('transactionId', 'amount type date note')
+      .lean();
+
+    const total = await FundMovement.countDocuments(query);
+
+    return {
+      fund,
+      movements,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  } catch (error) {
+    logger.error(`Get fund history error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Contributions, withdrawals and the ledger balance at the end of each of the
+ * last `months` months (oldest first), for charting
+ */
+export const getMonthlyContributions = async (fundId, userId, months = 12) => {
+  try {
+    const fund = await Fund.exists({ _id: fundId, userId });
+    if (!fund) {
+      throw new Error(MESSAGES.NOT_FOUND);
     }
 
-    if (fund.currentAmount < amount) {
-      throw new Error('Insufficient funds');
+    const lastMonth = toMonthKey();
+    const firstMonth = shiftMonth(lastMonth, -(months - 1));
+    const { startDate } = getMonthRange(firstMonth);
+    const { endDate } = getMonthRange(lastMonth);
+
+    const [[opening], totals] = await Promise.all([
+      FundMovement.aggregate([
+        { $match: { fundId: fund._id, date: { $lt: startDate } } },
+        { $group: { _id: null, balance: { $sum: '$amount' } } }
+      ]),
+      FundMovement.aggregate([
+        { $match: { fundId: fund._id, date: { $gte: startDate, $lte: endDate } } },
+        {
+          $group: {
+            _id: {
+              month: { $dateToString: { format: '%Y-%m', date: '$date', timezone: SERVER_TIMEZONE } },
+              type: '$type'
+            },
+            total: { $sum: '$amount' }
+          }
+        }
+      ])
+    ]);
+
+    const byMonth = new Map();
+    for (const { _id, total } of totals) {
+      const entry = byMonth.get(_id.month) || {};
+      entry[_id.type] = total;
+      byMonth.set(_id.month, entry);
     }
 
-    fund.currentAmount = (fund.currentAmount || 0) - amount;
+    let balance = opening?.balance || 0;
+    const chart = [];
+
+    for (let offset = 0; offset < months; offset++) {
+      const month = shiftMonth(firstMonth, offset);
+      const entry = byMonth.get(month) || {};
+      const net = Object.values(entry).reduce((sum, total) => sum + total, 0);
+      balance += net;
+
+      chart.push({
+        month,
+        contributions: roundAmount((entry.contribution || 0) + (entry.opening || 0)),
+        withdrawals: roundAmount(-(entry.withdrawal || 0)),
+        adjustments: roundAmount(entry.adjustment || 0),
+        net: roundAmount(net),
+        balance: roundAmount(balance)
+      });
+    }
+
+    return chart;
+  } catch (error) {
+    logger.error(`Get monthly contributions error: ${error.message}`);
+    throw error;
+  }
+};
 
-    const updatedFund = await fund.save();
+/**
+ * Compare a fund's stored balance with the balance rebuilt from its ledger
+ */
+export const getFundReconciliation = async (fundId, userId) => {
+  try {
+    const fund = await Fund.findOne({ _id: fundId, userId }).lean();
+    if (!fund) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
 
-    return updatedFund;
+    const ledger = await getLedgerBalance(fund._id);
+    const difference = roundAmount((fund.currentAmount || 0) - ledger.balance);
+
+    return {
+      fundId: fund._id,
+      currentAmount: fund.currentAmount || 0,
+      ledgerBalance: ledger.balance,
+      movements: ledger.count,
+      difference,
+      isBalanced: difference === 0
+    };
   } catch (error) {
-    logger.error(`Withdraw from fund error: ${error.message}`);
+    logger.error(`Get fund reconciliation error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Bring a fund's balance and ledger back in line.
+ * `ledger` rebuilds the balance from the movements; `balance` keeps the
+ * balance and records the difference as an adjustment (e.g. for funds
+ * created before the ledger existed).
+ */
+export const reconcileFund = async (fundId, userId, mode) => {
+  try {
+    await withTransaction(async (session) => {
+      const fund = await Fund.findOne({
+        _id: fundId,
+        userId
+      }).session(session);
+
+      if (!fund) {
+        throw new Error(MESSAGES.NOT_FOUND);
+      }
+
+      const ledger = await getLedgerBalance(fund._id, session);
+      const difference = roundAmount((fund.currentAmount || 0) - ledger.balance);
+      if (difference === 0) {
+        return;
+      }
+
+      if (mode === 'ledger') {
+        fund.currentAmount = ledger.balance;
+        await fund.save({ session });
+      } else {
+        await FundMovement.create([{
+          userId,
+          fundId: fund._id,
+          type: 'adjustment',
+          amount: difference,
+          balanceAfter: fund.currentAmount,
+          note: 'Reconciliation adjustment'
+        }], { session });
+      }
+    });
+
+    return await getFundReconciliation(fundId, userId);
+  } catch (error) {
+    logger.error(`Reconcile fund error: ${error.message}`);
+    throw error;
+  }
+};
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// Contributions are averaged over at least a month, so one early deposit
+// doesn't project an unrealistic pace
+const MIN_PROJECTION_DAYS = 30;
+
+/**
+ * Project when a fund reaches its target at its recent pace, and what it
+ * takes per month to reach it by its target date
+ * @param {number} netContributed - Contributions minus withdrawals since `since`
+ */
+const buildProjection = (fund, netContributed, since, now = new Date()) => {
+  const targetAmount = fund.targetAmount || 0;
+  const currentAmount = fund.currentAmount || 0;
+  const remaining = roundAmount(Math.max(0, targetAmount - currentAmount));
+
+  const days = Math.max(MIN_PROJECTION_DAYS, (now - Math.max(since, new Date(fund.createdAt))) / DAY_MS);
+  const averageMonthlyContribution = roundAmount(netContributed * DAYS_PER_MONTH / days);
+
+  const projection = {
+    fundId: fund._id,
+    name: fund.name,
+    type: fund.type,
+    currency: fund.currency,
+    targetAmount: fund.targetAmount ?? null,
+    currentAmount,
+    remaining,
+    progressPercent: targetAmount > 0 ? Math.min(100, Math.round((currentAmount / targetAmount) * 100)) : null,
+    isCompleted: targetAmount > 0 && remaining === 0,
+    averageMonthlyContribution,
+    monthsToTarget: null,
+    expectedCompletionDate: null,
+    targetDate: fund.targetDate || null,
+    requiredMonthlyContribution: null,
+    onTrack: null
+  };
+
+  if (!targetAmount || projection.isCompleted) {
+    return projection;
+  }
+
+  if (averageMonthlyContribution > 0) {
+    projection.monthsToTarget = Math.round((remaining / averageMonthlyContribution) * 10) / 10;
+    projection.expectedCompletionDate = new Date(now.getTime() + (remaining / averageMonthlyContribution) * DAYS_PER_MONTH * DAY_MS);
+  }
+
+  if (fund.targetDate) {
+    // Whole monthly contributions left before the deadline (at least one)
+    const monthsLeft = Math.max(1, Math.ceil((new Date(fund.targetDate) - now) / (DAYS_PER_MONTH * DAY_MS)));
+    projection.requiredMonthlyContribution = roundAmount(remaining / monthsLeft);
+    projection.onTrack = Boolean(projection.expectedCompletionDate) &&
+      projection.expectedCompletionDate <= new Date(fund.targetDate);
+  }
+
+  return projection;
+};
+
+/**
+ * Net contributions (contributions minus withdrawals) per fund since a date
+ */
+const getNetContributions = async (fundIds, since) => {
+  const totals = await FundMovement.aggregate([
+    {
+      $match: {
+        fundId: { $in: fundIds },
+        type: { $in: ['contribution', 'withdrawal'] },
+        date: { $gte: since }
+      }
+    },
+    { $group: { _id: '$fundId', total: { $sum: '$amount' } } }
+  ]);
+
+  return new Map(totals.map(({ _id, total }) => [_id.toString(), total]));
+};
+
+/**
+ * Project a fund's completion from its contributions over the last `months` months
+ */
+export const getFundProjection = async (fundId, userId, months = 6) => {
+  try {
+    const fund = await Fund.findOne({ _id: fundId, userId }).lean();
+    if (!fund) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const now = new Date();
+    const since = new Date(now.getFullYear(), now.getMonth() - months, now.getDate());
+    const netByFund = await getNetContributions([fund._id], since);
+
+    return buildProjection(fund, netByFund.get(fund._id.toString()) || 0, since, now);
+  } catch (error) {
+    logger.error(`Get fund projection error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Projections for every fund with a target, soonest deadline first
+ */
+export const getFundProjections = async (userId, months = 6) => {
+  try {
+    const funds = await Fund.find({ userId, targetAmount: { $gt: 0 } }).lean();
+
+    const now = new Date();
+    const since = new Date(now.getFullYear(), now.getMonth() - months, now.getDate());
+    const netByFund = await getNetContributions(funds.map(fund => fund._id), since);
+
+    return funds
+      .map(fund => buildProjection(fund, netByFund.get(fund._id.toString()) || 0, since, now))
+      .sort((a, b) => (a.targetDate || Infinity) - (b.targetDate || Infinity) || a.remaining - b.remaining);
+  } catch (error) {
+    logger.error(`Get fund projections error: ${error.message}`);
     throw error;
   }
 };
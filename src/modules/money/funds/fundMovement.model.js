@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+/**
+ * Ledger of every change to a fund's balance. Summing `amount` over a fund's
+ * movements gives its balance, which is how balances are reconciled.
+ */
+const fundMovementSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    fundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fund',
+      required: [true, 'Fund ID is required']
+    },
+    // opening: balance the fund was created with; adjustment: from a reconcile
+    type: {
+      type: String,
+      enum: ['opening', 'contribution', 'withdrawal', 'adjustment'],
+      required: [true, 'Type is required']
+    },
+    // Signed: positive into the fund, negative out of it
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required']
+    },
+    // Fund balance right after this movement
+    balanceAfter: {
+      type: Number,
+      required: [true, 'Balance after is required']
+    },
+    // When the money moved (can be backdated; defaults to now)
+    date: {
+      type: Date,
+      required: [true, 'Date is required'],
+      default: Date.now
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    // e.g. the transfer from the user's account that funded a contribution
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    },
+    // Set for contributions made by an allocation rule when the income was added
+    incomeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Income',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+fundMovementSchema.index({ fundId: 1, date: -1 });
+fundMovementSchema.index({ userId: 1, date: -1 });
+
+const FundMovement = mongoose.model('FundMovement', fundMovementSchema);
+
+export default FundMovement;
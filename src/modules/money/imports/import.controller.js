@@ -0,0 +1,271 @@
+import mongoose from 'mongoose';
+import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../../config/constants.js';
+import * as importService from './import.service.js';
+import { DATE_FORMATS } from '../../../utils/date.util.js';
+import logger from '../../../utils/logger.util.js';
+
+// Profile fields that can be set from a request
+const PROFILE_FIELDS = ['name', 'delimiter', 'hasHeader', 'skipRows', 'dateFormat', 'decimalSeparator', 'amountMode', 'expenseSign', 'columns'];
+
+/**
+ * Pick the profile fields present in a request body
+ */
+const pickProfileFields = (body) => {
+  const data = {};
+  for (const field of PROFILE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+  return data;
+};
+
+/**
+ * Map import service errors to responses
+ */
+const handleImportError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if ([
+    MESSAGES.IMPORT_PROFILE_EXISTS,
+    MESSAGES.IMPORT_NOT_PENDING,
+    MESSAGES.IMPORT_NOT_COMMITTED
+  ].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+  }
+
+  if ([
+    MESSAGES.IMPORT_MAPPING_REQUIRED,
+    MESSAGES.IMPORT_COLUMN_NOT_FOUND,
+    MESSAGES.IMPORT_EMPTY_FILE,
+    MESSAGES.IMPORT_TOO_MANY_ROWS,
+    MESSAGES.IMPORT_NO_ROWS_SELECTED,
+    MESSAGES.INVALID_CATEGORY
+  ].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+/**
+ * List saved column-mapping profiles
+ */
+export const getProfiles = async (req, res, next) => {
+  try {
+    const profiles = await importService.getProfiles(req.user.id);
+    return sendSuccess(res, profiles, 'Import profiles retrieved successfully');
+  } catch (error) {
+    logger.error(`Get import profiles controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Save a column-mapping profile
+ */
+export const createProfile = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return sendValidationError(res, [{
+        field: 'name',
+        message: 'Name is required'
+      }]);
+    }
+
+    const profile = await importService.createProfile(req.user.id, pickProfileFields(req.body));
+
+    return sendSuccess(
+      res,
+      profile,
+      'Import profile created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Create import profile controller error: ${error.message}`);
+    handleImportError(error, res, next);
+  }
+};
+
+/**
+ * Update a column-mapping profile
+ */
+export const updateProfile = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return sendValidationError(res, [{
+        field: 'name',
+        message: 'Name cannot be empty'
+      }]);
+    }
+
+    const profile = await importService.updateProfile(req.params.id, req.user.id, pickProfileFields(req.body));
+
+    return sendSuccess(res, profile, 'Import profile updated successfully');
+  } catch (error) {
+    logger.error(`Update import profile controller error: ${error.message}`);
+    handleImportError(error, res, next);
+  }
+};
+
+/**
+ * Delete a column-mapping profile
+ */
+export const deleteProfile = async (req, res, next) => {
+  try {
+    await importService.deleteProfile(req.params.id, req.user.id);
+    return sendSuccess(res, null, 'Import profile deleted successfully');
+  } catch (error) {
+    logger.error(`Delete import profile controller error: ${error.message}`);
+    handleImportError(error, res, next);
+  }
+};
+
+/**
+ * Upload a statement and get a preview of what would be imported
+ */
+export const previewImport = async (req, res, next) => {
+  try {
+    const { profileId, dateFormat } = req.body;
+
+    if (!req.file) {
+      return sendValidationError(res, [{
+        field: 'file',
+        message: 'A statement file is required'
+      }]);
+    }
+
+    if (profileId && !mongoose.isValidObjectId(profileId)) {
+      return sendValidationError(res, [{
+        field: 'profileId',
+        message: 'Invalid import profile ID'
+      }]);
+    }
+
+    if (dateFormat && !DATE_FORMATS.includes(dateFormat)) {
+      return sendValidationError(res, [{
+        field: 'dateFormat',
+        message: `Date format must be one of: ${DATE_FORMATS.join(', ')}`
+      }]);
+    }
+
+    // Multipart fields arrive as strings, so an unsaved CSV mapping is sent as JSON
+    let mapping = null;
+    if (!profileId && req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (error) {
+        mapping = null;
+      }
+
+      if (!mapping || typeof mapping !== 'object') {
+        return sendValidationError(res, [{
+          field: 'mapping',
+          message: 'Mapping must be a JSON object'
+        }]);
+      }
+    }
+
+    const result = await importService.previewImport(req.user.id, req.file, {
+      profileId,
+      mapping: mapping && pickProfileFields(mapping),
+      dateFormat
+    });
+
+    return sendSuccess(
+      res,
+      result,
+      'Import preview created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Preview import controller error: ${error.message}`);
+    handleImportError(error, res, next);
+  }
+};
+
+/**
+ * List imports
+ */
+export const getImports = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await importService.getImports(req.user.id, { page, limit });
+    return sendSuccess(res, result, 'Imports retrieved successfully');
+  } catch (error) {
+    logger.error(`Get imports controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get an import with its rows
+ */
+export const getImport = async (req, res, next) => {
+  try {
+    const result = await importService.getImportById(req.params.id, req.user.id);
+    return sendSuccess(res, result, 'Import retrieved successfully');
+  } catch (error) {
+    logger.error(`Get import controller error: ${error.message}`);
+    handleImportError(error, res, next);
+  }
+};
+
+/**
+ * Commit a preview, optionally including/excluding rows or changing their category
+ */
+export const commitImport = async (req, res, next) => {
+  try {
+    const { rows = [] } = req.body;
+
+    if (!Array.isArray(rows)) {
+      return sendValidationError(res, [{
+        field: 'rows',
+        message: 'rows must be an array of { rowNumber, include, categoryId }'
+      }]);
+    }
+
+    const invalid = rows.find(row =>
+      !row || !Number.isInteger(row.rowNumber) ||
+      (row.include !== undefined && typeof row.include !== 'boolean') ||
+      (row.categoryId !== undefined && !mongoose.isValidObjectId(row.categoryId))
+    );
+    if (invalid) {
+      return sendValidationError(res, [{
+        field: 'rows',
+        message: 'Each row needs a numeric rowNumber, an optional boolean include and an optional valid categoryId'
+      }]);
+    }
+
+    const result = await importService.commitImport(req.params.id, req.user.id, rows, req.user);
+
+    return sendSuccess(
+      res,
+      result,
+      `${result.summary.imported} transaction(s) imported, ${result.summary.skipped} skipped`
+    );
+  } catch (error) {
+    logger.error(`Commit import controller error: ${error.message}`);
+    handleImportError(error, res, next);
+  }
+};
+
+/**
+ * Undo a committed import
+ */
+export const undoImport = async (req, res, next) => {
+  try {
+    const result = await importService.undoImport(req.params.id, req.user.id, req.user);
+    return sendSuccess(res, result, `${result.summary.undone} imported transaction(s) removed`);
+  } catch (error) {
+    logger.error(`Undo import controller error: ${error.message}`);
+    handleImportError(error, res, next);
+  }
+};
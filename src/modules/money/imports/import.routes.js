@@ -0,0 +1,70 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import * as importController from './import.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+import { uploadRateLimiter } from '../../../middlewares/uploadLimit.middleware.js';
+
+const router = express.Router();
+
+// Statement file extensions accepted for import
+const ALLOWED_EXTENSIONS = ['.csv', '.txt', '.ofx', '.qfx', '.qif'];
+
+// Configure multer for memory storage
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // Browsers report statement files with all sorts of MIME types, so go by extension
+    if (ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${ALLOWED_EXTENSIONS.join(', ')} files can be imported`), false);
+    }
+  }
+});
+
+// Multer error handler middleware
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: 'File size too large. Maximum size is 5MB'
+      });
+    }
+  }
+  if (err) {
+    return res.status(400).json({
+      success: false,
+      message: err.message || 'File upload error'
+    });
+  }
+  next();
+};
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/profiles', importController.getProfiles);
+router.post('/profiles', importController.createProfile);
+router.patch('/profiles/:id', importController.updateProfile);
+router.delete('/profiles/:id', importController.deleteProfile);
+
+router.post(
+  '/preview',
+  uploadRateLimiter,
+  upload.single('file'),
+  handleMulterError,
+  importController.previewImport
+);
+router.get('/', importController.getImports);
+router.get('/:id', importController.getImport);
+router.post('/:id/commit', importController.commitImport);
+router.post('/:id/undo', importController.undoImport);
+
+export default router;
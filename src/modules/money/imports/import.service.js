@@ -0,0 +1,559 @@
+import ImportProfile from './importProfile.model.js';
+import TransactionImport from './transactionImport.model.js';
+import Transaction from '../transactions/transaction.model.js';
+import Category from '../categories/category.model.js';
+import { parseCSVStatement } from './parsers/csv.parser.js';
+import { parseOFXStatement } from './parsers/ofx.parser.js';
+import { parseQIFStatement } from './parsers/qif.parser.js';
+import { ensureDefaultCategories, resolveCategory } from '../categories/category.service.js';
+import { buildRuleMatcher } from '../rules/rule.service.js';
+import { insertImportedTransactions, deleteImportedTransactions } from '../transactions/transaction.service.js';
+import { toDayKey } from '../../../utils/date.util.js';
+import logger from '../../../utils/logger.util.js';
+import { MESSAGES } from '../../../config/constants.js';
+
+const MAX_IMPORT_ROWS = 5000;
+
+// How long an uncommitted preview is kept
+const PREVIEW_EXPIRE_HOURS = 24;
+
+// Statement formats by file extension
+const FORMAT_BY_EXTENSION = {
+  '.csv': 'csv',
+  '.txt': 'csv',
+  '.ofx': 'ofx',
+  '.qfx': 'qfx',
+  '.qif': 'qif'
+};
+
+// Past transactions used to learn which category a description belongs to
+const CATEGORY_HISTORY_SIZE = 2000;
+
+/**
+ * Lower-case a description and collapse whitespace, for matching
+ */
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Source stored on transactions from an import without bank transaction IDs
+ */
+const toImportSource = (fileName) => (fileName ? `import:${fileName}` : 'import');
+
+/**
+ * Build a function that suggests a category for an imported row. In order:
+ * the user's categorisation rules, the category last used for the same
+ * description, a category whose name appears in the description
+ * (subcategories first), then the kind's "Misc".
+ * @returns {Promise<Function>} (row) => { categoryId, ruleId }
+ */
+const buildCategorizer = async (userId) => {
+  await ensureDefaultCategories(userId);
+
+  const [matchRule, categories, history] = await Promise.all([
+    buildRuleMatcher(userId),
+    Category.find({ userId, isArchived: false }).lean(),
+    Transaction.find({ userId, note: { $nin: [null, ''] } })
+      .sort({ date: -1 })
+      .limit(CATEGORY_HISTORY_SIZE)
+      .select('note type categoryId')
+      .lean()
+  ]);
+
+  const activeIds = new Set(categories.map(category => category._id.toString()));
+
+  const learned = new Map();
+  for (const transaction of history) {
+    const key = `${transaction.type}|${normalizeText(transaction.note)}`;
+    if (!learned.has(key) && activeIds.has(transaction.categoryId?.toString())) {
+      learned.set(key, transaction.categoryId);
+    }
+  }
+
+  // Subcategories and longer names are more specific, so they are tried first
+  const byName = [...categories].sort((a, b) =>
+    Number(Boolean(b.parentId)) - Number(Boolean(a.parentId)) || b.name.length - a.name.length
+  );
+
+  return ({ description, type, amount, source }) => {
+    const ruled = matchRule({ note: description, type, amount, source });
+    if (ruled) return ruled;
+
+    const text = normalizeText(description);
+
+    const learnedId = learned.get(`${type}|${text}`);
+    if (learnedId) return { categoryId: learnedId, ruleId: null };
+
+    const match = byName.find(category => category.kind === type && text.includes(category.name.toLowerCase()));
+    if (match) return { categoryId: match._id, ruleId: null };
+
+    const fallback = categories.find(category => category.kind === type && !category.parentId && category.name.toLowerCase() === 'misc') ||
+      categories.find(category => category.kind === type);
+    return { categoryId: fallback ? fallback._id : null, ruleId: null };
+  };
+};
+
+/**
+ * Flag rows whose bank transaction ID was already imported. A repeated ID
+ * within the same file is treated as unreadable rather than imported twice.
+ */
+const flagKnownExternalIds = async (userId, rows) => {
+  const firstRowById = new Map();
+  for (const row of rows) {
+    if (row.error || !row.externalId) continue;
+
+    if (firstRowById.has(row.externalId)) {
+      row.error = `Repeats the transaction ID of row ${firstRowById.get(row.externalId)}`;
+      row.include = false;
+    } else {
+      firstRowById.set(row.externalId, row.rowNumber);
+    }
+  }
+
+  if (firstRowById.size === 0) return;
+
+  const existing = await Transaction.find({
+    userId,
+    source: { $in: [...firstRowById.keys()] }
+  })
+    .select('source')
+    .lean();
+
+  const existingBySource = new Map(existing.map(transaction => [transaction.source, transaction._id]));
+  for (const row of rows) {
+    if (!row.error && existingBySource.has(row.externalId)) {
+      row.duplicateOfId = existingBySource.get(row.externalId);
+      row.include = false;
+    }
+  }
+};
+
+/**
+ * Flag rows that probably repeat an existing transaction: same day, type and
+ * amount, and the same description (or one of them has none)
+ */
+const flagDuplicates = async (userId, rows) => {
+  await flagKnownExternalIds(userId, rows);
+
+  const dated = rows.filter(row => !row.error && !row.duplicateOfId);
+  if (dated.length === 0) return;
+
+  const times = dated.map(row => row.date.getTime());
+  const from = new Date(Math.min(...times));
+  const to = new Date(Math.max(...times));
+  to.setDate(to.getDate() + 1);
+
+  const existing = await Transaction.find({
+    userId,
+    date: { $gte: from, $lt: to }
+  })
+    .select('date type amount note')
+    .lean();
+
+  const candidates = new Map();
+  for (const transaction of existing) {
+    const key = `${toDayKey(transaction.date)}|${transaction.type}|${transaction.amount}`;
+    if (!candidates.has(key)) candidates.set(key, []);
+    candidates.get(key).push(transaction);
+  }
+
+  for (const row of dated) {
+    const matches = candidates.get(`${toDayKey(row.date)}|${row.type}|${row.amount}`) || [];
+    const description = normalizeText(row.description);
+    const duplicate = matches.find(transaction => {
+      const note = normalizeText(transaction.note);
+      return !note || !description || note === description;
+    });
+
+    if (duplicate) {
+      row.duplicateOfId = duplicate._id;
+      row.include = false;
+    }
+  }
+};
+
+/**
+ * Shape an import for API responses (rows only when asked for)
+ */
+const toImportSummary = (transactionImport, { withRows = false } = {}) => {
+  const data = typeof transactionImport.toObject === 'function' ? transactionImport.toObject() : transactionImport;
+  if (!withRows) {
+    delete data.rows;
+  }
+  return data;
+};
+
+/**
+ * Get a user's import profiles
+ */
+export const getProfiles = async (userId) => {
+  try {
+    return await ImportProfile.find({ userId }).sort({ name: 1 }).lean();
+  } catch (error) {
+    logger.error(`Get import profiles error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Save a column-mapping profile for a bank's statements
+ */
+export const createProfile = async (userId, profileData) => {
+  try {
+    const existing = await ImportProfile.findOne({ userId, name: profileData.name.trim() });
+    if (existing) {
+      throw new Error(MESSAGES.IMPORT_PROFILE_EXISTS);
+    }
+
+    return await ImportProfile.create({ ...profileData, userId });
+  } catch (error) {
+    logger.error(`Create import profile error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update an import profile
+ */
+export const updateProfile = async (profileId, userId, updateData) => {
+  try {
+    const profile = await ImportProfile.findOne({
+      _id: profileId,
+      userId
+    });
+
+    if (!profile) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (updateData.name !== undefined && updateData.name.trim() !== profile.name) {
+      const existing = await ImportProfile.findOne({ userId, name: updateData.name.trim() });
+      if (existing) {
+        throw new Error(MESSAGES.IMPORT_PROFILE_EXISTS);
+      }
+    }
+
+    for (const [field, value] of Object.entries(updateData)) {
+      if (value !== undefined) {
+        profile[field] = value;
+      }
+    }
+
+    await profile.save();
+
+    return profile;
+  } catch (error) {
+    logger.error(`Update import profile error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete an import profile (past imports keep working)
+ */
+export const deleteProfile = async (profileId, userId) => {
+  try {
+    const profile = await ImportProfile.findOneAndDelete({
+      _id: profileId,
+      userId
+    });
+
+    if (!profile) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return profile;
+  } catch (error) {
+    logger.error(`Delete import profile error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Work out a statement's format from its extension, falling back to its contents
+ */
+const detectFormat = (fileName, text) => {
+  const extension = (fileName || '').toLowerCase().match(/\.[a-z]+$/)?.[0];
+  if (FORMAT_BY_EXTENSION[extension]) {
+    return FORMAT_BY_EXTENSION[extension];
+  }
+
+  const start = text.trimStart().substring(0, 1000);
+  if (/^OFXHEADER|<OFX>/i.test(start)) return 'ofx';
+  if (/^!(Type|Account|Option)/i.test(start)) return 'qif';
+  return 'csv';
+};
+
+/**
+ * Parse a CSV statement with a saved profile or an unsaved mapping
+ */
+const parseCSVFile = async (userId, text, { profileId, mapping }) => {
+  let profile;
+  if (profileId) {
+    profile = await ImportProfile.findOne({ _id: profileId, userId }).lean();
+    if (!profile) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+  } else if (mapping) {
+    // An unsaved mapping gets the same validation as a saved profile
+    const draft = new ImportProfile({ name: 'Unsaved mapping', ...mapping, userId });
+    const validationError = draft.validateSync();
+    if (validationError) {
+      throw validationError;
+    }
+    profile = draft.toObject();
+  } else {
+    throw new Error(MESSAGES.IMPORT_MAPPING_REQUIRED);
+  }
+
+  return parseCSVStatement(text, profile);
+};
+
+/**
+ * Read a statement file and store a preview: parsed rows with suggested
+ * categories and likely duplicates flagged. Nothing is imported yet.
+ * @param {Object} file - Uploaded file ({ buffer, originalname }): CSV, OFX/QFX or QIF
+ * @param {Object} options - For CSV, { profileId } or an unsaved { mapping };
+ *   for QIF, an optional { dateFormat }
+ */
+export const previewImport = async (userId, file, { profileId, mapping, dateFormat } = {}) => {
+  try {
+    const text = file.buffer.toString('utf8');
+    const format = detectFormat(file.originalname, text);
+
+    let rows;
+    if (format === 'csv') {
+      rows = await parseCSVFile(userId, text, { profileId, mapping });
+    } else if (format === 'qif') {
+      rows = parseQIFStatement(text, { dateFormat });
+    } else {
+      rows = parseOFXStatement(text);
+    }
+
+    if (rows.length === 0) {
+      throw new Error(MESSAGES.IMPORT_EMPTY_FILE);
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(MESSAGES.IMPORT_TOO_MANY_ROWS);
+    }
+
+    const categorize = await buildCategorizer(userId);
+    const fileName = file.originalname?.substring(0, 255);
+    const source = toImportSource(fileName);
+    for (const row of rows) {
+      row.include = !row.error;
+      row.description = row.description.substring(0, 500);
+      if (!row.error) {
+        Object.assign(row, categorize({ ...row, source: row.externalId || source }));
+      }
+      // Every category of the kind archived: the row can't be imported as is
+      if (!row.error && !row.categoryId) {
+        row.error = `No active ${row.type} category to file it under`;
+        row.include = false;
+      }
+    }
+
+    await flagDuplicates(userId, rows);
+
+    const transactionImport = await TransactionImport.create({
+      userId,
+      profileId: format === 'csv' ? profileId || null : null,
+      format,
+      fileName,
+      rows,
+      summary: {
+        total: rows.length,
+        errors: rows.filter(row => row.error).length,
+        duplicates: rows.filter(row => row.duplicateOfId).length,
+        skipped: rows.filter(row => !row.include).length
+      },
+      expiresAt: new Date(Date.now() + PREVIEW_EXPIRE_HOURS * 60 * 60 * 1000)
+    });
+
+    return toImportSummary(transactionImport, { withRows: true });
+  } catch (error) {
+    logger.error(`Preview import error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List a user's imports, newest first (without their rows)
+ */
+export const getImports = async (userId, filters = {}) => {
+  try {
+    const { page, limit } = filters;
+
+    const pageNum = page ? parseInt(page) : 1;
+    const limitNum = Math.min(limit ? parseInt(limit) : 20, 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [imports, total] = await Promise.all([
+      TransactionImport.find({ userId })
+        .select('-rows')
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip(skip)
+        .lean(),
+      TransactionImport.countDocuments({ userId })
+    ]);
+
+    return {
+      imports,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  } catch (error) {
+    logger.error(`Get imports error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get an import with its rows
+ */
+export const getImportById = async (importId, userId) => {
+  try {
+    const transactionImport = await TransactionImport.findOne({
+      _id: importId,
+      userId
+    }).lean();
+
+    if (!transactionImport) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return transactionImport;
+  } catch (error) {
+    logger.error(`Get import by ID error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Import the included rows of a preview as transactions, in one batch.
+ * @param {Object[]} overrides - Optional per-row changes: { rowNumber, include, categoryId }
+ */
+export const commitImport = async (importId, userId, overrides = [], actor = { id: userId }) => {
+  try {
+    const transactionImport = await TransactionImport.findOne({
+      _id: importId,
+      userId
+    });
+
+    if (!transactionImport) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (transactionImport.status !== 'preview' || transactionImport.expiresAt <= new Date()) {
+      throw new Error(MESSAGES.IMPORT_NOT_PENDING);
+    }
+
+    const rowsByNumber = new Map(transactionImport.rows.map(row => [row.rowNumber, row]));
+    for (const override of overrides) {
+      const row = rowsByNumber.get(override.rowNumber);
+      // Rows that couldn't be read can never be imported
+      if (!row || row.error) continue;
+
+      if (override.categoryId !== undefined) {
+        const category = await resolveCategory(userId, { categoryId: override.categoryId }, row.type);
+        row.categoryId = category._id;
+        row.ruleId = null;
+      }
+      if (override.include !== undefined) {
+        row.include = Boolean(override.include);
+      }
+    }
+
+    const included = transactionImport.rows.filter(row => row.include && !row.error);
+    if (included.length === 0) {
+      throw new Error(MESSAGES.IMPORT_NO_ROWS_SELECTED);
+    }
+
+    // Claim the preview so a double submit can't import it twice
+    const claimed = await TransactionImport.findOneAndUpdate(
+      { _id: transactionImport._id, status: 'preview' },
+      { status: 'committed', committedAt: new Date(), expiresAt: null }
+    );
+    if (!claimed) {
+      throw new Error(MESSAGES.IMPORT_NOT_PENDING);
+    }
+
+    const source = toImportSource(transactionImport.fileName);
+
+    try {
+      await insertImportedTransactions(
+        userId,
+        transactionImport._id,
+        included.map(row => ({
+          amount: row.amount,
+          type: row.type,
+          categoryId: row.categoryId,
+          date: row.date,
+          note: row.description,
+          source: row.externalId || source
+        })),
+        actor
+      );
+    } catch (error) {
+      // Roll back anything that was written and reopen the preview
+      await Transaction.deleteMany({ userId, importId: transactionImport._id });
+      await TransactionImport.updateOne(
+        { _id: transactionImport._id },
+        { status: 'preview', committedAt: null, expiresAt: transactionImport.expiresAt }
+      );
+      throw error;
+    }
+
+    transactionImport.status = 'committed';
+    transactionImport.committedAt = new Date();
+    transactionImport.expiresAt = null;
+    transactionImport.summary.imported = included.length;
+    transactionImport.summary.skipped = transactionImport.rows.length - included.length;
+    await transactionImport.save();
+
+    logger.info(`Import ${importId} committed for user ${userId}: ${included.length} transactions`);
+
+    return toImportSummary(transactionImport);
+  } catch (error) {
+    logger.error(`Commit import error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Undo a committed import by deleting the transactions it created
+ */
+export const undoImport = async (importId, userId, actor = { id: userId }) => {
+  try {
+    const transactionImport = await TransactionImport.findOne({
+      _id: importId,
+      userId
+    });
+
+    if (!transactionImport) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    if (transactionImport.status !== 'committed') {
+      throw new Error(MESSAGES.IMPORT_NOT_COMMITTED);
+    }
+
+    const deleted = await deleteImportedTransactions(userId, transactionImport._id, actor);
+
+    transactionImport.status = 'undone';
+    transactionImport.undoneAt = new Date();
+    transactionImport.summary.undone = deleted;
+    await transactionImport.save();
+
+    logger.info(`Import ${importId} undone for user ${userId}: ${deleted} transactions removed`);
+
+    return toImportSummary(transactionImport);
+  } catch (error) {
+    logger.error(`Undo import error: ${error.message}`);
+    throw error;
+  }
+};
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import { DATE_FORMATS } from '../../../utils/date.util.js';
+
+// Columns are given by header name, or by 1-based position for files without a header
+const columnsSchema = new mongoose.Schema(
+  {
+    date: {
+      type: String,
+      required: [true, 'Date column is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      required: [true, 'Description column is required'],
+      trim: true
+    },
+    // One signed amount column...
+    amount: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    // ...or separate money-out / money-in columns
+    debit: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    credit: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+const importProfileSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    // Usually the bank or account the statement comes from
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    delimiter: {
+      type: String,
+      enum: [',', ';', '\t', '|'],
+      default: ','
+    },
+    hasHeader: {
+      type: Boolean,
+      default: true
+    },
+    // Lines to skip before the header (banks often add account details on top)
+    skipRows: {
+      type: Number,
+      min: [0, 'Skip rows cannot be negative'],
+      max: [50, 'Skip rows cannot exceed 50'],
+      default: 0
+    },
+    dateFormat: {
+      type: String,
+      enum: DATE_FORMATS,
+      default: 'YYYY-MM-DD'
+    },
+    decimalSeparator: {
+      type: String,
+      enum: ['.', ','],
+      default: '.'
+    },
+    amountMode: {
+      type: String,
+      enum: ['single', 'split'],
+      default: 'single'
+    },
+    // For a single amount column: whether money out is shown as negative or positive
+    expenseSign: {
+      type: String,
+      enum: ['negative', 'positive'],
+      default: 'negative'
+    },
+    columns: {
+      type: columnsSchema,
+      required: [true, 'Column mapping is required']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+importProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Ensure user can only access their own import profiles
+importProfileSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const ImportProfile = mongoose.model('ImportProfile', importProfileSchema);
+
+export default ImportProfile;
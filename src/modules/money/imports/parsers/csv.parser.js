@@ -0,0 +1,118 @@
+import { parseCSV } from '../../../../utils/csv.util.js';
+import { parseDateWithFormat } from '../../../../utils/date.util.js';
+import { MESSAGES } from '../../../../config/constants.js';
+
+/**
+ * Parse a statement amount such as "1,234.50", "-12,50 €", "(12.00)" or "12.00-"
+ * @param {string} value - Raw cell
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number|null} Signed amount, or null when the cell is empty or unreadable
+ */
+export const parseAmount = (value, decimalSeparator = '.') => {
+  let text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  text = text
+    .split(thousandsSeparator).join('')
+    .replace(decimalSeparator, '.')
+    .replace(/[^0-9.+-]/g, '');
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+
+  return negative ? -Math.abs(amount) : amount;
+};
+
+/**
+ * Find a mapped column by header name (case-insensitive) or 1-based position
+ * @returns {number} Column index, or -1 when not found
+ */
+const resolveColumn = (header, column) => {
+  if (!column) return -1;
+
+  const wanted = column.trim().toLowerCase();
+  const byName = header ? header.findIndex(name => name.trim().toLowerCase() === wanted) : -1;
+  if (byName !== -1) return byName;
+
+  return /^\d+$/.test(wanted) ? parseInt(wanted, 10) - 1 : -1;
+};
+
+/**
+ * Read a bank statement CSV using an import profile's column mapping
+ * @param {string} text - File contents
+ * @param {Object} profile - Import profile (or an unsaved mapping with the same fields)
+ * @returns {Object[]} Rows as { rowNumber, date, amount, type, description, error }
+ * @throws {Error} IMPORT_COLUMN_NOT_FOUND when a mapped column isn't in the file
+ */
+export const parseCSVStatement = (text, profile) => {
+  const records = parseCSV(text, profile.delimiter || ',').slice(profile.skipRows || 0);
+  const header = profile.hasHeader === false ? null : records.shift();
+  // Line numbers as the user sees them in the file (1-based, after skipped lines and header)
+  const firstRowNumber = (profile.skipRows || 0) + (header ? 2 : 1);
+
+  const { columns } = profile;
+  const index = {
+    date: resolveColumn(header, columns.date),
+    description: resolveColumn(header, columns.description),
+    amount: resolveColumn(header, columns.amount),
+    debit: resolveColumn(header, columns.debit),
+    credit: resolveColumn(header, columns.credit)
+  };
+
+  const isSplit = profile.amountMode === 'split';
+  const missing = index.date === -1 || index.description === -1 ||
+    (isSplit ? index.debit === -1 && index.credit === -1 : index.amount === -1);
+  if (missing) {
+    throw new Error(MESSAGES.IMPORT_COLUMN_NOT_FOUND);
+  }
+
+  return records.map((record, position) => {
+    const cell = (column) => (index[column] === -1 ? '' : (record[index[column]] ?? '').trim());
+    const row = {
+      rowNumber: firstRowNumber + position,
+      date: parseDateWithFormat(cell('date'), profile.dateFormat),
+      amount: null,
+      type: null,
+      description: cell('description'),
+      error: null
+    };
+
+    let signed = null;
+    if (isSplit) {
+      const debit = parseAmount(cell('debit'), profile.decimalSeparator);
+      const credit = parseAmount(cell('credit'), profile.decimalSeparator);
+      if (debit) {
+        signed = -Math.abs(debit);
+      } else if (credit) {
+        signed = Math.abs(credit);
+      }
+    } else {
+      signed = parseAmount(cell('amount'), profile.decimalSeparator);
+      if (signed !== null && profile.expenseSign === 'positive') {
+        signed = -signed;
+      }
+    }
+
+    if (!row.date) {
+      row.error = `Date "${cell('date')}" does not match ${profile.dateFormat}`;
+    } else if (signed === null || signed === 0) {
+      row.error = 'Missing or zero amount';
+    } else {
+      row.amount = Math.round(Math.abs(signed) * 100) / 100;
+      row.type = signed < 0 ? 'expense' : 'income';
+    }
+
+    return row;
+  });
+};
@@ -0,0 +1,127 @@
+import { parseAmount } from './csv.parser.js';
+
+/**
+ * Read a tag's value from an OFX block. Handles both OFX 1.x SGML, where
+ * leaf tags are usually left unclosed, and OFX 2.x XML.
+ * @returns {string} Trimmed value, or '' when the tag is absent
+ */
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+/**
+ * Decode the few XML entities OFX files use
+ */
+const decodeEntities = (text) => text
+  .replace(/&lt;/gi, '<')
+  .replace(/&gt;/gi, '>')
+  .replace(/&quot;/gi, '"')
+  .replace(/&apos;/gi, '\'')
+  .replace(/&nbsp;/gi, ' ')
+  .replace(/&amp;/gi, '&');
+
+/**
+ * Parse an OFX date (YYYYMMDD[HHMMSS[.XXX]][[+-]offset:TZ]). Only the
+ * calendar day is kept, as local midnight like the other statement parsers.
+ * @returns {Date|null}
+ */
+export const parseOFXDate = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(part => parseInt(part, 10));
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return date;
+};
+
+/**
+ * Work out the decimal separator of an OFX amount. The spec uses '.', but
+ * some banks send ',' and a few add thousands separators.
+ * @returns {string|null} '.' or ',', or null when it can't be told (e.g. "1,234")
+ */
+const detectDecimalSeparator = (value) => {
+  const lastDot = value.lastIndexOf('.');
+  const lastComma = value.lastIndexOf(',');
+
+  // With both, the later one is the decimal separator
+  if (lastDot !== -1 && lastComma !== -1) {
+    return lastDot > lastComma ? '.' : ',';
+  }
+
+  const separator = lastDot !== -1 ? '.' : (lastComma !== -1 ? ',' : null);
+  if (!separator) {
+    return '.';
+  }
+
+  // Repeated, it separates thousands
+  if (value.split(separator).length > 2) {
+    return separator === '.' ? ',' : '.';
+  }
+
+  // A single comma followed by three digits could be either
+  if (separator === ',' && /,\d{3}$/.test(value)) {
+    return null;
+  }
+
+  return separator;
+};
+
+/**
+ * Read the transactions of an OFX/QFX statement (bank or credit card)
+ * @param {string} text - File contents
+ * @returns {Object[]} Rows as { rowNumber, date, amount, type, description, externalId, error },
+ *   where rowNumber is the transaction's position in the file and externalId
+ *   is built from the account and FITID so re-imports can be recognised
+ */
+export const parseOFXStatement = (text) => {
+  const rows = [];
+
+  // Each statement carries its own account, and a file can hold several
+  const statements = text.split(/<\/?(?:STMTRS|CCSTMTRS)>/i);
+  for (const statement of statements) {
+    const accountId = readTag(statement, 'ACCTID');
+    const blocks = statement.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+    for (const block of blocks) {
+      const fitId = readTag(block, 'FITID');
+      const rawDate = readTag(block, 'DTPOSTED');
+      const rawAmount = readTag(block, 'TRNAMT');
+      const name = readTag(block, 'NAME') || readTag(block, 'PAYEE');
+      const memo = readTag(block, 'MEMO');
+
+      const row = {
+        rowNumber: rows.length + 1,
+        date: parseOFXDate(rawDate),
+        amount: null,
+        type: null,
+        // Banks often truncate NAME and put the rest in MEMO
+        description: memo && !name.includes(memo) ? [name, memo].filter(Boolean).join(' - ') : name,
+        externalId: fitId ? ['ofx', accountId, fitId].filter(Boolean).join(':') : null,
+        error: null
+      };
+
+      const decimalSeparator = detectDecimalSeparator(rawAmount);
+      const signed = decimalSeparator ? parseAmount(rawAmount, decimalSeparator) : null;
+
+      if (!row.date) {
+        row.error = `Invalid posting date "${rawDate}"`;
+      } else if (rawAmount && !decimalSeparator) {
+        row.error = `Ambiguous amount "${rawAmount}"`;
+      } else if (signed === null || signed === 0) {
+        row.error = 'Missing or zero amount';
+      } else {
+        row.amount = Math.round(Math.abs(signed) * 100) / 100;
+        row.type = signed < 0 ? 'expense' : 'income';
+      }
+
+      rows.push(row);
+    }
+  }
+
+  return rows;
+};
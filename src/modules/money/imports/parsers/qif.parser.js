@@ -0,0 +1,98 @@
+import { parseDateWithFormat } from '../../../../utils/date.util.js';
+import { parseAmount } from './csv.parser.js';
+
+// Account types whose records are transactions (investment and list sections are skipped)
+const TRANSACTION_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Normalise a QIF date: Quicken writes years after 2000 as 1/5'24 and
+ * sometimes pads with spaces (" 1/ 5/24")
+ */
+const normalizeQIFDate = (value) => value.replace(/\s/g, '').replace('\'', '/');
+
+/**
+ * Read the transactions of a QIF file
+ * @param {string} text - File contents
+ * @param {Object} options - { dateFormat }: QIF has no fixed date order, US exports use MM/DD/YYYY
+ * @returns {Object[]} Rows as { rowNumber, date, amount, type, description, error },
+ *   where rowNumber is the line the record starts on
+ */
+export const parseQIFStatement = (text, { dateFormat = 'MM/DD/YYYY' } = {}) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const lines = input.split(/\r?\n/);
+  const rows = [];
+
+  let inTransactions = true;
+  let record = null;
+
+  const finish = () => {
+    if (!record) return;
+
+    const { fields, rowNumber } = record;
+    record = null;
+
+    if (!inTransactions) return;
+
+    const rawDate = fields.D || '';
+    const rawAmount = fields.T ?? fields.U ?? '';
+    const signed = parseAmount(rawAmount, '.');
+
+    const row = {
+      rowNumber,
+      date: parseDateWithFormat(normalizeQIFDate(rawDate), dateFormat),
+      amount: null,
+      type: null,
+      description: [fields.P, fields.M].filter(Boolean).join(' - '),
+      error: null
+    };
+
+    if (!row.date) {
+      row.error = `Date "${rawDate}" does not match ${dateFormat}`;
+    } else if (signed === null || signed === 0) {
+      row.error = 'Missing or zero amount';
+    } else {
+      row.amount = Math.round(Math.abs(signed) * 100) / 100;
+      row.type = signed < 0 ? 'expense' : 'income';
+    }
+
+    rows.push(row);
+  };
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      finish();
+      const header = line.toLowerCase();
+      if (header.startsWith('!type:')) {
+        inTransactions = TRANSACTION_TYPES.includes(header.slice(6).trim());
+      } else if (header.startsWith('!option') || header.startsWith('!clear')) {
+        // Options don't change which section we are in
+      } else {
+        inTransactions = false;
+      }
+      return;
+    }
+
+    if (line === '^') {
+      finish();
+      return;
+    }
+
+    if (!record) {
+      record = { rowNumber: index + 1, fields: {} };
+    }
+
+    // Split lines (S/E/$) describe splits of the same transaction; the total in T is what counts
+    const code = line.charAt(0);
+    if (record.fields[code] === undefined) {
+      record.fields[code] = line.slice(1).trim();
+    }
+  });
+
+  // Last record without a closing ^
+  finish();
+
+  return rows;
+};
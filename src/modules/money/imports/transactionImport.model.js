@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+
+const importRowSchema = new mongoose.Schema(
+  {
+    // Line number in the source file
+    rowNumber: {
+      type: Number,
+      required: true
+    },
+    date: {
+      type: Date,
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: null
+    },
+    type: {
+      type: String,
+      enum: ['expense', 'income', null],
+      default: null
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null
+    },
+    // Categorisation rule that picked the category, if one did
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CategoryRule',
+      default: null
+    },
+    // Bank's own transaction ID (OFX FITID), stored as the transaction's source
+    externalId: {
+      type: String,
+      default: null
+    },
+    // Existing transaction this row probably repeats
+    duplicateOfId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    },
+    // Why the row couldn't be read, if it couldn't
+    error: {
+      type: String,
+      default: null
+    },
+    // Whether the row will be (or was) imported
+    include: {
+      type: Boolean,
+      default: true
+    }
+  },
+  { _id: false }
+);
+
+const transactionImportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    profileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportProfile',
+      default: null
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'ofx', 'qfx', 'qif'],
+      default: 'csv'
+    },
+    fileName: {
+      type: String,
+      trim: true,
+      maxlength: [255, 'File name cannot exceed 255 characters']
+    },
+    status: {
+      type: String,
+      enum: ['preview', 'committed', 'undone'],
+      default: 'preview',
+      index: true
+    },
+    rows: {
+      type: [importRowSchema],
+      default: []
+    },
+    summary: {
+      total: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+      duplicates: { type: Number, default: 0 },
+      imported: { type: Number, default: 0 },
+      // Rows not imported on commit: unreadable, duplicates and deselected rows
+      skipped: { type: Number, default: 0 },
+      undone: { type: Number, default: 0 }
+    },
+    committedAt: {
+      type: Date,
+      default: null
+    },
+    undoneAt: {
+      type: Date,
+      default: null
+    },
+    // Previews that are never committed are removed after this
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+transactionImportSchema.index({ userId: 1, createdAt: -1 });
+
+// Only previews have expiresAt set, so only they expire
+transactionImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Ensure user can only access their own imports
+transactionImportSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const TransactionImport = mongoose.model('TransactionImport', transactionImportSchema);
+
+export default TransactionImport;
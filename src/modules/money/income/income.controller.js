@@ -1,5 +1,5 @@
 import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
-import { HTTP_STATUS, MESSAGES } from '../../../config/constants.js';
+import { HTTP_STATUS, MESSAGES, SUPPORTED_CURRENCIES } from '../../../config/constants.js';
 import * as incomeService from './income.service.js';
 import logger from '../../../utils/logger.util.js';
 
@@ -9,7 +9,7 @@ import logger from '../../../utils/logger.util.js';
 export const createIncome = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { name, amount, type, frequency, receivedAt, notes } = req.body;
+    const { name, amount, type, frequency, receivedAt, notes, currency } = req.body;
 
     // Validate required fields
     if (!name || !name.trim()) {
@@ -85,13 +85,21 @@ export const createIncome = async (req, res, next) => {
       }]);
     }
 
+    if (currency !== undefined && !SUPPORTED_CURRENCIES.includes(String(currency).toUpperCase())) {
+      return sendValidationError(res, [{
+        field: 'currency',
+        message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+      }]);
+    }
+
     const incomeData = {
       name: name.trim(),
       amount: parseFloat(amount),
       type,
       frequency,
       receivedAt: receivedDate,
-      notes: notes?.trim()
+      notes: notes?.trim(),
+      currency: currency?.toUpperCase()
     };
 
     const income = await incomeService.createIncome(userId, incomeData);
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../../../config/constants.js';
+
+export const INCOME_TYPES = ['salary', 'freelance', 'bonus', 'side_income', 'refund', 'other'];
 
 const incomeSchema = new mongoose.Schema(
   {
@@ -18,9 +21,20 @@ const incomeSchema = new mongoose.Schema(
       required: [true, 'Amount is required'],
       min: [0, 'Amount must be greater than or equal to 0']
     },
+    // Set to the user's currency when not given; older records without
+    // one are in the user's currency
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      enum: {
+        values: SUPPORTED_CURRENCIES,
+        message: 'Unsupported currency'
+      }
+    },
     type: {
       type: String,
-      enum: ['salary', 'freelance', 'bonus', 'side_income', 'refund', 'other'],
+      enum: INCOME_TYPES,
       required: [true, 'Type is required'],
       index: true
     },
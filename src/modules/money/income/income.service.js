@@ -1,9 +1,13 @@
 import Income from './income.model.js';
+import { deleteLinkedTemplates } from '../recurring/recurring.service.js';
+import { applyAllocationRules } from '../allocations/allocation.service.js';
+import { getBaseCurrency, createConverter } from '../../exchangeRates/exchangeRate.service.js';
 import logger from '../../../utils/logger.util.js';
 import { MESSAGES } from '../../../config/constants.js';
 
 /**
- * Create a new income entry
+ * Create a new income entry and split it across funds by the user's
+ * allocation rules. A failed allocation doesn't fail the income.
  */
 export const createIncome = async (userId, incomeData) => {
   try {
@@ -14,10 +18,18 @@ export const createIncome = async (userId, incomeData) => {
       type: incomeData.type,
       frequency: incomeData.frequency || 'monthly',
       receivedAt: incomeData.receivedAt,
-      notes: incomeData.notes?.trim()
+      notes: incomeData.notes?.trim(),
+      currency: incomeData.currency || await getBaseCurrency(userId)
     });
 
-    return income;
+    let allocation = null;
+    try {
+      allocation = await applyAllocationRules(userId, income);
+    } catch (error) {
+      logger.error(`Allocating income ${income._id} failed: ${error.message}`);
+    }
+
+    return { ...income.toObject(), allocation };
   } catch (error) {
     logger.error(`Create income error: ${error.message}`);
     throw error;
@@ -80,19 +92,29 @@ export const getMonthlySummary = async (userId, month) => {
       }
     }).lean();
 
-    const total = incomes.reduce((sum, income) => sum + income.amount, 0);
+    // Totals are in the user's currency, at the rate on the day each income was received
+    const baseCurrency = await getBaseCurrency(userId);
+    const converter = await createConverter(
+      baseCurrency,
+      incomes.map(income => ({ currency: income.currency, date: income.receivedAt }))
+    );
+    const toBase = (income) => converter.convert(income.amount, income.currency, income.receivedAt) ?? 0;
+
+    const total = incomes.reduce((sum, income) => sum + toBase(income), 0);
 
     // Group by type
     const byType = incomes.reduce((acc, income) => {
       if (!acc[income.type]) {
         acc[income.type] = 0;
       }
-      acc[income.type] += income.amount;
+      acc[income.type] += toBase(income);
       return acc;
     }, {});
 
     return {
       total,
+      currency: baseCurrency,
+      missingRates: converter.missingRates,
       count: incomes.length,
       byType,
       incomes
@@ -125,7 +147,7 @@ export const getIncomeById = async (incomeId, userId) => {
 };
 
 /**
- * Delete an income entry
+ * Delete an income entry, along with recurring templates linked to it
  */
 export const deleteIncome = async (incomeId, userId) => {
   try {
@@ -138,6 +160,8 @@ export const deleteIncome = async (incomeId, userId) => {
       throw new Error(MESSAGES.NOT_FOUND);
     }
 
+    await deleteLinkedTemplates(userId, { incomeId: income._id });
+
     return income;
   } catch (error) {
     logger.error(`Delete income error: ${error.message}`);
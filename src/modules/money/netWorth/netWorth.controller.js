@@ -0,0 +1,30 @@
+import { sendSuccess, sendValidationError } from '../../../utils/response.util.js';
+import * as netWorthService from './netWorth.service.js';
+import logger from '../../../utils/logger.util.js';
+
+// Longest net worth series, in months
+const MAX_SERIES_MONTHS = 60;
+
+/**
+ * Get current net worth and its monthly history
+ */
+export const getNetWorth = async (req, res, next) => {
+  try {
+    const { months } = req.query;
+
+    const monthCount = months === undefined ? 12 : parseInt(months);
+    if (isNaN(monthCount) || monthCount < 1 || monthCount > MAX_SERIES_MONTHS) {
+      return sendValidationError(res, [{
+        field: 'months',
+        message: `Months must be between 1 and ${MAX_SERIES_MONTHS}`
+      }]);
+    }
+
+    const netWorth = await netWorthService.getNetWorth(req.user.id, { months: monthCount });
+
+    return sendSuccess(res, netWorth, 'Net worth retrieved successfully');
+  } catch (error) {
+    logger.error(`Get net worth controller error: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,13 @@
+import express from 'express';
+import * as netWorthController from './netWorth.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/', netWorthController.getNetWorth);
+
+export default router;
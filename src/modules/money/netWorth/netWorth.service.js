@@ -0,0 +1,242 @@
+import mongoose from 'mongoose';
+import Account from '../accounts/account.model.js';
+import Transaction from '../transactions/transaction.model.js';
+import Fund from '../funds/fund.model.js';
+import FundMovement from '../funds/fundMovement.model.js';
+import Asset from '../assets/asset.model.js';
+import AssetValuation from '../assets/assetValuation.model.js';
+import Debt from '../debts/debt.model.js';
+import DebtRepayment from '../debts/debtRepayment.model.js';
+import { getOutstandingBalanceAt } from '../debts/debt.service.js';
+import { sinceOpeningMatch } from '../accounts/account.service.js';
+import { getBaseCurrency, createConverter } from '../../exchangeRates/exchangeRate.service.js';
+import { toMonthKey, SERVER_TIMEZONE } from '../../../utils/date.util.js';
+import { roundAmount } from '../../../utils/money.util.js';
+import logger from '../../../utils/logger.util.js';
+
+/**
+ * The months of the series, oldest first: each is valued at its last
+ * moment, except the current month, which is valued now
+ */
+const buildPoints = (months, now) => {
+  const points = [];
+  for (let offset = months - 1; offset >= 0; offset--) {
+    const asOf = offset === 0
+      ? now
+      : new Date(new Date(now.getFullYear(), now.getMonth() - offset + 1, 1).getTime() - 1);
+    points.push({ month: toMonthKey(asOf), asOf });
+  }
+  return points;
+};
+
+/**
+ * Group records by an ID field, keeping their (date) order
+ */
+const groupBy = (records, field) => {
+  const groups = new Map();
+  for (const record of records) {
+    const key = record[field].toString();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return groups;
+};
+
+/**
+ * Last of a date-ordered list on or before a date
+ */
+const lastOnOrBefore = (records = [], asOf) => {
+  let found = null;
+  for (const record of records) {
+    if (new Date(record.date) > asOf) break;
+    found = record;
+  }
+  return found;
+};
+
+/**
+ * Load everything that makes up a user's net worth
+ */
+const loadHoldings = async (userId, now) => {
+  const ownerId = new mongoose.Types.ObjectId(userId);
+  const accounts = await Account.find({ userId }).select('currency openingBalance openingDate').lean();
+
+  const [
+    accountNets,
+    funds,
+    movements,
+    assets,
+    valuations,
+    debts,
+    repayments
+  ] = await Promise.all([
+    // Monthly net of each account's transactions from its opening day up to now
+    accounts.length === 0 ? [] : Transaction.aggregate([
+      { $match: { userId: ownerId, date: { $lte: now }, ...sinceOpeningMatch(accounts) } },
+      {
+        $group: {
+          _id: {
+            accountId: '$accountId',
+            month: { $dateToString: { format: '%Y-%m', date: '$date', timezone: SERVER_TIMEZONE } }
+          },
+          net: {
+            $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', { $multiply: ['$amount', -1] }] }
+          }
+        }
+      }
+    ]),
+    Fund.find({ userId }).select('currency currentAmount createdAt').lean(),
+    FundMovement.find({ userId }).select('fundId date balanceAfter').sort({ date: 1, createdAt: 1 }).lean(),
+    Asset.find({ userId }).select('kind currency').lean(),
+    AssetValuation.find({ userId }).select('assetId date value').sort({ date: 1, createdAt: 1 }).lean(),
+    Debt.find({ userId }).lean(),
+    DebtRepayment.find({ userId }).select('debtId date amount createdAt').lean()
+  ]);
+
+  const netsByAccount = new Map();
+  for (const { _id, net } of accountNets) {
+    const key = _id.accountId.toString();
+    if (!netsByAccount.has(key)) netsByAccount.set(key, []);
+    netsByAccount.get(key).push({ month: _id.month, net });
+  }
+
+  return {
+    accounts,
+    netsByAccount,
+    funds,
+    movementsByFund: groupBy(movements, 'fundId'),
+    assets,
+    valuationsByAsset: groupBy(valuations, 'assetId'),
+    debts,
+    repaymentsByDebt: groupBy(repayments, 'debtId')
+  };
+};
+
+/**
+ * Everything held or owed at the end of a month, in its own currency.
+ * `group` is where the amount counts in the breakdown; account balances
+ * may be negative (credit cards).
+ */
+const valueHoldings = (holdings, { month, asOf }) => {
+  const items = [];
+
+  for (const account of holdings.accounts) {
+    const opened = !account.openingDate || new Date(account.openingDate) <= asOf;
+    const net = (holdings.netsByAccount.get(account._id.toString()) || [])
+      .filter(entry => entry.month <= month)
+      .reduce((total, entry) => total + entry.net, 0);
+
+    items.push({ group: 'accounts', currency: account.currency, amount: (opened ? account.openingBalance || 0 : 0) + net });
+  }
+
+  for (const fund of holdings.funds) {
+    const movements = holdings.movementsByFund.get(fund._id.toString());
+    let amount;
+    if (movements) {
+      amount = lastOnOrBefore(movements, asOf)?.balanceAfter ?? 0;
+    } else {
+      // Funds from before the ledger: only the current balance is known
+      amount = new Date(fund.createdAt) <= asOf ? fund.currentAmount : 0;
+    }
+    items.push({ group: 'funds', currency: fund.currency, amount });
+  }
+
+  for (const asset of holdings.assets) {
+    const valuation = lastOnOrBefore(holdings.valuationsByAsset.get(asset._id.toString()), asOf);
+    items.push({
+      group: asset.kind === 'liability' ? 'liabilities' : 'assets',
+      currency: asset.currency,
+      amount: valuation?.value ?? 0
+    });
+  }
+
+  for (const debt of holdings.debts) {
+    const repayments = holdings.repaymentsByDebt.get(debt._id.toString()) || [];
+    items.push({
+      group: debt.type === 'lent' ? 'receivables' : 'debts',
+      currency: debt.currency,
+      amount: getOutstandingBalanceAt(debt, repayments, asOf)
+    });
+  }
+
+  return items.filter(item => item.amount !== 0);
+};
+
+/**
+ * Total up a month's holdings in the user's currency. Positive account
+ * balances, funds, assets and money lent count as assets; overdrawn
+ * accounts, liabilities and money borrowed as liabilities.
+ */
+const summarise = (items, converter, asOf) => {
+  const breakdown = { accounts: 0, funds: 0, assets: 0, liabilities: 0, receivables: 0, debts: 0 };
+  let assets = 0;
+  let liabilities = 0;
+
+  for (const item of items) {
+    const amount = converter.convert(item.amount, item.currency, asOf);
+    if (amount === null) continue;
+
+    breakdown[item.group] += amount;
+
+    const isLiability = item.group === 'liabilities' || item.group === 'debts' ||
+      (item.group === 'accounts' && amount < 0);
+    if (isLiability) {
+      liabilities += Math.abs(amount);
+    } else {
+      assets += amount;
+    }
+  }
+
+  for (const group of Object.keys(breakdown)) {
+    breakdown[group] = roundAmount(breakdown[group]);
+  }
+
+  return {
+    netWorth: roundAmount(assets - liabilities),
+    assets: roundAmount(assets),
+    liabilities: roundAmount(liabilities),
+    breakdown
+  };
+};
+
+/**
+ * Get a user's net worth now and at the end of each of the last months:
+ * accounts, funds, assets and liabilities at their latest valuation, and
+ * outstanding debts, all in the user's currency at each month's rates
+ * @param {Object} options - { months } in the series, including this one (default 12)
+ */
+export const getNetWorth = async (userId, options = {}) => {
+  try {
+    const months = options.months || 12;
+    const now = new Date();
+
+    const holdings = await loadHoldings(userId, now);
+    const baseCurrency = await getBaseCurrency(userId);
+
+    const points = buildPoints(months, now).map(point => ({
+      ...point,
+      items: valueHoldings(holdings, point)
+    }));
+
+    // Records without a currency are in the user's currency
+    const converter = await createConverter(baseCurrency, points.flatMap(point =>
+      point.items.map(item => ({ currency: item.currency, date: point.asOf }))));
+
+    const series = points.map(({ month, asOf, items }) => ({
+      month,
+      ...summarise(items, converter, asOf)
+    }));
+
+    const { month, ...current } = series[series.length - 1];
+
+    return {
+      currency: baseCurrency,
+      current,
+      series,
+      missingRates: converter.missingRates
+    };
+  } catch (error) {
+    logger.error(`Get net worth error: ${error.message}`);
+    throw error;
+  }
+};
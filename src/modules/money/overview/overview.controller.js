@@ -53,8 +53,7 @@ export const getMonthlyOverview = async (req, res, next) => {
 
     // Calculate emergency fund status
     // Emergency fund = sum of emergency type funds
-    const emergencyFunds = await fundService.getFunds(userId, { type: 'emergency' });
-    const emergencyFundAmount = emergencyFunds.reduce((sum, fund) => sum + (fund.currentAmount || 0), 0);
+    const emergencyFundAmount = await fundService.getTotalSavings(userId, { type: 'emergency' });
 
     // Calculate monthly expenses (fixed + average transactions)
     const monthlyExpenses = fixedExpensesTotal + (spentSoFar || 0);
@@ -71,7 +70,15 @@ export const getMonthlyOverview = async (req, res, next) => {
       emergencyFundStatus = 'healthy'; // If no expenses, any emergency fund is healthy
     }
 
+    // All amounts are in the user's currency; amounts in currencies without
+    // an exchange rate are left out and listed in missingRates
     const overview = {
+      currency: incomeSummary.currency,
+      missingRates: [...new Set([
+        ...incomeSummary.missingRates,
+        ...transactionsSummary.missingRates,
+        ...debtSummary.missingRates
+      ])],
       totalIncome,
       fixedExpensesTotal,
       savingsTotal,
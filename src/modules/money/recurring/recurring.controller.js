@@ -0,0 +1,348 @@
+import mongoose from 'mongoose';
+import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES, SUPPORTED_CURRENCIES } from '../../../config/constants.js';
+import * as recurringService from './recurring.service.js';
+import { RECURRING_FREQUENCIES } from './recurringTemplate.model.js';
+import logger from '../../../utils/logger.util.js';
+
+const VALID_TYPES = ['expense', 'income'];
+
+// Furthest ahead the upcoming list can look
+const MAX_UPCOMING_DAYS = 366;
+
+/**
+ * Map recurring service errors to responses
+ */
+const handleRecurringError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (error.message === MESSAGES.RECURRING_PERIOD_SETTLED) {
+    return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+  }
+
+  if ([
+    MESSAGES.INVALID_CATEGORY,
+    MESSAGES.INVALID_RECURRING_LINK,
+    MESSAGES.INVALID_RECURRING_PERIOD
+  ].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+/**
+ * Validate template fields. A template linked to a fixed expense or income
+ * needs none of them; without `partial`, unlinked templates need them all.
+ * @returns {Object|null} The first validation error, or null when valid
+ */
+const validateTemplateFields = (data, { partial = false } = {}) => {
+  const {
+    name, type, amount, currency, categoryId, note, frequency,
+    startDate, endDate, fixedExpenseId, incomeId, autoPost, isActive
+  } = data;
+
+  if (fixedExpenseId && incomeId) {
+    return { field: 'incomeId', message: 'Link a fixed expense or an income, not both' };
+  }
+  if (fixedExpenseId !== undefined && !mongoose.isValidObjectId(fixedExpenseId)) {
+    return { field: 'fixedExpenseId', message: 'Invalid fixed expense ID' };
+  }
+  if (incomeId !== undefined && !mongoose.isValidObjectId(incomeId)) {
+    return { field: 'incomeId', message: 'Invalid income ID' };
+  }
+
+  const required = !partial && !fixedExpenseId && !incomeId;
+
+  if (name === undefined || name === null) {
+    if (required || name === null) {
+      return { field: 'name', message: 'Name is required' };
+    }
+  } else if (typeof name !== 'string' || !name.trim()) {
+    return { field: 'name', message: 'Name is required' };
+  } else if (name.trim().length > 100) {
+    return { field: 'name', message: 'Name cannot exceed 100 characters' };
+  }
+
+  if (type === undefined) {
+    if (required) {
+      return { field: 'type', message: 'Type is required' };
+    }
+  } else if (!VALID_TYPES.includes(type)) {
+    return { field: 'type', message: `Type must be one of: ${VALID_TYPES.join(', ')}` };
+  }
+
+  if (amount === undefined || amount === null) {
+    if (required || amount === null) {
+      return { field: 'amount', message: 'Amount is required' };
+    }
+  } else if (isNaN(parseFloat(amount)) || amount < 0) {
+    return { field: 'amount', message: 'Amount must be greater than or equal to 0' };
+  }
+
+  if (currency && !SUPPORTED_CURRENCIES.includes(String(currency).toUpperCase())) {
+    return { field: 'currency', message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` };
+  }
+
+  if (categoryId && !mongoose.isValidObjectId(categoryId)) {
+    return { field: 'categoryId', message: 'Invalid category ID' };
+  }
+
+  if (note && note.length > 500) {
+    return { field: 'note', message: 'Note cannot exceed 500 characters' };
+  }
+
+  if (frequency === undefined) {
+    if (required) {
+      return { field: 'frequency', message: 'Frequency is required' };
+    }
+  } else if (!RECURRING_FREQUENCIES.includes(frequency)) {
+    return { field: 'frequency', message: `Frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}` };
+  }
+
+  if (!startDate) {
+    if (required || (startDate !== undefined && partial)) {
+      return { field: 'startDate', message: 'Start date is required' };
+    }
+  } else if (!isValidDate(startDate)) {
+    return { field: 'startDate', message: 'Invalid date format' };
+  }
+
+  if (endDate && !isValidDate(endDate)) {
+    return { field: 'endDate', message: 'Invalid date format' };
+  }
+
+  if (autoPost !== undefined && typeof autoPost !== 'boolean') {
+    return { field: 'autoPost', message: 'autoPost must be true or false' };
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return { field: 'isActive', message: 'isActive must be true or false' };
+  }
+
+  return null;
+};
+
+/**
+ * Create a recurring template
+ */
+export const createTemplate = async (req, res, next) => {
+  try {
+    const {
+      name, type, amount, currency, categoryId, note, frequency,
+      startDate, endDate, fixedExpenseId, incomeId, autoPost, isActive
+    } = req.body;
+
+    const validationError = validateTemplateFields(req.body);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const templateData = {
+      name,
+      type,
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      currency: currency ? currency.toUpperCase() : undefined,
+      categoryId: categoryId || undefined,
+      note,
+      frequency,
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined,
+      fixedExpenseId: fixedExpenseId || undefined,
+      incomeId: incomeId || undefined,
+      autoPost,
+      isActive
+    };
+
+    const template = await recurringService.createTemplate(req.user.id, templateData);
+
+    return sendSuccess(
+      res,
+      template,
+      'Recurring template created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Create recurring template controller error: ${error.message}`);
+    handleRecurringError(error, res, next);
+  }
+};
+
+/**
+ * Get recurring templates for the logged-in user
+ */
+export const getTemplates = async (req, res, next) => {
+  try {
+    const { type, isActive } = req.query;
+
+    const templates = await recurringService.getTemplates(req.user.id, { type, isActive });
+
+    return sendSuccess(res, templates, 'Recurring templates retrieved successfully');
+  } catch (error) {
+    logger.error(`Get recurring templates controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Update a recurring template
+ */
+export const updateTemplate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      name, type, amount, currency, categoryId, note, frequency,
+      startDate, endDate, autoPost, isActive
+    } = req.body;
+
+    if (req.body.fixedExpenseId !== undefined || req.body.incomeId !== undefined) {
+      return sendValidationError(res, [{
+        field: req.body.fixedExpenseId !== undefined ? 'fixedExpenseId' : 'incomeId',
+        message: 'Links cannot be changed. Create a new template instead'
+      }]);
+    }
+
+    const validationError = validateTemplateFields(req.body, { partial: true });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (type !== undefined) updateData.type = type;
+    if (amount !== undefined) updateData.amount = parseFloat(amount);
+    if (currency !== undefined) updateData.currency = currency ? currency.toUpperCase() : null;
+    if (categoryId !== undefined) updateData.categoryId = categoryId || null;
+    if (note !== undefined) updateData.note = note;
+    if (frequency !== undefined) updateData.frequency = frequency;
+    if (startDate !== undefined) updateData.startDate = new Date(startDate);
+    if (endDate !== undefined) updateData.endDate = endDate ? new Date(endDate) : null;
+    if (autoPost !== undefined) updateData.autoPost = autoPost;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const template = await recurringService.updateTemplate(id, req.user.id, updateData);
+
+    return sendSuccess(res, template, 'Recurring template updated successfully');
+  } catch (error) {
+    logger.error(`Update recurring template controller error: ${error.message}`);
+    handleRecurringError(error, res, next);
+  }
+};
+
+/**
+ * Delete a recurring template (transactions it posted are kept)
+ */
+export const deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await recurringService.deleteTemplate(req.params.id, req.user.id);
+
+    return sendSuccess(res, template, 'Recurring template deleted successfully');
+  } catch (error) {
+    logger.error(`Delete recurring template controller error: ${error.message}`);
+    handleRecurringError(error, res, next);
+  }
+};
+
+/**
+ * Get the settled periods of a template
+ */
+export const getTemplateOccurrences = async (req, res, next) => {
+  try {
+    const occurrences = await recurringService.getTemplateOccurrences(req.params.id, req.user.id);
+
+    return sendSuccess(res, occurrences, 'Recurring occurrences retrieved successfully');
+  } catch (error) {
+    logger.error(`Get recurring occurrences controller error: ${error.message}`);
+    handleRecurringError(error, res, next);
+  }
+};
+
+/**
+ * Get due and upcoming occurrences across all templates
+ */
+export const getUpcomingOccurrences = async (req, res, next) => {
+  try {
+    const { days } = req.query;
+
+    let daysAhead = 30;
+    if (days !== undefined) {
+      daysAhead = parseInt(days);
+      if (isNaN(daysAhead) || daysAhead < 1 || daysAhead > MAX_UPCOMING_DAYS) {
+        return sendValidationError(res, [{
+          field: 'days',
+          message: `Days must be between 1 and ${MAX_UPCOMING_DAYS}`
+        }]);
+      }
+    }
+
+    const result = await recurringService.getUpcomingOccurrences(req.user.id, { days: daysAhead });
+
+    return sendSuccess(res, result, 'Upcoming occurrences retrieved successfully');
+  } catch (error) {
+    logger.error(`Get upcoming occurrences controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Mark a period paid, posting its transaction now. The amount, date and
+ * note can be adjusted for this period only.
+ */
+export const markOccurrencePaid = async (req, res, next) => {
+  try {
+    const { id, period } = req.params;
+    const { amount, date, note } = req.body;
+
+    if (amount !== undefined && (isNaN(parseFloat(amount)) || amount < 0)) {
+      return sendValidationError(res, [{
+        field: 'amount',
+        message: 'Amount must be greater than or equal to 0'
+      }]);
+    }
+
+    if (date !== undefined && !isValidDate(date)) {
+      return sendValidationError(res, [{
+        field: 'date',
+        message: 'Invalid date format'
+      }]);
+    }
+
+    if (note && note.length > 500) {
+      return sendValidationError(res, [{
+        field: 'note',
+        message: 'Note cannot exceed 500 characters'
+      }]);
+    }
+
+    const result = await recurringService.settleOccurrence(id, req.user.id, period, 'paid', {
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      date: date !== undefined ? new Date(date) : undefined,
+      note
+    }, req.user);
+
+    return sendSuccess(res, result, 'Occurrence marked as paid', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error(`Mark occurrence paid controller error: ${error.message}`);
+    handleRecurringError(error, res, next);
+  }
+};
+
+/**
+ * Skip a period so nothing is posted for it
+ */
+export const skipOccurrence = async (req, res, next) => {
+  try {
+    const { id, period } = req.params;
+
+    const result = await recurringService.settleOccurrence(id, req.user.id, period, 'skipped', {}, req.user);
+
+    return sendSuccess(res, result, 'Occurrence skipped');
+  } catch (error) {
+    logger.error(`Skip occurrence controller error: ${error.message}`);
+    handleRecurringError(error, res, next);
+  }
+};
@@ -0,0 +1,20 @@
+import express from 'express';
+import * as recurringController from './recurring.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/', recurringController.getTemplates);
+router.post('/', recurringController.createTemplate);
+router.get('/upcoming', recurringController.getUpcomingOccurrences);
+router.patch('/:id', recurringController.updateTemplate);
+router.delete('/:id', recurringController.deleteTemplate);
+router.get('/:id/occurrences', recurringController.getTemplateOccurrences);
+router.post('/:id/occurrences/:period/pay', recurringController.markOccurrencePaid);
+router.post('/:id/occurrences/:period/skip', recurringController.skipOccurrence);
+
+export default router;
@@ -0,0 +1,640 @@
+import RecurringTemplate from './recurringTemplate.model.js';
+import RecurringOccurrence from './recurringOccurrence.model.js';
+import FixedExpense from '../fixedExpenses/fixedExpense.model.js';
+import Income from '../income/income.model.js';
+import { createTransaction } from '../transactions/transaction.service.js';
+import { resolveCategory } from '../categories/category.service.js';
+import { getBaseCurrency } from '../../exchangeRates/exchangeRate.service.js';
+import {
+  addDays,
+  getStartOfDay,
+  getEndOfDay,
+  getMonthRange,
+  isValidMonth,
+  parseDateWithFormat,
+  toMonthKey,
+  DAY_MS,
+  daysInMonth
+} from '../../../utils/date.util.js';
+import logger from '../../../utils/logger.util.js';
+import { MESSAGES } from '../../../config/constants.js';
+
+// Templates handled per scheduler run, and periods posted per template per run
+// (a long outage is caught up over several runs)
+const SWEEP_BATCH_SIZE = 100;
+const MAX_POSTS_PER_TEMPLATE = 31;
+
+// How far back the upcoming list looks for periods still waiting to be settled
+const OVERDUE_LOOKBACK_DAYS = 31;
+
+/**
+ * Date of the nth occurrence (0 = the start date) of a template
+ */
+const getOccurrenceDate = (template, index) => {
+  const start = new Date(template.startDate);
+  const year = start.getFullYear();
+  const month = start.getMonth();
+  const day = start.getDate();
+
+  switch (template.frequency) {
+    case 'daily':
+      return new Date(year, month, day + index);
+    case 'weekly':
+      return new Date(year, month, day + index * 7);
+    case 'monthly':
+      return new Date(year, month + index, Math.min(day, daysInMonth(year, month + index)));
+    default:
+      return new Date(year + index, month, Math.min(day, daysInMonth(year + index, month)));
+  }
+};
+
+/**
+ * Index of the first occurrence on or after a date
+ */
+const getFirstIndexOnOrAfter = (template, date) => {
+  const start = getStartOfDay(template.startDate);
+  if (date <= start) {
+    return 0;
+  }
+
+  let estimate;
+  switch (template.frequency) {
+    case 'daily':
+      estimate = Math.floor((date - start) / DAY_MS);
+      break;
+    case 'weekly':
+      estimate = Math.floor((date - start) / (7 * DAY_MS));
+      break;
+    case 'monthly':
+      estimate = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+      break;
+    default:
+      estimate = date.getFullYear() - start.getFullYear();
+  }
+
+  // The estimate can be one off either way (DST, day-of-month clamping)
+  let index = Math.max(0, estimate - 1);
+  while (getOccurrenceDate(template, index) < date) {
+    index++;
+  }
+  return index;
+};
+
+const isWithinSchedule = (template, date) => !template.endDate || date <= getEndOfDay(template.endDate);
+
+/**
+ * First occurrence on or after a date, or null once the schedule has ended
+ */
+const getNextDueDate = (template, from) => {
+  const dueDate = getOccurrenceDate(template, getFirstIndexOnOrAfter(template, from));
+  return isWithinSchedule(template, dueDate) ? dueDate : null;
+};
+
+/**
+ * Due dates of a template's occurrences between two dates
+ */
+export const getTemplateDueDates = (template, from, to) => {
+  const dates = [];
+  let index = getFirstIndexOnOrAfter(template, from);
+  let dueDate = getOccurrenceDate(template, index);
+
+  while (dueDate <= to && isWithinSchedule(template, dueDate)) {
+    dates.push(dueDate);
+    index++;
+    dueDate = getOccurrenceDate(template, index);
+  }
+
+  return dates;
+};
+
+/**
+ * Period an occurrence settles: its day for daily and weekly templates,
+ * its month for monthly ones and its year for yearly ones
+ */
+export const toPeriodKey = (frequency, date) => {
+  const month = toMonthKey(date);
+  if (frequency === 'monthly') {
+    return month;
+  }
+  if (frequency === 'yearly') {
+    return month.slice(0, 4);
+  }
+  return `${month}-${String(new Date(date).getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Due date of the occurrence in a period, or null if the template has none there
+ */
+const findOccurrenceByPeriod = (template, period) => {
+  let from = null;
+  if (template.frequency === 'monthly') {
+    from = isValidMonth(period) ? getMonthRange(period).startDate : null;
+  } else if (template.frequency === 'yearly') {
+    from = /^\d{4}$/.test(period) ? new Date(Number(period), 0, 1) : null;
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(period)) {
+    from = parseDateWithFormat(period, 'YYYY-MM-DD');
+  }
+
+  if (!from) {
+    return null;
+  }
+
+  const dueDate = getOccurrenceDate(template, getFirstIndexOnOrAfter(template, from));
+  if (toPeriodKey(template.frequency, dueDate) !== period || !isWithinSchedule(template, dueDate)) {
+    return null;
+  }
+
+  return dueDate;
+};
+
+/**
+ * Fixed expenses and incomes that a set of templates are linked to, by ID
+ */
+const loadLinkedRecords = async (templates) => {
+  const fixedExpenseIds = templates.map(template => template.fixedExpenseId).filter(Boolean);
+  const incomeIds = templates.map(template => template.incomeId).filter(Boolean);
+
+  const [fixedExpenses, incomes] = await Promise.all([
+    fixedExpenseIds.length ? FixedExpense.find({ _id: { $in: fixedExpenseIds } }).lean() : [],
+    incomeIds.length ? Income.find({ _id: { $in: incomeIds } }).lean() : []
+  ]);
+
+  return new Map([...fixedExpenses, ...incomes].map(record => [record._id.toString(), record]));
+};
+
+/**
+ * Amount and currency a template posts. Linked templates follow their fixed
+ * expense or income; a paused fixed expense pauses the template.
+ * @returns {Object|null} { amount, currency, isActive }, or null if the linked record is gone
+ */
+const resolveEntry = (template, linked) => {
+  const linkId = template.fixedExpenseId || template.incomeId;
+  if (!linkId) {
+    return { amount: template.amount, currency: template.currency, isActive: true };
+  }
+
+  const record = linked.get(linkId.toString());
+  if (!record) {
+    return null;
+  }
+
+  return {
+    amount: record.amount,
+    currency: template.currency || record.currency,
+    isActive: record.isActive !== false
+  };
+};
+
+/**
+ * Settle one period of a template: record it, then post its transaction
+ * unless it is skipped. Recording first means a period can only ever be
+ * settled once, however many schedulers or requests race for it.
+ * @param {Object} overrides - { amount, date, note } for the posted transaction
+ * @throws {Error} RECURRING_PERIOD_SETTLED when the period is already settled
+ */
+const settlePeriod = async (template, entry, dueDate, status, overrides = {}, actor = { id: template.userId }) => {
+  let occurrence;
+  try {
+    occurrence = await RecurringOccurrence.create({
+      userId: template.userId,
+      templateId: template._id,
+      period: toPeriodKey(template.frequency, dueDate),
+      dueDate,
+      status
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error(MESSAGES.RECURRING_PERIOD_SETTLED);
+    }
+    throw error;
+  }
+
+  if (status === 'skipped') {
+    return { occurrence, transaction: null };
+  }
+
+  try {
+    const transaction = await createTransaction(template.userId, {
+      type: template.type,
+      amount: overrides.amount ?? entry.amount,
+      currency: entry.currency,
+      categoryId: template.categoryId || undefined,
+      date: overrides.date || dueDate,
+      note: overrides.note ?? (template.note || template.name),
+      recurringTemplateId: template._id,
+      fixedExpenseId: template.fixedExpenseId,
+      incomeId: template.incomeId
+    }, actor);
+
+    occurrence.transactionId = transaction._id;
+    await occurrence.save();
+
+    return { occurrence, transaction };
+  } catch (error) {
+    // Leave the period open so it can be posted again
+    await occurrence.deleteOne();
+    throw error;
+  }
+};
+
+/**
+ * Check a fixed expense or income belongs to the user
+ * @throws {Error} INVALID_RECURRING_LINK when it doesn't
+ */
+const findLinkedRecord = async (userId, { fixedExpenseId, incomeId }) => {
+  const record = fixedExpenseId
+    ? await FixedExpense.findOne({ _id: fixedExpenseId, userId }).lean()
+    : await Income.findOne({ _id: incomeId, userId }).lean();
+
+  if (!record) {
+    throw new Error(MESSAGES.INVALID_RECURRING_LINK);
+  }
+
+  return record;
+};
+
+/**
+ * Check the template's category suits its type
+ */
+const resolveTemplateCategory = async (userId, categoryId, type) => {
+  if (!categoryId) {
+    return null;
+  }
+
+  const category = await resolveCategory(userId, { categoryId }, type);
+  return category._id;
+};
+
+/**
+ * Create a recurring template. Linked templates default their name, type,
+ * schedule and start date from the fixed expense or income, and always post
+ * its current amount.
+ */
+export const createTemplate = async (userId, templateData) => {
+  try {
+    const { fixedExpenseId, incomeId } = templateData;
+    const defaults = {};
+
+    if (fixedExpenseId) {
+      const fixedExpense = await findLinkedRecord(userId, { fixedExpenseId });
+      const today = new Date();
+      defaults.name = fixedExpense.name;
+      defaults.type = 'expense';
+      defaults.frequency = fixedExpense.billingCycle;
+      defaults.startDate = fixedExpense.dueDate
+        ? new Date(
+          today.getFullYear(),
+          today.getMonth(),
+          Math.min(fixedExpense.dueDate, daysInMonth(today.getFullYear(), today.getMonth()))
+        )
+        : today;
+    } else if (incomeId) {
+      const income = await findLinkedRecord(userId, { incomeId });
+      defaults.name = income.name;
+      defaults.type = 'income';
+      defaults.frequency = 'monthly';
+      defaults.startDate = income.receivedAt;
+    }
+
+    const type = defaults.type || templateData.type;
+    const startDate = templateData.startDate || defaults.startDate;
+
+    const template = new RecurringTemplate({
+      userId,
+      name: templateData.name?.trim() || defaults.name,
+      type,
+      amount: fixedExpenseId || incomeId ? null : templateData.amount,
+      currency: templateData.currency,
+      categoryId: await resolveTemplateCategory(userId, templateData.categoryId, type),
+      note: templateData.note?.trim(),
+      frequency: templateData.frequency || defaults.frequency,
+      startDate: startDate ? getStartOfDay(startDate) : undefined,
+      endDate: templateData.endDate ? getStartOfDay(templateData.endDate) : null,
+      fixedExpenseId: fixedExpenseId || null,
+      incomeId: incomeId || null,
+      autoPost: templateData.autoPost !== undefined ? templateData.autoPost : true,
+      isActive: templateData.isActive !== undefined ? templateData.isActive : true
+    });
+
+    // Periods before today are not posted automatically, but can still be marked paid
+    if (template.startDate && template.frequency) {
+      template.nextDueDate = getNextDueDate(template, getStartOfDay());
+    }
+
+    await template.save();
+
+    return template;
+  } catch (error) {
+    logger.error(`Create recurring template error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get recurring templates for a user
+ */
+export const getTemplates = async (userId, filters = {}) => {
+  try {
+    const { type, isActive } = filters;
+
+    const query = { userId };
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true' || isActive === true;
+    }
+
+    const templates = await RecurringTemplate.find(query)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return templates;
+  } catch (error) {
+    logger.error(`Get recurring templates error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update a recurring template. Links can't be changed; linked templates keep
+ * their type and take their amount from the linked record.
+ */
+export const updateTemplate = async (templateId, userId, updateData) => {
+  try {
+    const template = await RecurringTemplate.findOne({
+      _id: templateId,
+      userId
+    });
+
+    if (!template) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const isLinked = Boolean(template.fixedExpenseId || template.incomeId);
+
+    if (updateData.name !== undefined) {
+      template.name = updateData.name.trim();
+    }
+    if (updateData.type !== undefined && !isLinked) {
+      template.type = updateData.type;
+    }
+    if (updateData.amount !== undefined && !isLinked) {
+      template.amount = updateData.amount;
+    }
+    if (updateData.currency !== undefined) {
+      template.currency = updateData.currency || undefined;
+    }
+    if (updateData.categoryId !== undefined || updateData.type !== undefined) {
+      const categoryId = updateData.categoryId !== undefined ? updateData.categoryId : template.categoryId;
+      template.categoryId = await resolveTemplateCategory(userId, categoryId, template.type);
+    }
+    if (updateData.note !== undefined) {
+      template.note = updateData.note?.trim();
+    }
+    if (updateData.frequency !== undefined) {
+      template.frequency = updateData.frequency;
+    }
+    if (updateData.startDate !== undefined) {
+      template.startDate = getStartOfDay(updateData.startDate);
+    }
+    if (updateData.endDate !== undefined) {
+      template.endDate = updateData.endDate ? getStartOfDay(updateData.endDate) : null;
+    }
+    if (updateData.autoPost !== undefined) {
+      template.autoPost = updateData.autoPost;
+    }
+    if (updateData.isActive !== undefined) {
+      template.isActive = updateData.isActive;
+    }
+
+    // Settled periods are never posted twice, so the schedule can restart from today
+    template.nextDueDate = getNextDueDate(template, getStartOfDay());
+
+    await template.save();
+
+    return template;
+  } catch (error) {
+    logger.error(`Update recurring template error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a recurring template and its settled periods.
+ * Transactions it posted are kept.
+ */
+export const deleteTemplate = async (templateId, userId) => {
+  try {
+    const template = await RecurringTemplate.findOneAndDelete({
+      _id: templateId,
+      userId
+    });
+
+    if (!template) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    await RecurringOccurrence.deleteMany({ templateId: template._id });
+
+    return template;
+  } catch (error) {
+    logger.error(`Delete recurring template error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete the templates linked to a fixed expense or income that is being deleted
+ * @param {Object} link - { fixedExpenseId } or { incomeId }
+ */
+export const deleteLinkedTemplates = async (userId, link) => {
+  const templateIds = await RecurringTemplate.find({ userId, ...link }).distinct('_id');
+  if (templateIds.length === 0) {
+    return;
+  }
+
+  await RecurringOccurrence.deleteMany({ templateId: { $in: templateIds } });
+  await RecurringTemplate.deleteMany({ _id: { $in: templateIds } });
+};
+
+/**
+ * Settled periods of a template, most recent first
+ */
+export const getTemplateOccurrences = async (templateId, userId) => {
+  try {
+    const template = await RecurringTemplate.exists({ _id: templateId, userId });
+    if (!template) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const occurrences = await RecurringOccurrence.find({ templateId })
+      .sort({ dueDate: -1 })
+      .limit(100)
+      .lean();
+
+    return occurrences;
+  } catch (error) {
+    logger.error(`Get recurring occurrences error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Occurrences of the user's active templates from the last month up to `days`
+ * ahead. Each one is posted, paid or skipped, or else due (date reached) or upcoming.
+ */
+export const getUpcomingOccurrences = async (userId, { days = 30 } = {}) => {
+  try {
+    const now = new Date();
+    const from = addDays(getStartOfDay(now), -OVERDUE_LOOKBACK_DAYS);
+    const to = getEndOfDay(addDays(now, days));
+
+    const templates = await RecurringTemplate.find({ userId, isActive: true }).lean();
+    const [linked, settled, baseCurrency] = await Promise.all([
+      loadLinkedRecords(templates),
+      RecurringOccurrence.find({
+        templateId: { $in: templates.map(template => template._id) },
+        dueDate: { $gte: from, $lte: to }
+      }).lean(),
+      getBaseCurrency(userId)
+    ]);
+
+    const settledByPeriod = new Map(
+      settled.map(occurrence => [`${occurrence.templateId}|${occurrence.period}`, occurrence])
+    );
+
+    const occurrences = [];
+    for (const template of templates) {
+      const entry = resolveEntry(template, linked);
+      if (!entry?.isActive) {
+        continue;
+      }
+
+      // Periods from before the template existed are left out
+      const windowStart = new Date(Math.max(from, getStartOfDay(template.createdAt)));
+      let index = getFirstIndexOnOrAfter(template, windowStart);
+      let dueDate = getOccurrenceDate(template, index);
+
+      while (dueDate <= to && isWithinSchedule(template, dueDate)) {
+        const period = toPeriodKey(template.frequency, dueDate);
+        const occurrence = settledByPeriod.get(`${template._id}|${period}`);
+
+        occurrences.push({
+          templateId: template._id,
+          name: template.name,
+          type: template.type,
+          amount: entry.amount,
+          currency: entry.currency || baseCurrency,
+          fixedExpenseId: template.fixedExpenseId,
+          incomeId: template.incomeId,
+          period,
+          dueDate,
+          status: occurrence?.status || (dueDate <= now ? 'due' : 'upcoming'),
+          transactionId: occurrence?.transactionId || null
+        });
+
+        index++;
+        dueDate = getOccurrenceDate(template, index);
+      }
+    }
+
+    occurrences.sort((a, b) => a.dueDate - b.dueDate);
+
+    return { from, to, occurrences };
+  } catch (error) {
+    logger.error(`Get upcoming occurrences error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Mark a period paid (or skipped) by hand, ahead of or instead of the scheduler
+ * @param {string} status - 'paid' or 'skipped'
+ * @param {Object} overrides - { amount, date, note } for the posted transaction
+ * @throws {Error} INVALID_RECURRING_PERIOD when the template has no occurrence in the period
+ */
+export const settleOccurrence = async (templateId, userId, period, status, overrides = {}, actor = { id: userId }) => {
+  try {
+    const template = await RecurringTemplate.findOne({
+      _id: templateId,
+      userId
+    });
+
+    if (!template) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const dueDate = findOccurrenceByPeriod(template, period);
+    if (!dueDate) {
+      throw new Error(MESSAGES.INVALID_RECURRING_PERIOD);
+    }
+
+    const entry = resolveEntry(template, await loadLinkedRecords([template]));
+    if (!entry) {
+      throw new Error(MESSAGES.INVALID_RECURRING_LINK);
+    }
+
+    return await settlePeriod(template, entry, dueDate, status, overrides, actor);
+  } catch (error) {
+    logger.error(`Settle recurring occurrence error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Post every due period of active, auto-posting templates (scheduled sweep).
+ * Periods that fail to post are logged and left due for the user to settle.
+ * @returns {Promise<number>} Number of transactions posted
+ */
+export const processDueRecurringTemplates = async () => {
+  try {
+    const now = new Date();
+    const templates = await RecurringTemplate.find({
+      isActive: true,
+      autoPost: true,
+      nextDueDate: { $ne: null, $lte: now }
+    })
+      .sort({ nextDueDate: 1 })
+      .limit(SWEEP_BATCH_SIZE);
+
+    const linked = await loadLinkedRecords(templates);
+    let posted = 0;
+
+    for (const template of templates) {
+      const entry = resolveEntry(template, linked);
+      let dueDate = template.nextDueDate;
+      let count = 0;
+
+      while (dueDate && dueDate <= now && count < MAX_POSTS_PER_TEMPLATE) {
+        // Nothing is posted while a linked fixed expense is paused
+        if (entry?.isActive) {
+          try {
+            await settlePeriod(template, entry, dueDate, 'posted');
+            posted++;
+          } catch (error) {
+            if (error.message !== MESSAGES.RECURRING_PERIOD_SETTLED) {
+              logger.error(`Posting recurring template ${template._id} for ${dueDate.toISOString()} failed: ${error.message}`);
+            }
+          }
+        }
+
+        count++;
+        dueDate = getNextDueDate(template, addDays(dueDate, 1));
+      }
+
+      await RecurringTemplate.updateOne({ _id: template._id }, { nextDueDate: dueDate });
+    }
+
+    if (posted > 0) {
+      logger.info(`Posted ${posted} recurring transaction(s)`);
+    }
+
+    return posted;
+  } catch (error) {
+    logger.error(`Process recurring templates error: ${error.message}`);
+    return 0;
+  }
+};
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+/**
+ * One settled period of a recurring template. The unique index on
+ * (templateId, period) is what keeps posting idempotent: a period is posted,
+ * paid or skipped at most once.
+ */
+const recurringOccurrenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringTemplate',
+      required: [true, 'Template ID is required']
+    },
+    // YYYY-MM-DD for daily and weekly templates, YYYY-MM for monthly, YYYY for yearly
+    period: {
+      type: String,
+      required: [true, 'Period is required']
+    },
+    dueDate: {
+      type: Date,
+      required: [true, 'Due date is required']
+    },
+    // posted: by the scheduler; paid: marked by the user; skipped: nothing posted
+    status: {
+      type: String,
+      enum: ['posted', 'paid', 'skipped'],
+      required: [true, 'Status is required']
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+recurringOccurrenceSchema.index({ templateId: 1, period: 1 }, { unique: true });
+recurringOccurrenceSchema.index({ templateId: 1, dueDate: -1 });
+
+const RecurringOccurrence = mongoose.model('RecurringOccurrence', recurringOccurrenceSchema);
+
+export default RecurringOccurrence;
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../../../config/constants.js';
+
+export const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Templates linked to a fixed expense or income take their amount from it
+const isLinked = function () {
+  return Boolean(this.fixedExpenseId || this.incomeId);
+};
+
+const recurringTemplateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    type: {
+      type: String,
+      enum: ['expense', 'income'],
+      required: [true, 'Type is required']
+    },
+    amount: {
+      type: Number,
+      required: [function () { return !isLinked.call(this); }, 'Amount is required'],
+      min: [0, 'Amount must be greater than or equal to 0'],
+      default: null
+    },
+    // Unset means the user's currency at the time each entry is posted
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      enum: {
+        values: SUPPORTED_CURRENCIES,
+        message: 'Unsupported currency'
+      }
+    },
+    // Unset means categorisation rules, then "Misc", pick one for each entry
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    frequency: {
+      type: String,
+      enum: RECURRING_FREQUENCIES,
+      required: [true, 'Frequency is required']
+    },
+    // First occurrence; later ones fall on the same weekday / day of month
+    // (clamped to the last day of shorter months)
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
+    },
+    // Last day an occurrence may fall on
+    endDate: {
+      type: Date,
+      default: null
+    },
+    fixedExpenseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FixedExpense',
+      default: null,
+      index: true
+    },
+    incomeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Income',
+      default: null,
+      index: true
+    },
+    // When off, occurrences wait to be marked paid or skipped by hand
+    autoPost: {
+      type: Boolean,
+      default: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    // Next occurrence the scheduler will post; null once the schedule has ended
+    nextDueDate: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+recurringTemplateSchema.path('endDate').validate(function (value) {
+  return !value || !this.startDate || value >= this.startDate;
+}, 'End date must be on or after the start date');
+
+recurringTemplateSchema.path('incomeId').validate(function (value) {
+  return !value || !this.fixedExpenseId;
+}, 'A template can be linked to a fixed expense or an income, not both');
+
+// Compound indexes for efficient queries
+recurringTemplateSchema.index({ isActive: 1, autoPost: 1, nextDueDate: 1 });
+recurringTemplateSchema.index({ userId: 1, createdAt: -1 });
+
+// Ensure user can only access their own templates
+recurringTemplateSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const RecurringTemplate = mongoose.model('RecurringTemplate', recurringTemplateSchema);
+
+export default RecurringTemplate;
@@ -0,0 +1,122 @@
+import { sendSuccess, sendValidationError } from '../../../utils/response.util.js';
+import * as reportService from './report.service.js';
+import { reportTables, yearInReviewTables, tablesToCSV, tablesToPDF } from './report.export.js';
+import { isValidMonth, shiftMonth, toMonthKey } from '../../../utils/date.util.js';
+import logger from '../../../utils/logger.util.js';
+
+// Longest report range, in months
+const MAX_REPORT_MONTHS = 60;
+
+const EXPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+/**
+ * Validate the export format, returning the first error or null
+ */
+const validateFormat = (format) => {
+  if (format !== undefined && !EXPORT_FORMATS.includes(format)) {
+    return { field: 'format', message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+  return null;
+};
+
+/**
+ * Send tables as a CSV or PDF download
+ */
+const sendExport = (res, format, fileName, { title, subtitle, tables }) => {
+  if (format === 'pdf') {
+    res.attachment(`${fileName}.pdf`);
+    res.type('application/pdf');
+    return res.send(tablesToPDF(title, subtitle, tables));
+  }
+
+  res.attachment(`${fileName}.csv`);
+  res.type('text/csv');
+  return res.send(tablesToCSV(tables));
+};
+
+/**
+ * Get a money report for a range of months (default: the last 12),
+ * as JSON or a CSV or PDF download
+ */
+export const getReport = async (req, res, next) => {
+  try {
+    const { to: toMonth = toMonthKey(new Date()), format = 'json' } = req.query;
+
+    if (!isValidMonth(toMonth)) {
+      return sendValidationError(res, [{ field: 'to', message: 'To must be a month in YYYY-MM format' }]);
+    }
+
+    const { from = shiftMonth(toMonth, -11) } = req.query;
+    if (!isValidMonth(from)) {
+      return sendValidationError(res, [{ field: 'from', message: 'From must be a month in YYYY-MM format' }]);
+    }
+    if (from > toMonth) {
+      return sendValidationError(res, [{ field: 'from', message: 'From must not be after to' }]);
+    }
+    if (shiftMonth(from, MAX_REPORT_MONTHS - 1) < toMonth) {
+      return sendValidationError(res, [{
+        field: 'to',
+        message: `Reports can cover at most ${MAX_REPORT_MONTHS} months`
+      }]);
+    }
+
+    const formatError = validateFormat(format);
+    if (formatError) {
+      return sendValidationError(res, [formatError]);
+    }
+
+    const report = await reportService.getReport(req.user.id, from, toMonth);
+
+    if (format === 'json') {
+      return sendSuccess(res, report, 'Money report generated successfully');
+    }
+
+    return sendExport(res, format, `money-report-${from}-to-${toMonth}`, {
+      title: 'Money report',
+      subtitle: `${from} to ${toMonth}, amounts in ${report.currency}`,
+      tables: reportTables(report, { pdf: format === 'pdf' })
+    });
+  } catch (error) {
+    logger.error(`Get money report controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a year in review (default: the current year), as JSON or a CSV or
+ * PDF download
+ */
+export const getYearInReview = async (req, res, next) => {
+  try {
+    const { year, format = 'json' } = req.query;
+
+    const currentYear = new Date().getFullYear();
+    const reviewYear = year === undefined ? currentYear : Number(year);
+    if (!Number.isInteger(reviewYear) || reviewYear < 1970 || reviewYear > currentYear) {
+      return sendValidationError(res, [{
+        field: 'year',
+        message: `Year must be between 1970 and ${currentYear}`
+      }]);
+    }
+
+    const formatError = validateFormat(format);
+    if (formatError) {
+      return sendValidationError(res, [formatError]);
+    }
+
+    const review = await reportService.getYearInReview(req.user.id, reviewYear);
+
+    if (format === 'json') {
+      return sendSuccess(res, review, 'Year in review generated successfully');
+    }
+
+    return sendExport(res, format, `year-in-review-${reviewYear}`, {
+      title: `${reviewYear} in review`,
+      subtitle: `${review.from} to ${review.to}, amounts in ${review.currency}`,
+      tables: yearInReviewTables(review)
+    });
+  } catch (error) {
+    logger.error(`Get year in review controller error: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,145 @@
+import { escapeCSVValue, toCSV } from '../../../utils/csv.util.js';
+import { formatTable, createTextPDF } from '../../../utils/pdf.util.js';
+import { toDayKey } from '../../../utils/date.util.js';
+
+const percentText = (value) => (value === null || value === undefined ? '' : `${value}%`);
+
+const monthlyTable = (report) => ({
+  heading: 'Income vs expenses by month',
+  columns: ['Month', 'Income', 'Expenses', 'Net', 'Savings rate'],
+  rows: report.monthly.map(entry => [
+    entry.month, entry.income, entry.expenses, entry.net, percentText(entry.savingsRate)
+  ])
+});
+
+const categoryTable = (categories, heading) => ({
+  heading,
+  columns: ['Category', 'Total', 'Share', 'Monthly average'],
+  rows: categories.map(category => [
+    category.name, category.total, percentText(category.share), category.monthlyAverage
+  ])
+});
+
+const merchantTable = (report) => ({
+  heading: 'Top merchants',
+  columns: ['Merchant', 'Transactions', 'Total'],
+  rows: report.topMerchants.map(merchant => [merchant.name, merchant.count, merchant.total])
+});
+
+const expenseTable = (report) => ({
+  heading: 'Biggest expenses',
+  columns: ['Date', 'Category', 'Description', 'Amount'],
+  rows: report.biggestExpenses.map(expense => [
+    toDayKey(expense.date), expense.category, expense.note || expense.source || '', expense.amount
+  ])
+});
+
+/**
+ * Category totals per month, one column per month
+ */
+const categoryTrendTable = (report) => {
+  const months = report.monthly.map(entry => entry.month);
+  return {
+    heading: 'Category trends',
+    columns: ['Category', ...months],
+    rows: report.categoryTrends.map(category => [
+      category.name, ...category.months.map(entry => entry.total)
+    ])
+  };
+};
+
+/**
+ * Tables making up a range report
+ * @param {Object} report - From getReport
+ * @param {Object} options - { pdf } to leave out tables too wide for a page
+ */
+export const reportTables = (report, { pdf = false } = {}) => {
+  const { totals } = report;
+
+  return [
+    {
+      heading: 'Summary',
+      columns: ['Metric', 'Value'],
+      rows: [
+        ['Income', totals.income],
+        ['Expenses', totals.expenses],
+        ['Net', totals.net],
+        ['Savings rate', percentText(totals.savingsRate)],
+        ['Transactions', totals.transactionCount]
+      ]
+    },
+    monthlyTable(report),
+    categoryTable(report.categoryTrends, 'Spending by category'),
+    // A column per month only fits a page for short ranges
+    ...(pdf && report.monthly.length > 6 ? [] : [categoryTrendTable(report)]),
+    merchantTable(report),
+    expenseTable(report)
+  ];
+};
+
+/**
+ * Tables making up a year in review
+ * @param {Object} review - From getYearInReview
+ */
+export const yearInReviewTables = (review) => {
+  const { totals, previousYear } = review;
+  const monthText = (entry) => (entry ? `${entry.month} (${entry.net.toFixed(2)} net)` : '');
+
+  return [
+    {
+      heading: 'Summary',
+      columns: ['Metric', 'Value'],
+      rows: [
+        ['Income', totals.income],
+        ['Expenses', totals.expenses],
+        ['Net', totals.net],
+        ['Savings rate', percentText(totals.savingsRate)],
+        ['Transactions', totals.transactionCount],
+        ['Average monthly income', review.averageMonthly.income],
+        ['Average monthly expenses', review.averageMonthly.expenses],
+        ['Best month', monthText(review.bestMonth)],
+        ['Worst month', monthText(review.worstMonth)],
+        ['Biggest spending month', review.biggestSpendingMonth?.month || '']
+      ]
+    },
+    {
+      heading: `Compared with ${previousYear.from} to ${previousYear.to}`,
+      columns: ['Metric', 'Previous', 'This year', 'Change'],
+      rows: [
+        ['Income', previousYear.totals.income, totals.income, percentText(previousYear.incomeChange)],
+        ['Expenses', previousYear.totals.expenses, totals.expenses, percentText(previousYear.expensesChange)],
+        ['Savings rate', percentText(previousYear.totals.savingsRate), percentText(totals.savingsRate), '']
+      ]
+    },
+    monthlyTable(review),
+    categoryTable(review.topCategories, 'Top categories'),
+    merchantTable(review),
+    expenseTable(review)
+  ];
+};
+
+/**
+ * Write tables as one CSV file: each table under its heading, separated
+ * by a blank line
+ */
+export const tablesToCSV = (tables) => {
+  return tables.map(({ heading, columns, rows }) => {
+    const records = rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+    return `${escapeCSVValue(heading)}\r\n${toCSV(records, columns)}`;
+  }).join('\r\n');
+};
+
+/**
+ * Write tables as a PDF document
+ * @returns {Buffer} PDF file contents
+ */
+export const tablesToPDF = (title, subtitle, tables) => {
+  return createTextPDF({
+    title,
+    subtitle,
+    sections: tables.map(({ heading, columns, rows }) => ({
+      heading,
+      lines: rows.length > 0 ? formatTable(columns, rows) : ['Nothing to show']
+    }))
+  });
+};
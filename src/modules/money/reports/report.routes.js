@@ -0,0 +1,14 @@
+import express from 'express';
+import * as reportController from './report.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/', reportController.getReport);
+router.get('/year-in-review', reportController.getYearInReview);
+
+export default router;
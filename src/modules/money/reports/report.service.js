@@ -0,0 +1,271 @@
+import Transaction from '../transactions/transaction.model.js';
+import Income from '../income/income.model.js';
+import Category from '../categories/category.model.js';
+import { getBaseCurrency, createConverter } from '../../exchangeRates/exchangeRate.service.js';
+import { getMonthRange, shiftMonth, toMonthKey } from '../../../utils/date.util.js';
+import { roundAmount } from '../../../utils/money.util.js';
+import logger from '../../../utils/logger.util.js';
+
+// Entries in the merchant and biggest-expense lists
+const TOP_LIST_SIZE = 10;
+
+// Categories shown in a year in review
+const TOP_CATEGORIES = 5;
+
+/**
+ * Part of income left after expenses, as a percentage (null without income)
+ */
+const savingsRateOf = (income, expenses) => {
+  return income > 0 ? Math.round(((income - expenses) / income) * 1000) / 10 : null;
+};
+
+/**
+ * Percentage change from one amount to another (null from zero)
+ */
+const changeOf = (from, to) => {
+  return from > 0 ? Math.round(((to - from) / from) * 1000) / 10 : null;
+};
+
+/**
+ * YYYY-MM months from one to another, inclusive
+ */
+const listMonths = (from, to) => {
+  const months = [];
+  for (let month = from; month <= to; month = shiftMonth(month, 1)) {
+    months.push(month);
+  }
+  return months;
+};
+
+/**
+ * Name a merchant by a transaction's note, else its source. Spelling and
+ * case variants of the same name are grouped.
+ */
+const merchantOf = (transaction) => {
+  const name = (transaction.note || transaction.source || '').trim().replace(/\s+/g, ' ');
+  return name ? { key: name.toLowerCase(), name } : null;
+};
+
+/**
+ * Build a report over a range of months. Income is what was recorded as
+ * income plus income transactions, leaving out a transaction posted from an
+ * income record in the month that record is already counted (so nothing is
+ * counted twice, while a monthly income posted by a recurring template
+ * counts every month); expenses are expense transactions. Settle-ups are
+ * neither. Amounts are in the user's currency at the rate on each date.
+ */
+const buildReport = async (userId, from, to) => {
+  const { startDate } = getMonthRange(from);
+  const { endDate } = getMonthRange(to);
+
+  const [transactions, incomes, categories, baseCurrency] = await Promise.all([
+    Transaction.find({
+      userId,
+      date: { $gte: startDate, $lte: endDate },
+      isSettlement: { $ne: true }
+    })
+      .select('amount currency type categoryId date note source incomeId')
+      .lean(),
+    Income.find({ userId, receivedAt: { $gte: startDate, $lte: endDate } })
+      .select('amount currency receivedAt')
+      .lean(),
+    Category.find({ userId }).select('name parentId').lean(),
+    getBaseCurrency(userId)
+  ]);
+
+  const converter = await createConverter(baseCurrency, [
+    ...transactions,
+    ...incomes.map(income => ({ currency: income.currency, date: income.receivedAt }))
+  ]);
+
+  const months = listMonths(from, to);
+  const totalsByMonth = new Map(months.map(month => [month, { income: 0, expenses: 0 }]));
+
+  // Income records counted, as `${incomeId}|${YYYY-MM}`
+  const countedIncomes = new Set();
+  for (const income of incomes) {
+    const month = toMonthKey(income.receivedAt);
+    countedIncomes.add(`${income._id}|${month}`);
+    totalsByMonth.get(month).income +=
+      converter.convert(income.amount, income.currency, income.receivedAt) ?? 0;
+  }
+
+  // Subcategories are reported under their top-level category
+  const categoriesById = new Map(categories.map(category => [category._id.toString(), category]));
+  const topLevelOf = (categoryId) => {
+    const category = categoriesById.get(categoryId?.toString());
+    return category?.parentId ? categoriesById.get(category.parentId.toString()) : category;
+  };
+
+  const categoryTotals = new Map();
+  const merchants = new Map();
+  const expenses = [];
+
+  for (const transaction of transactions) {
+    const amount = converter.convert(transaction.amount, transaction.currency, transaction.date) ?? 0;
+    const month = toMonthKey(transaction.date);
+
+    if (transaction.type === 'income') {
+      if (!countedIncomes.has(`${transaction.incomeId}|${month}`)) {
+        totalsByMonth.get(month).income += amount;
+      }
+      continue;
+    }
+
+    totalsByMonth.get(month).expenses += amount;
+
+    const category = topLevelOf(transaction.categoryId);
+    const categoryKey = category ? category._id.toString() : 'uncategorized';
+    if (!categoryTotals.has(categoryKey)) {
+      categoryTotals.set(categoryKey, {
+        categoryId: category?._id || null,
+        name: category?.name || 'Uncategorized',
+        total: 0,
+        byMonth: new Map()
+      });
+    }
+    const entry = categoryTotals.get(categoryKey);
+    entry.total += amount;
+    entry.byMonth.set(month, (entry.byMonth.get(month) || 0) + amount);
+
+    const merchant = merchantOf(transaction);
+    if (merchant) {
+      if (!merchants.has(merchant.key)) {
+        merchants.set(merchant.key, { name: merchant.name, count: 0, total: 0 });
+      }
+      merchants.get(merchant.key).count += 1;
+      merchants.get(merchant.key).total += amount;
+    }
+
+    expenses.push({
+      _id: transaction._id,
+      date: transaction.date,
+      amount: roundAmount(amount),
+      originalAmount: transaction.amount,
+      currency: transaction.currency || baseCurrency,
+      category: category?.name || 'Uncategorized',
+      note: transaction.note || null,
+      source: transaction.source || null
+    });
+  }
+
+  const monthly = months.map(month => {
+    const { income, expenses: spent } = totalsByMonth.get(month);
+    return {
+      month,
+      income: roundAmount(income),
+      expenses: roundAmount(spent),
+      net: roundAmount(income - spent),
+      savingsRate: savingsRateOf(income, spent)
+    };
+  });
+
+  const income = monthly.reduce((sum, entry) => sum + entry.income, 0);
+  const spent = monthly.reduce((sum, entry) => sum + entry.expenses, 0);
+
+  const categoryTrends = [...categoryTotals.values()]
+    .sort((a, b) => b.total - a.total)
+    .map(({ byMonth, ...entry }) => ({
+      ...entry,
+      total: roundAmount(entry.total),
+      share: spent > 0 ? Math.round((entry.total / spent) * 1000) / 10 : 0,
+      monthlyAverage: roundAmount(entry.total / months.length),
+      months: months.map(month => ({ month, total: roundAmount(byMonth.get(month) || 0) }))
+    }));
+
+  const topMerchants = [...merchants.values()]
+    .sort((a, b) => b.total - a.total)
+    .slice(0, TOP_LIST_SIZE)
+    .map(merchant => ({ ...merchant, total: roundAmount(merchant.total) }));
+
+  const biggestExpenses = expenses
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, TOP_LIST_SIZE);
+
+  return {
+    from,
+    to,
+    currency: baseCurrency,
+    totals: {
+      income: roundAmount(income),
+      expenses: roundAmount(spent),
+      net: roundAmount(income - spent),
+      savingsRate: savingsRateOf(income, spent),
+      transactionCount: transactions.length
+    },
+    monthly,
+    categoryTrends,
+    topMerchants,
+    biggestExpenses,
+    missingRates: converter.missingRates
+  };
+};
+
+/**
+ * Get a money report for a range of months: income and expenses per month,
+ * category trends, savings rate, top merchants and the biggest expenses
+ * @param {string} from - First month (YYYY-MM)
+ * @param {string} to - Last month (YYYY-MM)
+ */
+export const getReport = async (userId, from, to) => {
+  try {
+    return await buildReport(userId, from, to);
+  } catch (error) {
+    logger.error(`Get money report error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a year in review: the year's report with its highlights, compared
+ * with the same months of the year before. The current year runs to this
+ * month.
+ */
+export const getYearInReview = async (userId, year) => {
+  try {
+    const currentMonth = toMonthKey(new Date());
+    const from = `${year}-01`;
+    const to = `${year}-12` > currentMonth ? currentMonth : `${year}-12`;
+
+    const [report, previous] = await Promise.all([
+      buildReport(userId, from, to),
+      buildReport(userId, shiftMonth(from, -12), shiftMonth(to, -12))
+    ]);
+
+    const byNet = [...report.monthly].sort((a, b) => b.net - a.net);
+    const bySpend = [...report.monthly].sort((a, b) => b.expenses - a.expenses);
+    const monthCount = report.monthly.length;
+
+    return {
+      year,
+      from,
+      to,
+      currency: report.currency,
+      totals: report.totals,
+      averageMonthly: {
+        income: roundAmount(report.totals.income / monthCount),
+        expenses: roundAmount(report.totals.expenses / monthCount)
+      },
+      bestMonth: byNet[0],
+      worstMonth: byNet[byNet.length - 1],
+      biggestSpendingMonth: bySpend[0],
+      topCategories: report.categoryTrends
+        .slice(0, TOP_CATEGORIES)
+        .map(({ months, ...category }) => category),
+      topMerchants: report.topMerchants,
+      biggestExpenses: report.biggestExpenses,
+      previousYear: {
+        from: previous.from,
+        to: previous.to,
+        totals: previous.totals,
+        incomeChange: changeOf(previous.totals.income, report.totals.income),
+        expensesChange: changeOf(previous.totals.expenses, report.totals.expenses)
+      },
+      monthly: report.monthly,
+      missingRates: [...new Set([...report.missingRates, ...previous.missingRates])]
+    };
+  } catch (error) {
+    logger.error(`Get year in review error: ${error.message}`);
+    throw error;
+  }
+};
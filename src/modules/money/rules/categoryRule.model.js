@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+// Operators allowed for each condition field
+export const RULE_OPERATORS = {
+  note: ['contains', 'equals', 'startsWith'],
+  source: ['contains', 'equals', 'startsWith'],
+  amount: ['gt', 'gte', 'lt', 'lte', 'between'],
+  type: ['equals']
+};
+
+const conditionSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      enum: Object.keys(RULE_OPERATORS),
+      required: [true, 'Condition field is required']
+    },
+    operator: {
+      type: String,
+      required: [true, 'Condition operator is required']
+    },
+    // Text for note/source, a number for amount, 'expense' or 'income' for type
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Condition value is required']
+    },
+    // Upper bound for 'between'
+    valueTo: {
+      type: Number,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+// Check the operator and value make sense for the field. These are path
+// validators rather than hooks so validateSync() (used for dry runs) runs them.
+conditionSchema.path('operator').validate({
+  validator: function (operator) {
+    return !RULE_OPERATORS[this.field] || RULE_OPERATORS[this.field].includes(operator);
+  },
+  message: (props) => `"${props.value}" is not a valid operator for this field`
+});
+
+conditionSchema.path('value').validate({
+  validator: function (value) {
+    if (this.field === 'amount') {
+      return typeof value === 'number' && value >= 0;
+    }
+    if (this.field === 'type') {
+      return ['expense', 'income'].includes(value);
+    }
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= 200;
+  },
+  message: 'Amounts must be numbers of at least 0, types expense or income, and text 1-200 characters'
+});
+
+conditionSchema.path('valueTo').validate({
+  validator: function (valueTo) {
+    return this.operator !== 'between' || (typeof valueTo === 'number' && valueTo >= this.value);
+  },
+  message: 'valueTo must be greater than or equal to value'
+});
+
+const categoryRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    // Category given to matching transactions
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: [true, 'Category is required']
+    },
+    // Lower numbers are tried first; the first matching rule wins
+    priority: {
+      type: Number,
+      min: [0, 'Priority cannot be negative'],
+      default: 0
+    },
+    // All conditions must match
+    conditions: {
+      type: [conditionSchema],
+      validate: {
+        validator: (conditions) => conditions.length > 0 && conditions.length <= 10,
+        message: 'A rule needs between 1 and 10 conditions'
+      }
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient queries
+categoryRuleSchema.index({ userId: 1, priority: 1 });
+categoryRuleSchema.index({ userId: 1, categoryId: 1 });
+
+// Ensure user can only access their own rules
+categoryRuleSchema.methods.isOwner = function (userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+const CategoryRule = mongoose.model('CategoryRule', categoryRuleSchema);
+
+export default CategoryRule;
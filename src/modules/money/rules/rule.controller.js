@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
+import { HTTP_STATUS, MESSAGES } from '../../../config/constants.js';
+import * as ruleService from './rule.service.js';
+import logger from '../../../utils/logger.util.js';
+
+/**
+ * Map rule service errors to responses
+ */
+const handleRuleError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if ([
+    MESSAGES.INVALID_CATEGORY,
+    MESSAGES.RULE_CATEGORY_TYPE_MISMATCH,
+    MESSAGES.INVALID_RULE_ORDER
+  ].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+/**
+ * Validate rule fields. Condition details are checked by the model.
+ * @returns {Object|null} The first validation error, or null when valid
+ */
+const validateRuleFields = (data, { partial = false } = {}) => {
+  const { name, categoryId, conditions, priority, isActive } = data;
+
+  if (name === undefined) {
+    if (!partial) {
+      return { field: 'name', message: 'Name is required' };
+    }
+  } else if (typeof name !== 'string' || !name.trim()) {
+    return { field: 'name', message: 'Name is required' };
+  }
+
+  if (categoryId === undefined) {
+    if (!partial) {
+      return { field: 'categoryId', message: 'Category is required' };
+    }
+  } else if (!mongoose.isValidObjectId(categoryId)) {
+    return { field: 'categoryId', message: 'Invalid category ID' };
+  }
+
+  if (conditions === undefined) {
+    if (!partial) {
+      return { field: 'conditions', message: 'At least one condition is required' };
+    }
+  } else if (!Array.isArray(conditions) || conditions.length === 0) {
+    return { field: 'conditions', message: 'At least one condition is required' };
+  }
+
+  if (priority !== undefined && (!Number.isInteger(priority) || priority < 0)) {
+    return { field: 'priority', message: 'Priority must be a whole number of at least 0' };
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return { field: 'isActive', message: 'isActive must be true or false' };
+  }
+
+  return null;
+};
+
+/**
+ * Get the logged-in user's categorisation rules
+ */
+export const getRules = async (req, res, next) => {
+  try {
+    const rules = await ruleService.getRules(req.user.id);
+    return sendSuccess(res, rules, 'Rules retrieved successfully');
+  } catch (error) {
+    logger.error(`Get rules controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a categorisation rule
+ */
+export const createRule = async (req, res, next) => {
+  try {
+    const { name, categoryId, conditions, priority, isActive } = req.body;
+
+    const validationError = validateRuleFields(req.body);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const rule = await ruleService.createRule(req.user.id, { name, categoryId, conditions, priority, isActive });
+
+    return sendSuccess(
+      res,
+      rule,
+      'Rule created successfully',
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error(`Create rule controller error: ${error.message}`);
+    handleRuleError(error, res, next);
+  }
+};
+
+/**
+ * Update a categorisation rule
+ */
+export const updateRule = async (req, res, next) => {
+  try {
+    const { name, categoryId, conditions, priority, isActive } = req.body;
+
+    const validationError = validateRuleFields(req.body, { partial: true });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const rule = await ruleService.updateRule(req.params.id, req.user.id, {
+      name,
+      categoryId,
+      conditions,
+      priority,
+      isActive
+    });
+
+    return sendSuccess(res, rule, 'Rule updated successfully');
+  } catch (error) {
+    logger.error(`Update rule controller error: ${error.message}`);
+    handleRuleError(error, res, next);
+  }
+};
+
+/**
+ * Delete a categorisation rule
+ */
+export const deleteRule = async (req, res, next) => {
+  try {
+    await ruleService.deleteRule(req.params.id, req.user.id);
+    return sendSuccess(res, null, 'Rule deleted successfully');
+  } catch (error) {
+    logger.error(`Delete rule controller error: ${error.message}`);
+    handleRuleError(error, res, next);
+  }
+};
+
+/**
+ * Set the order rules are applied in
+ */
+export const reorderRules = async (req, res, next) => {
+  try {
+    const { ruleIds } = req.body;
+
+    if (!Array.isArray(ruleIds) || !ruleIds.every(id => mongoose.isValidObjectId(id))) {
+      return sendValidationError(res, [{
+        field: 'ruleIds',
+        message: 'ruleIds must be an array of rule IDs'
+      }]);
+    }
+
+    const rules = await ruleService.reorderRules(req.user.id, ruleIds);
+
+    return sendSuccess(res, rules, 'Rules reordered successfully');
+  } catch (error) {
+    logger.error(`Reorder rules controller error: ${error.message}`);
+    handleRuleError(error, res, next);
+  }
+};
+
+/**
+ * Show which existing transactions an unsaved rule would change
+ */
+export const dryRunDraftRule = async (req, res, next) => {
+  try {
+    const { categoryId, conditions } = req.body;
+
+    // A draft needs no name
+    const validationError = validateRuleFields({ name: 'Dry run', categoryId, conditions });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const result = await ruleService.dryRunRule(req.user.id, { rule: { categoryId, conditions } });
+
+    return sendSuccess(res, result, `Rule would change ${result.total} transaction(s)`);
+  } catch (error) {
+    logger.error(`Rule dry run controller error: ${error.message}`);
+    handleRuleError(error, res, next);
+  }
+};
+
+/**
+ * Show which existing transactions a saved rule would change
+ */
+export const dryRunRule = async (req, res, next) => {
+  try {
+    const result = await ruleService.dryRunRule(req.user.id, { ruleId: req.params.id });
+    return sendSuccess(res, result, `Rule would change ${result.total} transaction(s)`);
+  } catch (error) {
+    logger.error(`Rule dry run controller error: ${error.message}`);
+    handleRuleError(error, res, next);
+  }
+};
@@ -0,0 +1,19 @@
+import express from 'express';
+import * as ruleController from './rule.controller.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, requireScope('money'));
+
+// Routes
+router.get('/', ruleController.getRules);
+router.post('/', ruleController.createRule);
+router.put('/order', ruleController.reorderRules);
+router.post('/dry-run', ruleController.dryRunDraftRule);
+router.get('/:id/dry-run', ruleController.dryRunRule);
+router.patch('/:id', ruleController.updateRule);
+router.delete('/:id', ruleController.deleteRule);
+
+export default router;
@@ -0,0 +1,343 @@
+import CategoryRule from './categoryRule.model.js';
+import Category from '../categories/category.model.js';
+import Transaction from '../transactions/transaction.model.js';
+import logger from '../../../utils/logger.util.js';
+import { MESSAGES } from '../../../config/constants.js';
+
+// Transactions listed by a dry run
+const DRY_RUN_LIMIT = 100;
+
+/**
+ * Escape text for use inside a regular expression
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Coerce amount values to numbers so the schema validators can check them
+ * (form clients send numbers as strings)
+ */
+const normalizeConditions = (conditions) => {
+  if (!Array.isArray(conditions)) return conditions;
+
+  return conditions.map(condition => {
+    if (condition?.field !== 'amount') return condition;
+
+    const toNumber = (value) => (value === undefined || value === null || value === '' ? value : Number(value));
+    return { ...condition, value: toNumber(condition.value), valueTo: toNumber(condition.valueTo) };
+  });
+};
+
+/**
+ * Check whether one condition matches a transaction. Text comparisons are case-insensitive.
+ */
+const matchesCondition = ({ field, operator, value, valueTo }, transaction) => {
+  if (field === 'amount') {
+    const amount = transaction.amount;
+    switch (operator) {
+      case 'gt': return amount > value;
+      case 'gte': return amount >= value;
+      case 'lt': return amount < value;
+      case 'lte': return amount <= value;
+      case 'between': return amount >= value && amount <= valueTo;
+      default: return false;
+    }
+  }
+
+  if (field === 'type') {
+    return transaction.type === value;
+  }
+
+  const text = String(transaction[field] || '').trim().toLowerCase();
+  const wanted = String(value).toLowerCase();
+  switch (operator) {
+    case 'contains': return text.includes(wanted);
+    case 'equals': return text === wanted;
+    case 'startsWith': return text.startsWith(wanted);
+    default: return false;
+  }
+};
+
+/**
+ * Check whether all of a rule's conditions match a transaction
+ * @param {Object} rule - Rule with conditions
+ * @param {Object} transaction - { note, source, amount, type }
+ */
+export const matchesRule = (rule, transaction) => {
+  return rule.conditions.every(condition => matchesCondition(condition, transaction));
+};
+
+/**
+ * The MongoDB filter equivalent of matchesRule, for finding existing transactions
+ */
+const buildConditionQuery = (conditions) => {
+  return conditions.map(({ field, operator, value, valueTo }) => {
+    if (field === 'amount') {
+      if (operator === 'between') {
+        return { amount: { $gte: value, $lte: valueTo } };
+      }
+      return { amount: { [`$${operator}`]: value } };
+    }
+
+    if (field === 'type') {
+      return { type: value };
+    }
+
+    const pattern = escapeRegex(String(value));
+    const regex = {
+      contains: pattern,
+      equals: `^\\s*${pattern}\\s*$`,
+      startsWith: `^\\s*${pattern}`
+    }[operator];
+    return { [field]: { $regex: regex, $options: 'i' } };
+  });
+};
+
+/**
+ * Check a rule's category: the user's own, not archived, and of the same
+ * kind as the rule's type condition, if it has one
+ * @returns {Promise<Object>} Category document
+ */
+const assertValidRuleCategory = async (userId, categoryId, conditions) => {
+  const category = await Category.findOne({ _id: categoryId, userId });
+  if (!category || category.isArchived) {
+    throw new Error(MESSAGES.INVALID_CATEGORY);
+  }
+
+  const typeCondition = conditions.find(condition => condition.field === 'type');
+  if (typeCondition && typeCondition.value !== category.kind) {
+    throw new Error(MESSAGES.RULE_CATEGORY_TYPE_MISMATCH);
+  }
+
+  return category;
+};
+
+/**
+ * Build a function that finds the first active rule matching a transaction.
+ * Rules only apply to transactions of their category's kind, and rules whose
+ * category has been archived are ignored.
+ * @returns {Promise<Function>} (transaction) => { ruleId, categoryId } or null
+ */
+export const buildRuleMatcher = async (userId) => {
+  const rules = await CategoryRule.find({ userId, isActive: true })
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+
+  if (rules.length === 0) {
+    return () => null;
+  }
+
+  const categories = await Category.find({
+    _id: { $in: rules.map(rule => rule.categoryId) },
+    isArchived: false
+  })
+    .select('kind')
+    .lean();
+  const kindById = new Map(categories.map(category => [category._id.toString(), category.kind]));
+
+  const usable = rules.filter(rule => kindById.has(rule.categoryId.toString()));
+
+  return (transaction) => {
+    const rule = usable.find(candidate =>
+      kindById.get(candidate.categoryId.toString()) === transaction.type && matchesRule(candidate, transaction)
+    );
+    return rule ? { ruleId: rule._id, categoryId: rule.categoryId } : null;
+  };
+};
+
+/**
+ * Get a user's rules in the order they are applied
+ */
+export const getRules = async (userId) => {
+  try {
+    return await CategoryRule.find({ userId })
+      .sort({ priority: 1, createdAt: 1 })
+      .populate('categoryId', 'name kind parentId icon color')
+      .lean();
+  } catch (error) {
+    logger.error(`Get rules error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create a rule. Without a priority it goes after the existing rules.
+ */
+export const createRule = async (userId, ruleData) => {
+  try {
+    const conditions = normalizeConditions(ruleData.conditions);
+
+    const rule = new CategoryRule({ ...ruleData, conditions, userId });
+    await rule.validate();
+
+    await assertValidRuleCategory(userId, rule.categoryId, rule.conditions);
+
+    if (ruleData.priority === undefined) {
+      const last = await CategoryRule.findOne({ userId }).sort({ priority: -1 }).select('priority').lean();
+      rule.priority = last ? last.priority + 1 : 0;
+    }
+
+    await rule.save();
+
+    return rule;
+  } catch (error) {
+    logger.error(`Create rule error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update a rule
+ */
+export const updateRule = async (ruleId, userId, updateData) => {
+  try {
+    const rule = await CategoryRule.findOne({
+      _id: ruleId,
+      userId
+    });
+
+    if (!rule) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    for (const field of ['name', 'categoryId', 'priority', 'isActive']) {
+      if (updateData[field] !== undefined) {
+        rule[field] = updateData[field];
+      }
+    }
+    if (updateData.conditions !== undefined) {
+      rule.conditions = normalizeConditions(updateData.conditions);
+    }
+
+    await rule.validate();
+
+    if (updateData.categoryId !== undefined || updateData.conditions !== undefined) {
+      await assertValidRuleCategory(userId, rule.categoryId, rule.conditions);
+    }
+
+    await rule.save();
+
+    return rule;
+  } catch (error) {
+    logger.error(`Update rule error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a rule
+ */
+export const deleteRule = async (ruleId, userId) => {
+  try {
+    const rule = await CategoryRule.findOneAndDelete({
+      _id: ruleId,
+      userId
+    });
+
+    if (!rule) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return rule;
+  } catch (error) {
+    logger.error(`Delete rule error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Set the order rules are applied in
+ * @param {string[]} ruleIds - Every one of the user's rule IDs, first applied first
+ */
+export const reorderRules = async (userId, ruleIds) => {
+  try {
+    const existing = await CategoryRule.find({ userId }).distinct('_id');
+    const existingIds = new Set(existing.map(id => id.toString()));
+    const requestedIds = new Set(ruleIds.map(id => String(id)));
+
+    if (
+      requestedIds.size !== ruleIds.length ||
+      requestedIds.size !== existingIds.size ||
+      [...requestedIds].some(id => !existingIds.has(id))
+    ) {
+      throw new Error(MESSAGES.INVALID_RULE_ORDER);
+    }
+
+    await CategoryRule.bulkWrite(ruleIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, userId },
+        update: { priority: index }
+      }
+    })));
+
+    return getRules(userId);
+  } catch (error) {
+    logger.error(`Reorder rules error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Show which existing transactions a rule would re-categorise, without
+ * changing anything. Works for a saved rule or an unsaved draft.
+ * @param {Object} options - { ruleId } or a draft { rule } with the rule fields
+ * @returns {Promise<Object>} { total, transactions }, at most DRY_RUN_LIMIT
+ *   transactions, newest first, each with its current and new category
+ */
+export const dryRunRule = async (userId, { ruleId, rule: draft }) => {
+  try {
+    let rule;
+    if (ruleId) {
+      rule = await CategoryRule.findOne({ _id: ruleId, userId });
+      if (!rule) {
+        throw new Error(MESSAGES.NOT_FOUND);
+      }
+    } else {
+      rule = new CategoryRule({
+        name: 'Dry run',
+        ...draft,
+        conditions: normalizeConditions(draft.conditions),
+        userId
+      });
+      const validationError = rule.validateSync();
+      if (validationError) {
+        throw validationError;
+      }
+    }
+
+    const category = await assertValidRuleCategory(userId, rule.categoryId, rule.conditions);
+
+    const query = {
+      userId,
+      type: category.kind,
+      categoryId: { $ne: category._id },
+      $and: buildConditionQuery(rule.conditions)
+    };
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(query)
+        .sort({ date: -1 })
+        .limit(DRY_RUN_LIMIT)
+        .populate('category', 'name kind parentId icon color')
+        .lean(),
+      Transaction.countDocuments(query)
+    ]);
+
+    return {
+      total,
+      category: { _id: category._id, name: category.name, kind: category.kind },
+      transactions: transactions.map(transaction => ({
+        _id: transaction._id,
+        date: transaction.date,
+        amount: transaction.amount,
+        type: transaction.type,
+        note: transaction.note,
+        source: transaction.source,
+        fromCategory: transaction.category,
+        toCategory: { _id: category._id, name: category.name }
+      }))
+    };
+  } catch (error) {
+    logger.error(`Rule dry run error: ${error.message}`);
+    throw error;
+  }
+};
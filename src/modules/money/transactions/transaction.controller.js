@@ -1,93 +1,100 @@
+import mongoose from 'mongoose';
 import { sendSuccess, sendError, sendValidationError } from '../../../utils/response.util.js';
-import { HTTP_STATUS } from '../../../config/constants.js';
+import { HTTP_STATUS, MESSAGES, SUPPORTED_CURRENCIES } from '../../../config/constants.js';
 import * as transactionService from './transaction.service.js';
+import * as splitService from '../contacts/split.service.js';
+import { SPLIT_METHODS } from './transaction.model.js';
 import logger from '../../../utils/logger.util.js';
 
+const VALID_TYPES = ['expense', 'income'];
+
+// Most transactions a single bulk delete may remove
+const MAX_BULK_DELETE = 100;
+
 /**
- * Create a new transaction
+ * Validate transaction fields. With `partial`, only fields that are present are checked (updates).
+ * @returns {Object|null} The first validation error, or null when valid
  */
-export const createTransaction = async (req, res, next) => {
-  try {
-    const userId = req.user.id;
-    const { amount, type, category, date, note, source } = req.body;
+const validateTransactionFields = (data, { partial = false } = {}) => {
+  const { amount, currency, type, categoryId, category, date, note, accountId } = data;
 
-    // Validate required fields
-    if (amount === undefined || amount === null) {
-      return sendValidationError(res, [{
-        field: 'amount',
-        message: 'Amount is required'
-      }]);
+  if (amount === undefined || amount === null) {
+    if (!partial || amount === null) {
+      return { field: 'amount', message: 'Amount is required' };
     }
+  } else if (isNaN(parseFloat(amount)) || amount < 0) {
+    return { field: 'amount', message: 'Amount must be greater than or equal to 0' };
+  }
 
-    if (amount < 0) {
-      return sendValidationError(res, [{
-        field: 'amount',
-        message: 'Amount must be greater than or equal to 0'
-      }]);
-    }
+  if (currency !== undefined && !SUPPORTED_CURRENCIES.includes(String(currency).toUpperCase())) {
+    return { field: 'currency', message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` };
+  }
 
-    if (!type) {
-      return sendValidationError(res, [{
-        field: 'type',
-        message: 'Type is required'
-      }]);
+  if (!type) {
+    if (!partial || type !== undefined) {
+      return { field: 'type', message: 'Type is required' };
     }
+  } else if (!VALID_TYPES.includes(type)) {
+    return { field: 'type', message: `Type must be one of: ${VALID_TYPES.join(', ')}` };
+  }
 
-    const validTypes = ['expense', 'income'];
-    if (!validTypes.includes(type)) {
-      return sendValidationError(res, [{
-        field: 'type',
-        message: `Type must be one of: ${validTypes.join(', ')}`
-      }]);
+  // Either a category ID or, for older clients, a category name. Both are
+  // optional on create, where categorisation rules pick one.
+  if (categoryId !== undefined) {
+    if (!mongoose.isValidObjectId(categoryId)) {
+      return { field: 'categoryId', message: 'Invalid category ID' };
     }
+  } else if (category !== undefined && (typeof category !== 'string' || !category.trim())) {
+    return { field: 'categoryId', message: 'Category cannot be empty' };
+  }
 
-    if (!category) {
-      return sendValidationError(res, [{
-        field: 'category',
-        message: 'Category is required'
-      }]);
+  if (!date) {
+    if (!partial || date !== undefined) {
+      return { field: 'date', message: 'Date is required' };
     }
+  } else if (isNaN(new Date(date).getTime())) {
+    return { field: 'date', message: 'Invalid date format' };
+  }
 
-    const validCategories = ['food', 'travel', 'shopping', 'entertainment', 'health', 'misc'];
-    if (!validCategories.includes(category)) {
-      return sendValidationError(res, [{
-        field: 'category',
-        message: `Category must be one of: ${validCategories.join(', ')}`
-      }]);
-    }
+  if (note && note.length > 500) {
+    return { field: 'note', message: 'Note cannot exceed 500 characters' };
+  }
 
-    if (!date) {
-      return sendValidationError(res, [{
-        field: 'date',
-        message: 'Date is required'
-      }]);
-    }
+  if (accountId !== undefined && accountId !== null && !mongoose.isValidObjectId(accountId)) {
+    return { field: 'accountId', message: 'Invalid account ID' };
+  }
 
-    const transactionDate = new Date(date);
-    if (isNaN(transactionDate.getTime())) {
-      return sendValidationError(res, [{
-        field: 'date',
-        message: 'Invalid date format'
-      }]);
-    }
+  return null;
+};
 
-    if (note && note.length > 500) {
-      return sendValidationError(res, [{
-        field: 'note',
-        message: 'Note cannot exceed 500 characters'
-      }]);
+/**
+ * Create a new transaction
+ */
+export const createTransaction = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { amount, currency, type, categoryId, category, date, note, source, accountId } = req.body;
+
+    const validationError = validateTransactionFields(req.body);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
     }
 
+    const transactionDate = new Date(date);
+
     const transactionData = {
       amount: parseFloat(amount),
+      currency: currency?.toUpperCase(),
       type,
+      categoryId,
       category,
       date: transactionDate,
       note: note?.trim(),
-      source: source?.trim()
+      source: source?.trim(),
+      accountId
     };
 
-    const transaction = await transactionService.createTransaction(userId, transactionData);
+    const transaction = await transactionService.createTransaction(userId, transactionData, req.user);
 
     return sendSuccess(
       res,
@@ -97,6 +104,15 @@ export const createTransaction = async (req, res, next) => {
     );
   } catch (error) {
     logger.error(`Create transaction controller error: ${error.message}`);
+
+    if ([
+      MESSAGES.INVALID_CATEGORY,
+      MESSAGES.INVALID_ACCOUNT,
+      MESSAGES.ACCOUNT_CURRENCY_MISMATCH
+    ].includes(error.message)) {
+      return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
     next(error);
   }
 };
@@ -107,11 +123,19 @@ export const createTransaction = async (req, res, next) => {
 export const getTransactions = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { type, category, startDate, endDate, limit, page } = req.query;
+    const { type, category, accountId, startDate, endDate, limit, page } = req.query;
+
+    if (accountId !== undefined && !mongoose.isValidObjectId(accountId)) {
+      return sendValidationError(res, [{
+        field: 'accountId',
+        message: 'Invalid account ID'
+      }]);
+    }
 
     const filters = {
       type,
       category,
+      accountId,
       startDate,
       endDate,
       limit,
@@ -159,3 +183,263 @@ export const getMonthlyTransactions = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Get a single transaction by ID
+ */
+export const getTransactionById = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const transaction = await transactionService.getTransactionById(id, userId);
+
+    return sendSuccess(res, transaction, 'Transaction retrieved successfully');
+  } catch (error) {
+    logger.error(`Get transaction by ID controller error: ${error.message}`);
+    
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Update a transaction
+ */
+export const updateTransaction = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { amount, currency, type, categoryId, category, date, note, source, accountId } = req.body;
+
+    const validationError = validateTransactionFields(req.body, { partial: true });
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const updateData = {};
+    if (amount !== undefined) updateData.amount = parseFloat(amount);
+    if (currency !== undefined) updateData.currency = currency.toUpperCase();
+    if (type !== undefined) updateData.type = type;
+    if (categoryId !== undefined) updateData.categoryId = categoryId;
+    if (category !== undefined) updateData.category = category;
+    if (date !== undefined) updateData.date = new Date(date);
+    if (note !== undefined) updateData.note = note;
+    if (source !== undefined) updateData.source = source;
+    if (accountId !== undefined) updateData.accountId = accountId;
+
+    const transaction = await transactionService.updateTransaction(id, userId, updateData, req.user);
+
+    return sendSuccess(res, transaction, 'Transaction updated successfully');
+  } catch (error) {
+    logger.error(`Update transaction controller error: ${error.message}`);
+    
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if ([
+      MESSAGES.INVALID_CATEGORY,
+      MESSAGES.INVALID_ACCOUNT,
+      MESSAGES.ACCOUNT_CURRENCY_MISMATCH
+    ].includes(error.message)) {
+      return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (error.message === MESSAGES.SPLIT_LOCKED) {
+      return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete a transaction
+ */
+export const deleteTransaction = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const transaction = await transactionService.deleteTransaction(id, userId, req.user);
+
+    return sendSuccess(res, transaction, 'Transaction deleted successfully');
+  } catch (error) {
+    logger.error(`Delete transaction controller error: ${error.message}`);
+    
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete several transactions at once
+ */
+export const bulkDeleteTransactions = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return sendValidationError(res, [{
+        field: 'ids',
+        message: 'ids must be a non-empty array of transaction IDs'
+      }]);
+    }
+
+    if (ids.length > MAX_BULK_DELETE) {
+      return sendValidationError(res, [{
+        field: 'ids',
+        message: `Cannot delete more than ${MAX_BULK_DELETE} transactions at once`
+      }]);
+    }
+
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+      return sendValidationError(res, [{
+        field: 'ids',
+        message: 'Every ID must be a valid transaction ID'
+      }]);
+    }
+
+    const result = await transactionService.bulkDeleteTransactions(ids, userId, req.user);
+
+    return sendSuccess(res, result, `${result.deletedCount} transaction(s) deleted successfully`);
+  } catch (error) {
+    logger.error(`Bulk delete transactions controller error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the edit history of a transaction
+ */
+export const getTransactionHistory = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const revisions = await transactionService.getTransactionRevisions(id, userId);
+
+    return sendSuccess(res, revisions, 'Transaction history retrieved successfully');
+  } catch (error) {
+    logger.error(`Get transaction history controller error: ${error.message}`);
+    
+    if (error.message === MESSAGES.NOT_FOUND) {
+      return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Map split errors to responses
+ */
+const handleSplitError = (error, res, next) => {
+  if (error.message === MESSAGES.NOT_FOUND) {
+    return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (error.message === MESSAGES.SPLIT_ALREADY_REPAID) {
+    return sendError(res, error.message, HTTP_STATUS.CONFLICT);
+  }
+
+  if ([
+    MESSAGES.SPLIT_EXPENSE_ONLY,
+    MESSAGES.SPLIT_SHARES_MISMATCH,
+    MESSAGES.INVALID_CONTACT
+  ].includes(error.message)) {
+    return sendError(res, error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  next(error);
+};
+
+/**
+ * Validate a split request
+ * @returns {Object|null} The first validation error, or null when valid
+ */
+const validateSplitFields = ({ method, participants, groupId, includeSelf }) => {
+  if (!SPLIT_METHODS.includes(method)) {
+    return { field: 'method', message: `Method must be one of: ${SPLIT_METHODS.join(', ')}` };
+  }
+
+  if (groupId !== undefined && !mongoose.isValidObjectId(groupId)) {
+    return { field: 'groupId', message: 'Invalid group ID' };
+  }
+
+  if (participants === undefined) {
+    // Equal splits can default to the group's members
+    if (method !== 'equal' || !groupId) {
+      return { field: 'participants', message: 'Participants are required' };
+    }
+  } else if (!Array.isArray(participants) || participants.length === 0) {
+    return { field: 'participants', message: 'Participants must be a non-empty list' };
+  } else {
+    for (const participant of participants) {
+      if (!mongoose.isValidObjectId(participant?.contactId)) {
+        return { field: 'participants', message: 'Invalid contact ID' };
+      }
+      if (method === 'exact' && (typeof participant.amount !== 'number' || participant.amount <= 0)) {
+        return { field: 'participants', message: 'Each amount must be greater than 0' };
+      }
+      if (method === 'percentage' &&
+        (typeof participant.percent !== 'number' || participant.percent <= 0 || participant.percent > 100)) {
+        return { field: 'participants', message: 'Each percent must be greater than 0 and at most 100' };
+      }
+    }
+  }
+
+  if (includeSelf !== undefined && typeof includeSelf !== 'boolean') {
+    return { field: 'includeSelf', message: 'includeSelf must be true or false' };
+  }
+
+  return null;
+};
+
+/**
+ * Split an expense among contacts
+ */
+export const splitTransaction = async (req, res, next) => {
+  try {
+    const { method, participants, groupId, includeSelf } = req.body;
+
+    const validationError = validateSplitFields(req.body);
+    if (validationError) {
+      return sendValidationError(res, [validationError]);
+    }
+
+    const result = await splitService.splitTransaction(req.params.id, req.user.id, {
+      method,
+      participants: participants?.map(({ contactId, amount, percent }) => ({ contactId, amount, percent })),
+      groupId,
+      includeSelf
+    });
+
+    return sendSuccess(res, result, 'Transaction split successfully');
+  } catch (error) {
+    logger.error(`Split transaction controller error: ${error.message}`);
+    handleSplitError(error, res, next);
+  }
+};
+
+/**
+ * Undo a transaction's split
+ */
+export const removeSplit = async (req, res, next) => {
+  try {
+    const transaction = await splitService.removeSplit(req.params.id, req.user.id);
+
+    return sendSuccess(res, transaction, 'Transaction split removed successfully');
+  } catch (error) {
+    logger.error(`Remove split controller error: ${error.message}`);
+    handleSplitError(error, res, next);
+  }
+};
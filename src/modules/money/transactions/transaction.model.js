@@ -1,4 +1,33 @@
 import mongoose from 'mongoose';
+import { SUPPORTED_CURRENCIES } from '../../../config/constants.js';
+
+export const SPLIT_METHODS = ['equal', 'exact', 'percentage'];
+
+// A contact's share of a split expense and the receivable it created
+const splitShareSchema = new mongoose.Schema(
+  {
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    percent: {
+      type: Number,
+      default: null
+    },
+    debtId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Debt',
+      default: null
+    }
+  },
+  { _id: false }
+);
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -13,15 +42,27 @@ const transactionSchema = new mongoose.Schema(
       required: [true, 'Amount is required'],
       min: [0, 'Amount must be greater than or equal to 0']
     },
+    // Set to the user's currency when not given; older records without
+    // one are in the user's currency
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      enum: {
+        values: SUPPORTED_CURRENCIES,
+        message: 'Unsupported currency'
+      }
+    },
     type: {
       type: String,
       enum: ['expense', 'income'],
       required: [true, 'Type is required'],
       index: true
     },
-    category: {
-      type: String,
-      enum: ['food', 'travel', 'shopping', 'entertainment', 'health', 'misc'],
+    // User-defined category (see money/categories); populated as `category`
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
       required: [true, 'Category is required'],
       index: true
     },
@@ -38,6 +79,55 @@ const transactionSchema = new mongoose.Schema(
     source: {
       type: String,
       trim: true
+    },
+    // Account the money moved in or out of; its currency is the transaction's
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      default: null,
+      index: true
+    },
+    // Money that changed hands to settle debts with contacts: neither income
+    // nor spending, so it is left out of those totals
+    isSettlement: {
+      type: Boolean,
+      default: false
+    },
+    // Set for transactions created by a statement import, so the batch can be undone
+    importId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TransactionImport',
+      default: null,
+      index: true
+    },
+    // Set for transactions posted from a recurring template, along with the
+    // fixed expense or income the template is linked to
+    recurringTemplateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringTemplate',
+      default: null,
+      index: true
+    },
+    fixedExpenseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FixedExpense',
+      default: null
+    },
+    incomeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Income',
+      default: null
+    },
+    // Set when the expense is shared with contacts; each share is owed back
+    // to the user as a receivable (see money/contacts/split.service)
+    split: {
+      type: {
+        method: { type: String, enum: SPLIT_METHODS, required: true },
+        groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'ContactGroup', default: null },
+        ownShare: { type: Number, required: true, min: 0 },
+        shares: { type: [splitShareSchema], default: [] }
+      },
+      default: null
     }
   },
   {
@@ -48,8 +138,17 @@ const transactionSchema = new mongoose.Schema(
 // Compound indexes for efficient queries
 transactionSchema.index({ userId: 1, date: -1 });
 transactionSchema.index({ userId: 1, type: 1 });
-transactionSchema.index({ userId: 1, category: 1 });
+transactionSchema.index({ userId: 1, categoryId: 1 });
 transactionSchema.index({ userId: 1, type: 1, date: -1 });
+transactionSchema.index({ userId: 1, source: 1 });
+
+// Populate with .populate('category') to get the category details
+transactionSchema.virtual('category', {
+  ref: 'Category',
+  localField: 'categoryId',
+  foreignField: '_id',
+  justOne: true
+});
 
 // Ensure user can only access their own transactions
 transactionSchema.methods.isOwner = function (userId) {
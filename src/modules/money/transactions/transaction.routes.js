@@ -1,15 +1,22 @@
 import express from 'express';
 import * as transactionController from './transaction.controller.js';
-import { authenticate } from '../../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../../middlewares/auth.middleware.js';
 
 const router = express.Router();
 
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, requireScope('money'));
 
 // Routes
 router.post('/', transactionController.createTransaction);
 router.get('/', transactionController.getTransactions);
 router.get('/monthly', transactionController.getMonthlyTransactions);
+router.post('/bulk-delete', transactionController.bulkDeleteTransactions);
+router.get('/:id', transactionController.getTransactionById);
+router.get('/:id/history', transactionController.getTransactionHistory);
+router.patch('/:id', transactionController.updateTransaction);
+router.put('/:id/split', transactionController.splitTransaction);
+router.delete('/:id/split', transactionController.removeSplit);
+router.delete('/:id', transactionController.deleteTransaction);
 
 export default router;
@@ -1,23 +1,189 @@
+import mongoose from 'mongoose';
 import Transaction from './transaction.model.js';
+import TransactionRevision from './transactionRevision.model.js';
+import Category from '../categories/category.model.js';
+import Debt from '../debts/debt.model.js';
+import Account from '../accounts/account.model.js';
+import { resolveCategory, getCategoryFilterIds } from '../categories/category.service.js';
+import { buildRuleMatcher } from '../rules/rule.service.js';
+import { getBaseCurrency, createConverter } from '../../exchangeRates/exchangeRate.service.js';
+import { SERVER_TIMEZONE } from '../../../utils/date.util.js';
 import logger from '../../../utils/logger.util.js';
 import { MESSAGES } from '../../../config/constants.js';
 
+// Fields users can edit, and that the revision log tracks
+const EDITABLE_FIELDS = ['amount', 'currency', 'type', 'categoryId', 'date', 'note', 'source', 'accountId'];
+
+// Category details returned with each transaction
+const CATEGORY_FIELDS = 'name kind parentId icon color';
+
+// Fields the shares of a split expense are worked out from
+const SPLIT_FIELDS = ['amount', 'currency', 'type'];
+
+/**
+ * Plain copy of the tracked fields of a transaction
+ */
+const toSnapshot = (transaction) => {
+  const snapshot = { _id: transaction._id };
+  for (const field of EDITABLE_FIELDS) {
+    snapshot[field] = transaction[field] ?? null;
+  }
+  return snapshot;
+};
+
+/**
+ * Compare a stored value with an incoming one (dates by time)
+ */
+const isSameValue = (current, next) => {
+  if (current instanceof Date || next instanceof Date) {
+    return current && next && new Date(current).getTime() === new Date(next).getTime();
+  }
+  if (current instanceof mongoose.Types.ObjectId || next instanceof mongoose.Types.ObjectId) {
+    return String(current) === String(next);
+  }
+  return (current ?? null) === (next ?? null);
+};
+
+/**
+ * Build the revision documents for a set of transactions
+ * @param {Object} actor - { id, tokenId } of whoever made the change (req.user)
+ */
+const buildRevisions = (transactions, action, actor, changes = []) => {
+  return transactions.map(transaction => ({
+    transactionId: transaction._id,
+    userId: transaction.userId,
+    actorId: actor.id,
+    actorTokenId: actor.tokenId || null,
+    action,
+    changes,
+    snapshot: action === 'updated' ? null : toSnapshot(transaction)
+  }));
+};
+
+/**
+ * Total transactions per top-level category, with a per-subcategory split
+ * @param {Function} [amountOf] - Amount to count for a transaction (default: its `amount`)
+ * @returns {Object[]} Sorted by total, largest first
+ */
+const buildCategoryBreakdown = (transactions, categories, amountOf = transaction => transaction.amount) => {
+  const categoriesById = new Map(categories.map(category => [category._id.toString(), category]));
+  const breakdown = new Map();
+
+  for (const transaction of transactions) {
+    const category = categoriesById.get(transaction.categoryId?.toString());
+    const parent = category?.parentId ? categoriesById.get(category.parentId.toString()) : category;
+    const key = parent ? parent._id.toString() : 'uncategorized';
+
+    if (!breakdown.has(key)) {
+      breakdown.set(key, {
+        categoryId: parent?._id || null,
+        name: parent?.name || 'Uncategorized',
+        icon: parent?.icon || null,
+        color: parent?.color || null,
+        total: 0,
+        subcategories: {}
+      });
+    }
+
+    const entry = breakdown.get(key);
+    entry.total += amountOf(transaction);
+
+    if (category?.parentId) {
+      const subKey = category._id.toString();
+      entry.subcategories[subKey] = entry.subcategories[subKey] || {
+        categoryId: category._id,
+        name: category.name,
+        icon: category.icon,
+        color: category.color,
+        total: 0
+      };
+      entry.subcategories[subKey].total += amountOf(transaction);
+    }
+  }
+
+  return [...breakdown.values()]
+    .map(entry => ({
+      ...entry,
+      subcategories: Object.values(entry.subcategories).sort((a, b) => b.total - a.total)
+    }))
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Category for a new transaction: the one given, else the one from the first
+ * matching categorisation rule, else the type's "Misc" category
+ * @throws {Error} INVALID_CATEGORY when none of those is usable
+ */
+export const pickCategory = async (userId, transactionData) => {
+  const { categoryId, category, type } = transactionData;
+  if (categoryId || category) {
+    return resolveCategory(userId, transactionData, type);
+  }
+
+  const matchRule = await buildRuleMatcher(userId);
+  const match = matchRule(transactionData);
+
+  return resolveCategory(userId, match ? { categoryId: match.categoryId } : { category: 'Misc' }, type);
+};
+
+/**
+ * Currency for a transaction on an account (null for none): the account's.
+ * @throws {Error} INVALID_ACCOUNT when the account isn't the user's,
+ *   ACCOUNT_CURRENCY_MISMATCH when a different currency is given
+ */
+const checkAccountCurrency = async (userId, accountId, currency) => {
+  const account = await Account.findOne({ _id: accountId, userId }).select('currency').lean();
+  if (!account) {
+    throw new Error(MESSAGES.INVALID_ACCOUNT);
+  }
+
+  if (currency && account.currency && currency !== account.currency) {
+    throw new Error(MESSAGES.ACCOUNT_CURRENCY_MISMATCH);
+  }
+
+  return account.currency;
+};
+
+/**
+ * Remove the receivables of deleted split expenses that nobody has started
+ * repaying. Ones with repayments are real money owed and are kept.
+ */
+const removeSplitReceivables = async (userId, transactionIds) => {
+  await Debt.deleteMany({
+    userId,
+    transactionId: { $in: transactionIds },
+    status: 'pending'
+  });
+};
+
 /**
  * Create a new transaction
  */
-export const createTransaction = async (userId, transactionData) => {
+export const createTransaction = async (userId, transactionData, actor = { id: userId }) => {
   try {
+    const category = await pickCategory(userId, transactionData);
+    const accountCurrency = transactionData.accountId
+      ? await checkAccountCurrency(userId, transactionData.accountId, transactionData.currency)
+      : null;
+
     const transaction = await Transaction.create({
       userId,
       amount: transactionData.amount,
       type: transactionData.type,
-      category: transactionData.category,
+      categoryId: category._id,
       date: transactionData.date,
       note: transactionData.note?.trim(),
-      source: transactionData.source?.trim()
+      source: transactionData.source?.trim(),
+      currency: transactionData.currency || accountCurrency || await getBaseCurrency(userId),
+      accountId: transactionData.accountId || null,
+      recurringTemplateId: transactionData.recurringTemplateId || null,
+      fixedExpenseId: transactionData.fixedExpenseId || null,
+      incomeId: transactionData.incomeId || null
     });
 
-    return transaction;
+    await TransactionRevision.insertMany(buildRevisions([transaction], 'created', actor));
+
+    return getTransactionById(transaction._id, userId);
   } catch (error) {
     logger.error(`Create transaction error: ${error.message}`);
     throw error;
@@ -29,7 +195,7 @@ export const createTransaction = async (userId, transactionData) => {
  */
 export const getTransactions = async (userId, filters = {}) => {
   try {
-    const { type, category, startDate, endDate, limit, page } = filters;
+    const { type, category, accountId, startDate, endDate, limit, page } = filters;
 
     const query = { userId };
 
@@ -37,8 +203,13 @@ export const getTransactions = async (userId, filters = {}) => {
       query.type = type;
     }
 
+    if (accountId) {
+      query.accountId = accountId;
+    }
+
+    // Matches the category and its subcategories
     if (category) {
-      query.category = category;
+      query.categoryId = { $in: await getCategoryFilterIds(userId, category) };
     }
 
     if (startDate || endDate) {
@@ -59,6 +230,7 @@ export const getTransactions = async (userId, filters = {}) => {
       .sort({ date: -1 })
       .limit(limitNum)
       .skip(skip)
+      .populate('category', CATEGORY_FIELDS)
       .lean();
 
     const total = await Transaction.countDocuments(query);
@@ -88,33 +260,46 @@ export const getMonthlyTransactions = async (userId, month) => {
     const startDate = new Date(year, monthNum - 1, 1);
     const endDate = new Date(year, monthNum, 0, 23, 59, 59, 999);
 
-    const transactions = await Transaction.find({
-      userId,
-      date: {
-        $gte: startDate,
-        $lte: endDate
-      }
-    }).lean();
+    const [transactions, categories] = await Promise.all([
+      Transaction.find({
+        userId,
+        date: {
+          $gte: startDate,
+          $lte: endDate
+        }
+      })
+        .populate('category', CATEGORY_FIELDS)
+        .lean(),
+      Category.find({ userId }).select(CATEGORY_FIELDS).lean()
+    ]);
 
-    const expenses = transactions.filter(t => t.type === 'expense');
-    const incomes = transactions.filter(t => t.type === 'income');
+    // Settle-ups are listed but are neither spending nor income
+    const expenses = transactions.filter(t => t.type === 'expense' && !t.isSettlement);
+    const incomes = transactions.filter(t => t.type === 'income' && !t.isSettlement);
 
-    const totalExpenses = expenses.reduce((sum, t) => sum + t.amount, 0);
-    const totalIncome = incomes.reduce((sum, t) => sum + t.amount, 0);
+    // Totals are in the user's currency, at the rate on each transaction's date
+    const baseCurrency = await getBaseCurrency(userId);
+    const converter = await createConverter(baseCurrency, transactions);
+    const toBase = (t) => converter.convert(t.amount, t.currency, t.date) ?? 0;
 
-    // Group expenses by category
-    const expensesByCategory = expenses.reduce((acc, t) => {
-      if (!acc[t.category]) {
-        acc[t.category] = 0;
-      }
-      acc[t.category] += t.amount;
+    const totalExpenses = expenses.reduce((sum, t) => sum + toBase(t), 0);
+    const totalIncome = incomes.reduce((sum, t) => sum + toBase(t), 0);
+
+    const categoryBreakdown = buildCategoryBreakdown(expenses, categories, toBase);
+
+    // Expense totals by top-level category name (subcategories rolled up)
+    const expensesByCategory = categoryBreakdown.reduce((acc, entry) => {
+      acc[entry.name] = (acc[entry.name] || 0) + entry.total;
       return acc;
     }, {});
 
     return {
       totalExpenses,
       totalIncome,
+      currency: baseCurrency,
+      missingRates: converter.missingRates,
       expensesByCategory,
+      categoryBreakdown,
       transactions
     };
   } catch (error) {
@@ -122,3 +307,309 @@ export const getMonthlyTransactions = async (userId, month) => {
     throw error;
   }
 };
+
+/**
+ * Expense totals per category and month in a date range, in the user's
+ * currency, leaving out settle-ups. Months are bucketed in the server's time zone, like the YYYY-MM
+ * month ranges, and amounts are converted at each day's rate.
+ * @returns {Promise<Map<string, number>>} Totals keyed by `${categoryId}|${YYYY-MM}`
+ */
+export const getExpenseTotalsByCategoryMonth = async (userId, startDate, endDate) => {
+  try {
+    const results = await Transaction.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          type: 'expense',
+          isSettlement: { $ne: true },
+          date: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            categoryId: '$categoryId',
+            currency: '$currency',
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: SERVER_TIMEZONE } }
+          },
+          total: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    const groups = results.map(({ _id, total }) => ({
+      ..._id,
+      date: new Date(`${_id.day}T00:00:00`),
+      total
+    }));
+    const converter = await createConverter(await getBaseCurrency(userId), groups);
+
+    const totals = new Map();
+    for (const group of groups) {
+      const key = `${group.categoryId}|${group.day.substring(0, 7)}`;
+      const converted = converter.convert(group.total, group.currency, group.date) ?? 0;
+      totals.set(key, (totals.get(key) || 0) + converted);
+    }
+
+    return totals;
+  } catch (error) {
+    logger.error(`Get expense totals by category error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a single transaction by ID
+ */
+export const getTransactionById = async (transactionId, userId) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: transactionId,
+      userId
+    })
+      .populate('category', CATEGORY_FIELDS)
+      .lean();
+
+    if (!transaction) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    return transaction;
+  } catch (error) {
+    logger.error(`Get transaction by ID error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update a transaction, recording which fields changed
+ */
+export const updateTransaction = async (transactionId, userId, updateData, actor = { id: userId }) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: transactionId,
+      userId
+    });
+
+    if (!transaction) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    const fields = { ...updateData };
+    const type = fields.type ?? transaction.type;
+
+    if (transaction.split && SPLIT_FIELDS.some(field =>
+      fields[field] !== undefined && !isSameValue(transaction[field], fields[field]))) {
+      throw new Error(MESSAGES.SPLIT_LOCKED);
+    }
+
+    const accountId = fields.accountId !== undefined ? fields.accountId : transaction.accountId;
+    if (accountId && (fields.accountId !== undefined || fields.currency !== undefined)) {
+      await checkAccountCurrency(userId, accountId, fields.currency ?? transaction.currency);
+    }
+
+    if (fields.categoryId !== undefined || fields.category !== undefined) {
+      const category = await resolveCategory(userId, fields, type);
+      fields.categoryId = category._id;
+    } else if (type !== transaction.type) {
+      // Switching expense/income without a new category: the current one must suit the new type
+      const current = await Category.findOne({ _id: transaction.categoryId, userId }).select('kind').lean();
+      if (!current || current.kind !== type) {
+        throw new Error(MESSAGES.INVALID_CATEGORY);
+      }
+    }
+
+    const changes = [];
+    for (const field of EDITABLE_FIELDS) {
+      if (fields[field] === undefined) continue;
+
+      const value = typeof fields[field] === 'string' ? fields[field].trim() : fields[field];
+      if (isSameValue(transaction[field], value)) continue;
+
+      changes.push({ field, from: transaction[field] ?? null, to: value ?? null });
+      transaction[field] = value;
+    }
+
+    // Only write (and log a revision) when something actually changed
+    if (changes.length > 0) {
+      await transaction.save();
+      await TransactionRevision.insertMany(buildRevisions([transaction], 'updated', actor, changes));
+    }
+
+    return getTransactionById(transactionId, userId);
+  } catch (error) {
+    logger.error(`Update transaction error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a transaction (its revision history is kept)
+ */
+export const deleteTransaction = async (transactionId, userId, actor = { id: userId }) => {
+  try {
+    const transaction = await Transaction.findOneAndDelete({
+      _id: transactionId,
+      userId
+    });
+
+    if (!transaction) {
+      throw new Error(MESSAGES.NOT_FOUND);
+    }
+
+    await TransactionRevision.insertMany(buildRevisions([transaction], 'deleted', actor));
+    await removeSplitReceivables(userId, [transaction._id]);
+
+    return transaction;
+  } catch (error) {
+    logger.error(`Delete transaction error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete several transactions at once. IDs that don't exist or belong to
+ * someone else are skipped and reported back.
+ * @returns {Promise<Object>} { deletedCount, deletedIds, notFoundIds }
+ */
+export const bulkDeleteTransactions = async (transactionIds, userId, actor = { id: userId }) => {
+  try {
+    const ids = [...new Set(transactionIds.map(String))];
+
+    const transactions = await Transaction.find({
+      _id: { $in: ids },
+      userId
+    }).lean();
+
+    const deletedIds = transactions.map(transaction => transaction._id.toString());
+
+    if (transactions.length > 0) {
+      await Transaction.deleteMany({ _id: { $in: deletedIds }, userId });
+      await TransactionRevision.insertMany(buildRevisions(transactions, 'deleted', actor));
+      await removeSplitReceivables(userId, deletedIds);
+    }
+
+    return {
+      deletedCount: deletedIds.length,
+      deletedIds,
+      notFoundIds: ids.filter(id => !deletedIds.includes(id))
+    };
+  } catch (error) {
+    logger.error(`Bulk delete transactions error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the revision history of a transaction, oldest first.
+ * Still available after the transaction has been deleted.
+ */
+export const getTransactionRevisions = async (transactionId, userId) => {
+  try {
+    const revisions = await TransactionRevision.find({
+      transactionId,
+      userId
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (revisions.length === 0) {
+      // Transactions created before history tracking have no revisions yet
+      const exists = await Transaction.exists({ _id: transactionId, userId });
+      if (!exists) {
+        throw new Error(MESSAGES.NOT_FOUND);
+      }
+    }
+
+    return revisions;
+  } catch (error) {
+    logger.error(`Get transaction revisions error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Move every transaction in one category to another (used when a category is deleted)
+ * @returns {Promise<number>} Number of transactions moved
+ */
+export const reassignTransactionCategories = async (userId, fromCategoryId, toCategoryId, actor = { id: userId }) => {
+  try {
+    const transactions = await Transaction.find({ userId, categoryId: fromCategoryId }).lean();
+    if (transactions.length === 0) {
+      return 0;
+    }
+
+    await Transaction.updateMany({ userId, categoryId: fromCategoryId }, { categoryId: toCategoryId });
+
+    const changes = [{ field: 'categoryId', from: fromCategoryId, to: toCategoryId }];
+    await TransactionRevision.insertMany(buildRevisions(transactions, 'updated', actor, changes));
+
+    return transactions.length;
+  } catch (error) {
+    logger.error(`Reassign transaction categories error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create a batch of already-validated transactions from a statement import
+ * @returns {Promise<Object[]>} Created transactions
+ */
+export const insertImportedTransactions = async (userId, importId, transactionsData, actor = { id: userId }) => {
+  try {
+    const currency = await getBaseCurrency(userId);
+    const transactions = await Transaction.insertMany(
+      transactionsData.map(data => ({ currency, ...data, userId, importId }))
+    );
+
+    await TransactionRevision.insertMany(buildRevisions(transactions, 'created', actor));
+
+    return transactions;
+  } catch (error) {
+    logger.error(`Insert imported transactions error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Record the transfers of a settle-up, with their categories already
+ * resolved, in the caller's database session
+ * @returns {Promise<Object[]>} Created transactions
+ */
+export const insertSettlementTransactions = async (userId, transactionsData, actor = { id: userId }, session = null) => {
+  try {
+    const transactions = await Transaction.insertMany(
+      transactionsData.map(data => ({ ...data, userId, isSettlement: true, source: 'settle-up' })),
+      { session }
+    );
+
+    await TransactionRevision.insertMany(buildRevisions(transactions, 'created', actor), { session });
+
+    return transactions;
+  } catch (error) {
+    logger.error(`Insert settlement transactions error: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete every transaction that is still left from an import
+ * @returns {Promise<number>} Number of transactions deleted
+ */
+export const deleteImportedTransactions = async (userId, importId, actor = { id: userId }) => {
+  try {
+    const transactions = await Transaction.find({ userId, importId }).lean();
+    if (transactions.length === 0) {
+      return 0;
+    }
+
+    await Transaction.deleteMany({ userId, importId });
+    await TransactionRevision.insertMany(buildRevisions(transactions, 'deleted', actor));
+    await removeSplitReceivables(userId, transactions.map(transaction => transaction._id));
+
+    return transactions.length;
+  } catch (error) {
+    logger.error(`Delete imported transactions error: ${error.message}`);
+    throw error;
+  }
+};
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+const transactionRevisionSchema = new mongoose.Schema(
+  {
+    // Not a hard reference: revisions outlive the transaction when it is deleted
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Transaction ID is required'],
+      index: true
+    },
+    // Owner of the transaction
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    // Who made the change, and the personal access token used, if any
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Actor ID is required']
+    },
+    actorTokenId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PersonalAccessToken',
+      default: null
+    },
+    action: {
+      type: String,
+      enum: ['created', 'updated', 'deleted'],
+      required: [true, 'Action is required']
+    },
+    // Field-level changes for updates
+    changes: {
+      type: [changeSchema],
+      default: []
+    },
+    // Full transaction as created or as it was when deleted
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Compound indexes for efficient queries
+transactionRevisionSchema.index({ transactionId: 1, createdAt: 1 });
+transactionRevisionSchema.index({ userId: 1, createdAt: -1 });
+
+// Revisions are append-only: saved once, never modified
+transactionRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Transaction revisions cannot be modified'));
+  }
+  next();
+});
+
+transactionRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  function (next) {
+    next(new Error('Transaction revisions cannot be modified'));
+  }
+);
+
+const TransactionRevision = mongoose.model('TransactionRevision', transactionRevisionSchema);
+
+export default TransactionRevision;
@@ -8,6 +8,13 @@ const wishlistItemSchema = new mongoose.Schema(
       required: [true, 'User ID is required'],
       index: true
     },
+    // Set when the owner shares the item with their partner (COUPLE/LIFETIME plans)
+    sharedSpaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SharedSpace',
+      default: null,
+      index: true
+    },
     name: {
       type: String,
       required: [true, 'Name is required'],
@@ -58,6 +65,14 @@ wishlistItemSchema.methods.isOwner = function (userId) {
   return this.userId.toString() === userId.toString();
 };
 
+// Owners, plus the partner when the item is shared into their shared space
+wishlistItemSchema.methods.canAccess = function (userId, sharedSpaceId = null) {
+  if (this.isOwner(userId)) {
+    return true;
+  }
+  return Boolean(this.sharedSpaceId && sharedSpaceId && this.sharedSpaceId.toString() === sharedSpaceId.toString());
+};
+
 const WishlistItem = mongoose.model('WishlistItem', wishlistItemSchema);
 
 export default WishlistItem;
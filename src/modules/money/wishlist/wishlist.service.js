@@ -1,6 +1,7 @@
 import WishlistItem from './wishlist.model.js';
 import logger from '../../../utils/logger.util.js';
 import { MESSAGES } from '../../../config/constants.js';
+import { getSharedAccess, findAccessibleItem } from '../../couple/sharedSpace.service.js';
 
 /**
  * Create a new wishlist item
@@ -30,7 +31,9 @@ export const getWishlistItems = async (userId, filters = {}) => {
   try {
     const { status, priority, plannedMonth } = filters;
 
-    const query = { userId };
+    // Own items plus any shared by a partner
+    const { filter } = await getSharedAccess(userId);
+    const query = { ...filter };
 
     if (status) {
       query.status = status;
@@ -60,9 +63,10 @@ export const getWishlistItems = async (userId, filters = {}) => {
  */
 export const getWishlistItemById = async (itemId, userId) => {
   try {
+    const { filter } = await getSharedAccess(userId);
     const wishlistItem = await WishlistItem.findOne({
       _id: itemId,
-      userId
+      ...filter
     }).lean();
 
     if (!wishlistItem) {
@@ -81,14 +85,8 @@ export const getWishlistItemById = async (itemId, userId) => {
  */
 export const updateWishlistItem = async (itemId, userId, updateData) => {
   try {
-    const wishlistItem = await WishlistItem.findOne({
-      _id: itemId,
-      userId
-    });
-
-    if (!wishlistItem) {
-      throw new Error(MESSAGES.NOT_FOUND);
-    }
+    // Partners can edit items shared with them
+    await findAccessibleItem(WishlistItem, itemId, userId);
 
     const updateFields = {};
 
@@ -129,15 +127,15 @@ export const updateWishlistItem = async (itemId, userId, updateData) => {
  */
 export const deleteWishlistItem = async (itemId, userId) => {
   try {
-    const wishlistItem = await WishlistItem.findOneAndDelete({
-      _id: itemId,
-      userId
-    });
+    const wishlistItem = await findAccessibleItem(WishlistItem, itemId, userId);
 
-    if (!wishlistItem) {
-      throw new Error(MESSAGES.NOT_FOUND);
+    // Shared items can only be deleted by their owner
+    if (!wishlistItem.isOwner(userId)) {
+      throw new Error(MESSAGES.SHARED_ITEM_OWNER_ONLY);
     }
 
+    await wishlistItem.deleteOne();
+
     return wishlistItem;
   } catch (error) {
     logger.error(`Delete wishlist item error: ${error.message}`);
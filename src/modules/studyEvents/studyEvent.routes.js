@@ -1,10 +1,10 @@
 import express from 'express';
-import { authenticate } from '../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../middlewares/auth.middleware.js';
 import * as studyEventController from './studyEvent.controller.js';
 
 const router = express.Router();
 
-router.use(authenticate);
+router.use(authenticate, requireScope('study'));
 
 router.post('/', studyEventController.createStudyEvent);
 router.get('/', studyEventController.getStudyEvents);
@@ -80,7 +80,7 @@ const calculatePrice = (plan, billingCycle) => {
 /**
  * Calculate expiry date
  */
-const calculateExpiryDate = (plan, billingCycle) => {
+export const calculateExpiryDate = (plan, billingCycle) => {
   if (plan === 'FREE' || plan === 'LIFETIME') {
     return null; // No expiry
   }
@@ -1,12 +1,12 @@
 import express from 'express';
 import * as subscriptionController from './subscription.controller.js';
-import { authenticate } from '../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../middlewares/auth.middleware.js';
 import { checkSubscriptionLimitMiddleware } from '../../middlewares/subscriptionLimit.middleware.js';
 
 const router = express.Router();
 
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, requireScope('subscriptions'));
 
 // Routes
 router.post('/', checkSubscriptionLimitMiddleware('subscriptions'), subscriptionController.createSubscription);
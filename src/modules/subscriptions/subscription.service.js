@@ -1,4 +1,5 @@
 import Subscription from './subscription.model.js';
+import { getBaseCurrency, createConverter } from '../exchangeRates/exchangeRate.service.js';
 import logger from '../../utils/logger.util.js';
 import { MESSAGES } from '../../config/constants.js';
 
@@ -118,11 +119,13 @@ export const getSubscriptionSummary = async (userId) => {
       status: 'active'
     }).lean();
 
-    // Calculate monthly total
-    let monthlyTotal = 0;
-    activeSubscriptions.forEach(sub => {
-      monthlyTotal += calculateMonthlyCost(sub.amount, sub.billingCycle);
-    });
+    // Calculate monthly total in the user's currency at today's rates
+    const baseCurrency = await getBaseCurrency(userId);
+    const converter = await createConverter(baseCurrency, activeSubscriptions);
+    const monthlyTotal = converter.sum(
+      activeSubscriptions,
+      sub => calculateMonthlyCost(sub.amount, sub.billingCycle)
+    );
 
     // Get upcoming renewals (next 7 days)
     const today = new Date();
@@ -146,6 +149,8 @@ export const getSubscriptionSummary = async (userId) => {
 
     return {
       monthlyTotal: Math.round(monthlyTotal * 100) / 100, // Round to 2 decimal places
+      currency: baseCurrency,
+      missingRates: converter.missingRates,
       activeSubscriptionsCount: activeSubscriptions.length,
       upcomingRenewals,
       optimizationTips
@@ -42,6 +42,13 @@ const tripSchema = new mongoose.Schema(
       required: [true, 'User ID is required'],
       index: true
     },
+    // Set when the owner shares the item with their partner (COUPLE/LIFETIME plans)
+    sharedSpaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SharedSpace',
+      default: null,
+      index: true
+    },
     title: {
       type: String,
       required: [true, 'Title is required'],
@@ -105,6 +112,14 @@ tripSchema.methods.isOwner = function (userId) {
   return this.userId.toString() === userId.toString();
 };
 
+// Owners, plus the partner when the item is shared into their shared space
+tripSchema.methods.canAccess = function (userId, sharedSpaceId = null) {
+  if (this.isOwner(userId)) {
+    return true;
+  }
+  return Boolean(this.sharedSpaceId && sharedSpaceId && this.sharedSpaceId.toString() === sharedSpaceId.toString());
+};
+
 const Trip = mongoose.model('Trip', tripSchema);
 
 export default Trip;
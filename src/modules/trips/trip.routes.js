@@ -1,7 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import * as tripController from './trip.controller.js';
-import { authenticate } from '../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../middlewares/auth.middleware.js';
 import { uploadRateLimiter } from '../../middlewares/uploadLimit.middleware.js';
 import { checkSubscriptionLimitMiddleware } from '../../middlewares/subscriptionLimit.middleware.js';
 
@@ -44,7 +44,7 @@ const handleMulterError = (err, req, res, next) => {
 };
 
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, requireScope('trips'));
 
 // Routes
 router.post(
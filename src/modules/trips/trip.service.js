@@ -2,6 +2,7 @@ import Trip from './trip.model.js';
 import { uploadImage, deleteImage } from '../../utils/cloudinary.util.js';
 import logger from '../../utils/logger.util.js';
 import { MESSAGES } from '../../config/constants.js';
+import { getSharedAccess, findAccessibleItem } from '../couple/sharedSpace.service.js';
 
 /**
  * Calculate trip status based on dates
@@ -98,9 +99,10 @@ export const getTrips = async (userId, filters = {}) => {
       page = 1
     } = filters;
 
-    // Build query
+    // Own trips plus any shared by a partner
+    const { filter } = await getSharedAccess(userId);
     const query = {
-      userId
+      ...filter
     };
 
     // Handle status filter
@@ -181,29 +183,28 @@ export const getTrips = async (userId, filters = {}) => {
 export const getTripSummary = async (userId) => {
   try {
     const now = new Date();
+    const { filter } = await getSharedAccess(userId);
 
     // Get upcoming trips (status = upcoming or startDate > now)
     const upcomingCount = await Trip.countDocuments({
-      userId,
-      $or: [
-        { status: 'upcoming' },
-        { startDate: { $gt: now } }
+      $and: [
+        filter,
+        { $or: [{ status: 'upcoming' }, { startDate: { $gt: now } }] }
       ],
       status: { $ne: 'cancelled' }
     });
 
     // Get completed trips
     const completedCount = await Trip.countDocuments({
-      userId,
+      ...filter,
       status: 'completed'
     });
 
     // Get next trip (closest upcoming)
     const nextTrip = await Trip.findOne({
-      userId,
-      $or: [
-        { status: 'upcoming' },
-        { startDate: { $gt: now } }
+      $and: [
+        filter,
+        { $or: [{ status: 'upcoming' }, { startDate: { $gt: now } }] }
       ],
       status: { $ne: 'cancelled' }
     })
@@ -236,9 +237,10 @@ export const getTripSummary = async (userId) => {
  */
 export const getTripById = async (tripId, userId) => {
   try {
+    const { filter } = await getSharedAccess(userId);
     const trip = await Trip.findOne({
       _id: tripId,
-      userId
+      ...filter
     }).lean();
 
     if (!trip) {
@@ -275,14 +277,8 @@ export const getTripById = async (tripId, userId) => {
  */
 export const updateTrip = async (tripId, userId, updateData, coverImageFile = null) => {
   try {
-    const trip = await Trip.findOne({
-      _id: tripId,
-      userId
-    });
-
-    if (!trip) {
-      throw new Error(MESSAGES.NOT_FOUND);
-    }
+    // Partners can edit trips shared with them
+    const trip = await findAccessibleItem(Trip, tripId, userId);
 
     // Handle cover image update
     if (coverImageFile) {
@@ -372,11 +368,15 @@ export const updateTrip = async (tripId, userId, updateData, coverImageFile = nu
  */
 export const cancelTrip = async (tripId, userId) => {
   try {
-    const trip = await Trip.findOneAndUpdate(
-      {
-        _id: tripId,
-        userId
-      },
+    const existingTrip = await findAccessibleItem(Trip, tripId, userId);
+
+    // Shared trips can only be cancelled by their owner
+    if (!existingTrip.isOwner(userId)) {
+      throw new Error(MESSAGES.SHARED_ITEM_OWNER_ONLY);
+    }
+
+    const trip = await Trip.findByIdAndUpdate(
+      tripId,
       {
         status: 'cancelled'
       },
@@ -385,10 +385,6 @@ export const cancelTrip = async (tripId, userId) => {
       }
     );
 
-    if (!trip) {
-      throw new Error(MESSAGES.NOT_FOUND);
-    }
-
     // Delete cover image from Cloudinary if exists
     if (trip.coverImage && trip.coverImage.publicId) {
       try {
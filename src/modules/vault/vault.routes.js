@@ -1,7 +1,7 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import * as vaultController from './vault.controller.js';
-import { authenticate } from '../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../middlewares/auth.middleware.js';
 import { checkSubscriptionLimitMiddleware } from '../../middlewares/subscriptionLimit.middleware.js';
 
 const router = express.Router();
@@ -19,7 +19,7 @@ const revealLimiter = rateLimit({
 });
 
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, requireScope('vault'));
 
 // Routes
 router.post('/', checkSubscriptionLimitMiddleware('vault'), vaultController.createVaultItem);
@@ -2,7 +2,7 @@ import express from 'express';
 import multer from 'multer';
 import rateLimit from 'express-rate-limit';
 import * as vaultDocumentController from './vaultDocument.controller.js';
-import { authenticate } from '../../middlewares/auth.middleware.js';
+import { authenticate, requireScope } from '../../middlewares/auth.middleware.js';
 import { strictUploadRateLimiter } from '../../middlewares/uploadLimit.middleware.js';
 import { checkSubscriptionLimitMiddleware } from '../../middlewares/subscriptionLimit.middleware.js';
 
@@ -59,7 +59,7 @@ const handleMulterError = (err, req, res, next) => {
 };
 
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, requireScope('vault'));
 
 // Routes
 router.post(
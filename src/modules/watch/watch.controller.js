@@ -408,6 +408,10 @@ export const deleteWatchItem = async (req, res, next) => {
       return sendError(res, error.message, HTTP_STATUS.NOT_FOUND);
     }
 
+    if (error.message === MESSAGES.SHARED_ITEM_OWNER_ONLY) {
+      return sendError(res, error.message, HTTP_STATUS.FORBIDDEN);
+    }
+
     next(error);
   }
 };
@@ -2,6 +2,7 @@ import WatchItem from './watch.model.js';
 import { uploadImage, deleteImage } from '../../utils/cloudinary.util.js';
 import logger from '../../utils/logger.util.js';
 import { MESSAGES } from '../../config/constants.js';
+import { getSharedAccess, findAccessibleItem } from '../couple/sharedSpace.service.js';
 
 /**
  * Create a new watch item
@@ -76,9 +77,10 @@ export const getWatchItems = async (userId, filters = {}) => {
       rating
     } = filters;
 
-    // Build query
+    // Own watch items plus any shared by a partner
+    const { filter } = await getSharedAccess(userId);
     const query = {
-      userId
+      ...filter
     };
 
     if (status) {
@@ -126,9 +128,10 @@ export const getWatchItems = async (userId, filters = {}) => {
  */
 export const getWatchItemById = async (itemId, userId) => {
   try {
+    const { filter } = await getSharedAccess(userId);
     const watchItem = await WatchItem.findOne({
       _id: itemId,
-      userId
+      ...filter
     }).lean();
 
     if (!watchItem) {
@@ -147,14 +150,8 @@ export const getWatchItemById = async (itemId, userId) => {
  */
 export const updateWatchItem = async (itemId, userId, updateData) => {
   try {
-    const watchItem = await WatchItem.findOne({
-      _id: itemId,
-      userId
-    });
-
-    if (!watchItem) {
-      throw new Error(MESSAGES.NOT_FOUND);
-    }
+    // Partners can update watch items shared with them
+    const watchItem = await findAccessibleItem(WatchItem, itemId, userId);
 
     // Prepare update object
     const updateFields = {};
@@ -218,14 +215,8 @@ export const updateWatchItem = async (itemId, userId, updateData) => {
  */
 export const updateWatchProgress = async (itemId, userId, progressData) => {
   try {
-    const watchItem = await WatchItem.findOne({
-      _id: itemId,
-      userId
-    });
-
-    if (!watchItem) {
-      throw new Error(MESSAGES.NOT_FOUND);
-    }
+    // Partners can update watch items shared with them
+    const watchItem = await findAccessibleItem(WatchItem, itemId, userId);
 
     // Validate that item is a series
     if (watchItem.type !== 'series') {
@@ -273,11 +264,15 @@ export const updateWatchProgress = async (itemId, userId, progressData) => {
  */
 export const deleteWatchItem = async (itemId, userId) => {
   try {
-    const watchItem = await WatchItem.findOneAndUpdate(
-      {
-        _id: itemId,
-        userId
-      },
+    const existingItem = await findAccessibleItem(WatchItem, itemId, userId);
+
+    // Shared watch items can only be dropped by their owner
+    if (!existingItem.isOwner(userId)) {
+      throw new Error(MESSAGES.SHARED_ITEM_OWNER_ONLY);
+    }
+
+    const watchItem = await WatchItem.findByIdAndUpdate(
+      itemId,
       {
         status: 'dropped'
       },
@@ -286,10 +281,6 @@ export const deleteWatchItem = async (itemId, userId) => {
       }
     );
 
-    if (!watchItem) {
-      throw new Error(MESSAGES.NOT_FOUND);
-    }
-
     // Delete poster from Cloudinary if exists (only if it's a Cloudinary object, not a URL)
     if (watchItem.poster && typeof watchItem.poster === 'object' && watchItem.poster.publicId) {
       try {
@@ -0,0 +1,111 @@
+// Leading characters that make a spreadsheet treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Signed numbers (and percentages) are safe to leave as they are
+const SIGNED_NUMBER = /^[+-]?\d+(\.\d+)?%?$/;
+
+/**
+ * Escape a single CSV cell (RFC 4180): quote when it contains a delimiter,
+ * quote or line break, and double any embedded quotes. Text that a
+ * spreadsheet would run as a formula is prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    // ObjectIds stringify to their hex id; other objects are kept as JSON
+    text = typeof value.toHexString === 'function' ? value.toHexString() : JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !SIGNED_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Convert an array of plain objects to CSV
+ * @param {Object[]} rows - Records to convert
+ * @param {string[]} columns - Column order (default: every key found in the rows)
+ * @returns {string} CSV text with a header row
+ */
+export const toCSV = (rows, columns = null) => {
+  const header = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  const lines = [
+    header.map(escapeCSVValue).join(','),
+    ...rows.map(row => header.map(column => escapeCSVValue(row[column])).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse CSV text (RFC 4180) into rows of cells. Handles quoted cells containing
+ * delimiters, doubled quotes and line breaks, CRLF or LF line endings and a UTF-8 BOM.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell delimiter (default: comma)
+ * @returns {string[][]} Rows of cells, without blank lines
+ */
+export const parseCSV = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
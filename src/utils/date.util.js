@@ -1,3 +1,10 @@
+// Time zone the server computes day and month boundaries in; pass it to
+// $dateToString so aggregates group dates the same way
+export const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Milliseconds in a day
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Format date to ISO string
  * @param {Date} date - Date object
@@ -78,6 +85,65 @@ export const getEndOfMonth = (date = new Date()) => {
   return getEndOfDay(d);
 };
 
+/**
+ * Check a month string in YYYY-MM format
+ * @param {string} month - Month string
+ * @returns {boolean} True if valid
+ */
+export const isValidMonth = (month) => /^\d{4}-(0[1-9]|1[0-2])$/.test(month || '');
+
+/**
+ * Get the YYYY-MM month a date falls in (local time)
+ * @param {Date} date - Date object
+ * @returns {string} Month string
+ */
+export const toMonthKey = (date = new Date()) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Get the YYYY-MM-DD day a date falls on (local time)
+ * @param {Date} date - Date object
+ * @returns {string} Day string
+ */
+export const toDayKey = (date = new Date()) => {
+  const d = new Date(date);
+  return `${toMonthKey(d)}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11; overflow rolls into the next year)
+ * @returns {number} Days in the month
+ */
+export const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Get the first and last moment of a YYYY-MM month
+ * @param {string} month - Month string
+ * @returns {{ startDate: Date, endDate: Date }} Month range
+ */
+export const getMonthRange = (month) => {
+  const [year, monthNum] = month.split('-').map(Number);
+  return {
+    startDate: new Date(year, monthNum - 1, 1),
+    endDate: new Date(year, monthNum, 0, 23, 59, 59, 999)
+  };
+};
+
+/**
+ * Move a YYYY-MM month forwards or backwards
+ * @param {string} month - Month string
+ * @param {number} offset - Number of months to add (negative to go back)
+ * @returns {string} Month string
+ */
+export const shiftMonth = (month, offset) => {
+  const [year, monthNum] = month.split('-').map(Number);
+  return toMonthKey(new Date(year, monthNum - 1 + offset, 1));
+};
+
 /**
  * Add days to date
  * @param {Date} date - Date object
@@ -90,6 +156,22 @@ export const addDays = (date, days) => {
   return d;
 };
 
+/**
+ * Add months to date, keeping the day of month where it exists and
+ * clamping it to the last day of shorter months (Jan 31 + 1 is Feb 28/29)
+ * @param {Date} date - Date object
+ * @param {number} months - Number of months to add
+ * @returns {Date} New date
+ */
+export const addMonths = (date, months) => {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  d.setDate(Math.min(day, daysInMonth(d.getFullYear(), d.getMonth())));
+  return d;
+};
+
 /**
  * Check if date is today
  * @param {Date} date - Date object
@@ -99,3 +181,40 @@ export const isToday = (date) => {
   const today = new Date();
   return date.toDateString() === today.toDateString();
 };
+
+/**
+ * Date formats accepted by parseDateWithFormat
+ */
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'MM-DD-YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'];
+
+/**
+ * Parse a date string in a known format (e.g. from a bank statement)
+ * Two-digit years are read as 20xx. Any time part after the date is ignored.
+ * @param {string} value - Date string
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {Date|null} Local midnight on that date, or null if invalid
+ */
+export const parseDateWithFormat = (value, format) => {
+  if (!value || !DATE_FORMATS.includes(format)) return null;
+
+  const parts = String(value).trim().split(/[\sT]/)[0].split(/[-/.]/);
+  const order = format.split(/[-/.]/);
+  if (parts.length !== 3) return null;
+
+  const fields = {};
+  order.forEach((key, index) => {
+    fields[key] = parseInt(parts[index], 10);
+  });
+
+  let year = fields.YYYY;
+  if (year < 100) year += 2000;
+  const month = fields.MM;
+  const day = fields.DD;
+
+  const date = new Date(year, month - 1, day);
+  if (isNaN(date.getTime()) || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return date;
+};
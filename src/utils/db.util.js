@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import logger from './logger.util.js';
+
+// Whether the connected deployment supports multi-document transactions,
+// worked out on first use
+let transactionSupport = null;
+
+/**
+ * Check whether the database is a replica set or sharded cluster (a
+ * standalone server can't run transactions)
+ * @returns {Promise<boolean>}
+ */
+export const supportsTransactions = async () => {
+  if (transactionSupport === null) {
+    const info = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(info.setName) || info.msg === 'isdbgrid';
+
+    if (!transactionSupport) {
+      logger.warn('MongoDB is running standalone: related writes are made in order without a transaction');
+    }
+  }
+
+  return transactionSupport;
+};
+
+/**
+ * Run writes that belong together in one database transaction. On a
+ * standalone server they run in order without one (`session` is null), so a
+ * failure part-way through leaves the earlier writes in place.
+ * @param {Function} work - async (session) => void
+ */
+export const withTransaction = async (work) => {
+  if (await supportsTransactions()) {
+    return mongoose.connection.transaction(work);
+  }
+
+  return work(null);
+};
@@ -0,0 +1,132 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import env from '../config/env.js';
+import logger from './logger.util.js';
+
+/**
+ * Mail transports
+ * Every driver exposes the same interface: send({ from, to, subject, text, html })
+ *
+ * - smtp:    delivers through an SMTP server (SMTP_* env variables)
+ * - file:    writes each message as JSON into MAIL_FILE_DIR (local testing)
+ * - console: logs each message (default in development)
+ */
+
+/**
+ * SMTP driver (nodemailer)
+ */
+const createSmtpDriver = () => {
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: env.SMTP_PORT,
+    secure: env.SMTP_SECURE,
+    auth: env.SMTP_USER ? {
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * File driver - one JSON file per message
+ */
+const createFileDriver = () => {
+  const directory = path.resolve(env.MAIL_FILE_DIR);
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      const filePath = path.join(directory, `${messageId}.json`);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      logger.info(`Mail written to ${filePath}`);
+      return { messageId };
+    }
+  };
+};
+
+/**
+ * Console driver - logs the message instead of sending it
+ */
+const createConsoleDriver = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      logger.info(`Mail to ${message.to} | ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+};
+
+const DRIVERS = {
+  smtp: createSmtpDriver,
+  file: createFileDriver,
+  console: createConsoleDriver
+};
+
+let driver = null;
+
+/**
+ * Get the configured mail driver (created lazily)
+ */
+const getDriver = () => {
+  if (!driver) {
+    const factory = DRIVERS[env.MAIL_DRIVER];
+    if (!factory) {
+      throw new Error(`Unknown mail driver: ${env.MAIL_DRIVER}. Supported drivers: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    driver = factory();
+  }
+  return driver;
+};
+
+/**
+ * Replace the active driver (e.g. with an in-memory driver in tests)
+ * @param {Object|null} customDriver - Object with a send(message) method, or null to reset
+ */
+export const setMailDriver = (customDriver) => {
+  driver = customDriver;
+};
+
+/**
+ * Send an email
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Promise<Object>} { messageId }
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    if (!to || !subject) {
+      throw new Error('Recipient and subject are required');
+    }
+
+    return await getDriver().send({
+      from: env.MAIL_FROM,
+      to,
+      subject,
+      text,
+      html
+    });
+  } catch (error) {
+    logger.error(`Send mail error: ${error.message}`);
+    throw error;
+  }
+};
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text (e.g. a user's name) for use in an HTML email body
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
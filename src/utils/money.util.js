@@ -0,0 +1,11 @@
+// Case-insensitive matching for user-entered names (categories, contacts,
+// accounts), for unique indexes and lookups alike. Accents still count:
+// "José" and "Jose" are different names.
+export const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Round an amount to two decimal places
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+export const roundAmount = (value) => Math.round(value * 100) / 100;
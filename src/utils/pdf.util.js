@@ -0,0 +1,133 @@
+/**
+ * Minimal PDF writer for plain-text reports: a bold title, then sections of
+ * fixed-width table text, paginated onto A4. Uses the standard Helvetica and
+ * Courier fonts, so nothing needs embedding; characters outside Latin-1 are
+ * replaced with "?".
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const TITLE_SIZE = 16;
+const HEADING_SIZE = 11;
+
+// Courier glyphs are 0.6em wide
+const CHARS_PER_LINE = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+/**
+ * Escape text for a PDF string literal
+ */
+const escapePDFText = (text) => String(text)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+/**
+ * Lay out a table as fixed-width lines: columns padded to their widest cell
+ * (numbers right-aligned, to two decimals), shrinking the widest column to
+ * fit the page
+ * @param {string[]} columns - Header labels
+ * @param {Array<Array>} rows - Cell values, in column order
+ * @returns {string[]} Lines of text
+ */
+export const formatTable = (columns, rows) => {
+  const toText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    return String(value);
+  };
+  const cells = [columns, ...rows].map(row => row.map(toText));
+  const widths = columns.map((column, index) => Math.max(...cells.map(row => row[index].length)));
+  const numeric = columns.map((column, index) => rows.length > 0 && rows.every(row => typeof row[index] === 'number'));
+
+  // Two spaces between columns
+  let overflow = widths.reduce((sum, width) => sum + width, 0) + 2 * (columns.length - 1) - CHARS_PER_LINE;
+  while (overflow > 0) {
+    const widest = widths.indexOf(Math.max(...widths));
+    const cut = Math.min(overflow, widths[widest] - 4);
+    if (cut <= 0) break;
+    widths[widest] -= cut;
+    overflow -= cut;
+  }
+
+  const fit = (text, width, alignRight) => {
+    const clipped = text.length > width ? `${text.slice(0, Math.max(0, width - 1))}~` : text;
+    return alignRight ? clipped.padStart(width) : clipped.padEnd(width);
+  };
+
+  const lines = cells.map(row => row.map((text, index) => fit(text, widths[index], numeric[index])).join('  ').trimEnd());
+  lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+  return lines;
+};
+
+/**
+ * Build a PDF document
+ * @param {Object} document - { title, subtitle, sections: [{ heading, lines }] }
+ * @returns {Buffer} PDF file contents
+ */
+export const createTextPDF = ({ title, subtitle, sections }) => {
+  // Each entry is one line: [font, size, text]
+  const entries = [['F1', TITLE_SIZE, title]];
+  if (subtitle) {
+    entries.push(['F2', FONT_SIZE, subtitle]);
+  }
+
+  for (const section of sections) {
+    entries.push(['F2', FONT_SIZE, '']);
+    entries.push(['F1', HEADING_SIZE, section.heading]);
+    for (const line of section.lines) {
+      entries.push(['F2', FONT_SIZE, line]);
+    }
+  }
+
+  // Paginate
+  const pages = [];
+  let current = [];
+  let y = PAGE_HEIGHT - MARGIN;
+  for (const [font, size, text] of entries) {
+    const height = Math.max(LINE_HEIGHT, size + 4);
+    if (y - height < MARGIN && current.length > 0) {
+      pages.push(current);
+      current = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+    current.push(`BT /${font} ${size} Tf ${MARGIN} ${y} Td (${escapePDFText(text)}) Tj ET`);
+  }
+  pages.push(current);
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content per page
+  const objects = [];
+  const pageIds = pages.map((page, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((lines, index) => {
+    const pageId = pageIds[index];
+    const content = lines.join('\n');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(output, 'latin1');
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
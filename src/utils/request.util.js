@@ -0,0 +1,11 @@
+/**
+ * Extract client context from a request (used for sessions and audit records)
+ * @param {Object} req - Express request object
+ * @returns {Object} { ip, userAgent }
+ */
+export const getRequestContext = (req) => {
+  return {
+    ip: req.ip,
+    userAgent: req.get('user-agent') || ''
+  };
+};
@@ -62,6 +62,12 @@ const FEATURE_DISPLAY_NAMES = {
   documents: 'Vault Documents'
 };
 
+/**
+ * Names of all features with item limits
+ * @returns {string[]} Feature names
+ */
+export const getLimitedFeatures = () => Object.keys(FEATURE_MODEL_MAP);
+
 /**
  * Get count of user's items for a specific feature
  * @param {string} userId - User ID
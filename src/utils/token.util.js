@@ -0,0 +1,19 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a random opaque token
+ * @param {number} bytes - Number of random bytes (default 32)
+ * @returns {string} Hex encoded token
+ */
+export const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage and lookup (SHA-256)
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded hash
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP (RFC 6238) on top of HOTP (RFC 4226), implemented with node's crypto only
+ * so codes can be generated and checked offline (and in tests).
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = {
+  step: 30, // seconds per time step
+  digits: 6,
+  algorithm: 'sha1',
+  window: 1 // accepted steps before/after the current one (clock drift)
+};
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, ignores spaces and padding)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} bytes - Secret length in bytes (default 20, i.e. 160 bits as recommended for SHA-1)
+ * @returns {string} Base32 secret
+ */
+export const generateSecret = (bytes = 20) => {
+  return base32Encode(crypto.randomBytes(bytes));
+};
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @param {Object} options - { digits, algorithm }
+ * @returns {string} Zero-padded code
+ */
+export const generateHOTP = (secret, counter, options = {}) => {
+  const { digits, algorithm } = { ...TOTP_DEFAULTS, ...options };
+
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | ((hmac[offset + 1] & 0xff) << 16)
+    | ((hmac[offset + 2] & 0xff) << 8)
+    | (hmac[offset + 3] & 0xff);
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch (default now)
+ * @param {number} step - Step size in seconds
+ * @returns {number} Time step counter
+ */
+export const getTimeStep = (timestamp = Date.now(), step = TOTP_DEFAULTS.step) => {
+  return Math.floor(timestamp / 1000 / step);
+};
+
+/**
+ * Generate a TOTP code (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - { timestamp, step, digits, algorithm }
+ * @returns {string} Code
+ */
+export const generateTOTP = (secret, options = {}) => {
+  const { timestamp = Date.now(), step, ...rest } = { ...TOTP_DEFAULTS, ...options };
+  return generateHOTP(secret, getTimeStep(timestamp, step), rest);
+};
+
+/**
+ * Verify a TOTP code within the allowed window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { timestamp, step, digits, algorithm, window }
+ * @returns {number|null} Matching time step (use it to reject replays), or null if invalid
+ */
+export const verifyTOTP = (secret, code, options = {}) => {
+  const { timestamp = Date.now(), step, window, ...rest } = { ...TOTP_DEFAULTS, ...options };
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== rest.digits) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHOTP(secret, currentStep + offset, rest);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps (rendered as a QR code by the client)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @param {string} issuer - App name shown in the authenticator
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = (secret, accountName, issuer = 'LifeOS') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_DEFAULTS.algorithm.toUpperCase(),
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.step)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -98,3 +98,26 @@ export const decrypt = (encryptedObject) => {
     throw new Error('Failed to decrypt data');
   }
 };
+
+/**
+ * Create an AES-256-GCM stream for encrypting a file
+ * @returns {Object} { cipher, iv } - once the stream has finished, cipher.getAuthTag() gives its tag
+ */
+export const createEncryptStream = () => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+
+  return { cipher, iv: iv.toString('hex') };
+};
+
+/**
+ * Create an AES-256-GCM stream for decrypting a file from createEncryptStream
+ * @param {Object} encryption - { iv, tag } as hex strings
+ * @returns {crypto.Decipher} Stream that errors at the end if the file was altered
+ */
+export const createDecryptStream = ({ iv, tag }) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+  return decipher;
+};
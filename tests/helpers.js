@@ -0,0 +1,16 @@
+/**
+ * Stand-in for a mongoose query: chainable, resolving to `result` from
+ * `lean()` or when awaited directly
+ */
+export const fakeQuery = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    populate: () => query,
+    collation: () => query,
+    session: () => query,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
@@ -0,0 +1,48 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { fakeQuery } from '../../helpers.js';
+import Debt from '../../../src/modules/money/debts/debt.model.js';
+import { getEmiSchedule } from '../../../src/modules/money/debts/debt.service.js';
+import { toDayKey } from '../../../src/utils/date.util.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+const loan = {
+  _id: new mongoose.Types.ObjectId(),
+  type: 'borrowed',
+  amount: 12000,
+  currency: 'INR',
+  interestType: 'none',
+  status: 'pending',
+  startDate: new Date(2025, 0, 1)
+};
+
+describe('getEmiSchedule', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('keeps one instalment per month from a month-end start date', async () => {
+    mock.method(Debt, 'findOne', () => fakeQuery(loan));
+
+    const { schedule } = await getEmiSchedule(loan._id, userId, {
+      months: 5,
+      firstDueDate: new Date(2025, 0, 31)
+    });
+
+    assert.deepEqual(
+      schedule.map(row => toDayKey(row.dueDate)),
+      ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31']
+    );
+    assert.ok(schedule.every(row => row.payment === 2400));
+  });
+
+  it('starts a month from today by default, clamped to the month end', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date(2025, 0, 31, 15, 0) });
+    mock.method(Debt, 'findOne', () => fakeQuery(loan));
+
+    const { schedule } = await getEmiSchedule(loan._id, userId, { months: 2 });
+
+    assert.deepEqual(schedule.map(row => toDayKey(row.dueDate)), ['2025-02-28', '2025-03-31']);
+    assert.equal(schedule[0].dueDate.getHours(), 0);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { fakeQuery } from '../../helpers.js';
+import Fund from '../../../src/modules/money/funds/fund.model.js';
+import FundMovement from '../../../src/modules/money/funds/fundMovement.model.js';
+import { addToFund, withdrawFromFund } from '../../../src/modules/money/funds/fund.service.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+const fundId = new mongoose.Types.ObjectId();
+
+// A standalone server: writes run in order without a transaction
+before(() => {
+  mongoose.connection.db = { admin: () => ({ command: async () => ({ isWritablePrimary: true }) }) };
+});
+
+describe('fund movements without transactions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('changes the balance in one conditional update and records the movement', async () => {
+    const update = mock.method(Fund, 'findOneAndUpdate', async () => ({ _id: fundId, currentAmount: 60 }));
+    const create = mock.method(FundMovement, 'create', async () => []);
+
+    const fund = await withdrawFromFund(fundId, userId, 40);
+
+    assert.equal(fund.currentAmount, 60);
+    const [filter, , options] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: fundId, userId, isLocked: { $ne: true }, currentAmount: { $gte: 40 } });
+    assert.equal(options.session, null);
+    assert.equal(create.mock.calls[0].arguments[0][0].balanceAfter, 60);
+  });
+
+  it('rejects a withdrawal the balance does not cover', async () => {
+    mock.method(Fund, 'findOneAndUpdate', async () => null);
+    mock.method(Fund, 'findOne', () => fakeQuery({ _id: fundId, isLocked: false }));
+    const create = mock.method(FundMovement, 'create', async () => []);
+
+    await assert.rejects(withdrawFromFund(fundId, userId, 500), /Insufficient funds/);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('rejects a change to a locked fund', async () => {
+    mock.method(Fund, 'findOneAndUpdate', async () => null);
+    mock.method(Fund, 'findOne', () => fakeQuery({ _id: fundId, isLocked: true }));
+
+    await assert.rejects(addToFund(fundId, userId, 10), /Cannot add to locked fund/);
+  });
+
+  it('undoes the balance change when the movement cannot be recorded', async () => {
+    mock.method(Fund, 'findOneAndUpdate', async () => ({ _id: fundId, currentAmount: 110 }));
+    mock.method(FundMovement, 'create', async () => {
+      throw new Error('insert failed');
+    });
+    const undo = mock.method(Fund, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await assert.rejects(addToFund(fundId, userId, 10), /insert failed/);
+
+    assert.equal(undo.mock.callCount(), 1);
+    const [filter, update] = undo.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: fundId });
+    assert.deepEqual(update[0].$set.currentAmount.$round[0].$add[1], -10);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { fakeQuery } from '../../helpers.js';
+import Transaction from '../../../src/modules/money/transactions/transaction.model.js';
+import Income from '../../../src/modules/money/income/income.model.js';
+import Category from '../../../src/modules/money/categories/category.model.js';
+import User from '../../../src/modules/auth/auth.schema.js';
+import { getReport } from '../../../src/modules/money/reports/report.service.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+/**
+ * Serve fixed records to the report, all in the user's currency
+ */
+const stubRecords = ({ transactions = [], incomes = [] }) => {
+  mock.method(Transaction, 'find', () => fakeQuery(transactions));
+  mock.method(Income, 'find', () => fakeQuery(incomes));
+  mock.method(Category, 'find', () => fakeQuery([]));
+  mock.method(User, 'findById', () => fakeQuery({ currency: 'INR' }));
+};
+
+const incomeOf = (report) => report.monthly.map(({ month, income }) => [month, income]);
+
+describe('getReport income', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('counts a template-posted monthly income in every month', async () => {
+    const salary = {
+      _id: new mongoose.Types.ObjectId(),
+      amount: 50000,
+      currency: 'INR',
+      receivedAt: new Date(2025, 0, 1)
+    };
+    const posted = [0, 1, 2, 3].map(month => ({
+      _id: new mongoose.Types.ObjectId(),
+      type: 'income',
+      amount: 50000,
+      currency: 'INR',
+      date: new Date(2025, month, 1),
+      incomeId: salary._id
+    }));
+    stubRecords({ transactions: posted, incomes: [salary] });
+
+    const report = await getReport(userId, '2025-01', '2025-04');
+
+    assert.deepEqual(incomeOf(report), [
+      ['2025-01', 50000],
+      ['2025-02', 50000],
+      ['2025-03', 50000],
+      ['2025-04', 50000]
+    ]);
+    assert.equal(report.totals.income, 200000);
+    assert.equal(report.totals.savingsRate, 100);
+  });
+
+  it('counts the posted transactions when the income record was received before the range', async () => {
+    const incomeId = new mongoose.Types.ObjectId();
+    const posted = [1, 2].map(month => ({
+      _id: new mongoose.Types.ObjectId(),
+      type: 'income',
+      amount: 1000,
+      currency: 'INR',
+      date: new Date(2025, month, 5),
+      incomeId
+    }));
+    stubRecords({ transactions: posted });
+
+    const report = await getReport(userId, '2025-02', '2025-03');
+
+    assert.deepEqual(incomeOf(report), [['2025-02', 1000], ['2025-03', 1000]]);
+  });
+
+  it('counts a one-off income and its posted transaction once', async () => {
+    const bonus = {
+      _id: new mongoose.Types.ObjectId(),
+      amount: 7000,
+      currency: 'INR',
+      receivedAt: new Date(2025, 5, 10)
+    };
+    stubRecords({
+      incomes: [bonus],
+      transactions: [
+        { type: 'income', amount: 7000, currency: 'INR', date: new Date(2025, 5, 10), incomeId: bonus._id },
+        { type: 'income', amount: 300, currency: 'INR', date: new Date(2025, 5, 12), incomeId: null }
+      ]
+    });
+
+    const report = await getReport(userId, '2025-06', '2025-06');
+
+    assert.deepEqual(incomeOf(report), [['2025-06', 7300]]);
+  });
+});
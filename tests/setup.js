@@ -0,0 +1,13 @@
+// Service modules load the env config, which requires these; the tests
+// never connect to a database
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  PORT: '0',
+  MONGODB_URI: 'mongodb://localhost/lifeos-test',
+  JWT_SECRET: 'test-secret',
+  JWT_EXPIRE: '15m'
+};
+
+for (const [name, value] of Object.entries(TEST_ENV)) {
+  process.env[name] ??= value;
+}
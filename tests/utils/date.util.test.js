@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { addMonths, toDayKey } from '../../src/utils/date.util.js';
+
+describe('addMonths', () => {
+  it('keeps the day of month when the target month has it', () => {
+    assert.equal(toDayKey(addMonths(new Date(2025, 0, 15), 1)), '2025-02-15');
+  });
+
+  it('clamps month-end days to shorter months', () => {
+    const start = new Date(2025, 0, 31);
+    assert.deepEqual(
+      [0, 1, 2, 3, 4].map(months => toDayKey(addMonths(start, months))),
+      ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31']
+    );
+  });
+
+  it('uses February 29 in leap years and crosses year ends', () => {
+    assert.equal(toDayKey(addMonths(new Date(2023, 11, 30), 2)), '2024-02-29');
+    assert.equal(toDayKey(addMonths(new Date(2025, 2, 31), -1)), '2025-02-28');
+  });
+
+  it('keeps the time of day', () => {
+    const moved = addMonths(new Date(2025, 0, 31, 9, 30), 1);
+    assert.equal(moved.getHours(), 9);
+    assert.equal(moved.getMinutes(), 30);
+  });
+});
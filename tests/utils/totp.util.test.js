@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Encode,
+  base32Decode,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  getTimeStep
+} from '../../src/utils/totp.util.js';
+
+// Shared secrets from the RFC test vectors, one per HMAC algorithm
+const SECRETS = {
+  sha1: base32Encode(Buffer.from('12345678901234567890')),
+  sha256: base32Encode(Buffer.from('12345678901234567890123456789012')),
+  sha512: base32Encode(Buffer.from('1234567890123456789012345678901234567890123456789012345678901234'))
+};
+
+// RFC 6238 appendix B: seconds since epoch => 8-digit code per algorithm
+const RFC6238_VECTORS = [
+  { seconds: 59, sha1: '94287082', sha256: '46119246', sha512: '90693936' },
+  { seconds: 1111111109, sha1: '07081804', sha256: '68084774', sha512: '25091201' },
+  { seconds: 1111111111, sha1: '14050471', sha256: '67062674', sha512: '99943326' },
+  { seconds: 1234567890, sha1: '89005924', sha256: '91819424', sha512: '93441116' },
+  { seconds: 2000000000, sha1: '69279037', sha256: '90698825', sha512: '38618901' },
+  { seconds: 20000000000, sha1: '65353130', sha256: '77737706', sha512: '47863826' }
+];
+
+// RFC 4226 appendix D: HOTP codes for counters 0-9
+const RFC4226_CODES = [
+  '755224', '287082', '359152', '969429', '338314',
+  '254676', '287922', '162583', '399871', '520489'
+];
+
+const STEP_MS = 30 * 1000;
+
+describe('base32', () => {
+  it('encodes the RFC secret as authenticator apps expect', () => {
+    assert.equal(SECRETS.sha1, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('decodes what it encodes, ignoring case, spaces and padding', () => {
+    const bytes = Buffer.from('any bytes at all');
+    const encoded = base32Encode(bytes);
+
+    assert.deepEqual(base32Decode(encoded), bytes);
+    assert.deepEqual(base32Decode(`${encoded.toLowerCase().match(/.{1,4}/g).join(' ')}==`), bytes);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('GEZ1'), /Invalid base32 character: 1/);
+  });
+});
+
+describe('generateHOTP', () => {
+  it('matches the RFC 4226 vectors', () => {
+    RFC4226_CODES.forEach((code, counter) => {
+      assert.equal(generateHOTP(SECRETS.sha1, counter), code);
+    });
+  });
+});
+
+describe('generateTOTP', () => {
+  for (const algorithm of ['sha1', 'sha256', 'sha512']) {
+    it(`matches the RFC 6238 ${algorithm.toUpperCase()} vectors`, () => {
+      for (const vector of RFC6238_VECTORS) {
+        const code = generateTOTP(SECRETS[algorithm], {
+          timestamp: vector.seconds * 1000,
+          digits: 8,
+          algorithm
+        });
+        assert.equal(code, vector[algorithm], `at ${vector.seconds}s`);
+      }
+    });
+  }
+
+  it('uses 6-digit SHA-1 codes by default', () => {
+    assert.equal(generateTOTP(SECRETS.sha1, { timestamp: 59 * 1000 }), '287082');
+  });
+});
+
+describe('verifyTOTP', () => {
+  const timestamp = 1111111109 * 1000;
+  const currentStep = getTimeStep(timestamp);
+  const codeAt = (offset) => generateTOTP(SECRETS.sha1, { timestamp: timestamp + offset * STEP_MS });
+
+  it('accepts the current code and returns its time step', () => {
+    assert.equal(verifyTOTP(SECRETS.sha1, codeAt(0), { timestamp }), currentStep);
+  });
+
+  it('accepts codes one step either side for clock drift', () => {
+    assert.equal(verifyTOTP(SECRETS.sha1, codeAt(-1), { timestamp }), currentStep - 1);
+    assert.equal(verifyTOTP(SECRETS.sha1, codeAt(1), { timestamp }), currentStep + 1);
+  });
+
+  it('rejects codes outside the drift window', () => {
+    assert.equal(verifyTOTP(SECRETS.sha1, codeAt(-2), { timestamp }), null);
+    assert.equal(verifyTOTP(SECRETS.sha1, codeAt(2), { timestamp }), null);
+  });
+
+  it('honours a wider window when asked', () => {
+    assert.equal(verifyTOTP(SECRETS.sha1, codeAt(-2), { timestamp, window: 2 }), currentStep - 2);
+  });
+
+  it('ignores spaces in the entered code', () => {
+    const code = codeAt(0);
+    assert.equal(verifyTOTP(SECRETS.sha1, `${code.slice(0, 3)} ${code.slice(3)}`, { timestamp }), currentStep);
+  });
+
+  it('rejects malformed codes', () => {
+    for (const code of ['', null, undefined, '12345', '1234567', 'abcdef', '12345a']) {
+      assert.equal(verifyTOTP(SECRETS.sha1, code, { timestamp }), null, `code ${code}`);
+    }
+  });
+
+  it('rejects a code generated from another secret', () => {
+    const otherSecret = base32Encode(Buffer.from('another secret value'));
+    const code = generateTOTP(otherSecret, { timestamp });
+    assert.equal(verifyTOTP(SECRETS.sha1, code, { timestamp }), null);
+  });
+
+  // Callers store the last step used and only accept newer ones
+  describe('replay', () => {
+    const acceptNewer = () => {
+      let lastUsedStep = null;
+      return (code, at) => {
+        const step = verifyTOTP(SECRETS.sha1, code, { timestamp: at });
+        if (step === null || (lastUsedStep !== null && step <= lastUsedStep)) {
+          return false;
+        }
+        lastUsedStep = step;
+        return true;
+      };
+    };
+
+    it('maps a code to the same step every time it is checked in the window', () => {
+      const code = codeAt(0);
+      assert.equal(verifyTOTP(SECRETS.sha1, code, { timestamp }), currentStep);
+      assert.equal(verifyTOTP(SECRETS.sha1, code, { timestamp: timestamp + STEP_MS }), currentStep);
+    });
+
+    it('rejects a code used a second time', () => {
+      const accept = acceptNewer();
+      const code = codeAt(0);
+
+      assert.equal(accept(code, timestamp), true);
+      assert.equal(accept(code, timestamp), false);
+      assert.equal(accept(code, timestamp + STEP_MS), false);
+    });
+
+    it('rejects an older code still inside the window once a newer one was used', () => {
+      const accept = acceptNewer();
+
+      assert.equal(accept(codeAt(0), timestamp), true);
+      assert.equal(accept(codeAt(-1), timestamp), false);
+      assert.equal(accept(codeAt(1), timestamp + STEP_MS), true);
+    });
+  });
+});